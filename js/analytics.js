@@ -73,6 +73,13 @@ function trackPhotoCapture(frameName, filterName) {
     });
 }
 
+/** クリップ / ブーメラン撮影 */
+function trackClipCapture(mode) {
+    trackEvent('clip_capture', {
+        clip_mode: mode || 'clip'
+    });
+}
+
 /** 写真保存 */
 function trackPhotoSave(method) {
     trackEvent('photo_save', {
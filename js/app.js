@@ -15,6 +15,7 @@
 const cameraScreen = document.getElementById('camera-screen');      // カメラプレビュー画面
 const resultScreen = document.getElementById('result-screen');      // 撮影結果表示画面
 const errorScreen = document.getElementById('error-screen');        // エラー表示画面
+const galleryScreen = document.getElementById('gallery-screen');    // フォトロール（ギャラリー）画面
 
 // ローディング表示
 const loadingOverlay = document.getElementById('loading-overlay');  // カメラ起動中のオーバーレイ
@@ -112,6 +113,12 @@ let framesConfig = null;
 let currentFrameId = 'hapuna';
 let currentFrameName = '';
 
+/**
+ * 認証済みレストランの情報（restaurants.json の 1 件）
+ * @type {Object|null}
+ */
+let currentRestaurant = null;
+
 /**
  * 記念日メッセージの設定
  * @type {Object}
@@ -156,10 +163,12 @@ window.addEventListener('load', async () => {
     // HTTPS セキュアコンテキストチェック
     // カメラ(getUserMedia)はHTTPS環境が必須
     // localhost / 127.0.0.1 は開発用として許可
+    // テスト映像（mock-camera.js）はカメラを使わないので HTTP でも許可
     // ======================================================
     const isSecureContext = window.isSecureContext;
     const isLocalhost = ['localhost', '127.0.0.1', '::1'].includes(location.hostname);
-    if (!isSecureContext && !isLocalhost) {
+    const isMockCamera = typeof mockCameraSource !== 'undefined' && !!mockCameraSource;
+    if (!isSecureContext && !isLocalhost && !isMockCamera) {
         const lang = localStorage.getItem('sph_lang') || 'ja';
         const messages = {
             ja: 'このアプリはHTTPS環境でのみ動作します。\nHTTPSでアクセスし直してください。',
@@ -220,6 +229,10 @@ window.addEventListener('load', async () => {
                 if (authRestaurantId && restaurantsData.restaurants) {
                     const restaurant = restaurantsData.restaurants.find(r => r.id === authRestaurantId);
                     if (restaurant) {
+                        // ホテル名も保持（EXIF の著作権表記等で使用）
+                        currentRestaurant = Object.assign({ hotelName: restaurantsData.hotelName }, restaurant);
+                        if (typeof loadOutputSettings === 'function') loadOutputSettings(restaurant);
+                        if (typeof loadPhotoRollSettings === 'function') loadPhotoRollSettings(restaurant);
                         const locationText = `品川プリンスホテル　${restaurant.fullName}`;
                         if (messageLocationInput) messageLocationInput.value = locationText;
                         messageConfig.location.value = locationText;
@@ -240,9 +253,19 @@ window.addEventListener('load', async () => {
         // 写真フィルターUIを構築
         if (typeof buildFilterUI === 'function') buildFilterUI();
 
-        // 顔ARフィルターを初期化
+        // 顔ARフィルターを初期化（装飾の定義は JSON から読み込む）
+        if (typeof loadFaceDecorations === 'function') loadFaceDecorations();
         if (typeof initFaceFilter === 'function') initFaceFilter();
 
+        // 撮影ガイド（グリッド・水平器・顔の収まり）の表示設定を読み込み
+        if (typeof loadGuideSettings === 'function') loadGuideSettings();
+
+        // 暗所判定・ノイズ低減の設定を読み込み（判定を開始）
+        if (typeof loadLowLightSettings === 'function') loadLowLightSettings();
+
+        // リモートシャッター（キーボード・Bluetooth リモコン）の割り当てを読み込み
+        if (typeof loadRemoteBindings === 'function') loadRemoteBindings();
+
         // カメラを初期化
         initCamera();
 
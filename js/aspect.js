@@ -0,0 +1,173 @@
+/**
+ * ======================================================================
+ * 撮影アスペクト比モジュール (aspect.js)
+ * 出力写真の縦横比（9:16 / 4:5 / 1:1 / 3:4 / 16:9）を管理し、
+ * プレビューコンテナ・クロップ計算・背景合成 Canvas・フレーム選択を追従させる。
+ *
+ * フレームは frames-config.json で対応比率を宣言する:
+ *   "aspectRatios": ["9:16", "3:4"]                 … そのまま使える比率
+ *   "variants": { "1:1": { "path": "...", "thumbnail": "..." } } … 比率別の差し替え画像
+ * どちらも無いフレームは設定ファイル全体の "aspectRatio"（既定 9:16）専用として扱う。
+ * 比率の選択肢には、レストランのフレームが 1 枚も対応していない比率は出さない
+ * （選ぶとフレームが全て消えてしまうため。フレームが無いレストランでは全比率を出す）。
+ *
+ * 依存: なし（capture.js / background-seg.js / ui.js から参照される）
+ * ======================================================================
+ */
+
+// ======================================================================
+// 定義・状態変数
+// ======================================================================
+
+/** 選択可能なアスペクト比（w:h） */
+const ASPECT_RATIOS = [
+    { id: '9:16', w: 9,  h: 16, name: '9:16 縦長' },
+    { id: '4:5',  w: 4,  h: 5,  name: '4:5 ポートレート' },
+    { id: '1:1',  w: 1,  h: 1,  name: '1:1 スクエア' },
+    { id: '3:4',  w: 3,  h: 4,  name: '3:4 スタンダード' },
+    { id: '16:9', w: 16, h: 9,  name: '16:9 横長' }
+];
+
+const DEFAULT_ASPECT_ID = '9:16';
+
+/** 現在のアスペクト比ID（localStorage に保存） */
+let currentAspectId = (function() {
+    const saved = localStorage.getItem('sph_aspect');
+    return ASPECT_RATIOS.some(a => a.id === saved) ? saved : DEFAULT_ASPECT_ID;
+})();
+
+function getCurrentAspect() {
+    return ASPECT_RATIOS.find(a => a.id === currentAspectId) || ASPECT_RATIOS[0];
+}
+
+/** 横:縦 の比（9:16 なら 0.5625） */
+function getTargetAspect() {
+    const a = getCurrentAspect();
+    return a.w / a.h;
+}
+
+// ======================================================================
+// クロップ計算（撮影・背景合成・クリップで共通）
+// ======================================================================
+
+/**
+ * 映像の中央から targetAspect の領域を切り出す矩形を返す
+ *
+ * @param {number} srcW
+ * @param {number} srcH
+ * @param {number} [targetAspect] - 省略時は現在の設定
+ * @returns {{ srcX: number, srcY: number, srcW: number, srcH: number }}
+ */
+function computeCropRect(srcW, srcH, targetAspect) {
+    const target = targetAspect || getTargetAspect();
+    if (srcW / srcH > target) {
+        // 映像の方が横長 → 上下フル、左右をクロップ
+        const w = Math.round(srcH * target);
+        return { srcX: Math.round((srcW - w) / 2), srcY: 0, srcW: w, srcH: srcH };
+    }
+    // 映像の方が縦長 → 左右フル、上下をクロップ
+    const h = Math.round(srcW / target);
+    return { srcX: 0, srcY: Math.round((srcH - h) / 2), srcW: srcW, srcH: h };
+}
+
+// ======================================================================
+// フレームの対応判定
+// ======================================================================
+
+/**
+ * フレームが現在（または指定）の比率で使えるか
+ * 「なし」は常に可。背景合成画像は cover 描画するため宣言がなければ全比率で可。
+ */
+function frameSupportsAspect(frame, aspectId) {
+    const id = aspectId || currentAspectId;
+    if (!frame || frame.isNone) return true;
+    if (frame.variants && frame.variants[id]) return true;
+    if (frame.aspectRatios) return frame.aspectRatios.includes(id);
+    if (frame.isBgImage) return true;
+    const base = (typeof framesConfig !== 'undefined' && framesConfig && framesConfig.aspectRatio) || DEFAULT_ASPECT_ID;
+    return base === id;
+}
+
+/**
+ * 比率を選択肢に出すか
+ * 装飾フレーム（「なし」・背景合成を除く）のどれか 1 枚でも対応していれば可。
+ * フレーム設定の読み込み前・装飾フレームが無い場合は全比率で可。
+ */
+function isAspectAvailable(aspectId) {
+    if (typeof framesConfig === 'undefined' || !framesConfig || !framesConfig.frames) return true;
+    const decorative = framesConfig.frames.filter(f => !f.isNone && !f.isBgImage);
+    return decorative.length === 0 || decorative.some(f => frameSupportsAspect(f, aspectId));
+}
+
+/**
+ * 現在の比率で使う画像パスを返す（比率別バリアントがあればそちら）
+ * @returns {{ path: string|null, thumbnail: string|null }}
+ */
+function resolveFrameAsset(frame) {
+    const v = frame && frame.variants && frame.variants[currentAspectId];
+    if (v) return { path: v.path || frame.path, thumbnail: v.thumbnail || v.path || frame.thumbnail };
+    return { path: frame ? frame.path : null, thumbnail: frame ? frame.thumbnail : null };
+}
+
+// ======================================================================
+// 比率の切り替え
+// ======================================================================
+
+function selectAspectRatio(aspectId) {
+    if (!ASPECT_RATIOS.some(a => a.id === aspectId) || !isAspectAvailable(aspectId)) return;
+    currentAspectId = aspectId;
+    localStorage.setItem('sph_aspect', aspectId);
+
+    const sel = document.getElementById('settings-aspect-select');
+    if (sel) sel.value = aspectId;
+
+    applyAspectToPreview();
+    if (typeof resizeBgComposite === 'function') resizeBgComposite();
+    if (typeof refreshFramesForAspect === 'function') refreshFramesForAspect();
+}
+
+/**
+ * プレビューコンテナの縦横比を設定し、親に収まる向き（高さ基準 / 幅基準）を選ぶ
+ * 縦長画面で 1:1 や 16:9 を選ぶと高さ基準では横幅があふれるため幅基準に切り替える
+ */
+function applyAspectToPreview() {
+    const a = getCurrentAspect();
+    document.documentElement.style.setProperty('--capture-aspect', `${a.w} / ${a.h}`);
+
+    const container = document.getElementById('video-container');
+    const parent    = container ? container.parentElement : null;
+    if (!container || !parent || !parent.clientWidth || !parent.clientHeight) return;
+    container.classList.toggle('fit-width', a.w / a.h > parent.clientWidth / parent.clientHeight);
+}
+
+/** 設定パネルの選択肢を生成（フレームが対応していない比率は除く） */
+function buildAspectUI() {
+    const sel = document.getElementById('settings-aspect-select');
+    if (!sel) return;
+    sel.innerHTML = '';
+    ASPECT_RATIOS.filter(a => isAspectAvailable(a.id)).forEach(a => {
+        const opt = document.createElement('option');
+        opt.value = a.id;
+        opt.textContent = a.name;
+        sel.appendChild(opt);
+    });
+    sel.value = currentAspectId;
+}
+
+/**
+ * フレーム設定の読み込み後に選択肢を作り直す（ui.js から呼ばれる）
+ * 保存されていた比率がこのレストランで使えなければ、設定ファイルの基本比率に戻す
+ */
+function refreshAspectOptions() {
+    if (!isAspectAvailable(currentAspectId)) {
+        const base = (framesConfig && framesConfig.aspectRatio) || DEFAULT_ASPECT_ID;
+        const next = isAspectAvailable(base) ? base : (ASPECT_RATIOS.find(a => isAspectAvailable(a.id)) || ASPECT_RATIOS[0]).id;
+        selectAspectRatio(next);
+    }
+    buildAspectUI();
+}
+
+buildAspectUI();
+applyAspectToPreview();
+window.addEventListener('resize', applyAspectToPreview);
+window.addEventListener('orientationchange', () => setTimeout(applyAspectToPreview, 300));
@@ -0,0 +1,119 @@
+/**
+ * ======================================================================
+ * 笑顔自動シャッターモジュール (auto-shutter.js)
+ * face-filter.js の Face Mesh 追跡結果を使い、写っている全員が笑顔のまま
+ * 一定時間キープされたら startCountdown() を自動で呼ぶ。
+ * 三脚撮影やスタッフが両手でスマホを構えるときに、撮影ボタンを押す人が不要になる。
+ *
+ * 笑顔判定: 口の幅 / 顔の幅（extractCoords の mouthW / faceW）
+ * 顔 AR の装飾が未選択でも、setFaceLoopConsumer() で検出ループを起動する。
+ *
+ * 依存: face-filter.js（setFaceLoopConsumer / addFaceResultListener）
+ *       capture.js（startCountdown）
+ * ======================================================================
+ */
+
+// ======================================================================
+// 設定・状態変数
+// ======================================================================
+
+/** 自動シャッターが有効かどうか（設定パネルから切り替え） */
+let autoShutterEnabled = false;
+
+/** 口の幅 / 顔の幅 がこの値以上で笑顔とみなす（真顔でおよそ 0.38〜0.42） */
+const SMILE_RATIO_THRESHOLD = 0.46;
+
+/** 全員の笑顔がこの時間続いたらシャッター（ms） */
+const SMILE_HOLD_MS = 700;
+
+/** 撮影後・カメラ画面に戻ってから次に自動撮影できるまでの待ち時間（ms） */
+const AUTO_SHUTTER_COOLDOWN_MS = 3000;
+
+let _smileSince      = 0;   // 全員笑顔になった時刻（0 = 未達）
+let _shutterBlockedAt = 0;  // 最後に撮影不可状態だった時刻（クールダウン起点）
+
+// ======================================================================
+// 有効化 / 無効化
+// ======================================================================
+
+function setAutoShutterEnabled(enabled) {
+    autoShutterEnabled = !!enabled;
+    _smileSince = 0;
+    _shutterBlockedAt = performance.now();
+    if (typeof setFaceLoopConsumer === 'function') setFaceLoopConsumer('autoShutter', autoShutterEnabled);
+    if (!autoShutterEnabled) _updateAutoShutterIndicator(null);
+}
+
+// ======================================================================
+// 判定（Face Mesh の結果ごとに呼ばれる）
+// ======================================================================
+
+function _onAutoShutterFaces(faces) {
+    if (!autoShutterEnabled) return;
+    const now = performance.now();
+
+    // カメラ画面以外・撮影中は判定しない（クールダウンはここから数える）
+    const ready = cameraScreen && cameraScreen.classList.contains('active') &&
+                  captureBtn && !captureBtn.disabled;
+    if (!ready) {
+        _shutterBlockedAt = now;
+        _smileSince = 0;
+        _updateAutoShutterIndicator(null);
+        return;
+    }
+
+    const visible = faces.filter(tf => tf.missed === 0 && tf.coords);
+    const smiling = visible.filter(tf => isSmiling(tf.coords)).length;
+    const allSmiling = visible.length > 0 && smiling === visible.length;
+
+    if (!allSmiling) {
+        _smileSince = 0;
+    } else if (!_smileSince) {
+        _smileSince = now;
+    }
+    _updateAutoShutterIndicator({ smiling, total: visible.length, holding: allSmiling });
+
+    if (allSmiling &&
+        now - _smileSince >= SMILE_HOLD_MS &&
+        now - _shutterBlockedAt >= AUTO_SHUTTER_COOLDOWN_MS &&
+        typeof startCountdown === 'function') {
+        _smileSince = 0;
+        _shutterBlockedAt = now;
+        _updateAutoShutterIndicator(null);
+        startCountdown();
+    }
+}
+
+/**
+ * 笑顔かどうか（口角が横に広がると mouthW / faceW が大きくなる）
+ * @param {Object} coords - extractCoords() の戻り値
+ */
+function isSmiling(coords) {
+    if (!coords || !coords.faceW) return false;
+    return coords.mouthW / coords.faceW >= SMILE_RATIO_THRESHOLD;
+}
+
+// ======================================================================
+// 「笑顔待ち」インジケーター
+// ======================================================================
+
+/**
+ * @param {{ smiling: number, total: number, holding: boolean }|null} state - null で非表示
+ */
+function _updateAutoShutterIndicator(state) {
+    const el = document.getElementById('auto-shutter-indicator');
+    if (!el) return;
+    if (!state) { el.classList.add('hidden'); return; }
+
+    const _t = (key, fallback) => (typeof t === 'function') ? t(key) : fallback;
+    const label = state.holding
+        ? _t('auto_shutter_hold', 'そのまま！')
+        : _t('auto_shutter_waiting', '笑顔を待っています');
+    el.textContent = state.total > 0
+        ? `😊 ${label} (${state.smiling}/${state.total})`
+        : `😊 ${label}`;
+    el.classList.toggle('holding', state.holding);
+    el.classList.remove('hidden');
+}
+
+if (typeof addFaceResultListener === 'function') addFaceResultListener(_onAutoShutterFaces);
@@ -40,6 +40,10 @@ var _bgSegInitializing = false;
 /** 初回結果受信フラグ（キャンバス表示タイミング制御） */
 var _bgFirstResult = false;
 
+/** 直近の人物マスク（撮影比率でクロップ・反転済み、bg-composite-canvas と同じサイズ）
+ *  高解像度写真（camera.js の takePhoto）を同じ位置で切り抜くために保持する */
+var _bgMaskCanvas = null;
+
 // ======================================================================
 // CDN スクリプトの動的読み込み
 // 初回の背景選択時にのみ読み込む（帯域節約）
@@ -137,24 +141,12 @@ function _onBgSegResults(results) {
         canvas.style.display = 'block';
     }
 
-    // ---- ビデオの 9:16 クロップ計算 ----
+    // ---- ビデオのクロップ計算（撮影アスペクト比に合わせる） ----
     var imgW = results.image.videoWidth || results.image.naturalWidth || results.image.width || w;
     var imgH = results.image.videoHeight || results.image.naturalHeight || results.image.height || h;
-    var targetAspect = 9 / 16;
-    var videoAspect = imgW / imgH;
-    var srcX, srcY, srcW, srcH;
-
-    if (videoAspect > targetAspect) {
-        srcH = imgH;
-        srcW = Math.round(imgH * targetAspect);
-        srcX = Math.round((imgW - srcW) / 2);
-        srcY = 0;
-    } else {
-        srcW = imgW;
-        srcH = Math.round(imgW / targetAspect);
-        srcX = 0;
-        srcY = Math.round((imgH - srcH) / 2);
-    }
+    var crop = _bgCropRect(imgW, imgH);
+    if (typeof applyDigitalZoom === 'function') crop = applyDigitalZoom(crop);
+    var srcX = crop.srcX, srcY = crop.srcY, srcW = crop.srcW, srcH = crop.srcH;
 
     var ctx = _bgCtx;
     ctx.save();
@@ -189,15 +181,84 @@ function _onBgSegResults(results) {
         ctx.drawImage(results.image, srcX, srcY, srcW, srcH, 0, 0, w, h);
     }
 
+    // ---- 高解像度撮影用に人物マスクだけ保持（Step 1 と同じクロップ・反転） ----
+    if (typeof isHighResCaptureAvailable === 'function' && isHighResCaptureAvailable()) {
+        _keepBgMask(results.segmentationMask, crop, w, h, isFlipped);
+    }
+
     // ---- Step 3: 背景画像を人物の後ろに描画（destination-over） ----
+    // 比率が違っても歪まないよう cover で中央を切り出す
     ctx.globalCompositeOperation = 'destination-over';
-    ctx.drawImage(currentBgImage, 0, 0, w, h);
+    var bgCrop = _bgCropRect(currentBgImage.naturalWidth || w, currentBgImage.naturalHeight || h, w / h);
+    ctx.drawImage(currentBgImage, bgCrop.srcX, bgCrop.srcY, bgCrop.srcW, bgCrop.srcH, 0, 0, w, h);
 
     // 合成モードをデフォルトに戻す
     ctx.globalCompositeOperation = 'source-over';
     ctx.restore();
 }
 
+function _keepBgMask(mask, crop, w, h, isFlipped) {
+    if (!_bgMaskCanvas) _bgMaskCanvas = document.createElement('canvas');
+    if (_bgMaskCanvas.width !== w || _bgMaskCanvas.height !== h) {
+        _bgMaskCanvas.width  = w;
+        _bgMaskCanvas.height = h;
+    }
+    var mCtx = _bgMaskCanvas.getContext('2d');
+    mCtx.save();
+    mCtx.clearRect(0, 0, w, h);
+    if (isFlipped) {
+        mCtx.translate(w, 0);
+        mCtx.scale(-1, 1);
+    }
+    mCtx.drawImage(mask, crop.srcX, crop.srcY, crop.srcW, crop.srcH, 0, 0, w, h);
+    mCtx.restore();
+}
+
+// ======================================================================
+// Canvas サイズ（撮影アスペクト比に追従）
+// ======================================================================
+
+/**
+ * 撮影アスペクト比のクロップ矩形（aspect.js 未読み込み時は 9:16 固定）
+ */
+function _bgCropRect(srcW, srcH, targetAspect) {
+    if (typeof computeCropRect === 'function') return computeCropRect(srcW, srcH, targetAspect);
+    var target = targetAspect || 9 / 16;
+    if (srcW / srcH > target) {
+        var cw = Math.round(srcH * target);
+        return { srcX: Math.round((srcW - cw) / 2), srcY: 0, srcW: cw, srcH: srcH };
+    }
+    var ch = Math.round(srcW / target);
+    return { srcX: 0, srcY: Math.round((srcH - ch) / 2), srcW: srcW, srcH: ch };
+}
+
+/**
+ * 背景合成 Canvas のサイズを撮影アスペクト比に合わせる（最大長辺 720px）
+ */
+function _sizeBgCanvas(canvas) {
+    if (cameraVideo && cameraVideo.videoWidth) {
+        var crop = _bgCropRect(cameraVideo.videoWidth, cameraVideo.videoHeight);
+        // パフォーマンスのため最大 720px に制限
+        var scale = Math.min(720 / Math.max(crop.srcW, crop.srcH), 1);
+        canvas.width  = Math.round(crop.srcW * scale);
+        canvas.height = Math.round(crop.srcH * scale);
+    } else {
+        // ビデオ未準備時のデフォルト（長辺 720px）
+        var aspect = (typeof getTargetAspect === 'function') ? getTargetAspect() : 9 / 16;
+        canvas.width  = Math.round(aspect <= 1 ? 720 * aspect : 720);
+        canvas.height = Math.round(aspect <= 1 ? 720 : 720 / aspect);
+    }
+}
+
+/**
+ * アスペクト比変更時に背景合成 Canvas を作り直す（aspect.js から呼ばれる）
+ */
+function resizeBgComposite() {
+    var canvas = document.getElementById('bg-composite-canvas');
+    if (!canvas || !bgCompositeMode) return;
+    _sizeBgCanvas(canvas);
+}
+
 // ======================================================================
 // 処理ループ
 // ======================================================================
@@ -213,30 +274,7 @@ function _startBgLoop() {
     var canvas = document.getElementById('bg-composite-canvas');
     if (!canvas) return;
 
-    // ---- Canvas サイズ設定（9:16、最大長辺 720px） ----
-    if (cameraVideo && cameraVideo.videoWidth) {
-        var vw = cameraVideo.videoWidth;
-        var vh = cameraVideo.videoHeight;
-        var targetAspect = 9 / 16;
-        var videoAspect = vw / vh;
-        var cropW, cropH;
-        if (videoAspect > targetAspect) {
-            cropH = vh;
-            cropW = Math.round(vh * targetAspect);
-        } else {
-            cropW = vw;
-            cropH = Math.round(vw / targetAspect);
-        }
-        // パフォーマンスのため最大 720px に制限
-        var scale = Math.min(720 / Math.max(cropW, cropH), 1);
-        canvas.width  = Math.round(cropW * scale);
-        canvas.height = Math.round(cropH * scale);
-    } else {
-        // ビデオ未準備時のデフォルト
-        canvas.width  = 405;
-        canvas.height = 720;
-    }
-
+    _sizeBgCanvas(canvas);
     _bgCtx = canvas.getContext('2d');
 
     /**
@@ -318,6 +356,8 @@ function stopBgComposite() {
     currentBgImage = null;
     _bgFirstResult = false;
 
+    _bgMaskCanvas = null;
+
     var canvas = document.getElementById('bg-composite-canvas');
     if (canvas) {
         canvas.style.display = 'none';
@@ -327,6 +367,15 @@ function stopBgComposite() {
     console.log('[BG-SEG] Composite stopped');
 }
 
+/**
+ * カメラの再起動後に処理ループをやり直す（映像サイズが変わっても Canvas を合わせ直す）
+ * camera.js の自動復旧から呼ばれる
+ */
+function restartBgCompositeLoop() {
+    if (!bgCompositeMode || !_bgSegReady) return;
+    _startBgLoop();
+}
+
 /**
  * 撮影時: 背景合成済み画像を出力 Canvas に描画
  * capture.js の captureImage() から呼ばれる
@@ -353,3 +402,60 @@ function drawBgCompositeOnCanvas(ctx, outW, outH) {
     }
     return true;
 }
+
+/**
+ * 撮影時（高解像度写真）: 直近の人物マスクで写真を切り抜き、背景画像と合成して描画
+ * マスクはプレビュー解像度だが、写真は映像と同じ範囲（capture.js で対応付け済み）を
+ * 切り出すので位置はそのまま重なる。人物の輪郭以外は写真の解像度になる
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} outW
+ * @param {number} outH
+ * @param {ImageBitmap} photo
+ * @param {{ srcX: number, srcY: number, srcW: number, srcH: number }} crop - 写真の撮影比率クロップ
+ * @returns {boolean} 描画したかどうか（マスク未取得なら false）
+ */
+function drawBgCompositeOnPhoto(ctx, outW, outH, photo, crop) {
+    if (!bgCompositeMode || !currentBgImage || !_bgMaskCanvas || !_bgFirstResult) return false;
+
+    var tmp = document.createElement('canvas');
+    tmp.width  = outW;
+    tmp.height = outH;
+    var tCtx = tmp.getContext('2d');
+    tCtx.imageSmoothingEnabled = true;
+    tCtx.imageSmoothingQuality = 'high';
+
+    var isFlipped = (typeof cameraFlipped !== 'undefined') ? cameraFlipped : false;
+
+    // bg-composite-canvas と同じ座標系で合成する
+    // （selfieMode のため MediaPipe の出力は左右反転済み → 反転モードで元に戻している）
+    // Step 1: マスク
+    tCtx.drawImage(_bgMaskCanvas, 0, 0, outW, outH);
+
+    // Step 2: 写真を人物部分のみ描画（source-in）。マスクと同じ向きにそろえる
+    tCtx.globalCompositeOperation = 'source-in';
+    tCtx.save();
+    if (!isFlipped) {
+        tCtx.translate(outW, 0);
+        tCtx.scale(-1, 1);
+    }
+    tCtx.drawImage(photo, crop.srcX, crop.srcY, crop.srcW, crop.srcH, 0, 0, outW, outH);
+    tCtx.restore();
+
+    // Step 3: 背景画像を人物の後ろに描画（destination-over）
+    tCtx.globalCompositeOperation = 'destination-over';
+    var bgCrop = _bgCropRect(currentBgImage.naturalWidth || outW, currentBgImage.naturalHeight || outH, outW / outH);
+    tCtx.drawImage(currentBgImage, bgCrop.srcX, bgCrop.srcY, bgCrop.srcW, bgCrop.srcH, 0, 0, outW, outH);
+
+    // drawBgCompositeOnCanvas() と同じく cameraFlipped に合わせて反転して出力
+    if (isFlipped) {
+        ctx.save();
+        ctx.translate(outW, 0);
+        ctx.scale(-1, 1);
+        ctx.drawImage(tmp, 0, 0);
+        ctx.restore();
+    } else {
+        ctx.drawImage(tmp, 0, 0);
+    }
+    return true;
+}
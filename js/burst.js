@@ -0,0 +1,234 @@
+/**
+ * ======================================================================
+ * 連写ベストショットモジュール (burst.js)
+ * シャッターの瞬間をまたいで複数フレームを取得し、
+ * ブレ（シャープネス）と目つむり（Face Mesh のまぶたランドマーク）で採点して
+ * 一番良い 1 枚を結果画面で事前選択する。残りはスワイプで切り替え可能。
+ *
+ * 依存: capture.js（grabRawShot / renderBurstCandidate / replaceResultCanvas）
+ *       face-filter.js（lastFaceLandmarks / getEyeOpenness）— 任意
+ * ======================================================================
+ */
+
+// ======================================================================
+// 設定・状態変数
+// ======================================================================
+
+/** 連写モードが有効かどうか（設定パネルから切り替え） */
+let burstModeEnabled = false;
+
+/** 1 回の連写で取得するフレーム数と間隔（ms） */
+const BURST_FRAME_COUNT  = 5;
+const BURST_INTERVAL_MS  = 120;
+
+/** カウントダウン 0 の何 ms 前から取得を始めるか（シャッターの瞬間を中央にする） */
+const BURST_LEAD_MS = Math.floor(BURST_FRAME_COUNT / 2) * BURST_INTERVAL_MS;
+
+/** シャープネス計測用の縮小幅（px） */
+const BURST_SCORE_WIDTH = 180;
+
+/** 目の開き（EAR）をスコア 0〜1 に正規化する範囲 */
+const EYE_CLOSED_RATIO = 0.10;
+const EYE_OPEN_RATIO   = 0.22;
+
+/** 結果画面で表示中の連写候補と選択位置 */
+let _burstCandidates = [];
+let _burstIndex      = 0;
+
+// ======================================================================
+// 連写取得
+// ======================================================================
+
+/**
+ * 連写を開始する（capture.js のカウントダウンから 0 の少し前に呼ばれる）
+ * @returns {Promise<Array<{ raw: Object, sharpness: number, eyes: number|null, score: number }>>}
+ */
+async function startBurstCapture() {
+    const candidates = [];
+    for (let i = 0; i < BURST_FRAME_COUNT; i++) {
+        const raw = grabRawShot();
+        if (!raw) break;
+        candidates.push({
+            raw,
+            sharpness: _measureSharpness(raw.base),
+            eyes:      _measureEyesOpen(),
+            score:     0
+        });
+        if (i < BURST_FRAME_COUNT - 1) await new Promise(r => setTimeout(r, BURST_INTERVAL_MS));
+    }
+    _scoreCandidates(candidates);
+    return candidates;
+}
+
+/**
+ * 最高スコアの候補インデックスを返す（同点なら 0 に近い＝シャッター直前寄り）
+ */
+function pickBestBurstIndex(candidates) {
+    let best = 0;
+    candidates.forEach((c, i) => { if (c.score > candidates[best].score) best = i; });
+    return best;
+}
+
+// ======================================================================
+// 採点
+// ======================================================================
+
+/**
+ * ラプラシアン分散によるシャープネス（大きいほどブレ・ピンボケが少ない）
+ * @param {HTMLCanvasElement} src
+ * @returns {number}
+ */
+function _measureSharpness(src) {
+    const w = Math.min(BURST_SCORE_WIDTH, src.width);
+    const h = Math.max(3, Math.round(src.height * w / src.width));
+    const tmp = document.createElement('canvas');
+    tmp.width = w; tmp.height = h;
+    const tCtx = tmp.getContext('2d', { willReadFrequently: true });
+    tCtx.drawImage(src, 0, 0, w, h);
+    const d = tCtx.getImageData(0, 0, w, h).data;
+
+    const gray = new Float32Array(w * h);
+    for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+        gray[p] = 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+    }
+
+    let sum = 0, sumSq = 0, n = 0;
+    for (let y = 1; y < h - 1; y++) {
+        for (let x = 1; x < w - 1; x++) {
+            const p = y * w + x;
+            const lap = gray[p - w] + gray[p + w] + gray[p - 1] + gray[p + 1] - 4 * gray[p];
+            sum += lap; sumSq += lap * lap; n++;
+        }
+    }
+    if (n === 0) return 0;
+    const mean = sum / n;
+    return sumSq / n - mean * mean;
+}
+
+/**
+ * 全員の目が開いているか（一番閉じている人の値 0〜1）
+ * Face Mesh が動いていない・顔がない場合は null
+ */
+function _measureEyesOpen() {
+    if (typeof lastFaceLandmarks === 'undefined' || typeof getEyeOpenness !== 'function') return null;
+    // 古い検出結果（0.5 秒以上前）は使わない
+    if (!lastFaceLandmarks.length || performance.now() - lastFaceLandmarksAt > 500) return null;
+
+    let worst = 1;
+    lastFaceLandmarks.forEach(lms => {
+        if (!lms || lms.length < 468) return;
+        const ear = getEyeOpenness(lms);
+        const v = (ear - EYE_CLOSED_RATIO) / (EYE_OPEN_RATIO - EYE_CLOSED_RATIO);
+        worst = Math.min(worst, Math.max(0, Math.min(1, v)));
+    });
+    return worst;
+}
+
+/**
+ * シャープネスを候補内の最大値で正規化し、目の開きと合算
+ * 目の情報があるときは目つむり回避を優先（0.6）
+ */
+function _scoreCandidates(candidates) {
+    const maxSharp = Math.max(1e-6, ...candidates.map(c => c.sharpness));
+    candidates.forEach(c => {
+        const sharp = c.sharpness / maxSharp;
+        c.score = (c.eyes === null) ? sharp : sharp * 0.4 + c.eyes * 0.6;
+    });
+}
+
+// ======================================================================
+// 結果画面 UI（候補サムネイル + スワイプ切り替え）
+// ======================================================================
+
+/**
+ * 結果画面に連写候補のサムネイル列を表示
+ * @param {Array} candidates
+ * @param {number} selectedIndex
+ */
+function showBurstCandidates(candidates, selectedIndex) {
+    _burstCandidates = candidates;
+    _burstIndex      = selectedIndex;
+    const bestIndex  = pickBestBurstIndex(candidates);
+
+    const strip = document.getElementById('burst-strip');
+    if (!strip) return;
+    strip.innerHTML = '';
+
+    candidates.forEach((c, i) => {
+        const item = document.createElement('button');
+        item.className = 'burst-thumb' + (i === selectedIndex ? ' selected' : '');
+        item.dataset.index = i;
+
+        // サムネイルは素材（フィルター適用前）+ 顔 AR で軽量に生成
+        const th = document.createElement('canvas');
+        th.width  = 72;
+        th.height = Math.round(72 * c.raw.base.height / c.raw.base.width);
+        const tCtx = th.getContext('2d');
+        tCtx.drawImage(c.raw.base, 0, 0, th.width, th.height);
+        if (c.raw.face) tCtx.drawImage(c.raw.face, 0, 0, th.width, th.height);
+        item.appendChild(th);
+
+        if (i === bestIndex) {
+            const badge = document.createElement('span');
+            badge.className = 'burst-best-badge';
+            badge.textContent = '★';
+            item.appendChild(badge);
+        }
+        item.addEventListener('click', () => selectBurstCandidate(i));
+        strip.appendChild(item);
+    });
+
+    strip.classList.remove('hidden');
+}
+
+/** 連写候補を切り替えて結果画像を作り直す */
+function selectBurstCandidate(index) {
+    if (!_burstCandidates.length) return;
+    const n = _burstCandidates.length;
+    index = ((index % n) + n) % n;
+    if (index === _burstIndex) return;
+    _burstIndex = index;
+
+    document.querySelectorAll('#burst-strip .burst-thumb').forEach(el => {
+        el.classList.toggle('selected', Number(el.dataset.index) === index);
+    });
+    renderBurstCandidate(_burstCandidates[index]).then(canvas => {
+        if (_burstIndex === index) replaceResultCanvas(canvas);   // 処理中に別の候補へ切り替えた場合は捨てる
+    }).catch(err => {
+        console.error('Burst candidate render error:', err);
+    });
+}
+
+/** 連写候補を破棄してサムネイル列を隠す（再撮影時） */
+function clearBurstCandidates() {
+    _burstCandidates = [];
+    _burstIndex = 0;
+    const strip = document.getElementById('burst-strip');
+    if (strip) { strip.innerHTML = ''; strip.classList.add('hidden'); }
+}
+
+// ======================================================================
+// スワイプ操作（結果画像を左右にスワイプで前後の候補へ）
+// ======================================================================
+
+(function initBurstSwipe() {
+    const container = document.getElementById('result-container');
+    if (!container) return;
+    let startX = null, startY = null;
+
+    container.addEventListener('touchstart', (e) => {
+        if (!_burstCandidates.length || e.touches.length !== 1) { startX = null; return; }
+        startX = e.touches[0].clientX;
+        startY = e.touches[0].clientY;
+    }, { passive: true });
+
+    container.addEventListener('touchend', (e) => {
+        if (startX === null || !_burstCandidates.length) return;
+        const dx = e.changedTouches[0].clientX - startX;
+        const dy = e.changedTouches[0].clientY - startY;
+        startX = null;
+        // 横方向に 40px 以上、かつ縦より横の移動が大きいときだけ（長押し保存と干渉させない）
+        if (Math.abs(dx) < 40 || Math.abs(dx) < Math.abs(dy)) return;
+        selectBurstCandidate(_burstIndex + (dx < 0 ? 1 : -1));
+    }, { passive: true });
+})();
@@ -2,6 +2,10 @@
  * ======================================================================
  * カメラモジュール (camera.js)
  * カメラの初期化、インカメラ/アウトカメラ切り替え、エラーハンドリングを担当
+ * 使用するカメラの選択（USB カメラ・超広角レンズ）と抜き差しへの追従も行う
+ * ズーム（ピンチ）・ライト・タップでのフォーカス/露出・露出補正はトラックの対応分だけ出す
+ * 着信・バックグラウンド移行等でストリームが止まったら同じカメラで自動的に起動し直す
+ * mock-camera.js のテスト映像が選ばれていれば getUserMedia の代わりにそれを使う
  * 
  * グローバル変数 (app.jsで定義):
  * - stream, currentFacingMode: カメラ状態
@@ -15,7 +19,7 @@
  * @param {string} [facingMode] - カメラ方向 ('user'=前面 / 'environment'=背面)
  *                                省略時は currentFacingMode を使用
  * @async
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} 起動できたか（失敗時の例外は _cameraLastError）
  */
 async function initCamera(facingMode) {
     if (facingMode !== undefined) {
@@ -23,19 +27,19 @@ async function initCamera(facingMode) {
     }
 
     loadingOverlay.classList.remove('hidden');
+    if (selectedCamera === null) _loadCameraChoice();
+
+    // 自動復旧では中断前と同じカメラ（レンズ）で起動し直す
+    const deviceId = (_cameraRecovering && _recoverDeviceId) || _resolveCameraDeviceId();
 
     try {
-        const constraints = {
-            video: {
-                facingMode: { ideal: currentFacingMode },
-                width:  { ideal: 1920, min: 640 },
-                height: { ideal: 1080, min: 480 }
-            },
-            audio: false
-        };
-
-        stream = await navigator.mediaDevices.getUserMedia(constraints);
+        stream = await _openCameraStream({
+            width:  { ideal: 1920, min: 640 },
+            height: { ideal: 1080, min: 480 }
+        }, deviceId);
         cameraVideo.srcObject = stream;
+        _syncFacingModeFromTrack();
+        _watchCameraTrack();
 
         await new Promise((resolve, reject) => {
             cameraVideo.onloadedmetadata = () => {
@@ -46,43 +50,102 @@ async function initCamera(facingMode) {
         });
 
         // カメラ方向に応じて反転フラグを自動設定（手動上書きがなければ）
+        // ズーム等の対応状況を読み、プレビューの反転・デジタルズームを反映
         cameraFlipped = (currentFacingMode === 'user');
-        cameraVideo.style.transform = cameraFlipped ? 'scaleX(-1)' : 'scaleX(1)';
+        initTrackControls();
         updateBgCanvasFlip();
 
         // カメラ切り替えボタンのアイコンを更新
         updateSwitchCameraBtn();
 
+        // 初回はラベル取得前で超広角レンズを特定できないので、一覧取得後に選び直す
+        await refreshCameraList();
+        if (!deviceId && selectedCamera && selectedCamera.mode === 'wide' && _resolveCameraDeviceId()) {
+            stopCamera();
+            return initCamera();
+        }
+
         loadingOverlay.classList.add('hidden');
-        showScreen('camera');
+        // 自動復旧は結果画面等の表示中にも走るので画面は切り替えない
+        if (!_cameraRecovering) showScreen('camera');
+        return true;
 
     } catch (error) {
         console.error('Camera error:', error);
+        _cameraLastError = error;
 
-        let errorMessage = 'カメラへのアクセスに失敗しました。\n';
+        // 自動復旧中はエラー画面を出さない（recoverCamera が再試行する）
+        if (_cameraRecovering) {
+            loadingOverlay.classList.add('hidden');
+            return false;
+        }
 
-        if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
-            errorMessage += 'カメラの使用を許可してください。\n設定からブラウザのカメラ権限を確認してください。';
-        } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
-            errorMessage += 'カメラが見つかりませんでした。\nカメラが接続されているか確認してください。';
-        } else if (error.name === 'NotReadableError' || error.name === 'TrackStartError') {
-            errorMessage += 'カメラが他のアプリケーションで使用中です。\n他のアプリを閉じてから再試行してください。';
-        } else if (error.name === 'OverconstrainedError' || error.name === 'ConstraintNotSatisfiedError') {
-            errorMessage += '指定された解像度が対応していません。\n別の設定で再試行します。';
+        if (error.name === 'OverconstrainedError' || error.name === 'ConstraintNotSatisfiedError') {
+            // 指定された解像度が対応していない → 別の設定で再試行
             setTimeout(() => initCameraWithFallback(), 1000);
-            return;
-        } else {
-            errorMessage += 'エラー: ' + error.message;
+            return false;
         }
 
         loadingOverlay.classList.add('hidden');
-        showError(errorMessage);
+        showError(_cameraErrorMessage(error));
+        return false;
+    }
+}
+
+/**
+ * カメラのストリームを開く（initCamera / initCameraWithFallback で共通）
+ * テスト映像（mock-camera.js）が選ばれていればそれを使い、以降は実カメラと同じ流れ。
+ * 選んだカメラが抜かれている等で開けなければ前面/背面の自動選択で再試行する
+ * （選択は保持し、再接続時に戻す）
+ *
+ * @param {Object} video - 解像度の制約（deviceId / facingMode はここで付ける）
+ * @param {string|null} deviceId - 使うカメラ（null なら currentFacingMode で自動選択）
+ * @returns {Promise<MediaStream>}
+ */
+async function _openCameraStream(video, deviceId) {
+    if (typeof mockCameraSource !== 'undefined' && mockCameraSource) {
+        return createMockCameraStream(mockCameraSource);
+    }
+    if (deviceId) {
+        try {
+            return await navigator.mediaDevices.getUserMedia({
+                video: Object.assign({}, video, { deviceId: { exact: deviceId } }),
+                audio: false
+            });
+        } catch (err) {
+            console.warn('Selected camera unavailable, falling back to facingMode:', err);
+        }
     }
+    return navigator.mediaDevices.getUserMedia({
+        video: Object.assign({}, video, { facingMode: { ideal: currentFacingMode } }),
+        audio: false
+    });
+}
+
+/**
+ * getUserMedia の失敗をスタッフ向けのメッセージにする
+ * @param {Error} error
+ * @returns {string}
+ */
+function _cameraErrorMessage(error) {
+    let errorMessage = 'カメラへのアクセスに失敗しました。\n';
+
+    if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
+        errorMessage += 'カメラの使用を許可してください。\n設定からブラウザのカメラ権限を確認してください。';
+    } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
+        errorMessage += 'カメラが見つかりませんでした。\nカメラが接続されているか確認してください。';
+    } else if (error.name === 'NotReadableError' || error.name === 'TrackStartError') {
+        errorMessage += 'カメラが他のアプリケーションで使用中です。\n他のアプリを閉じてから再試行してください。';
+    } else {
+        errorMessage += 'エラー: ' + error.message;
+    }
+    return errorMessage;
 }
 
 /**
  * フォールバック用カメラ初期化
- * 高解像度で失敗した場合に制約なしで再試行
+ * 高解像度で失敗した場合に解像度の制約なしで再試行
+ * （選択中のカメラ・テスト映像は initCamera と同じく引き継ぐ）
  * 
  * @async
  * @returns {Promise<void>}
@@ -91,13 +154,10 @@ async function initCameraWithFallback() {
     loadingOverlay.classList.remove('hidden');
 
     try {
-        const constraints = {
-            video: { facingMode: { ideal: currentFacingMode } },
-            audio: false
-        };
-
-        stream = await navigator.mediaDevices.getUserMedia(constraints);
+        stream = await _openCameraStream({}, _resolveCameraDeviceId());
         cameraVideo.srcObject = stream;
+        _syncFacingModeFromTrack();
+        _watchCameraTrack();
 
         await new Promise((resolve, reject) => {
             cameraVideo.onloadedmetadata = () => {
@@ -108,7 +168,7 @@ async function initCameraWithFallback() {
         });
 
         cameraFlipped = (currentFacingMode === 'user');
-        cameraVideo.style.transform = cameraFlipped ? 'scaleX(-1)' : 'scaleX(1)';
+        initTrackControls();
         updateBgCanvasFlip();
         updateSwitchCameraBtn();
 
@@ -127,9 +187,7 @@ async function initCameraWithFallback() {
  */
 function toggleCameraFlip(forceValue) {
     cameraFlipped = (forceValue !== undefined) ? forceValue : !cameraFlipped;
-    if (cameraVideo) {
-        cameraVideo.style.transform = cameraFlipped ? 'scaleX(-1)' : 'scaleX(1)';
-    }
+    applyVideoTransform();
     updateBgCanvasFlip();
 }
 
@@ -154,6 +212,15 @@ async function switchCamera() {
     // 切り替えボタンを一時無効化（連打防止）
     if (switchCameraBtn) switchCameraBtn.disabled = true;
 
+    // カメラを指定している場合（USB カメラ等）は次のカメラへ
+    if (selectedCamera && selectedCamera.deviceId && _cameraDevices.length > 1) {
+        const i = _cameraDevices.findIndex(d => d.deviceId === _activeCameraDeviceId());
+        const next = _cameraDevices[(i + 1) % _cameraDevices.length];
+        await selectCamera(next.deviceId);
+        if (switchCameraBtn) switchCameraBtn.disabled = false;
+        return;
+    }
+
     // 現在のストリームを停止
     stopCamera();
 
@@ -183,6 +250,175 @@ function updateSwitchCameraBtn() {
     }
 }
 
+// ======================================================================
+// カメラの選択（enumerateDevices）
+// レストラン単位で localStorage（sph_camera_<restaurantId>）に保存する。
+// deviceId はブラウザによって変わることがあるため、ラベルでも照合する
+// ======================================================================
+
+/**
+ * 選択中のカメラ
+ *   null                    : 未読み込み
+ *   { mode: 'auto' }        : 前面/背面ボタンで切り替え（従来の動作）
+ *   { mode: 'wide' }        : 背面の超広角レンズ（集合写真向け、なければ背面）
+ *   { deviceId, label }     : 特定のカメラ（USB カメラ・特定のレンズ）
+ */
+let selectedCamera = null;
+
+/** 利用可能なカメラ（videoinput） */
+let _cameraDevices = [];
+
+const CAMERA_FRONT_RE = /front|user|face ?time|前面|フロント|内側/i;
+const CAMERA_BACK_RE  = /back|rear|environment|背面|バック|外側/i;
+const CAMERA_WIDE_RE  = /ultra ?wide|超広角|0\.5x/i;
+
+function _cameraStorageKey() {
+    const id = sessionStorage.getItem('restaurantId');
+    return id ? 'sph_camera_' + id : 'sph_camera';
+}
+
+function _loadCameraChoice() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(_cameraStorageKey()) || 'null'); } catch (_) {}
+    selectedCamera = (saved && (saved.deviceId || saved.mode)) ? saved : { mode: 'auto' };
+}
+
+function _saveCameraChoice() {
+    try { localStorage.setItem(_cameraStorageKey(), JSON.stringify(selectedCamera)); } catch (_) {}
+}
+
+/** 今のストリームのカメラの deviceId */
+function _activeCameraDeviceId() {
+    const track = stream && stream.getVideoTracks()[0];
+    return (track && track.getSettings && track.getSettings().deviceId) || null;
+}
+
+/**
+ * 選択に対応する deviceId（null = facingMode で選ぶ）
+ */
+function _resolveCameraDeviceId() {
+    if (!selectedCamera) return null;
+    if (selectedCamera.mode === 'wide') {
+        const wide = _cameraDevices.find(d => CAMERA_WIDE_RE.test(d.label) && !CAMERA_FRONT_RE.test(d.label));
+        if (!wide) currentFacingMode = 'environment';
+        return wide ? wide.deviceId : null;
+    }
+    if (!selectedCamera.deviceId) return null;
+    // 一覧が未取得（ラベル取得前）なら保存した deviceId をそのまま試す
+    if (!_cameraDevices.length) return selectedCamera.deviceId;
+    const dev = _cameraDevices.find(d => d.deviceId === selectedCamera.deviceId) ||
+                _cameraDevices.find(d => selectedCamera.label && d.label === selectedCamera.label);
+    return dev ? dev.deviceId : null;
+}
+
+/** 選んだカメラの向き（取得できる場合）を currentFacingMode に反映 */
+function _syncFacingModeFromTrack() {
+    const track = stream && stream.getVideoTracks()[0];
+    const facing = track && track.getSettings ? track.getSettings().facingMode : null;
+    if (facing === 'user' || facing === 'environment') currentFacingMode = facing;
+}
+
+/**
+ * 設定パネル用の表示名（ラベルが空・分かりにくい場合は向きやレンズを補う）
+ */
+function _cameraDisplayName(device, index) {
+    const label = device.label || `カメラ ${index + 1}`;
+    const tags = [];
+    if (CAMERA_WIDE_RE.test(label))       tags.push('超広角');
+    else if (CAMERA_FRONT_RE.test(label)) tags.push('前面');
+    else if (CAMERA_BACK_RE.test(label))  tags.push('背面');
+    else if (/usb|webcam|logi|hd ?pro/i.test(label)) tags.push('USB');
+    return tags.length ? `${label}（${tags.join('・')}）` : label;
+}
+
+/**
+ * カメラ一覧を取得して設定パネルの選択肢を作り直す
+ * ラベルはカメラの使用許可後でないと取れないため、initCamera の成功後にも呼ぶ
+ */
+async function refreshCameraList() {
+    if (!navigator.mediaDevices || typeof navigator.mediaDevices.enumerateDevices !== 'function') return;
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        _cameraDevices = devices.filter(d => d.kind === 'videoinput' && d.deviceId);
+    } catch (err) {
+        console.warn('enumerateDevices failed:', err);
+        return;
+    }
+    buildCameraSelectUI();
+}
+
+function buildCameraSelectUI() {
+    const sel = document.getElementById('settings-camera-select');
+    if (!sel) return;
+    sel.innerHTML = '';
+    const add = (value, text) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        sel.appendChild(opt);
+    };
+    add('auto', '自動（🔄 ボタンで前面/背面）');
+    add('wide', '広角（背面・集合写真向け）');
+    _cameraDevices.forEach((d, i) => add(d.deviceId, _cameraDisplayName(d, i)));
+
+    const choice = selectedCamera || { mode: 'auto' };
+    if (choice.deviceId) {
+        const dev = _cameraDevices.find(d => d.deviceId === choice.deviceId) ||
+                    _cameraDevices.find(d => choice.label && d.label === choice.label);
+        if (dev) {
+            sel.value = dev.deviceId;
+        } else {
+            // 保存したカメラが今は接続されていない
+            add(choice.deviceId, `${choice.label || 'カメラ'}（未接続）`);
+            sel.value = choice.deviceId;
+        }
+    } else {
+        sel.value = choice.mode === 'wide' ? 'wide' : 'auto';
+    }
+}
+
+/**
+ * 設定パネルからカメラを選ぶ
+ * @param {string} value - 'auto' | 'wide' | deviceId
+ */
+async function selectCamera(value) {
+    if (value === 'auto' || value === 'wide') {
+        selectedCamera = { mode: value };
+    } else {
+        const dev = _cameraDevices.find(d => d.deviceId === value);
+        selectedCamera = { deviceId: value, label: dev ? dev.label : '' };
+    }
+    _saveCameraChoice();
+    stopCamera();
+    await initCamera();
+}
+
+/**
+ * カメラの抜き差し（devicechange）
+ * - 使用中のカメラが抜かれた → 自動選択で起動し直す
+ * - 保存したカメラが接続された → そのカメラに戻す
+ */
+async function _onCameraDevicesChanged() {
+    const before = _activeCameraDeviceId();
+    await refreshCameraList();
+    if (!stream) return;
+
+    const track = stream.getVideoTracks()[0];
+    const lost = !track || track.readyState === 'ended' ||
+                 (before && !_cameraDevices.some(d => d.deviceId === before));
+    const wanted = _resolveCameraDeviceId();
+    const restored = selectedCamera && selectedCamera.deviceId && wanted && wanted !== before;
+
+    if (lost || restored) {
+        stopCamera();
+        await initCamera();
+    }
+}
+
+if (navigator.mediaDevices && typeof navigator.mediaDevices.addEventListener === 'function') {
+    navigator.mediaDevices.addEventListener('devicechange', _onCameraDevicesChanged);
+}
+
 /**
  * カメラストリームを停止
  * アプリケーション終了時やカメラ切り替え時に呼び出す
@@ -190,8 +426,568 @@ function updateSwitchCameraBtn() {
  * @returns {void}
  */
 function stopCamera() {
+    clearTimeout(_cameraMuteTimer);
+    _cameraMuteTimer = null;
     if (stream) {
         stream.getTracks().forEach(track => track.stop());
         stream = null;
     }
+    _imageCapture = null;
+    resetTrackControls();
+}
+
+// ======================================================================
+// 中断からの自動復旧
+// 着信・バックグラウンド移行・OS によるトラック停止でストリームが止まると
+// プレビューが黒いままになるため、トラックの ended / mute と visibilitychange を監視する。
+// 非表示になったらカメラを解放し、戻ったら同じカメラで initCamera() し直す。
+// 再試行しても起動できない場合だけエラー画面を出す
+// ======================================================================
+
+/** 復旧の試行回数と間隔（ms、回数に比例して延ばす） */
+const CAMERA_RECOVERY_RETRIES  = 3;
+const CAMERA_RECOVERY_DELAY_MS = 1000;
+
+/** mute が続いたら止まったとみなすまでの猶予（ms、短い mute はそのまま戻る） */
+const CAMERA_MUTE_GRACE_MS = 2500;
+
+/** 復旧処理中か（initCamera がエラー画面・画面切り替えを控える） */
+let _cameraRecovering = false;
+
+/** 復旧時に使うカメラの deviceId（中断前のもの） */
+let _recoverDeviceId = null;
+
+/** 非表示中にカメラを解放した（表示に戻ったら復旧する） */
+let _cameraReleased = false;
+
+/** 直近の initCamera の失敗理由 */
+let _cameraLastError = null;
+
+let _cameraMuteTimer = null;
+
+/** 今のストリームのトラックを監視する（initCamera から呼ぶ） */
+function _watchCameraTrack() {
+    const track = stream && stream.getVideoTracks()[0];
+    if (!track) return;
+    // track.stop() では ended は発火しないので、ここに来るのは外部要因で止まった場合
+    track.addEventListener('ended', () => {
+        if (!stream || stream.getVideoTracks()[0] !== track) return;
+        recoverCamera('track ended');
+    });
+    track.addEventListener('mute', () => {
+        if (!stream || stream.getVideoTracks()[0] !== track) return;
+        clearTimeout(_cameraMuteTimer);
+        _cameraMuteTimer = setTimeout(() => {
+            _cameraMuteTimer = null;
+            if (stream && stream.getVideoTracks()[0] === track && track.muted) recoverCamera('track muted');
+        }, CAMERA_MUTE_GRACE_MS);
+    });
+    track.addEventListener('unmute', () => {
+        clearTimeout(_cameraMuteTimer);
+        _cameraMuteTimer = null;
+    });
+}
+
+/** 非表示になったらカメラと検出ループを止める（バックグラウンドでカメラを握り続けない） */
+function _releaseCameraForBackground() {
+    if (!stream) return;
+    _recoverDeviceId = _activeCameraDeviceId();
+    _cameraReleased  = true;
+    if (typeof stopFaceLoop === 'function') stopFaceLoop();
+    stopCamera();
+}
+
+/**
+ * 同じカメラで起動し直す。失敗したら間隔を空けて再試行し、
+ * すべて失敗したときだけエラー画面を出す
+ *
+ * @param {string} reason - ログ用
+ * @returns {Promise<void>}
+ */
+async function recoverCamera(reason) {
+    if (_cameraRecovering) return;
+    if (document.hidden) {
+        // 表示に戻ったときに復旧する
+        _releaseCameraForBackground();
+        return;
+    }
+    _cameraRecovering = true;
+    _cameraReleased   = false;
+    if (!_recoverDeviceId) _recoverDeviceId = _activeCameraDeviceId();
+    const flipped = cameraFlipped;
+    if (typeof stopFaceLoop === 'function') stopFaceLoop();
+
+    let ok = false;
+    for (let i = 0; i < CAMERA_RECOVERY_RETRIES && !ok; i++) {
+        if (i > 0) await new Promise(r => setTimeout(r, CAMERA_RECOVERY_DELAY_MS * i));
+        if (document.hidden) break;
+        stopCamera();
+        ok = await initCamera();
+    }
+    _cameraRecovering = false;
+
+    if (document.hidden && !ok) {
+        // 復旧中にまた非表示になった → 次に表示されたときにやり直す
+        _cameraReleased = true;
+        stopCamera();
+        return;
+    }
+    _recoverDeviceId = null;
+
+    if (!ok) {
+        console.warn(`Camera recovery failed (${reason}):`, _cameraLastError);
+        showError(_cameraErrorMessage(_cameraLastError || new Error(reason)));
+        return;
+    }
+
+    // 設定パネルで手動反転していた場合は戻す
+    if (cameraFlipped !== flipped) toggleCameraFlip(flipped);
+    if (typeof restartActiveFaceLoop === 'function') restartActiveFaceLoop();
+    if (typeof restartBgCompositeLoop === 'function') restartBgCompositeLoop();
+}
+
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        _releaseCameraForBackground();
+    } else if (_cameraReleased) {
+        recoverCamera('visible again');
+    }
+});
+
+// ======================================================================
+// 高解像度静止画（ImageCapture.takePhoto）
+// 映像（最大 1920×1080）ではなくセンサーの最大解像度で撮る。
+// grabFrame() は映像と同じ解像度しか得られないため使わず、
+// 非対応・失敗時は従来どおり映像フレームから撮る。
+// takePhoto はカメラによって数百 ms かかるため、シャッターの瞬間は
+// ゼロシャッターラグ（zsl.js）のフレームで押さえておき、写真が
+// HIGH_RES_MAX_LAG_MS 以内に届いたときだけそちらに差し替える
+// ======================================================================
+
+/** 高解像度撮影が有効かどうか（設定パネルから切り替え） */
+let highResCaptureEnabled = true;
+
+/** 高解像度撮影時の出力長辺の上限（px） */
+const HIGH_RES_MAX_EDGE = 4032;
+
+/** シャッター（カウント 0）から写真が届くまでの許容時間（ms）。超えたらそのカメラでは使わない */
+const HIGH_RES_MAX_LAG_MS = 250;
+
+/** 現在のトラックの ImageCapture（{ track, capture, settings, slow, ready }） */
+let _imageCapture = null;
+
+/** 今のカメラで takePhoto() を試せるか（遅すぎたカメラは除く） */
+function isHighResCaptureAvailable() {
+    if (!highResCaptureEnabled || typeof ImageCapture === 'undefined' || !stream) return false;
+    if (typeof mockCameraSource !== 'undefined' && mockCameraSource) return false;
+    const track = stream.getVideoTracks()[0];
+    if (!track || track.readyState !== 'live') return false;
+    return !(_imageCapture && _imageCapture.track === track && _imageCapture.slow);
+}
+
+/**
+ * ImageCapture と撮影サイズを用意する（カウントダウン開始時に呼び、シャッター時の待ちを減らす）
+ * 同じトラックでは何度呼んでも同じものを返す
+ * @returns {Promise<Object|null>} _imageCapture
+ */
+function prepareHighResPhoto() {
+    if (!isHighResCaptureAvailable()) return Promise.resolve(null);
+    const track = stream.getVideoTracks()[0];
+    if (!_imageCapture || _imageCapture.track !== track) {
+        let capture;
+        try {
+            capture = new ImageCapture(track);
+        } catch (err) {
+            console.warn('ImageCapture unavailable, using video frame:', err);
+            return Promise.resolve(null);
+        }
+        const ic = { track, capture, settings: {}, slow: false };
+        ic.ready = capture.getPhotoCapabilities().then(caps => {
+            if (caps.imageWidth && caps.imageWidth.max && caps.imageHeight && caps.imageHeight.max) {
+                ic.settings = { imageWidth: caps.imageWidth.max, imageHeight: caps.imageHeight.max };
+            }
+        }).catch(() => {}).then(() => ic);
+        _imageCapture = ic;
+    }
+    return _imageCapture.ready;
+}
+
+/**
+ * センサーの最大解像度で静止画を撮る
+ * 写真の向き（縦長・横長）が映像と違う場合は位置合わせできないので使わない
+ *
+ * @param {number} [shutterAt] - カウント 0 の時刻（performance.now()）。
+ *        ここから HIGH_RES_MAX_LAG_MS を過ぎても届かなければ諦め、以降そのカメラでは撮らない
+ * @returns {Promise<ImageBitmap|null>} null = 非対応・失敗・遅すぎ（映像フレームで撮る）
+ */
+async function takeHighResPhoto(shutterAt) {
+    const ic = await prepareHighResPhoto();
+    if (!ic) return null;
+    const pending = _takePhotoBitmap(ic);
+    const deadline = ((shutterAt === undefined) ? performance.now() : shutterAt) + HIGH_RES_MAX_LAG_MS;
+    let timer = null;
+    const late = new Promise(r => { timer = setTimeout(() => r('late'), Math.max(0, deadline - performance.now())); });
+    const result = await Promise.race([pending, late]);
+    clearTimeout(timer);
+    if (result !== 'late') return result;
+
+    console.warn(`takePhoto took longer than ${HIGH_RES_MAX_LAG_MS}ms, using video frames for this camera`);
+    ic.slow = true;
+    pending.then(bitmap => { if (bitmap) bitmap.close(); });
+    return null;
+}
+
+/** @returns {Promise<ImageBitmap|null>} */
+async function _takePhotoBitmap(ic) {
+    try {
+        const blob   = await ic.capture.takePhoto(ic.settings);
+        const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+        const videoPortrait = cameraVideo.videoHeight > cameraVideo.videoWidth;
+        if ((bitmap.height > bitmap.width) !== videoPortrait) {
+            console.warn('takePhoto orientation does not match the video, using video frame');
+            bitmap.close();
+            return null;
+        }
+        return bitmap;
+    } catch (err) {
+        console.warn('takePhoto failed, using video frame:', err);
+        return null;
+    }
+}
+
+/**
+ * 撮影比率のクロップ矩形を高解像度写真の座標に写す
+ * 映像はセンサー全体（写真）の中央を映像の比率で切り出したものとみなし、
+ * その中で getCaptureCropRect() と同じ範囲を返す（プレビューと同じ画角になる）
+ *
+ * @param {number} photoW
+ * @param {number} photoH
+ * @returns {{ srcX: number, srcY: number, srcW: number, srcH: number }}
+ */
+function mapCropToPhoto(photoW, photoH) {
+    const vw = cameraVideo.videoWidth, vh = cameraVideo.videoHeight;
+    const videoAspect = vw / vh;
+    let rw = photoW, rh = photoH;
+    if (photoW / photoH > videoAspect) rw = photoH * videoAspect;
+    else                               rh = photoW / videoAspect;
+    const rx = (photoW - rw) / 2, ry = (photoH - rh) / 2;
+    const s  = rw / vw;
+    const c  = getCaptureCropRect(vw, vh);
+    return {
+        srcX: Math.round(rx + c.srcX * s),
+        srcY: Math.round(ry + c.srcY * s),
+        srcW: Math.round(c.srcW * s),
+        srcH: Math.round(c.srcH * s)
+    };
+}
+
+// ======================================================================
+// 撮影コントロール（ズーム・ライト・フォーカス/露出・露出補正）
+// MediaStreamTrack.getCapabilities() を読み、対応しているものだけ表示する。
+// ハードウェアズームがないカメラはデジタルズーム（撮影比率クロップの中央を
+// さらに切り出す）にする。getCaptureCropRect() が applyDigitalZoom() を通すため
+// 静止画・連写・クリップ・背景合成・WebGL プレビューとも同じ範囲になる
+// ======================================================================
+
+/** デジタルズームの最大倍率（映像 1080p から切り出すため控えめにする） */
+const DIGITAL_ZOOM_MAX = 3;
+
+/** タップとみなす移動量（px）と押下時間（ms） */
+const CAMERA_TAP_SLOP_PX = 10;
+const CAMERA_TAP_MAX_MS  = 400;
+
+/**
+ * 今のトラックで使える操作（null = カメラ停止中）
+ *   zoom     : { min, max, step, hw }  hw=false はデジタルズーム
+ *   torch    : boolean
+ *   focus    : boolean                  pointsOfInterest（タップ位置でフォーカス/露出）
+ *   exposure : { min, max, step }|null 露出補正
+ */
+let _trackControls = null;
+
+/** 現在のズーム倍率（ハードウェアズームではトラックの zoom 値） */
+let cameraZoom = 1;
+
+/** デジタルズーム倍率（1 = なし）。face-filter.js の座標変換も参照する */
+let digitalZoom = 1;
+
+let torchOn = false;
+
+let _zoomApplying = false;
+let _zoomQueued   = null;
+let _focusRingTimer = null;
+
+/** ピンチ中のポインター（pointerId → { x, y }）とタップ判定 */
+const _cameraPointers = new Map();
+let _pinchStart = null;
+let _tapStart   = null;
+
+function _videoTrack() {
+    const track = stream && stream.getVideoTracks()[0];
+    return (track && track.readyState === 'live') ? track : null;
+}
+
+/**
+ * カメラ起動後に呼ぶ。トラックの対応状況を読み、各コントロールを初期化する
+ */
+function initTrackControls() {
+    const track = _videoTrack();
+    let caps = {}, settings = {};
+    try { caps = (track && track.getCapabilities) ? track.getCapabilities() : {}; } catch (_) {}
+    try { settings = (track && track.getSettings) ? track.getSettings() : {}; } catch (_) {}
+
+    const hwZoom = caps.zoom && caps.zoom.max > caps.zoom.min;
+    const exposure = caps.exposureCompensation && caps.exposureCompensation.max > caps.exposureCompensation.min;
+    _trackControls = {
+        zoom: hwZoom
+            ? { min: caps.zoom.min, max: caps.zoom.max, step: caps.zoom.step || 0.1, hw: true }
+            : { min: 1, max: DIGITAL_ZOOM_MAX, step: 0.1, hw: false },
+        torch: caps.torch === true || (Array.isArray(caps.torch) && caps.torch.includes(true)),
+        focus: 'pointsOfInterest' in settings,
+        focusMode:    Array.isArray(caps.focusMode)    ? caps.focusMode    : [],
+        exposureMode: Array.isArray(caps.exposureMode) ? caps.exposureMode : [],
+        exposure: exposure
+            ? { min: caps.exposureCompensation.min, max: caps.exposureCompensation.max,
+                step: caps.exposureCompensation.step || 0.1 }
+            : null
+    };
+
+    digitalZoom = 1;
+    cameraZoom  = hwZoom ? (settings.zoom || caps.zoom.min) : 1;
+    torchOn     = false;
+    applyVideoTransform();
+
+    const slider = document.getElementById('exposure-slider');
+    if (slider && _trackControls.exposure) {
+        slider.min   = _trackControls.exposure.min;
+        slider.max   = _trackControls.exposure.max;
+        slider.step  = _trackControls.exposure.step;
+        slider.value = settings.exposureCompensation || 0;
+    }
+    _updateTrackControlsUI();
+}
+
+/** カメラ停止時（トラックが止まるとライトも消える） */
+function resetTrackControls() {
+    _trackControls = null;
+    digitalZoom = 1;
+    cameraZoom  = 1;
+    torchOn     = false;
+    _zoomQueued = null;
+    _cameraPointers.clear();
+    _pinchStart = _tapStart = null;
+    applyVideoTransform();
+    _updateTrackControlsUI();
+}
+
+function _updateTrackControlsUI() {
+    const c = _trackControls;
+    const zoomBtn = document.getElementById('zoom-indicator');
+    if (zoomBtn) {
+        const zoomed = !!c && cameraZoom > c.zoom.min + 0.05;
+        zoomBtn.classList.toggle('hidden', !zoomed);
+        zoomBtn.textContent = cameraZoom.toFixed(1) + '×';
+    }
+    const torchBtn = document.getElementById('torch-btn');
+    if (torchBtn) {
+        torchBtn.classList.toggle('hidden', !(c && c.torch));
+        torchBtn.classList.toggle('active', torchOn);
+    }
+    const expCtl = document.getElementById('exposure-control');
+    if (expCtl) expCtl.classList.toggle('hidden', !(c && c.exposure));
+}
+
+/** advanced 制約を 1 つ適用（非対応・失敗時は false） */
+async function _applyTrackConstraint(constraint) {
+    const track = _videoTrack();
+    if (!track || typeof track.applyConstraints !== 'function') return false;
+    try {
+        await track.applyConstraints({ advanced: [constraint] });
+        return true;
+    } catch (err) {
+        console.warn('applyConstraints failed:', constraint, err);
+        return false;
+    }
+}
+
+// ---- ズーム ----
+
+/**
+ * プレビュー映像の反転とデジタルズームを反映
+ * （背景合成・WebGL プレビューは切り抜き自体にズームが入るので拡大しない）
+ */
+function applyVideoTransform() {
+    if (!cameraVideo) return;
+    const flip = cameraFlipped ? 'scaleX(-1)' : 'scaleX(1)';
+    cameraVideo.style.transform = digitalZoom > 1 ? `${flip} scale(${digitalZoom})` : flip;
+}
+
+/**
+ * ズーム倍率を設定（範囲外は丸める）
+ * @param {number} value
+ */
+function setCameraZoom(value) {
+    const c = _trackControls;
+    if (!c) return;
+    const z = Math.min(c.zoom.max, Math.max(c.zoom.min, value));
+    cameraZoom = Math.round(z / c.zoom.step) * c.zoom.step;
+    if (c.zoom.hw) {
+        _queueHardwareZoom(cameraZoom);
+    } else {
+        digitalZoom = cameraZoom;
+        applyVideoTransform();
+    }
+    _updateTrackControlsUI();
+}
+
+function resetCameraZoom() {
+    if (_trackControls) setCameraZoom(_trackControls.zoom.min);
+}
+
+/** ピンチ中は applyConstraints が詰まらないよう、最新の値だけ順に適用する */
+async function _queueHardwareZoom(z) {
+    _zoomQueued = z;
+    if (_zoomApplying) return;
+    _zoomApplying = true;
+    while (_zoomQueued !== null) {
+        const v = _zoomQueued;
+        _zoomQueued = null;
+        await _applyTrackConstraint({ zoom: v });
+    }
+    _zoomApplying = false;
+}
+
+/**
+ * 撮影比率のクロップ矩形にデジタルズームを掛ける（中央をさらに切り出す）
+ *
+ * @param {{ srcX: number, srcY: number, srcW: number, srcH: number }} rect
+ * @returns {{ srcX: number, srcY: number, srcW: number, srcH: number }}
+ */
+function applyDigitalZoom(rect) {
+    if (digitalZoom <= 1) return rect;
+    const srcW = Math.round(rect.srcW / digitalZoom);
+    const srcH = Math.round(rect.srcH / digitalZoom);
+    return {
+        srcX: rect.srcX + Math.round((rect.srcW - srcW) / 2),
+        srcY: rect.srcY + Math.round((rect.srcH - srcH) / 2),
+        srcW,
+        srcH
+    };
+}
+
+// ---- ライト ----
+
+async function toggleTorch() {
+    if (!_trackControls || !_trackControls.torch) return;
+    const next = !torchOn;
+    if (await _applyTrackConstraint({ torch: next })) torchOn = next;
+    _updateTrackControlsUI();
+}
+
+// ---- 露出補正 ----
+
+/** @param {number} value - exposureCompensation（EV） */
+function setExposureCompensation(value) {
+    if (!_trackControls || !_trackControls.exposure) return;
+    _applyTrackConstraint({ exposureCompensation: value });
+}
+
+// ---- タップでフォーカス/露出 ----
+
+/**
+ * 画面上の位置を映像の正規化座標（0〜1）に変換
+ * object-fit: cover の切り抜き・左右反転・デジタルズームを戻す
+ */
+function _displayToVideoPoint(clientX, clientY) {
+    const vw = cameraVideo.videoWidth, vh = cameraVideo.videoHeight;
+    const r  = videoContainer.getBoundingClientRect();
+    if (!vw || !vh || !r.width || !r.height) return null;
+    const cw = r.width, ch = r.height;
+    let x = cw / 2 + (clientX - r.left - cw / 2) / digitalZoom;
+    const y = ch / 2 + (clientY - r.top - ch / 2) / digitalZoom;
+    if (cameraFlipped) x = cw - x;
+    const scale = Math.max(cw / vw, ch / vh);
+    const clamp = v => Math.min(1, Math.max(0, v));
+    return {
+        x: clamp((x + (vw * scale - cw) / 2) / (vw * scale)),
+        y: clamp((y + (vh * scale - ch) / 2) / (vh * scale))
+    };
+}
+
+/**
+ * タップした位置にフォーカスと露出を合わせる
+ * 連続 AF/AE のまま注目点だけ移す（対応していなければ単発 AF）
+ */
+async function focusCameraAt(clientX, clientY) {
+    const c = _trackControls;
+    if (!c || !c.focus) return;
+    const point = _displayToVideoPoint(clientX, clientY);
+    if (!point) return;
+
+    _showFocusRing(clientX, clientY);
+    const constraint = { pointsOfInterest: [point] };
+    if (c.focusMode.includes('continuous'))        constraint.focusMode = 'continuous';
+    else if (c.focusMode.includes('single-shot'))  constraint.focusMode = 'single-shot';
+    if (c.exposureMode.includes('continuous'))     constraint.exposureMode = 'continuous';
+    await _applyTrackConstraint(constraint);
+}
+
+function _showFocusRing(clientX, clientY) {
+    const ring = document.getElementById('focus-ring');
+    if (!ring) return;
+    const r = videoContainer.getBoundingClientRect();
+    ring.style.left = (clientX - r.left) + 'px';
+    ring.style.top  = (clientY - r.top)  + 'px';
+    ring.classList.remove('active');
+    void ring.offsetWidth; // アニメーション再始動のためリフロー
+    ring.classList.add('active');
+    clearTimeout(_focusRingTimer);
+    _focusRingTimer = setTimeout(() => ring.classList.remove('active'), 1000);
+}
+
+// ---- ジェスチャー（ピンチでズーム・タップでフォーカス） ----
+
+function _pointerDistance() {
+    const [a, b] = [..._cameraPointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function _onCameraPointerDown(e) {
+    if (!_trackControls || e.target.closest('#camera-tools')) return;
+    _cameraPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (_cameraPointers.size === 1) {
+        _tapStart = { x: e.clientX, y: e.clientY, t: performance.now() };
+    } else if (_cameraPointers.size === 2) {
+        _tapStart   = null;
+        _pinchStart = { dist: _pointerDistance(), zoom: cameraZoom };
+    }
+}
+
+function _onCameraPointerMove(e) {
+    if (!_cameraPointers.has(e.pointerId)) return;
+    _cameraPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (_tapStart && Math.hypot(e.clientX - _tapStart.x, e.clientY - _tapStart.y) > CAMERA_TAP_SLOP_PX) {
+        _tapStart = null;
+    }
+    if (_pinchStart && _cameraPointers.size === 2 && _pinchStart.dist > 0) {
+        setCameraZoom(_pinchStart.zoom * _pointerDistance() / _pinchStart.dist);
+    }
+}
+
+function _onCameraPointerUp(e) {
+    if (!_cameraPointers.has(e.pointerId)) return;
+    _cameraPointers.delete(e.pointerId);
+    if (_cameraPointers.size < 2) _pinchStart = null;
+    if (e.type === 'pointerup' && _tapStart && _cameraPointers.size === 0 &&
+        performance.now() - _tapStart.t <= CAMERA_TAP_MAX_MS) {
+        focusCameraAt(e.clientX, e.clientY);
+    }
+    if (_cameraPointers.size === 0) _tapStart = null;
+}
+
+if (videoContainer) {
+    videoContainer.addEventListener('pointerdown',   _onCameraPointerDown);
+    videoContainer.addEventListener('pointermove',   _onCameraPointerMove);
+    videoContainer.addEventListener('pointerup',     _onCameraPointerUp);
+    videoContainer.addEventListener('pointercancel', _onCameraPointerUp);
 }
@@ -9,138 +9,576 @@
 // カウントダウン
 // ======================================================================
 
+/** 複数枚撮影時のショット間の待ち時間（ms） */
+const SHOT_INTERVAL_MS = 700;
+
 async function startCountdown() {
     captureBtn.disabled = true;
+
+    // クリップ / ブーメランモード（clip.js）
+    if (typeof captureMode !== 'undefined' && captureMode !== 'photo' &&
+        typeof startClipCapture === 'function') {
+        await _runCountdown();
+        await startClipCapture(captureMode);
+        captureBtn.disabled = false;
+        return;
+    }
+
+    const layout = (typeof getCurrentLayout === 'function') ? getCurrentLayout() : null;
+    if (!layout || layout.shots <= 1) {
+        if (typeof burstModeEnabled !== 'undefined' && burstModeEnabled &&
+            typeof startBurstCapture === 'function') {
+            // 連写: シャッターの瞬間をまたいで複数フレームを取得し、ベストショットを選ぶ
+            let burst = null;
+            await _runCountdown(BURST_LEAD_MS, () => { burst = startBurstCapture(); });
+            const candidates = burst ? await burst.catch(err => {
+                console.error('startBurstCapture error:', err);
+                return [];
+            }) : [];
+            if (candidates.length > 0) {
+                await captureBurstResult(candidates);
+            } else {
+                // 1 枚も取れなかった → 今の映像で 1 枚撮影（それも失敗すれば grabRawShot がエラーを表示）
+                await captureImage();
+            }
+        } else {
+            _startShutterFrames();
+            await _runCountdown();
+            await captureImage(await _takeShutterFrame());
+        }
+        captureBtn.disabled = false;
+        return;
+    }
+
+    // ---- 複数枚撮影: カウントダウン → 撮影 を shots 回繰り返す ----
+    // 素材だけ集めておき、合成はシート作成時（と結果画面での再編集時）に行う
+    const look = getCurrentLook();
+    const raws = [];
+    for (let n = 0; n < layout.shots; n++) {
+        _updateShotProgress(n + 1, layout.shots);
+        _startShutterFrames();
+        await _runCountdown();
+        const frame = await _takeShutterFrame();
+        const raw = grabRawShot(frame);
+        if (typeof releaseZslFrame === 'function') releaseZslFrame(frame);
+        if (!raw) break;
+        raws.push(raw);
+        if (typeof playShutterSound === 'function') {
+            try { playShutterSound(); } catch (_) {}
+        }
+        _flashVideoContainer();
+        if (n < layout.shots - 1) await new Promise(r => setTimeout(r, SHOT_INTERVAL_MS));
+    }
+    _updateShotProgress(0, 0);
+
+    if (raws.length === layout.shots) {
+        try {
+            lastCapture = { raws, layout, look };
+            _showCaptureResult(await renderCaptureAsync(lastCapture, true));
+        } catch (err) {
+            console.error('Layout sheet error:', err);
+            alert('撮影に失敗しました。もう一度お試しください。');
+        }
+    }
+    captureBtn.disabled = false;
+}
+
+/**
+ * 3 → 2 → 1 のカウントダウン表示
+ *
+ * @param {number}   [leadMs] - 0 になる leadMs 前に onLead を呼ぶ（連写の先行取得用）
+ * @param {Function} [onLead]
+ */
+async function _runCountdown(leadMs, onLead) {
     for (let i = 3; i > 0; i--) {
         countdown.textContent = i;
         countdown.classList.remove('hidden');
-        await new Promise(r => setTimeout(r, 1000));
+        if (i === 1 && onLead && leadMs > 0) {
+            await new Promise(r => setTimeout(r, 1000 - leadMs));
+            onLead();
+            await new Promise(r => setTimeout(r, leadMs));
+        } else {
+            await new Promise(r => setTimeout(r, 1000));
+        }
         countdown.classList.add('hidden');
     }
-    captureImage();
-    captureBtn.disabled = false;
+}
+
+/**
+ * ゼロシャッターラグ（zsl.js）: カウントダウン中のフレームを貯め始める
+ * 高解像度撮影（camera.js の takePhoto）を使う場合も、写真が遅れたときの
+ * 控えとして貯めておく（ImageCapture の準備もここで済ませる）
+ */
+function _startShutterFrames() {
+    if (typeof startFrameRing === 'function') startFrameRing();
+    if (typeof prepareHighResPhoto === 'function') prepareHighResPhoto();
+}
+
+/**
+ * カウント 0 の瞬間の素材を取る
+ *   1. 暗所では連続フレームを重ねてノイズを減らしたもの（low-light.js）
+ *   2. 高解像度写真（ImageCapture.takePhoto）— HIGH_RES_MAX_LAG_MS 以内に届いた場合だけ
+ *   3. ゼロシャッターラグのバッファから最良のフレーム
+ * @returns {Promise<Object|null>} null = どれもなし（今の映像を撮る）
+ */
+async function _takeShutterFrame() {
+    const shutterAt = performance.now();
+    if (typeof shouldReduceNoise === 'function' && shouldReduceNoise()) {
+        const averaged = await takeNoiseReducedFrame();
+        if (averaged) {
+            if (typeof stopFrameRing === 'function') stopFrameRing();
+            return averaged;
+        }
+    }
+    // 写真を待つ間もシャッター時刻のフレームを選んでおく（写真が間に合わなければこちら）
+    const zsl   = (typeof takeZslFrame === 'function') ? takeZslFrame(shutterAt) : Promise.resolve(null);
+    const photo = (typeof takeHighResPhoto === 'function') ? await takeHighResPhoto(shutterAt) : null;
+    const frame = await zsl;
+    if (photo) {
+        if (typeof releaseZslFrame === 'function') releaseZslFrame(frame);
+        return { video: photo, face: null, photo: true };
+    }
+    return frame;
+}
+
+/** 複数枚撮影の進捗表示（total = 0 で非表示） */
+function _updateShotProgress(current, total) {
+    const el = document.getElementById('shot-progress');
+    if (!el) return;
+    if (!total) { el.classList.add('hidden'); return; }
+    el.textContent = `${current} / ${total}`;
+    el.classList.remove('hidden');
+}
+
+/** 撮影の瞬間にプレビューを白くフラッシュさせる */
+function _flashVideoContainer() {
+    if (!videoContainer) return;
+    videoContainer.classList.remove('shot-flash');
+    void videoContainer.offsetWidth; // アニメーション再始動のためリフロー
+    videoContainer.classList.add('shot-flash');
 }
 
 // ======================================================================
 // 撮影 & Canvas 合成
 // ======================================================================
 
-function captureImage() {
+/**
+ * 1 枚撮影: レイヤー 1〜4 を合成して結果画面へ
+ * @param {Object|null} [frame] - ゼロシャッターラグで選んだフレーム（省略時は今の映像）
+ */
+async function captureImage(frame) {
+    const raw = grabRawShot(frame);
+    if (typeof releaseZslFrame === 'function') releaseZslFrame(frame);
+    if (!raw) return;
+
+    // ---- 撮影音を鳴らす ----
+    if (typeof playShutterSound === 'function') {
+        try { playShutterSound(); } catch (_) {}
+    }
+
+    try {
+        // ---- レイヤー 1〜4 を合成（素材は結果画面での再編集用に保持） ----
+        lastCapture = { raws: [raw], layout: null, look: getCurrentLook() };
+        _showCaptureResult(await renderCaptureAsync(lastCapture, true));
+
+    } catch (err) {
+        console.error('captureImage error:', err);
+        alert('撮影に失敗しました。もう一度お試しください。');
+        captureBtn.disabled = false;
+    }
+}
+
+/**
+ * 撮影アスペクト比（aspect.js の設定、既定 9:16）のクロップ領域を計算
+ * フレーム画像・プレビューコンテナと同じ比率で切り取る
+ * 静止画（grabRawShot）とクリップ（clip.js のコンポジター）で共通
+ * デジタルズーム中（camera.js）は中央をさらに切り出す
+ *
+ * @param {number} videoW
+ * @param {number} videoH
+ * @returns {{ srcX: number, srcY: number, srcW: number, srcH: number }}
+ */
+function getCaptureCropRect(videoW, videoH) {
+    const rect = _aspectCropRect(videoW, videoH);
+    return (typeof applyDigitalZoom === 'function') ? applyDigitalZoom(rect) : rect;
+}
+
+function _aspectCropRect(videoW, videoH) {
+    if (typeof computeCropRect === 'function') return computeCropRect(videoW, videoH);
+    // aspect.js 未読み込み時は従来の 9:16 固定
+    const targetAspect = 9 / 16;
+    if (videoW / videoH > targetAspect) {
+        const srcW = Math.round(videoH * targetAspect);
+        return { srcX: Math.round((videoW - srcW) / 2), srcY: 0, srcW, srcH: videoH };
+    }
+    const srcH = Math.round(videoW / targetAspect);
+    return { srcX: 0, srcY: Math.round((videoH - srcH) / 2), srcW: videoW, srcH };
+}
+
+/**
+ * 撮影の瞬間の素材だけを取得する（フィルター等の重い処理はしない）
+ *   base : レイヤー 1（カメラ映像 or 背景合成）を出力解像度で描画した Canvas
+ *   face : レイヤー 2（顔 AR）のスナップショット（装飾なしなら null）
+ * 連写では複数フレーム分を先に集め、選ばれたものだけ composeShot() する
+ *
+ * @param {{ video: ImageBitmap, face: ImageBitmap|null, photo?: boolean }|null} [frame]
+ *        ゼロシャッターラグ（zsl.js）で選んだフレーム、または高解像度写真（photo: true）。
+ *        省略時は今の映像（呼び出し側で releaseZslFrame() できるよう、ここで Canvas に複製する）
+ * @returns {{ base: HTMLCanvasElement, face: HTMLCanvasElement|null, bgDrawn: boolean }|null}
+ */
+function grabRawShot(frame) {
     // ---- 事前チェック ----
     if (!cameraVideo || !cameraVideo.videoWidth || !cameraVideo.videoHeight) {
         alert('カメラ映像が準備できていません。もう一度お試しください。');
         captureBtn.disabled = false;
-        return;
+        return null;
     }
 
     try {
-        const videoW = cameraVideo.videoWidth;
-        const videoH = cameraVideo.videoHeight;
-
-        // ---- 縦9:横16（縦16:横9）クロップ領域を計算 ----
-        // フレーム画像・プレビューコンテナのアスペクト比（縦16:横9）に合わせて切り取る
-        const targetAspect   = 9 / 16;              // 横:縦 = 9:16（縦長ポートレート）
-        const videoAspect    = videoW / videoH;
-
-        let srcX, srcY, srcW, srcH;
-        if (videoAspect > targetAspect) {
-            // ビデオが横長 → 上下フル、左右をクロップ
-            srcH = videoH;
-            srcW = Math.round(videoH * targetAspect);
-            srcX = Math.round((videoW - srcW) / 2);
-            srcY = 0;
-        } else {
-            // ビデオが縦長 → 左右フル、上下をクロップ
-            srcW = videoW;
-            srcH = Math.round(videoW / targetAspect);
-            srcX = 0;
-            srcY = Math.round((videoH - srcH) / 2);
-        }
+        const { srcW, srcH } = _shotCropRect(frame);
 
-        // ---- 出力解像度（最大 1920px） ----
-        const scale = Math.min(1920 / srcW, 1920 / srcH, 1);
+        // ---- 出力解像度（最大 1920px、高解像度写真は HIGH_RES_MAX_EDGE まで） ----
+        const maxEdge = (frame && frame.photo) ? HIGH_RES_MAX_EDGE : 1920;
+        const scale = Math.min(maxEdge / srcW, maxEdge / srcH, 1);
         const outW  = Math.round(srcW * scale);
         const outH  = Math.round(srcH * scale);
 
-        // ---- 作業 Canvas ----
-        const canvas = document.createElement('canvas');
-        canvas.width  = outW;
-        canvas.height = outH;
-        // alpha: true（デフォルト）にしないと透過PNGフレームが正常に合成されない
-        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        // ---- レイヤー 1 用 Canvas ----
+        const base = document.createElement('canvas');
+        base.width  = outW;
+        base.height = outH;
+        const ctx = base.getContext('2d');
         ctx.imageSmoothingEnabled = true;
         ctx.imageSmoothingQuality = 'high';
 
         // ---- レイヤー 1: カメラ映像 or 背景合成 ----
-        var _bgDrawn = false;
-        if (typeof bgCompositeMode !== 'undefined' && bgCompositeMode &&
-            typeof drawBgCompositeOnCanvas === 'function') {
-            _bgDrawn = drawBgCompositeOnCanvas(ctx, outW, outH);
+        var _bgDrawn = drawLiveCamera(ctx, outW, outH, frame);
+
+        // ---- レイヤー 2 の素材: 顔 AR Canvas を表示サイズのまま複製 ----
+        var face = null;
+        if (frame && frame.face) {
+            face = document.createElement('canvas');
+            face.width  = frame.face.width;
+            face.height = frame.face.height;
+            face.getContext('2d').drawImage(frame.face, 0, 0);
+        } else if (typeof drawFaceFilterOnCanvas === 'function' &&
+            typeof selectedDecorations !== 'undefined' && selectedDecorations.size > 0 &&
+            typeof faceCanvas !== 'undefined' && faceCanvas && faceCanvas.width > 0) {
+            face = document.createElement('canvas');
+            face.width  = faceCanvas.width;
+            face.height = faceCanvas.height;
+            try { drawFaceFilterOnCanvas(face.getContext('2d'), face.width, face.height); } catch (_) { face = null; }
         }
 
-        if (!_bgDrawn) {
-            // 通常モード: カメラ映像を直接描画
-            if (cameraFlipped) {
-                ctx.save();
-                ctx.translate(outW, 0);
-                ctx.scale(-1, 1);
-                ctx.drawImage(cameraVideo, srcX, srcY, srcW, srcH, 0, 0, outW, outH);
-                ctx.restore();
-            } else {
-                ctx.drawImage(cameraVideo, srcX, srcY, srcW, srcH, 0, 0, outW, outH);
-            }
-        }
+        return { base, face, bgDrawn: _bgDrawn };
 
-        // ---- レイヤー 1b: 写真フィルター（ピクセル操作で全ブラウザ対応） ----
-        if (typeof applyFilterToCanvas === 'function') {
-            try { applyFilterToCanvas(ctx, outW, outH); } catch (_) {}
-        }
+    } catch (err) {
+        console.error('grabRawShot error:', err);
+        alert('撮影に失敗しました。もう一度お試しください。');
+        captureBtn.disabled = false;
+        return null;
+    }
+}
 
-        // ---- レイヤー 2: 顔 AR 装飾 ----
-        if (typeof drawFaceFilterOnCanvas === 'function') {
-            try { drawFaceFilterOnCanvas(ctx, outW, outH); } catch (_) {}
-        }
+/**
+ * 撮影素材の撮影比率クロップ矩形（素材の座標系）
+ * 高解像度写真は映像と画角・解像度が違うため、映像のクロップを写真に写す
+ */
+function _shotCropRect(frame) {
+    if (!frame) return getCaptureCropRect(cameraVideo.videoWidth, cameraVideo.videoHeight);
+    if (frame.photo) return mapCropToPhoto(frame.video.width, frame.video.height);
+    return getCaptureCropRect(frame.video.width, frame.video.height);
+}
 
-        // ---- レイヤー 3: フレーム画像（背景合成モード時はスキップ） ----
-        if (!_bgDrawn && frameImage && frameImage.complete && frameImage.naturalWidth > 0) {
-            try { ctx.drawImage(frameImage, 0, 0, outW, outH); } catch (_) {}
+/**
+ * ライブのカメラ映像（背景合成中は合成結果）を撮影比率でクロップして描く
+ * 静止画の素材取得とクリップのプレビュー合成で共通
+ *
+ * @param {Object} [frame] - grabRawShot() の frame（省略時は今の映像）
+ * @returns {boolean} 背景合成を描いた場合 true
+ */
+function drawLiveCamera(ctx, w, h, frame) {
+    const crop = _shotCropRect(frame);
+    if (typeof bgCompositeMode !== 'undefined' && bgCompositeMode) {
+        // 高解像度写真は直近の人物マスクで切り抜いて背景と合成し直す
+        if (frame && frame.photo && typeof drawBgCompositeOnPhoto === 'function' &&
+            drawBgCompositeOnPhoto(ctx, w, h, frame.video, crop)) {
+            return true;
+        }
+        if (typeof drawBgCompositeOnCanvas === 'function' && drawBgCompositeOnCanvas(ctx, w, h)) {
+            return true;
         }
+    }
+    // 通常モード: カメラ映像を直接描画
+    const source = frame ? frame.video : cameraVideo;
+    const { srcX, srcY, srcW, srcH } = crop;
+    ctx.save();
+    if (cameraFlipped) {
+        ctx.translate(w, 0);
+        ctx.scale(-1, 1);
+    }
+    ctx.drawImage(source, srcX, srcY, srcW, srcH, 0, 0, w, h);
+    ctx.restore();
+    return false;
+}
 
-        // ---- レイヤー 4: メッセージテキスト ----
-        try { drawMessageOnCanvas(ctx, outW, outH); } catch (_) {}
+/**
+ * grabRawShot() の素材に shot スコープのレイヤー（フィルター・顔 AR・フレーム等）を重ねる
+ * メッセージ等の sheet スコープのレイヤーは含まない
+ *
+ * @param {{ base: HTMLCanvasElement, face: HTMLCanvasElement|null, bgDrawn: boolean }} raw
+ * @param {Object} [look] - getCurrentLook() 形式の見た目の設定（省略時は現在の設定）
+ * @returns {HTMLCanvasElement}
+ */
+function composeShot(raw, look) {
+    const outW = raw.base.width;
+    const outH = raw.base.height;
+
+    // ---- 作業 Canvas ----
+    const canvas = document.createElement('canvas');
+    canvas.width  = outW;
+    canvas.height = outH;
+    // alpha: true（デフォルト）にしないと透過PNGフレームが正常に合成されない
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    runRenderPipeline(ctx, outW, outH, { live: false, raw, look: look || getCurrentLook() }, 'shot');
+    return canvas;
+}
 
-        // ---- 結果 Canvas に転写 ----
-        resultCanvas.width  = outW;
-        resultCanvas.height = outH;
-        const rCtx = resultCanvas.getContext('2d');
-        rCtx.drawImage(canvas, 0, 0);
+// ======================================================================
+// 撮影素材の保持と再合成（結果画面での非破壊編集）
+// ======================================================================
 
-        // ---- 撮影音を鳴らす ----
-        if (typeof playShutterSound === 'function') {
-            try { playShutterSound(); } catch (_) {}
+/**
+ * 直前の撮影の素材と見た目の設定
+ *   raws   : grabRawShot() の結果（複数枚撮影はショット数ぶん）
+ *   layout : 複数枚撮影のレイアウト（1 枚撮影は null）
+ *   look   : フレーム・フィルター・画像調整・メッセージ（edit.js が書き換える）
+ * 結果画面の表示は毎回ここから合成し直し、保存時にだけ 1 枚にエンコードする
+ * @type {{ raws: Object[], layout: Object|null, look: Object }|null}
+ */
+var lastCapture = null;
+
+/** 現在のフレーム・フィルター・画像調整・メッセージを撮影時の設定として複製 */
+function getCurrentLook() {
+    return {
+        frameId:     (typeof currentFrameId !== 'undefined') ? currentFrameId : null,
+        frameImage:  frameImage,
+        filterId:    (typeof currentFilterId !== 'undefined') ? currentFilterId : 'none',
+        intensity:   (typeof currentFilterIntensity !== 'undefined') ? currentFilterIntensity : 0.5,
+        adjustments: (typeof imageAdjustments !== 'undefined') ? Object.assign({}, imageAdjustments) : null,
+        message:     (typeof messageConfig !== 'undefined') ? JSON.parse(JSON.stringify(messageConfig)) : null
+    };
+}
+
+/**
+ * 撮影素材をレイヤー 1〜4 まで合成する
+ * @param {{ raws: Object[], layout: Object|null, look: Object }} capture
+ * @returns {HTMLCanvasElement}
+ */
+function renderCapture(capture) {
+    const look = capture.look;
+    if (capture.layout) {
+        const shots = capture.raws.map(raw => composeShot(raw, look));
+        const sheet = renderLayoutSheet(capture.layout, shots);
+        // メッセージ等はシート全体に 1 回だけ（文字サイズは 1 ショット基準）
+        runRenderPipeline(sheet.canvas.getContext('2d'), sheet.canvas.width, sheet.canvas.height,
+            { live: false, look, scaleRef: Math.max(sheet.cellW, sheet.cellH) }, 'sheet');
+        return sheet.canvas;
+    }
+    const canvas = composeShot(capture.raws[0], look);
+    runRenderPipeline(canvas.getContext('2d'), canvas.width, canvas.height,
+        { live: false, raw: capture.raws[0], look, bgDrawn: capture.raws[0].bgDrawn }, 'sheet');
+    return canvas;
+}
+
+/**
+ * 写真フィルターを先にワーカーで処理してから合成する（撮影直後に UI が固まらないように）
+ * 処理中は結果画面に進捗を表示する。ワーカー非対応・失敗時はメインスレッドで合成
+ *
+ * @param {{ raws: Object[], layout: Object|null, look: Object }} capture
+ * @param {boolean} [fresh] - 新しい撮影（前の結果を隠して結果画面を開く）
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function renderCaptureAsync(capture, fresh) {
+    const needsWork = typeof prefilterRaws === 'function' && needsFilterWorker(capture.look);
+    if (needsWork) {
+        _setResultProcessing(true, fresh);
+        try {
+            await prefilterRaws(capture.raws, capture.look, p => _setResultProcessing(true, false, p));
+        } catch (err) {
+            console.warn('Filter worker failed, rendering on main thread:', err);
         }
+    }
+    try {
+        return renderCapture(capture);
+    } finally {
+        if (needsWork) _setResultProcessing(false);
+    }
+}
 
+/**
+ * 結果画面の処理中表示
+ * @param {boolean} on
+ * @param {boolean} [fresh]    - 前の撮影結果を隠して結果画面に切り替える
+ * @param {number}  [progress] - 0〜1
+ */
+function _setResultProcessing(on, fresh, progress) {
+    const overlay = document.getElementById('result-processing');
+    resultScreen.classList.toggle('processing', on);
+    if (overlay) overlay.classList.toggle('hidden', !on);
+    if (!on) return;
+    if (fresh) {
+        const img = document.getElementById('result-image');
+        if (img) img.style.display = 'none';
+        resultCanvas.style.display = 'none';
         showScreen('result');
-        prepareResultImage();
-        if (typeof trackPhotoCapture === 'function') {
-            var _fn = (typeof currentFrameName !== 'undefined') ? currentFrameName : '';
-            var _fl = (typeof getCurrentFilter === 'function' && getCurrentFilter()) ? getCurrentFilter().name : '';
-            trackPhotoCapture(_fn, _fl);
+    }
+    const text = document.getElementById('result-processing-text');
+    if (text) {
+        const label = (typeof t === 'function') ? t('result_processing') : '仕上げ中…';
+        text.textContent = (progress > 0) ? `${label} ${Math.round(progress * 100)}%` : label;
+    }
+}
+
+// ======================================================================
+// 標準レイヤー（render-pipeline.js に登録）
+// 写真フィルターは filter.js、顔 AR は face-filter.js が登録する
+// ======================================================================
+
+/** レイヤー 1: カメラ映像 or 背景合成 */
+registerRenderLayer({
+    id: 'camera',
+    order: 100,
+    previewElements: ['camera-video', 'bg-composite-canvas'],
+    draw(ctx, w, h, context) {
+        if (context.live) {
+            context.bgDrawn = drawLiveCamera(ctx, w, h);
+            return;
+        }
+        context.bgDrawn = context.raw.bgDrawn;
+        ctx.drawImage(context.raw.base, 0, 0, w, h);
+    }
+});
+
+/** レイヤー 3: フレーム画像（背景合成時はスキップ） */
+registerRenderLayer({
+    id: 'frame',
+    order: 300,
+    previewElements: ['frame-overlay'],
+    enabled(context) {
+        const img = context.look.frameImage;
+        return !context.bgDrawn && !!img && img.complete && img.naturalWidth > 0;
+    },
+    draw(ctx, w, h, context) {
+        ctx.drawImage(context.look.frameImage, 0, 0, w, h);
+    }
+});
+
+/** レイヤー 4: メッセージ（完成画像全体に 1 回。live 時は描画結果を使い回す） */
+registerRenderLayer({
+    id: 'message',
+    order: 400,
+    scope: 'sheet',
+    draw(ctx, w, h, context) {
+        if (!context.cache) {
+            drawMessageOnCanvas(ctx, w, h, context.scaleRef, context.look.message);
+            return;
+        }
+        if (!context.cache.message) {
+            const layer = document.createElement('canvas');
+            layer.width  = w;
+            layer.height = h;
+            drawMessageOnCanvas(layer.getContext('2d'), w, h, context.scaleRef, context.look.message);
+            context.cache.message = layer;
         }
+        ctx.drawImage(context.cache.message, 0, 0);
+    }
+});
 
+/**
+ * 連写候補からベストショットを合成して結果画面へ
+ * 候補の切り替えは burst.js の結果画面 UI が担当
+ *
+ * @param {Array<{ raw: Object, score: number }>} candidates - score 降順ではなく撮影順
+ */
+async function captureBurstResult(candidates) {
+    try {
+        lastCapture = null;   // 候補の切り替えでは同じ見た目の設定を引き継ぐ
+        const best = pickBestBurstIndex(candidates);
+        if (typeof playShutterSound === 'function') {
+            try { playShutterSound(); } catch (_) {}
+        }
+        _showCaptureResult(await renderBurstCandidate(candidates[best], true));
+        showBurstCandidates(candidates, best);
     } catch (err) {
-        console.error('captureImage error:', err);
+        console.error('captureBurstResult error:', err);
         alert('撮影に失敗しました。もう一度お試しください。');
-        captureBtn.disabled = false;
     }
 }
 
+/**
+ * 連写候補 1 枚をレイヤー 1〜4 まで合成する
+ * 結果画面で編集済みならその設定で合成する
+ * @param {Object}  candidate
+ * @param {boolean} [fresh] - 新しい撮影（前の結果を隠して処理中表示）
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+function renderBurstCandidate(candidate, fresh) {
+    const look = lastCapture ? lastCapture.look : getCurrentLook();
+    lastCapture = { raws: [candidate.raw], layout: null, look };
+    return renderCaptureAsync(lastCapture, fresh);
+}
+
+/**
+ * 合成済み Canvas を結果 Canvas に転写して結果画面を表示
+ * @param {HTMLCanvasElement} canvas
+ */
+function _showCaptureResult(canvas) {
+    resultCapturedAt = new Date();
+    if (typeof beginPhotoRollEntry === 'function') beginPhotoRollEntry();
+    if (typeof resetEditState === 'function') resetEditState();
+    showScreen('result');
+    replaceResultCanvas(canvas);
+    if (typeof trackPhotoCapture === 'function') {
+        var _fn = (typeof currentFrameName !== 'undefined') ? currentFrameName : '';
+        var _fl = (typeof getCurrentFilter === 'function' && getCurrentFilter()) ? getCurrentFilter().name : '';
+        trackPhotoCapture(_fn, _fl);
+    }
+}
+
+/**
+ * 結果 Canvas の内容を差し替えて長押し保存用 img を作り直す
+ * （連写候補の切り替えなど、結果画面表示中の更新にも使う）
+ * @param {HTMLCanvasElement} canvas
+ */
+function replaceResultCanvas(canvas) {
+    resultCanvas.width  = canvas.width;
+    resultCanvas.height = canvas.height;
+    const rCtx = resultCanvas.getContext('2d');
+    rCtx.drawImage(canvas, 0, 0);
+    // 長押し保存用 img ができるまでは Canvas を表示
+    const img = document.getElementById('result-image');
+    if (!img || img.style.display === 'none') resultCanvas.style.display = 'block';
+    prepareResultImage();
+}
+
 // ======================================================================
 // メッセージ描画（Canvas）
 // ======================================================================
 
-function drawMessageOnCanvas(ctx, width, height) {
-    const cfg = (typeof messageConfig !== 'undefined') ? messageConfig : null;
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [scaleRef] - 文字サイズの基準長辺（省略時は max(width, height)）
+ *                              複数枚撮影シートでは 1 ショットの長辺を渡す
+ * @param {Object} [config]   - messageConfig 形式の設定（省略時は現在の messageConfig）
+ */
+function drawMessageOnCanvas(ctx, width, height, scaleRef, config) {
+    const cfg = config || ((typeof messageConfig !== 'undefined') ? messageConfig : null);
     if (!cfg) return;
 
     const hasDate     = cfg.date     && cfg.date.enabled     && cfg.date.value;
@@ -157,7 +595,7 @@ function drawMessageOnCanvas(ctx, width, height) {
     const userPos    = cfg.style && cfg.style.position ? cfg.style.position : 'bottom-center';
 
     // 出力解像度に対してスケール
-    const scaleFactor  = Math.max(height, width) / 960;
+    const scaleFactor  = (scaleRef || Math.max(height, width)) / 960;
     const baseFontSize = Math.round(userFontPx * scaleFactor);
     const lineH        = baseFontSize * 1.7;
     const lines        = [];
@@ -190,7 +628,7 @@ function drawMessageOnCanvas(ctx, width, height) {
     const totalH   = lines.length * lineH + baseFontSize * 1.4;
     const boxW     = width  * 0.88;
     const boxH     = totalH + baseFontSize;
-    const margin   = height * 0.04;
+    const margin   = Math.min(height, scaleRef || height) * 0.04;
 
     // 位置を 6 段階で計算
     let boxX, boxY;
@@ -245,21 +683,35 @@ function drawMessageOnCanvas(ctx, width, height) {
 
 var _lastResultBlobUrl = null;
 
+/** 結果画像の撮影日時（EXIF の DateTimeOriginal に使う） */
+var resultCapturedAt = null;
+
+/** 結果画像のエンコード結果（保存・共有・長押し保存で同じファイルを使う） */
+var _resultBlobPromise = null;
+var _resultBlobKey     = '';
+
 /**
  * 撮影後に result-canvas → img 変換（長押し保存用）
  * showScreen('result') の直後に呼ばれる
+ * 出力設定（output.js）の形式・画質でエンコードし、保存時もこの結果を使い回す
  */
 function prepareResultImage() {
     if (_lastResultBlobUrl) { URL.revokeObjectURL(_lastResultBlobUrl); _lastResultBlobUrl = null; }
+    _resultBlobPromise = null;
     var img = document.getElementById('result-image');
     if (!img || !resultCanvas || !resultCanvas.width) return;
-    resultCanvas.toBlob(function(blob) {
-        if (!blob) return;
+    var pending = _encodeResultCanvas();
+    pending.then(function(blob) {
+        if (pending !== _resultBlobPromise) return;   // 連写候補の切り替え等で古くなった結果
         _lastResultBlobUrl = URL.createObjectURL(blob);
         img.src = _lastResultBlobUrl;
         img.style.display = 'block';
         resultCanvas.style.display = 'none';
-    }, 'image/jpeg', 0.93);
+        // 再撮影しても残るようフォトロールに保存（同じ撮影の差し替えは上書き）
+        if (typeof savePhotoRollEntry === 'function') savePhotoRollEntry(blob, resultCanvas);
+    }).catch(function(err) {
+        console.warn('prepareResultImage encode error:', err);
+    });
 
     var shareBtn = document.getElementById('share-btn');
     if (shareBtn) {
@@ -273,23 +725,53 @@ function _makeFilename() {
     var dateStr = '' + now.getFullYear() + pad2(now.getMonth()+1) + pad2(now.getDate());
     var timeStr = pad2(now.getHours()) + pad2(now.getMinutes()) + pad2(now.getSeconds());
     var rest    = (typeof sessionStorage !== 'undefined' && sessionStorage.getItem('restaurantName')) || 'Photo';
-    return 'ShinagawaPrince_' + rest + '_' + dateStr + '_' + timeStr + '.jpg';
+    // クリップ表示中は動画の拡張子（mp4 / webm）、静止画は出力設定の形式
+    var ext     = (typeof currentClip !== 'undefined' && currentClip) ? currentClip.ext
+                : (typeof getOutputFormat === 'function') ? getOutputFormat().ext : 'jpg';
+    return 'ShinagawaPrince_' + rest + '_' + dateStr + '_' + timeStr + '.' + ext;
 }
 
 function _makeBlob() {
-    return new Promise(function(resolve, reject) {
-        resultCanvas.toBlob(
-            function(b) { b ? resolve(b) : reject(new Error('toBlob failed')); },
-            'image/jpeg', 0.93
-        );
+    if (typeof currentClip !== 'undefined' && currentClip) return Promise.resolve(currentClip.blob);
+    var key = (typeof getOutputSettingsKey === 'function') ? getOutputSettingsKey() : '';
+    if (_resultBlobPromise && _resultBlobKey === key) return _resultBlobPromise;
+    return _encodeResultCanvas();
+}
+
+/** 結果 Canvas を出力設定でエンコード（output.js 未読み込み時は JPEG 0.93） */
+function _encodeResultCanvas() {
+    _resultBlobKey = (typeof getOutputSettingsKey === 'function') ? getOutputSettingsKey() : '';
+    var encoded;
+    if (typeof encodeCanvasForOutput === 'function') {
+        encoded = encodeCanvasForOutput(resultCanvas);
+    } else {
+        encoded = new Promise(function(resolve, reject) {
+            resultCanvas.toBlob(
+                function(b) { b ? resolve({ blob: b, width: resultCanvas.width, height: resultCanvas.height }) : reject(new Error('toBlob failed')); },
+                'image/jpeg', 0.93
+            );
+        });
+    }
+    // JPEG には撮影日時・著作権等の EXIF / XMP を埋め込む（exif.js）
+    // 画像サイズはエンコード結果の実寸（サイズ上限で縮小した場合は結果 Canvas より小さい）
+    _resultBlobPromise = encoded.then(function(r) {
+        if (typeof embedPhotoMetadata !== 'function') return r.blob;
+        return embedPhotoMetadata(r.blob, {
+            width: r.width, height: r.height, capturedAt: resultCapturedAt,
+            message: lastCapture ? lastCapture.look.message : null
+        });
     });
+    // 失敗した結果はキャッシュしない（次回の保存で再エンコード）
+    var p = _resultBlobPromise;
+    p.catch(function() { if (_resultBlobPromise === p) _resultBlobPromise = null; });
+    return p;
 }
 
 /**
  * 「保存する」ボタン — 端末に直接ダウンロード保存（全端末対応）
  */
 async function downloadImage() {
-    if (!resultCanvas || !resultCanvas.width) {
+    if (!_hasResult()) {
         alert('画像がありません。もう一度撮影してください。');
         return;
     }
@@ -322,7 +804,7 @@ async function downloadImage() {
  * 「共有」ボタン — Web Share API（iOS: 写真に保存 / Android: Google Photos 等）
  */
 async function shareImage() {
-    if (!resultCanvas || !resultCanvas.width) return;
+    if (!_hasResult()) return;
 
     var shareBtn = document.getElementById('share-btn');
     if (shareBtn) shareBtn.disabled = true;
@@ -330,7 +812,7 @@ async function shareImage() {
     try {
         var blob     = await _makeBlob();
         var filename = _makeFilename();
-        var file     = new File([blob], filename, { type: 'image/jpeg', lastModified: Date.now() });
+        var file     = new File([blob], filename, { type: blob.type || 'image/jpeg', lastModified: Date.now() });
 
         if (navigator.canShare && navigator.canShare({ files: [file] })) {
             await navigator.share({ files: [file], title: '品川プリンスホテル フォト' });
@@ -352,4 +834,10 @@ async function shareImage() {
     }
 }
 
+/** 保存・共有できる結果（静止画 or クリップ）があるか */
+function _hasResult() {
+    if (typeof currentClip !== 'undefined' && currentClip) return true;
+    return !!(resultCanvas && resultCanvas.width);
+}
+
 function pad2(n) { return String(n).padStart(2, '0'); }
@@ -0,0 +1,339 @@
+/**
+ * ======================================================================
+ * クリップ撮影モジュール (clip.js)
+ * 静止画撮影と並ぶ動画モード。合成済みプレビューを MediaRecorder で録画し
+ * WebM / MP4 として保存・共有する。
+ *   - クリップ   : 約 3 秒の動画
+ *   - ブーメラン : 約 1.5 秒分のフレームを 順再生 → 逆再生 でループ
+ *
+ * 静止画は captureImage() で 1 回だけレイヤーを合成するが、動画は毎フレーム
+ * 同じレイヤー（render-pipeline.js に登録されたもの）をオフスクリーン Canvas に
+ * 描く「コンポジター」で合成する。
+ *
+ * 依存: render-pipeline.js（runRenderPipeline）
+ *       capture.js（getCaptureCropRect / getCurrentLook / downloadImage / shareImage）
+ * ======================================================================
+ */
+
+// ======================================================================
+// 設定・状態変数
+// ======================================================================
+
+/** 撮影モード: 'photo' | 'clip' | 'boomerang'（設定パネルから切り替え） */
+let captureMode = 'photo';
+
+/** クリップの録画時間（ms） */
+const CLIP_DURATION_MS = 3000;
+
+/** ブーメランの素材取得時間（ms）・再生 fps・往復回数 */
+const BOOMERANG_CAPTURE_MS = 1500;
+const BOOMERANG_FPS        = 15;
+const BOOMERANG_LOOPS      = 2;
+
+/** 録画 fps とビットレート */
+const CLIP_FPS             = 30;
+const CLIP_BITS_PER_SECOND = 5000000;
+
+/** 出力の最大長辺（px）— ブーメランはフレームをメモリに保持するため小さめ */
+const CLIP_MAX_EDGE      = 1280;
+const BOOMERANG_MAX_EDGE = 960;
+
+/** 優先順の MIME タイプ候補（iOS Safari は MP4、Chrome / Firefox は WebM） */
+const CLIP_MIME_CANDIDATES = [
+    'video/mp4;codecs=avc1',
+    'video/mp4',
+    'video/webm;codecs=vp9',
+    'video/webm;codecs=vp8',
+    'video/webm'
+];
+
+/**
+ * 結果画面に表示中のクリップ（静止画表示中は null）
+ * capture.js の _makeBlob / _makeFilename がこれを見て保存形式を切り替える
+ * @type {{ blob: Blob, mimeType: string, ext: string, url: string }|null}
+ */
+let currentClip = null;
+
+// ======================================================================
+// 対応チェック
+// ======================================================================
+
+function _pickClipMimeType() {
+    if (typeof MediaRecorder === 'undefined') return '';
+    if (typeof MediaRecorder.isTypeSupported !== 'function') return '';
+    return CLIP_MIME_CANDIDATES.find(m => MediaRecorder.isTypeSupported(m)) || '';
+}
+
+/** この端末で動画撮影ができるか */
+function isClipSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+           typeof HTMLCanvasElement.prototype.captureStream === 'function';
+}
+
+function _clipExt(mimeType) {
+    return (mimeType || '').startsWith('video/mp4') ? 'mp4' : 'webm';
+}
+
+// ======================================================================
+// コンポジター（毎フレームのレイヤー合成）
+// ======================================================================
+
+/**
+ * 撮影時と同じクロップ・レイヤー構成（render-pipeline.js）でライブ映像を合成する
+ * オフスクリーン Canvas を作る
+ *
+ * @param {number} maxEdge - 出力の最大長辺（px）
+ * @returns {{ canvas: HTMLCanvasElement, drawFrame: Function }|null}
+ */
+function createClipCompositor(maxEdge) {
+    if (!cameraVideo || !cameraVideo.videoWidth || !cameraVideo.videoHeight) return null;
+
+    const { srcW, srcH } = getCaptureCropRect(cameraVideo.videoWidth, cameraVideo.videoHeight);
+    const scale = Math.min(maxEdge / srcW, maxEdge / srcH, 1);
+    // 動画エンコーダーは偶数サイズが必要
+    const w = Math.round(srcW * scale / 2) * 2;
+    const h = Math.round(srcH * scale / 2) * 2;
+
+    const canvas = document.createElement('canvas');
+    canvas.width  = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d');
+
+    // 見た目の設定は録画中に変わらないので 1 回だけ取得（メッセージ等は cache で使い回す）
+    const context = { live: true, look: getCurrentLook(), cache: {} };
+
+    function drawFrame() {
+        ctx.clearRect(0, 0, w, h);
+        context.bgDrawn = false;
+        runRenderPipeline(ctx, w, h, context);
+    }
+
+    return { canvas, drawFrame };
+}
+
+// ======================================================================
+// 録画
+// ======================================================================
+
+/**
+ * Canvas を durationMs の間録画する（毎フレーム drawFn(経過ms) で描画）
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {number}   durationMs
+ * @param {Function} drawFn
+ * @returns {Promise<Blob>}
+ */
+function _recordCanvas(canvas, durationMs, drawFn) {
+    return new Promise((resolve, reject) => {
+        const mime   = _pickClipMimeType();
+        const stream = canvas.captureStream(CLIP_FPS);
+        const chunks = [];
+        let recorder;
+        try {
+            recorder = new MediaRecorder(stream, mime
+                ? { mimeType: mime, videoBitsPerSecond: CLIP_BITS_PER_SECOND }
+                : { videoBitsPerSecond: CLIP_BITS_PER_SECOND });
+        } catch (err) {
+            stream.getTracks().forEach(t => t.stop());
+            reject(err);
+            return;
+        }
+
+        recorder.ondataavailable = (e) => { if (e.data && e.data.size > 0) chunks.push(e.data); };
+        recorder.onerror = (e) => reject(e.error || new Error('MediaRecorder error'));
+        recorder.onstop = () => {
+            stream.getTracks().forEach(t => t.stop());
+            const type = recorder.mimeType || mime || 'video/webm';
+            if (chunks.length === 0) { reject(new Error('No clip data recorded')); return; }
+            resolve(new Blob(chunks, { type: type.split(';')[0] }));
+        };
+
+        // 最初のフレームを描いてから録画開始（先頭が黒くならないように）
+        drawFn(0);
+        recorder.start(250);
+        const t0 = performance.now();
+
+        (function tick() {
+            const elapsed = performance.now() - t0;
+            if (elapsed >= durationMs) {
+                if (recorder.state !== 'inactive') recorder.stop();
+                return;
+            }
+            drawFn(elapsed);
+            requestAnimationFrame(tick);
+        })();
+    });
+}
+
+/**
+ * コンポジターのフレームを一定時間メモリに取り込む（ブーメラン用）
+ * @returns {Promise<HTMLCanvasElement[]>}
+ */
+function _collectFrames(comp, durationMs, fps) {
+    return new Promise(resolve => {
+        const frames   = [];
+        const interval = 1000 / fps;
+        const t0 = performance.now();
+        let next = 0;
+
+        (function tick() {
+            const elapsed = performance.now() - t0;
+            if (elapsed >= next) {
+                comp.drawFrame();
+                const f = document.createElement('canvas');
+                f.width  = comp.canvas.width;
+                f.height = comp.canvas.height;
+                f.getContext('2d').drawImage(comp.canvas, 0, 0);
+                frames.push(f);
+                next += interval;
+            }
+            if (elapsed >= durationMs) { resolve(frames); return; }
+            requestAnimationFrame(tick);
+        })();
+    });
+}
+
+// ======================================================================
+// 撮影エントリーポイント（capture.js の startCountdown から呼ばれる）
+// ======================================================================
+
+/**
+ * @param {'clip'|'boomerang'} mode
+ */
+async function startClipCapture(mode) {
+    if (!isClipSupported()) {
+        alert('この端末では動画撮影に対応していません。写真モードをお使いください。');
+        return;
+    }
+    const comp = createClipCompositor(mode === 'boomerang' ? BOOMERANG_MAX_EDGE : CLIP_MAX_EDGE);
+    if (!comp) {
+        alert('カメラ映像が準備できていません。もう一度お試しください。');
+        return;
+    }
+
+    try {
+        let blob;
+        _setClipStatus('● REC');
+        if (typeof playShutterSound === 'function') {
+            try { playShutterSound(); } catch (_) {}
+        }
+
+        if (mode === 'boomerang') {
+            const frames = await _collectFrames(comp, BOOMERANG_CAPTURE_MS, BOOMERANG_FPS);
+            _setClipStatus((typeof t === 'function') ? t('clip_processing') : '動画を作成中…');
+
+            // 順再生 → 逆再生（端のフレームは重複させない）を往復回数ぶん
+            const pingPong = frames.concat(frames.slice(1, -1).reverse());
+            let sequence = [];
+            for (let i = 0; i < BOOMERANG_LOOPS; i++) sequence = sequence.concat(pingPong);
+
+            const ctx = comp.canvas.getContext('2d');
+            const frameMs = 1000 / BOOMERANG_FPS;
+            blob = await _recordCanvas(comp.canvas, sequence.length * frameMs, (elapsed) => {
+                const f = sequence[Math.min(sequence.length - 1, Math.floor(elapsed / frameMs))];
+                ctx.drawImage(f, 0, 0);
+            });
+        } else {
+            blob = await _recordCanvas(comp.canvas, CLIP_DURATION_MS, () => comp.drawFrame());
+        }
+
+        showClipResult(blob, comp.canvas);
+        if (typeof trackClipCapture === 'function') trackClipCapture(mode);
+    } catch (err) {
+        console.error('Clip capture error:', err);
+        alert('動画の撮影に失敗しました。もう一度お試しください。');
+    } finally {
+        _setClipStatus(null);
+    }
+}
+
+/** 録画中の表示（複数枚撮影の進捗表示と同じ場所を使う） */
+function _setClipStatus(text) {
+    const el = document.getElementById('shot-progress');
+    if (!el) return;
+    if (!text) { el.classList.add('hidden'); return; }
+    el.textContent = text;
+    el.classList.remove('hidden');
+}
+
+// ======================================================================
+// 結果画面
+// ======================================================================
+
+/**
+ * 録画したクリップを結果画面で再生
+ * @param {Blob} blob
+ * @param {HTMLCanvasElement} [poster] - フォトロールのサムネイル用（最後に描いたフレーム）
+ */
+function showClipResult(blob, poster) {
+    clearClipResult();
+    const mimeType = blob.type || 'video/webm';
+    currentClip = { blob, mimeType, ext: _clipExt(mimeType), url: URL.createObjectURL(blob) };
+
+    const video = document.getElementById('result-video');
+    const img   = document.getElementById('result-image');
+    if (img) img.style.display = 'none';
+    if (resultCanvas) resultCanvas.style.display = 'none';
+
+    // 動画は長押し保存できないのでヒントを隠す
+    const hint = document.getElementById('result-hint');
+    if (hint) hint.style.display = 'none';
+
+    const shareBtn = document.getElementById('share-btn');
+    if (shareBtn) shareBtn.style.display = (typeof navigator.share === 'function') ? 'flex' : 'none';
+    // 動画は印刷・編集できない
+    const printBtn = document.getElementById('print-btn');
+    if (printBtn) printBtn.style.display = 'none';
+    const editBtn = document.getElementById('edit-btn');
+    if (editBtn) editBtn.style.display = 'none';
+
+    if (typeof beginPhotoRollEntry === 'function') beginPhotoRollEntry();
+    if (typeof savePhotoRollEntry === 'function') savePhotoRollEntry(blob, poster);
+
+    showScreen('result');
+    if (video) {
+        video.src = currentClip.url;
+        video.style.display = 'block';
+        video.play().catch(() => {});
+    }
+}
+
+/** クリップ表示を破棄して静止画表示に戻す（再撮影時） */
+function clearClipResult() {
+    const video = document.getElementById('result-video');
+    if (video) {
+        video.pause();
+        video.removeAttribute('src');
+        video.load();
+        video.style.display = 'none';
+    }
+    const hint = document.getElementById('result-hint');
+    if (hint) hint.style.display = '';
+    const printBtn = document.getElementById('print-btn');
+    if (printBtn) printBtn.style.display = '';
+    const editBtn = document.getElementById('edit-btn');
+    if (editBtn) editBtn.style.display = '';
+    if (currentClip) URL.revokeObjectURL(currentClip.url);
+    currentClip = null;
+}
+
+// ======================================================================
+// 設定パネル
+// ======================================================================
+
+function selectCaptureMode(mode) {
+    if (mode !== 'photo' && !isClipSupported()) mode = 'photo';
+    captureMode = mode;
+    const sel = document.getElementById('settings-capture-mode-select');
+    if (sel) sel.value = mode;
+}
+
+/** 非対応端末では動画系の選択肢を無効化 */
+(function initCaptureModeUI() {
+    const sel = document.getElementById('settings-capture-mode-select');
+    if (!sel) return;
+    if (!isClipSupported()) {
+        sel.querySelectorAll('option:not([value="photo"])').forEach(o => { o.disabled = true; });
+    }
+    sel.value = captureMode;
+})();
@@ -0,0 +1,246 @@
+/**
+ * ======================================================================
+ * 撮影後編集モジュール (edit.js)
+ * 結果画面でフレーム・写真フィルター（強度）・画像調整・メッセージを変更し、
+ * capture.js が保持している撮影素材（lastCapture）から合成し直す。
+ *
+ * 素材（カメラ映像 / 顔 AR）はそのまま残るため何度でもやり直せる。
+ * 1 枚の画像にエンコードされるのは保存・共有時のみ。
+ *
+ * 依存: capture.js（lastCapture / renderCaptureAsync / replaceResultCanvas）
+ *       filter.js（FILTERS / IMAGE_ADJUSTMENT_DEFS）
+ *       ui.js（framesConfig / _frameFitsAspect / _frameAsset）
+ * ======================================================================
+ */
+
+// ======================================================================
+// 状態変数
+// ======================================================================
+
+/** スライダー操作中の再合成を間引く待ち時間（ms） */
+const EDIT_RENDER_DELAY_MS = 200;
+
+/** 撮影時の見た目の設定（「元に戻す」用） */
+let _editOriginalLook = null;
+
+let _editRenderTimer = null;
+
+/** 読み込み済みのフレーム画像（path → Promise<HTMLImageElement|null>） */
+const _editFrameImages = new Map();
+
+// ======================================================================
+// 再合成
+// ======================================================================
+
+/** 編集内容を反映して結果画像を作り直す（連続操作は最後の 1 回だけ） */
+function scheduleEditRender() {
+    clearTimeout(_editRenderTimer);
+    _editRenderTimer = setTimeout(renderEditedResult, EDIT_RENDER_DELAY_MS);
+}
+
+function renderEditedResult() {
+    _editRenderTimer = null;
+    const capture = lastCapture;
+    if (!capture) return;
+    const look = capture.look;
+    renderCaptureAsync(capture).then(canvas => {
+        // 処理中にさらに編集された・再撮影された場合は捨てる（次の再合成に任せる）
+        if (lastCapture === capture && capture.look === look) replaceResultCanvas(canvas);
+    }).catch(err => {
+        console.error('renderEditedResult error:', err);
+    });
+}
+
+function _loadEditFrameImage(path) {
+    if (!path) return Promise.resolve(null);
+    if (!_editFrameImages.has(path)) {
+        _editFrameImages.set(path, new Promise(resolve => {
+            const img = new Image();
+            img.onload  = () => resolve(img);
+            img.onerror = () => resolve(null);
+            img.src = path;
+        }));
+    }
+    return _editFrameImages.get(path);
+}
+
+/** 背景合成で撮影した素材はフレームが焼き込めない（背景の上に描かない）ため変更不可 */
+function _editFrameLocked() {
+    return !!(lastCapture && lastCapture.raws.some(r => r.bgDrawn));
+}
+
+/** 結果画面で選べるフレーム（背景合成画像を除き、撮影比率に対応するもの） */
+function _editableFrames() {
+    if (typeof framesConfig === 'undefined' || !framesConfig || !framesConfig.frames) return [];
+    return framesConfig.frames.filter(f => !f.isBgImage &&
+        (typeof _frameFitsAspect === 'function' ? _frameFitsAspect(f) : true));
+}
+
+async function setEditFrame(frameId) {
+    if (!lastCapture || _editFrameLocked()) return;
+    const frame = _editableFrames().find(f => f.id === frameId);
+    if (!frame) return;
+    const look = lastCapture.look;
+    look.frameId = frame.id;
+    if (frame.isNone) {
+        look.frameImage = null;
+    } else {
+        const asset = (typeof _frameAsset === 'function') ? _frameAsset(frame) : { path: frame.path };
+        const img = await _loadEditFrameImage(asset.path);
+        // 読み込み中に別のフレームが選ばれていたら何もしない
+        if (!lastCapture || lastCapture.look !== look || look.frameId !== frame.id) return;
+        look.frameImage = img;
+    }
+    renderEditedResult();
+}
+
+// ======================================================================
+// 編集パネル
+// ======================================================================
+
+function openEditPanel() {
+    const panel = document.getElementById('edit-panel');
+    if (!panel || !lastCapture) return;
+    if (typeof closePrintPanel === 'function') closePrintPanel();
+
+    if (!_editOriginalLook) _editOriginalLook = _cloneLook(lastCapture.look);
+    _buildEditControls();
+    panel.classList.remove('hidden');
+    panel.classList.add('active');
+}
+
+function closeEditPanel() {
+    const panel = document.getElementById('edit-panel');
+    if (panel) panel.classList.remove('active');
+}
+
+/** 新しい撮影・再撮影時に編集状態を破棄 */
+function resetEditState() {
+    closeEditPanel();
+    clearTimeout(_editRenderTimer);
+    _editRenderTimer  = null;
+    _editOriginalLook = null;
+}
+
+/** 撮影時の見た目に戻す */
+function revertEdits() {
+    if (!lastCapture || !_editOriginalLook) return;
+    lastCapture.look = _cloneLook(_editOriginalLook);
+    _buildEditControls();
+    renderEditedResult();
+}
+
+function _cloneLook(look) {
+    return {
+        frameId:     look.frameId,
+        frameImage:  look.frameImage,
+        filterId:    look.filterId,
+        intensity:   look.intensity,
+        adjustments: look.adjustments ? Object.assign({}, look.adjustments) : null,
+        message:     look.message ? JSON.parse(JSON.stringify(look.message)) : null
+    };
+}
+
+/** パネルの各コントロールを現在の look で作り直す */
+function _buildEditControls() {
+    const look = lastCapture.look;
+
+    // ---- フレーム ----
+    const frameSel = document.getElementById('edit-frame-select');
+    if (frameSel) {
+        frameSel.innerHTML = '';
+        _editableFrames().forEach(f => {
+            const opt = document.createElement('option');
+            opt.value = f.id;
+            opt.textContent = f.name || f.id;
+            frameSel.appendChild(opt);
+        });
+        const locked = _editFrameLocked();
+        frameSel.disabled = locked;
+        frameSel.value = look.frameId || '';
+        const note = document.getElementById('edit-frame-note');
+        if (note) note.classList.toggle('hidden', !locked);
+    }
+
+    // ---- 写真フィルター ----
+    const filterSel = document.getElementById('edit-filter-select');
+    if (filterSel && typeof FILTERS !== 'undefined') {
+        filterSel.innerHTML = '';
+        FILTERS.forEach(f => {
+            const opt = document.createElement('option');
+            opt.value = f.id;
+            opt.textContent = f.icon + ' ' + f.name;
+            filterSel.appendChild(opt);
+        });
+        filterSel.value = look.filterId || 'none';
+    }
+
+    // ---- フィルターの強度 ----
+    const intensityWrap = document.getElementById('edit-intensity');
+    if (intensityWrap && typeof look.intensity === 'number') {
+        const val = Math.round(look.intensity * 100);
+        const label = (typeof t === 'function') ? t('intensity_label') : '強度';
+        intensityWrap.innerHTML =
+            '<div class="filter-adj-row">' +
+            '<label class="filter-adj-label">' + label + '</label>' +
+            '<input type="range" class="filter-intensity-slider filter-adj-slider"' +
+            ' min="0" max="100" value="' + val + '">' +
+            '<span class="filter-adj-val">' + val + '%</span>' +
+            '</div>';
+        const sl = intensityWrap.querySelector('input');
+        const vl = intensityWrap.querySelector('.filter-adj-val');
+        sl.addEventListener('input', () => {
+            lastCapture.look.intensity = parseInt(sl.value, 10) / 100;
+            vl.textContent = sl.value + '%';
+            scheduleEditRender();
+        });
+    }
+
+    // ---- 画像調整 ----
+    const adjWrap = document.getElementById('edit-adjustments');
+    if (adjWrap && look.adjustments && typeof IMAGE_ADJUSTMENT_DEFS !== 'undefined') {
+        adjWrap.innerHTML = '';
+        IMAGE_ADJUSTMENT_DEFS.forEach(adj => {
+            const row = document.createElement('div');
+            row.className = 'filter-adj-row';
+            row.innerHTML =
+                '<label class="filter-adj-label">' + adj.icon + ' ' + adj.name + '</label>' +
+                '<input type="range" class="filter-intensity-slider filter-adj-slider"' +
+                ' min="0" max="100" value="' + look.adjustments[adj.key] + '">' +
+                '<span class="filter-adj-val">' + look.adjustments[adj.key] + '%</span>';
+            const sl = row.querySelector('input');
+            const vl = row.querySelector('.filter-adj-val');
+            sl.addEventListener('input', () => {
+                lastCapture.look.adjustments[adj.key] = parseInt(sl.value, 10);
+                vl.textContent = sl.value + '%';
+                scheduleEditRender();
+            });
+            adjWrap.appendChild(row);
+        });
+    }
+
+    // ---- メッセージ ----
+    const textInput = document.getElementById('edit-message-text');
+    const locInput  = document.getElementById('edit-message-location');
+    if (textInput) textInput.value = (look.message && look.message.text) ? look.message.text.value : '';
+    if (locInput)  locInput.value  = (look.message && look.message.location) ? look.message.location.value : '';
+}
+
+/**
+ * メッセージ欄の変更を反映（空欄にした行は非表示）
+ * @param {'text'|'location'} key
+ * @param {string} value
+ */
+function setEditMessage(key, value) {
+    if (!lastCapture || !lastCapture.look.message || !lastCapture.look.message[key]) return;
+    const item = lastCapture.look.message[key];
+    item.value   = value;
+    item.enabled = value.trim() !== '';
+    scheduleEditRender();
+}
+
+function setEditFilter(filterId) {
+    if (!lastCapture) return;
+    lastCapture.look.filterId = filterId;
+    renderEditedResult();
+}
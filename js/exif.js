@@ -0,0 +1,301 @@
+/**
+ * ======================================================================
+ * 写真メタデータモジュール (exif.js)
+ * 保存する JPEG に EXIF と XMP を書き込む（外部サービス・ライブラリ不使用）。
+ *
+ * 書き込む項目:
+ *   EXIF  IFD0     : ImageDescription（メッセージ）/ Orientation=1 / Software /
+ *                    DateTime / Artist / Copyright
+ *   EXIF  Exif IFD : ExifVersion / DateTimeOriginal / DateTimeDigitized /
+ *                    OffsetTime(Original) / ColorSpace / PixelX・YDimension
+ *   XMP            : 撮影日時・作者・著作権・説明・撮影場所（レストラン名）
+ *
+ * - Canvas の画素は常に正立しているので Orientation は 1 に正規化する
+ * - GPS 情報（GPS IFD）は絶対に書き込まない
+ * - Artist / Copyright は restaurants.json のレストラン情報から作る。
+ *   各レストランに "artist" / "copyright" を書けばそちらを優先する
+ *
+ * 依存: app.js（currentRestaurant / messageConfig … 撮影時の look が無いときだけ）
+ *       capture.js（_makeBlob 経由で embedPhotoMetadata を呼ぶ）
+ * ======================================================================
+ */
+
+// ======================================================================
+// 定数
+// ======================================================================
+
+const EXIF_SOFTWARE = 'Shinagawa Prince Hotel AR Photo';
+
+/** TIFF のデータ型 */
+const TIFF_ASCII = 2, TIFF_SHORT = 3, TIFF_LONG = 4, TIFF_UNDEFINED = 7;
+
+/** GPS IFD ポインタのタグ — 万一エントリに混ざっても必ず除外する */
+const EXIF_TAG_GPS_IFD = 0x8825;
+
+/** APP1 セグメントの最大データ長（長さフィールド 2 バイト分を除く） */
+const JPEG_SEGMENT_MAX = 65533;
+
+const XMP_NAMESPACE_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+// ======================================================================
+// メタデータ内容の組み立て
+// ======================================================================
+
+/**
+ * 書き込む内容を現在のレストランと写真のメッセージから作る
+ * @param {Date} date
+ * @param {Object} [message] - 写真を描画したメッセージ設定（look.message）。省略時は現在の messageConfig
+ * @returns {{ date: Date, description: string, artist: string, copyright: string, location: string }}
+ */
+function _collectPhotoMetadata(date, message) {
+    const rest   = (typeof currentRestaurant !== 'undefined' && currentRestaurant) || null;
+    const hotel  = (rest && rest.hotelName) || '品川プリンスホテル';
+    const venue  = rest ? (rest.fullName || rest.name || '') : '';
+
+    const cfg = message || ((typeof messageConfig !== 'undefined') ? messageConfig : null);
+    const lines = [];
+    if (cfg && cfg.text && cfg.text.enabled && cfg.text.value)         lines.push(cfg.text.value);
+    if (cfg && cfg.location && cfg.location.enabled && cfg.location.value) lines.push(cfg.location.value);
+
+    return {
+        date,
+        description: lines.join(' / '),
+        artist:      (rest && rest.artist)    || [hotel, venue].filter(Boolean).join(' '),
+        copyright:   (rest && rest.copyright) || `© ${date.getFullYear()} ${hotel}`,
+        location:    venue ? `${hotel} ${venue}` : hotel
+    };
+}
+
+/** EXIF 形式の日時 "YYYY:MM:DD HH:MM:SS"（ローカル時刻） */
+function _exifDateTime(d) {
+    const p = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}:${p(d.getMonth() + 1)}:${p(d.getDate())} ${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`;
+}
+
+/** タイムゾーンオフセット "+09:00" */
+function _exifOffset(d) {
+    const m = -d.getTimezoneOffset();
+    const sign = m >= 0 ? '+' : '-';
+    const a = Math.abs(m);
+    return `${sign}${String(Math.floor(a / 60)).padStart(2, '0')}:${String(a % 60).padStart(2, '0')}`;
+}
+
+// ======================================================================
+// TIFF / EXIF バイナリ生成（ビッグエンディアン "MM"）
+// ======================================================================
+
+const _utf8 = new TextEncoder();
+
+/** ASCII 型の値（UTF-8 バイト列 + NUL 終端。多くのビューアが UTF-8 として読む） */
+function _tiffAscii(tag, str) {
+    const bytes = _utf8.encode(str + '\0');
+    return { tag, type: TIFF_ASCII, count: bytes.length, bytes };
+}
+
+function _tiffShort(tag, v) {
+    return { tag, type: TIFF_SHORT, count: 1, bytes: new Uint8Array([(v >> 8) & 0xFF, v & 0xFF]) };
+}
+
+function _tiffLong(tag, v) {
+    return { tag, type: TIFF_LONG, count: 1,
+             bytes: new Uint8Array([(v >>> 24) & 0xFF, (v >>> 16) & 0xFF, (v >>> 8) & 0xFF, v & 0xFF]) };
+}
+
+function _tiffUndefined(tag, bytes) {
+    return { tag, type: TIFF_UNDEFINED, count: bytes.length, bytes };
+}
+
+/** IFD 1 つ分のバイト数（エントリ + 次 IFD ポインタ + 4 バイト超の値領域） */
+function _ifdSize(entries) {
+    return entries.reduce((n, e) => n + (e.bytes.length > 4 ? (e.bytes.length + 1) & ~1 : 0),
+                          2 + entries.length * 12 + 4);
+}
+
+/**
+ * IFD を view の offset に書き込む（値のオフセットは TIFF ヘッダ先頭基準）
+ * @returns {number} 書き込み後のオフセット
+ */
+function _writeIfd(view, bytes, offset, entries) {
+    entries = entries.filter(e => e.tag !== EXIF_TAG_GPS_IFD).sort((a, b) => a.tag - b.tag);
+    view.setUint16(offset, entries.length);
+    let dataOff = offset + 2 + entries.length * 12 + 4;
+    entries.forEach((e, i) => {
+        const p = offset + 2 + i * 12;
+        view.setUint16(p, e.tag);
+        view.setUint16(p + 2, e.type);
+        view.setUint32(p + 4, e.count);
+        if (e.bytes.length <= 4) {
+            bytes.set(e.bytes, p + 8);          // 4 バイト以下は値を直接格納（左詰め）
+        } else {
+            view.setUint32(p + 8, dataOff);
+            bytes.set(e.bytes, dataOff);
+            dataOff += (e.bytes.length + 1) & ~1; // ワード境界に揃える
+        }
+    });
+    view.setUint32(offset + 2 + entries.length * 12, 0); // 次の IFD なし
+    return dataOff;
+}
+
+/**
+ * APP1 Exif セグメントのペイロード（"Exif\0\0" + TIFF）を生成
+ */
+function _buildExifPayload(meta, width, height) {
+    const dt  = _exifDateTime(meta.date);
+    const off = _exifOffset(meta.date);
+
+    const exifEntries = [
+        _tiffUndefined(0x9000, _utf8.encode('0232')),  // ExifVersion
+        _tiffAscii(0x9003, dt),                         // DateTimeOriginal
+        _tiffAscii(0x9004, dt),                         // DateTimeDigitized
+        _tiffAscii(0x9010, off),                        // OffsetTime
+        _tiffAscii(0x9011, off),                        // OffsetTimeOriginal
+        _tiffShort(0xA001, 1),                          // ColorSpace = sRGB
+        _tiffLong(0xA002, width),                       // PixelXDimension
+        _tiffLong(0xA003, height)                       // PixelYDimension
+    ];
+
+    const ifd0Entries = [
+        _tiffShort(0x0112, 1),                          // Orientation = 正立
+        _tiffAscii(0x0131, EXIF_SOFTWARE),              // Software
+        _tiffAscii(0x0132, dt),                         // DateTime
+        _tiffLong(0x8769, 0)                            // ExifIFDPointer（後で確定）
+    ];
+    if (meta.description) ifd0Entries.push(_tiffAscii(0x010E, meta.description)); // ImageDescription
+    if (meta.artist)      ifd0Entries.push(_tiffAscii(0x013B, meta.artist));      // Artist
+    if (meta.copyright)   ifd0Entries.push(_tiffAscii(0x8298, meta.copyright));   // Copyright
+
+    const ifd0Off = 8;
+    const exifOff = ifd0Off + _ifdSize(ifd0Entries);
+    ifd0Entries[3] = _tiffLong(0x8769, exifOff);
+
+    const tiffLen = exifOff + _ifdSize(exifEntries);
+    const header  = _utf8.encode('Exif\0\0');
+    const out     = new Uint8Array(header.length + tiffLen);
+    out.set(header, 0);
+
+    const tiff = out.subarray(header.length);
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    tiff.set([0x4D, 0x4D, 0x00, 0x2A], 0);   // "MM" + 42
+    view.setUint32(4, ifd0Off);
+    _writeIfd(view, tiff, ifd0Off, ifd0Entries);
+    _writeIfd(view, tiff, exifOff, exifEntries);
+    return out;
+}
+
+// ======================================================================
+// XMP パケット生成
+// ======================================================================
+
+function _xmlEscape(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+function _buildXmpPayload(meta) {
+    const iso = _exifDateTime(meta.date).replace(/^(\d+):(\d+):(\d+) /, '$1-$2-$3T') + _exifOffset(meta.date);
+    const alt = (v) => `<rdf:Alt><rdf:li xml:lang="x-default">${_xmlEscape(v)}</rdf:li></rdf:Alt>`;
+
+    const packet =
+`<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"
+    xmlns:exif="http://ns.adobe.com/exif/1.0/"
+    xmlns:tiff="http://ns.adobe.com/tiff/1.0/"
+    xmlns:Iptc4xmpCore="http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/"
+    xmp:CreateDate="${iso}"
+    xmp:CreatorTool="${_xmlEscape(EXIF_SOFTWARE)}"
+    photoshop:DateCreated="${iso}"
+    exif:DateTimeOriginal="${iso}"
+    tiff:Orientation="1"
+    Iptc4xmpCore:Location="${_xmlEscape(meta.location)}">
+   ${meta.artist ? `<dc:creator><rdf:Seq><rdf:li>${_xmlEscape(meta.artist)}</rdf:li></rdf:Seq></dc:creator>` : ''}
+   ${meta.copyright ? `<dc:rights>${alt(meta.copyright)}</dc:rights>` : ''}
+   ${meta.description ? `<dc:description>${alt(meta.description)}</dc:description>` : ''}
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+    const head = _utf8.encode(XMP_NAMESPACE_HEADER);
+    const body = _utf8.encode(packet);
+    const out  = new Uint8Array(head.length + body.length);
+    out.set(head, 0);
+    out.set(body, head.length);
+    return out;
+}
+
+// ======================================================================
+// JPEG セグメント操作
+// ======================================================================
+
+function _app1Segment(payload) {
+    const seg = new Uint8Array(4 + payload.length);
+    seg[0] = 0xFF; seg[1] = 0xE1;
+    seg[2] = ((payload.length + 2) >> 8) & 0xFF;
+    seg[3] = (payload.length + 2) & 0xFF;
+    seg.set(payload, 4);
+    return seg;
+}
+
+/**
+ * 既存の APP1（Exif / XMP）を取り除き、APP0(JFIF) の直後に新しいセグメントを挿入
+ * @param {Uint8Array} jpeg
+ * @param {Uint8Array[]} segments
+ * @returns {Uint8Array|null} JPEG として解析できなければ null
+ */
+function _insertJpegSegments(jpeg, segments) {
+    if (jpeg[0] !== 0xFF || jpeg[1] !== 0xD8) return null;
+
+    const keep = [jpeg.subarray(0, 2)];
+    let insertAt = 1;   // keep 配列内の挿入位置（SOI の直後）
+    let p = 2;
+    while (p + 4 <= jpeg.length && jpeg[p] === 0xFF) {
+        const marker = jpeg[p + 1];
+        if (marker === 0xDA) break;                     // SOS 以降は画像データ
+        const len = (jpeg[p + 2] << 8) | jpeg[p + 3];
+        const seg = jpeg.subarray(p, p + 2 + len);
+        if (marker !== 0xE1) {
+            keep.push(seg);
+            if (marker === 0xE0) insertAt = keep.length;  // JFIF の後ろに入れる
+        }
+        p += 2 + len;
+    }
+
+    const parts = keep.slice(0, insertAt).concat(segments, keep.slice(insertAt), [jpeg.subarray(p)]);
+    const total = parts.reduce((n, a) => n + a.length, 0);
+    const out = new Uint8Array(total);
+    let o = 0;
+    parts.forEach(a => { out.set(a, o); o += a.length; });
+    return out;
+}
+
+// ======================================================================
+// 公開 API
+// ======================================================================
+
+/**
+ * JPEG Blob に EXIF / XMP を埋め込む（JPEG 以外・失敗時は元の Blob を返す）
+ *
+ * @param {Blob} blob
+ * @param {{ width: number, height: number, capturedAt?: Date, message?: Object }} info - message は写真を描画したメッセージ設定（look.message）
+ * @returns {Promise<Blob>}
+ */
+async function embedPhotoMetadata(blob, info) {
+    if (!blob || blob.type !== 'image/jpeg') return blob;
+    try {
+        const meta = _collectPhotoMetadata(info.capturedAt || new Date(), info.message);
+        const exif = _buildExifPayload(meta, info.width, info.height);
+        const xmp  = _buildXmpPayload(meta);
+        const segments = [exif, xmp].filter(s => s.length <= JPEG_SEGMENT_MAX).map(_app1Segment);
+
+        const jpeg = new Uint8Array(await blob.arrayBuffer());
+        const out  = _insertJpegSegments(jpeg, segments);
+        return out ? new Blob([out], { type: 'image/jpeg' }) : blob;
+    } catch (err) {
+        console.warn('embedPhotoMetadata failed (saved without metadata):', err);
+        return blob;
+    }
+}
@@ -0,0 +1,601 @@
+/**
+ * ======================================================================
+ * 顔 AR デコレーション定義・汎用レンダラー (face-decorations.js)
+ * デコレーションは assets/config/face-decorations.json に宣言的に定義し、
+ * ここで読み込んで描画する（季節の装飾を足すときに JS を触らなくてよい）。
+ *
+ * 定義の形:
+ *   {
+ *     "id": "glasses", "name": "サングラス", "icon": "😎", "category": "eyes",
+ *     "anchor":   ["RIGHT_EYE_CENTER", "LEFT_EYE_CENTER"],  // LM の名前（配列なら平均）
+ *     "scaleRef": "eyeSep",     // 1 単位にする寸法（extractCoords() の eyeSep / faceW / faceH / mouthW / noseW）
+ *     "rotate":   true,         // 目を結ぶ線の傾き（angle）で回す（省略時 true）
+ *     "offset":   [0, -0.1],    // 基準点からのずらし（単位）
+ *     "parts":    [ ... ]       // 下記の図形を順に描く
+ *   }
+ *
+ * 図形（座標・半径・線幅はすべて単位。x は画像の右、y は下が正）:
+ *   circle { x, y, r }                  ellipse { x, y, rx, ry, rotation }
+ *   rect   { x, y, w, h }（左上基準）    polyline { points: [[x, y], ...], closed }
+ *   path   { d }（SVG のパスデータ）     star { x, y, r, inner, spikes }
+ *   image  { src, x, y, w, h }（中心基準。h 省略時は画像の縦横比）
+ *   group  { parts }（子の図形をまとめて複製・反転する）
+ *
+ * 画像を顔に合わせる図形（最上位のみ。基準点・scaleRef・複製・反転は使わない）:
+ *   sticker { src, pins: [{ at: [px, py], anchor }, ...] }
+ *     PNG / SVG の画像上の点（ピクセル）をランドマークに合わせる。ピン 2 つなら
+ *     目を結ぶ線などに沿った回転・拡大、3 つなら斜めの変形も含むアフィン変換
+ *   mesh { src, uv: { "<468点の番号>": [px, py], ... } | uvSource, landmarks, triangles }
+ *     画像を 468 点メッシュの一部に三角形ごとに貼り、表情・顔の向きに合わせて歪める
+ *     （お面・フェイスペイント）。uv は画像上のピクセル座標。uvSource は
+ *     exportFaceMeshTemplate() で書き出した JSON。三角形は省略時に uv から自動生成
+ *
+ * 図形共通: fill / stroke（色、または { type: 'linear'|'radial', coords, stops }）、
+ *   lineWidth、dash、alpha、offset、
+ *   mirror（x を反転してもう 1 つ描く）、
+ *   copies（[x, y] または { x, y, s, fill, anchor } の数だけ複製して描く）、
+ *   anchor（最上位の図形・複製のみ。その図形だけ別のランドマークに付ける。
+ *           LM の名前のほか 468 点の番号も使える）
+ * group の子は fill / stroke / lineWidth / dash を親（複製の fill を含む）から引き継ぐ。
+ *
+ * 依存: face-filter.js（LM / extractCoords の座標 / buildFaceFilterUI /
+ *       lastFaceLandmarks / setFaceLoopConsumer / getObjectFitCoverOffset）、app.js（cameraVideo）
+ * ======================================================================
+ */
+
+// ======================================================================
+// 設定・状態変数
+// ======================================================================
+
+const FACE_DECORATIONS_URL = 'assets/config/face-decorations.json';
+
+/** 「なし」は JSON によらず常に先頭に置く */
+const FACE_DECORATION_NONE     = { id: 'none', name: 'なし', icon: '🚫', category: 'none_cat' };
+const FACE_DECORATION_NONE_CAT = { id: 'none_cat', name: 'なし', icon: '🚫', nameKey: 'cat_none' };
+
+let FACE_DECORATION_CATEGORIES = [FACE_DECORATION_NONE_CAT];
+let FACE_DECORATIONS           = [FACE_DECORATION_NONE];
+
+/** id → 定義（描画ごとの検索用） */
+const _faceDecoById = new Map();
+
+/** 図形ごとの Path2D（座標は単位なので 1 度作れば使い回せる） */
+const _decoPathCache = new WeakMap();
+
+/** 画像アセット src → HTMLImageElement */
+const _decoImages = new Map();
+
+/** メッシュ図形ごとの { uv: Map<番号, {x, y}>, triangles } */
+const _decoMeshCache = new WeakMap();
+
+/** uvSource の URL → { data } （読み込み中は data: null） */
+const _decoUvSources = new Map();
+
+/** Face Mesh のランドマーク数 */
+const FACE_MESH_POINTS = 468;
+
+/** 三角形の継ぎ目が透けないよう、切り抜きを広げる幅（px） */
+const MESH_SEAM_PX = 0.7;
+
+/** テンプレート書き出しで顔を待つ時間（ms）と、顔の周りに残す余白（顔の幅に対する比） */
+const FACE_TEMPLATE_TIMEOUT_MS = 5000;
+const FACE_TEMPLATE_MARGIN     = 0.35;
+
+// ======================================================================
+// 読み込み
+// ======================================================================
+
+/** 起動時に app.js から呼ぶ。読み込めなければ「なし」だけになる */
+async function loadFaceDecorations() {
+    let data = null;
+    try {
+        const resp = await fetch(FACE_DECORATIONS_URL);
+        if (!resp.ok) throw new Error(`face-decorations: HTTP ${resp.status}`);
+        data = await resp.json();
+    } catch (err) {
+        console.warn('loadFaceDecorations failed (no decorations):', err);
+    }
+    setFaceDecorations(data);
+}
+
+/**
+ * 定義を差し替えて UI を作り直す（disabled・不正な定義は除外）
+ * @param {{ categories?: Array, decorations?: Array }|null} data
+ */
+function setFaceDecorations(data) {
+    const categories  = ((data && data.categories) || []).filter(c => c && c.id && !c.disabled);
+    const decorations = ((data && data.decorations) || []).filter(d => !d.disabled && _isValidDecoration(d));
+
+    FACE_DECORATION_CATEGORIES = [FACE_DECORATION_NONE_CAT, ...categories];
+    FACE_DECORATIONS           = [FACE_DECORATION_NONE, ...decorations];
+    _faceDecoById.clear();
+    decorations.forEach(d => _faceDecoById.set(d.id, d));
+
+    // 選択中の装飾が定義から消えたら外す
+    if (typeof selectedDecorations !== 'undefined') {
+        [...selectedDecorations.entries()].forEach(([cat, id]) => {
+            if (!_faceDecoById.has(id)) selectedDecorations.delete(cat);
+        });
+    }
+    if (typeof buildFaceFilterUI === 'function') buildFaceFilterUI();
+}
+
+function _isValidDecoration(d) {
+    if (!d || !d.id || d.id === 'none' || !d.category || !Array.isArray(d.parts)) {
+        console.warn('Face decoration skipped (id / category / parts required):', d && d.id);
+        return false;
+    }
+    const anchors = [d.anchor];
+    d.parts.forEach(p => {
+        anchors.push(p.anchor);
+        (p.copies || []).forEach(cp => { if (cp && !Array.isArray(cp)) anchors.push(cp.anchor); });
+        (p.pins || []).forEach(pin => anchors.push(pin && pin.anchor));
+        if (p.uv) anchors.push(...Object.keys(p.uv).map(Number));
+        (p.landmarks || []).forEach(i => anchors.push(i));
+    });
+    const unknown = anchors.flat().filter(a => a !== undefined && !_isKnownLandmark(a));
+    if (unknown.length) {
+        console.warn(`Face decoration "${d.id}" skipped (unknown landmark: ${unknown.join(', ')})`);
+        return false;
+    }
+    return true;
+}
+
+/** LM の名前、または 0〜467 の番号 */
+function _isKnownLandmark(a) {
+    if (typeof a === 'number') return Number.isInteger(a) && a >= 0 && a < FACE_MESH_POINTS;
+    return a in LM;
+}
+
+// ======================================================================
+// 描画
+// ======================================================================
+
+/**
+ * 1 人分の装飾を描く（face-filter.js の検出結果コールバックから呼ばれる）
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} id
+ * @param {object} c - extractCoords() の結果
+ * @param {number} intensity - 0〜1（不透明度）
+ */
+function drawDecoration(ctx, id, c, intensity) {
+    const def = _faceDecoById.get(id);
+    if (!def) return;
+    ctx.save();
+    ctx.globalAlpha = Math.max(0, Math.min(1, intensity));
+    def.parts.forEach(part => _drawDecoItem(ctx, def, part, c, {}, false));
+    ctx.restore();
+}
+
+/** 基準点（ランドマーク名・番号、またはその配列の平均）の表示座標 */
+function _decoAnchorPoint(c, anchor) {
+    const names = Array.isArray(anchor) ? anchor : [anchor];
+    let x = 0, y = 0;
+    for (const name of names) {
+        const pt = typeof name === 'number' ? c.point(name) : c.points[name];
+        if (!pt) return null;
+        x += pt.x; y += pt.y;
+    }
+    return { x: x / names.length, y: y / names.length };
+}
+
+/** 基準点に移動し、傾き・単位を合わせる */
+function _placeDecoItem(ctx, def, anchor, c) {
+    const origin = _decoAnchorPoint(c, anchor || def.anchor);
+    const unit   = c[def.scaleRef || 'eyeSep'];
+    if (!origin || !(unit > 0)) return false;
+    ctx.translate(origin.x, origin.y);
+    if (def.rotate !== false) ctx.rotate(c.angle);
+    ctx.scale(unit, unit);
+    if (def.offset) ctx.translate(def.offset[0] || 0, def.offset[1] || 0);
+    return true;
+}
+
+/**
+ * 図形 1 つ（複製・反転を含む）を描く
+ * @param {boolean} nested - group の子（基準点への移動は済んでいる）
+ */
+function _drawDecoItem(ctx, def, item, c, inherited, nested) {
+    if (item.type === 'sticker' || item.type === 'mesh') {
+        ctx.save();
+        if (item.alpha !== undefined) ctx.globalAlpha *= item.alpha;
+        if (item.type === 'sticker') _drawDecoSticker(ctx, item, c);
+        else                         _drawDecoMesh(ctx, item, c);
+        ctx.restore();
+        return;
+    }
+    const copies = Array.isArray(item.copies) && item.copies.length ? item.copies : [{}];
+    for (const raw of copies) {
+        const copy = Array.isArray(raw) ? { x: raw[0], y: raw[1] } : raw;
+        ctx.save();
+        if (nested || _placeDecoItem(ctx, def, copy.anchor || item.anchor, c)) {
+            if (item.offset) ctx.translate(item.offset[0] || 0, item.offset[1] || 0);
+            ctx.translate(copy.x || 0, copy.y || 0);
+            if (copy.s) ctx.scale(copy.s, copy.s);
+            if (item.alpha !== undefined) ctx.globalAlpha *= item.alpha;
+
+            const style = {
+                fill:      copy.fill || item.fill || inherited.fill,
+                stroke:    item.stroke || inherited.stroke,
+                lineWidth: item.lineWidth !== undefined ? item.lineWidth : inherited.lineWidth,
+                dash:      item.dash || inherited.dash
+            };
+            (item.mirror ? [1, -1] : [1]).forEach(side => {
+                ctx.save();
+                if (side < 0) ctx.scale(-1, 1);
+                _drawDecoShape(ctx, def, item, c, style);
+                ctx.restore();
+            });
+        }
+        ctx.restore();
+    }
+}
+
+function _drawDecoShape(ctx, def, item, c, style) {
+    if (item.type === 'group') {
+        (item.parts || []).forEach(child => _drawDecoItem(ctx, def, child, c, style, true));
+        return;
+    }
+    if (item.type === 'image') {
+        _drawDecoImage(ctx, item);
+        return;
+    }
+    const path = _decoShapePath(item);
+    if (!path) return;
+    if (style.fill) {
+        ctx.fillStyle = _decoPaint(ctx, style.fill);
+        ctx.fill(path);
+    }
+    if (style.stroke) {
+        ctx.strokeStyle = _decoPaint(ctx, style.stroke);
+        ctx.lineWidth   = style.lineWidth !== undefined ? style.lineWidth : 0.02;
+        ctx.setLineDash(style.dash || []);
+        ctx.stroke(path);
+    }
+}
+
+/** 図形の Path2D（単位座標）。未知の type は null */
+function _decoShapePath(item) {
+    if (_decoPathCache.has(item)) return _decoPathCache.get(item);
+    let p = null;
+    const x = item.x || 0, y = item.y || 0;
+    switch (item.type) {
+        case 'circle':
+            p = new Path2D();
+            p.arc(x, y, item.r, 0, Math.PI * 2);
+            break;
+        case 'ellipse':
+            p = new Path2D();
+            p.ellipse(x, y, item.rx, item.ry, item.rotation || 0, 0, Math.PI * 2);
+            break;
+        case 'rect':
+            p = new Path2D();
+            p.rect(x, y, item.w, item.h);
+            break;
+        case 'polyline':
+            p = new Path2D();
+            (item.points || []).forEach(([px, py], i) => i === 0 ? p.moveTo(px, py) : p.lineTo(px, py));
+            if (item.closed) p.closePath();
+            break;
+        case 'path':
+            p = new Path2D(item.d || '');
+            break;
+        case 'star': {
+            const spikes = item.spikes || 5;
+            const inner  = item.r * (item.inner || 0.42);
+            p = new Path2D();
+            for (let i = 0; i < spikes * 2; i++) {
+                const a = (i * Math.PI) / spikes - Math.PI / 2;
+                const d = i % 2 === 0 ? item.r : inner;
+                i === 0 ? p.moveTo(x + Math.cos(a) * d, y + Math.sin(a) * d)
+                        : p.lineTo(x + Math.cos(a) * d, y + Math.sin(a) * d);
+            }
+            p.closePath();
+            break;
+        }
+        default:
+            console.warn('Unknown face decoration part type:', item.type);
+    }
+    _decoPathCache.set(item, p);
+    return p;
+}
+
+/** 色文字列、またはグラデーション定義（座標は単位）を fillStyle / strokeStyle にする */
+function _decoPaint(ctx, paint) {
+    if (typeof paint === 'string') return paint;
+    const k = paint.coords || [];
+    const g = paint.type === 'radial'
+        ? ctx.createRadialGradient(k[0], k[1], k[2], k[3], k[4], k[5])
+        : ctx.createLinearGradient(k[0], k[1], k[2], k[3]);
+    (paint.stops || []).forEach(([offset, color]) => g.addColorStop(offset, color));
+    return g;
+}
+
+// ======================================================================
+// 画像アセット
+// ======================================================================
+
+/** 読み込み済みの画像（未読み込みなら読み込みを始めて null） */
+function _getDecoImage(src) {
+    let img = _decoImages.get(src);
+    if (!img) {
+        img = new Image();
+        img.onerror = () => console.warn('Face decoration image failed to load:', src);
+        img.src = src;
+        _decoImages.set(src, img);
+    }
+    return (img.complete && img.naturalWidth > 0) ? img : null;
+}
+
+function _drawDecoImage(ctx, item) {
+    const img = item.src ? _getDecoImage(item.src) : null;
+    if (!img) return;
+    const w = item.w || 1;
+    const h = item.h || w * img.naturalHeight / img.naturalWidth;
+    ctx.drawImage(img, (item.x || 0) - w / 2, (item.y || 0) - h / 2, w, h);
+}
+
+// ======================================================================
+// 画像ステッカー（ピンでランドマークに合わせる）
+// ======================================================================
+
+/**
+ * 画像上のピンの位置がランドマークに重なるよう変形して描く
+ * ピン 2 つは回転・拡大のみ（縦横比を保つ）、3 つ以上は先頭 3 つでアフィン変換
+ */
+function _drawDecoSticker(ctx, item, c) {
+    const img  = item.src ? _getDecoImage(item.src) : null;
+    const pins = (item.pins || []).slice(0, 3);
+    if (!img || pins.length < 2) return;
+    const src = pins.map(pin => ({ x: pin.at[0], y: pin.at[1] }));
+    const dst = pins.map(pin => _decoAnchorPoint(c, pin.anchor));
+    if (dst.some(pt => !pt)) return;
+    if (pins.length === 2) {
+        // 2 点を結ぶ線に直交する 3 点目を足して、相似変換にする
+        src.push(_perpendicularPoint(src[0], src[1]));
+        dst.push(_perpendicularPoint(dst[0], dst[1]));
+    }
+    const m = _affineFromTriangles(src, dst);
+    if (!m) return;
+    ctx.transform(m[0], m[1], m[2], m[3], m[4], m[5]);
+    ctx.drawImage(img, 0, 0);
+}
+
+function _perpendicularPoint(p, q) {
+    return { x: p.x - (q.y - p.y), y: p.y + (q.x - p.x) };
+}
+
+/**
+ * 三角形 s を三角形 d に写すアフィン変換（ctx.transform の引数順）
+ * @returns {number[]|null} [a, b, c, d, e, f]。s が潰れていれば null
+ */
+function _affineFromTriangles(s, d) {
+    const su1 = s[1].x - s[0].x, sv1 = s[1].y - s[0].y;
+    const su2 = s[2].x - s[0].x, sv2 = s[2].y - s[0].y;
+    const den = su1 * sv2 - su2 * sv1;
+    if (Math.abs(den) < 1e-6) return null;
+    const dx1 = d[1].x - d[0].x, dy1 = d[1].y - d[0].y;
+    const dx2 = d[2].x - d[0].x, dy2 = d[2].y - d[0].y;
+    const a  = (dx1 * sv2 - dx2 * sv1) / den;
+    const b  = (dy1 * sv2 - dy2 * sv1) / den;
+    const cc = (dx2 * su1 - dx1 * su2) / den;
+    const dd = (dy2 * su1 - dy1 * su2) / den;
+    return [a, b, cc, dd, d[0].x - a * s[0].x - cc * s[0].y, d[0].y - b * s[0].x - dd * s[0].y];
+}
+
+// ======================================================================
+// メッシュ（468 点の一部に画像を三角形ごとに貼る）
+// ======================================================================
+
+function _drawDecoMesh(ctx, item, c) {
+    const img  = item.src ? _getDecoImage(item.src) : null;
+    const mesh = img ? _getDecoMesh(item, img) : null;
+    if (!mesh) return;
+    for (const tri of mesh.triangles) {
+        const s = tri.map(i => mesh.uv.get(i));
+        const d = tri.map(i => c.point(i));
+        // 横を向いて裏返った三角形（顔の向こう側）は描かない
+        if (Math.sign(_triangleArea(s)) !== Math.sign(_triangleArea(d))) continue;
+        _drawTexturedTriangle(ctx, img, s, d);
+    }
+}
+
+function _triangleArea(t) {
+    return (t[1].x - t[0].x) * (t[2].y - t[0].y) - (t[2].x - t[0].x) * (t[1].y - t[0].y);
+}
+
+/** 画像の三角形 s を表示上の三角形 d に貼る */
+function _drawTexturedTriangle(ctx, img, s, d) {
+    const m = _affineFromTriangles(s, d);
+    if (!m) return;
+    const cx = (d[0].x + d[1].x + d[2].x) / 3;
+    const cy = (d[0].y + d[1].y + d[2].y) / 3;
+    ctx.save();
+    ctx.beginPath();
+    d.forEach((p, i) => {
+        const dx = p.x - cx, dy = p.y - cy;
+        const k  = 1 + MESH_SEAM_PX / (Math.hypot(dx, dy) || 1);
+        i === 0 ? ctx.moveTo(cx + dx * k, cy + dy * k) : ctx.lineTo(cx + dx * k, cy + dy * k);
+    });
+    ctx.closePath();
+    ctx.clip();
+    ctx.transform(m[0], m[1], m[2], m[3], m[4], m[5]);
+    ctx.drawImage(img, 0, 0);
+    ctx.restore();
+}
+
+/**
+ * uv（画像上の座標）と三角形の組を作る（図形ごとに 1 度だけ）
+ * uvSource の読み込み中は null
+ */
+function _getDecoMesh(item, img) {
+    if (_decoMeshCache.has(item)) return _decoMeshCache.get(item);
+
+    let uvTable = item.uv, scaleX = 1, scaleY = 1;
+    if (!uvTable && item.uvSource) {
+        const source = _getDecoUvSource(item.uvSource);
+        if (!source) return null;
+        uvTable = source.uv || {};
+        // テンプレートと違う解像度で書き出した画像にも合わせる
+        if (source.width)  scaleX = img.naturalWidth  / source.width;
+        if (source.height) scaleY = img.naturalHeight / source.height;
+    }
+    const ids = (item.landmarks || Object.keys(uvTable || {}).map(Number))
+        .filter(i => uvTable && uvTable[i] && _isKnownLandmark(i));
+    const uv = new Map(ids.map(i => [i, { x: uvTable[i][0] * scaleX, y: uvTable[i][1] * scaleY }]));
+
+    const triangles = Array.isArray(item.triangles)
+        ? item.triangles.filter(t => t.length === 3 && t.every(i => uv.has(i)))
+        : _delaunay(ids.map(i => uv.get(i))).map(t => t.map(k => ids[k]));
+    const mesh = triangles.length ? { uv, triangles } : null;
+    if (!mesh) console.warn('Face decoration mesh has no triangles:', item.src);
+    _decoMeshCache.set(item, mesh);
+    return mesh;
+}
+
+/** exportFaceMeshTemplate() 形式の JSON（未読み込みなら読み込みを始めて null） */
+function _getDecoUvSource(url) {
+    let entry = _decoUvSources.get(url);
+    if (!entry) {
+        entry = { data: null };
+        _decoUvSources.set(url, entry);
+        fetch(url)
+            .then(resp => {
+                if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+                return resp.json();
+            })
+            .then(data => { entry.data = data; })
+            .catch(err => console.warn('Face mesh uvSource failed to load:', url, err));
+    }
+    return entry.data;
+}
+
+/**
+ * ドロネー三角形分割（Bowyer–Watson。点は数十〜468 個なので単純な O(n²) で足りる）
+ * @param {Array<{x:number, y:number}>} pts
+ * @returns {Array<number[]>} pts の添字 3 つ組
+ */
+function _delaunay(pts) {
+    if (pts.length < 3) return [];
+    const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+    const minX = Math.min(...xs), minY = Math.min(...ys);
+    const size = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+    const midX = minX + size / 2, midY = minY + size / 2;
+    // 全点を囲む大きな三角形から始める
+    const verts = pts.concat([
+        { x: midX - 20 * size, y: midY - size },
+        { x: midX,             y: midY + 20 * size },
+        { x: midX + 20 * size, y: midY - size }
+    ]);
+    const n = pts.length;
+    let tris = [_circumTriangle(verts, n, n + 1, n + 2)];
+
+    for (let i = 0; i < n; i++) {
+        const p = verts[i];
+        const bad = tris.filter(t => (p.x - t.cx) ** 2 + (p.y - t.cy) ** 2 < t.r2);
+        // 取り除く三角形の外周（2 つの三角形で共有されていない辺）に新しい点をつなぐ
+        const edges = new Map();
+        bad.forEach(t => [[t.a, t.b], [t.b, t.c], [t.c, t.a]].forEach(([u, v]) => {
+            const key = u < v ? u + ',' + v : v + ',' + u;
+            edges.set(key, edges.has(key) ? null : [u, v]);
+        }));
+        tris = tris.filter(t => !bad.includes(t));
+        edges.forEach(e => { if (e) tris.push(_circumTriangle(verts, e[0], e[1], i)); });
+    }
+    return tris.filter(t => t.a < n && t.b < n && t.c < n).map(t => [t.a, t.b, t.c]);
+}
+
+function _circumTriangle(verts, a, b, c) {
+    const A = verts[a], B = verts[b], C = verts[c];
+    const d = 2 * (A.x * (B.y - C.y) + B.x * (C.y - A.y) + C.x * (A.y - B.y)) || 1e-12;
+    const a2 = A.x * A.x + A.y * A.y, b2 = B.x * B.x + B.y * B.y, c2 = C.x * C.x + C.y * C.y;
+    const cx = (a2 * (B.y - C.y) + b2 * (C.y - A.y) + c2 * (A.y - B.y)) / d;
+    const cy = (a2 * (C.x - B.x) + b2 * (A.x - C.x) + c2 * (B.x - A.x)) / d;
+    return { a, b, c, cx, cy, r2: (A.x - cx) ** 2 + (A.y - cy) ** 2 };
+}
+
+// ======================================================================
+// メッシュ用テンプレートの書き出し（デザイナー向け）
+// ======================================================================
+
+/**
+ * カメラに写っている顔の写真（468 点の印入り）と、各点の画像上の座標（JSON）を
+ * ダウンロードする。デザイナーは写真の上にお面・フェイスペイントを描いて同じサイズの
+ * 透過 PNG で書き出し、face-decorations.json の mesh に src と uvSource を書けばよい
+ */
+async function exportFaceMeshTemplate() {
+    if (typeof setFaceLoopConsumer !== 'function' || !cameraVideo || !cameraVideo.videoWidth) {
+        alert('カメラ映像が準備できていません。もう一度お試しください。');
+        return;
+    }
+    const since = performance.now();
+    setFaceLoopConsumer('meshTemplate', true);
+    const face = await _waitForFaceLandmarks(since);
+    setFaceLoopConsumer('meshTemplate', false);
+    const disp = getObjectFitCoverOffset();
+    if (!face || !disp) {
+        alert('顔が見つかりませんでした。カメラに正面を向いてからもう一度お試しください。');
+        return;
+    }
+
+    // 表示座標 → 映像のピクセル座標（反転前の映像そのまま）
+    const pts = face.map(p => ({ x: (p.x + disp.offsetX) / disp.scale, y: (p.y + disp.offsetY) / disp.scale }));
+    const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+    const margin = (Math.max(...xs) - Math.min(...xs)) * FACE_TEMPLATE_MARGIN;
+    const left   = Math.max(0, Math.floor(Math.min(...xs) - margin));
+    const top    = Math.max(0, Math.floor(Math.min(...ys) - margin));
+    const width  = Math.min(disp.vw, Math.ceil(Math.max(...xs) + margin)) - left;
+    const height = Math.min(disp.vh, Math.ceil(Math.max(...ys) + margin)) - top;
+
+    const canvas = document.createElement('canvas');
+    canvas.width  = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(cameraVideo, left, top, width, height, 0, 0, width, height);
+    ctx.fillStyle = 'rgba(0, 255, 255, 0.8)';
+    const dot = Math.max(1.5, width / 400);
+    const uv = {};
+    pts.forEach((p, i) => {
+        const x = Math.round((p.x - left) * 10) / 10;
+        const y = Math.round((p.y - top) * 10) / 10;
+        uv[i] = [x, y];
+        ctx.beginPath(); ctx.arc(x, y, dot, 0, Math.PI * 2); ctx.fill();
+    });
+
+    const json = JSON.stringify({
+        _comment: 'face-mesh-template.png の上に描いた画像用の uv（468 点の番号 → 画像上のピクセル座標）。face-decorations.json の mesh の uvSource に指定します。',
+        width, height, uv
+    });
+    const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    _downloadBlob(png, 'face-mesh-template.png');
+    _downloadBlob(new Blob([json], { type: 'application/json' }), 'face-mesh-template.json');
+}
+
+/** since 以降の検出結果から最初の顔のランドマーク（表示座標）を待つ */
+function _waitForFaceLandmarks(since) {
+    return new Promise(resolve => {
+        const started = performance.now();
+        const check = () => {
+            if (lastFaceLandmarksAt > since && lastFaceLandmarks.length) {
+                resolve(lastFaceLandmarks[0].slice(0, FACE_MESH_POINTS));
+            } else if (performance.now() - started > FACE_TEMPLATE_TIMEOUT_MS) {
+                resolve(null);
+            } else {
+                setTimeout(check, 100);
+            }
+        };
+        check();
+    });
+}
+
+function _downloadBlob(blob, filename) {
+    if (!blob) return;
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href     = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    setTimeout(() => { document.body.removeChild(link); URL.revokeObjectURL(url); }, 500);
+}
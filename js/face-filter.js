@@ -5,13 +5,8 @@
  * MediaPipe Face Mesh の 468 点ランドマークを使用して
  * 顔の各パーツを高精度に追跡・描画する。
  *
- * 残デコレーション一覧（15種）
- *   👓 目元    : glasses / heart_eyes / star_eyes / round_glasses /
- *                eyepatch / nerd_glasses
- *   👃 鼻元    : pig_nose / clown_nose
- *   👄 口元    : mustache / lips_red
- *   ✨ アクセ  : monocle / flower_crown / star_stickers /
- *                butterfly_mask / diamond_tiara
+ * 装飾の種類・形は assets/config/face-decorations.json で定義し、
+ * face-decorations.js の汎用レンダラーが描く（LM の名前を基準点に使う）。
  *
  * 主要ランドマークインデックス (468点中):
  *   右目中心: 159   左目中心: 386
@@ -24,51 +19,6 @@
  * ======================================================================
  */
 
-// ======================================================================
-// カテゴリー定義
-// ======================================================================
-
-const FACE_DECORATION_CATEGORIES = [
-    { id: 'none_cat',   name: 'なし',         icon: '🚫', nameKey: 'cat_none'      },
-    { id: 'eyes',       name: '目元',          icon: '👓', nameKey: 'cat_eyes'      },
-    { id: 'nose',       name: '鼻元',          icon: '👃', nameKey: 'cat_nose'      },
-    { id: 'mouth',      name: '口元',          icon: '👄', nameKey: 'cat_mouth'     },
-    { id: 'accessory',  name: 'アクセサリー',  icon: '✨', nameKey: 'cat_accessory' }
-];
-
-// ======================================================================
-// デコレーション一覧（17種 + none）
-// ======================================================================
-
-const FACE_DECORATIONS = [
-    { id: 'none',           name: 'なし',           icon: '🚫', category: 'none_cat' },
-
-    // ── 目元（5種）
-    { id: 'glasses',        name: 'サングラス',      icon: '😎', category: 'eyes' },
-    { id: 'heart_eyes',     name: 'ハートアイ',      icon: '😍', category: 'eyes' },
-    { id: 'star_eyes',      name: 'スターアイ',      icon: '🌟', category: 'eyes' },
-    { id: 'round_glasses',  name: '丸眼鏡',          icon: '🔵', category: 'eyes' },
-    { id: 'nerd_glasses',   name: 'ナード眼鏡',      icon: '🤓', category: 'eyes' },
-
-    // ── 鼻元（2種）
-    { id: 'pig_nose',       name: '豚鼻',            icon: '🐽', category: 'nose' },
-    { id: 'clown_nose',     name: 'ピエロ鼻',        icon: '🔴', category: 'nose' },
-
-    // ── 口元（5種）
-    { id: 'lips_red',       name: '赤リップ',        icon: '💋', category: 'mouth' },
-    { id: 'duck_lips',      name: 'ダックマウス',    icon: '🦆', category: 'mouth' },
-    { id: 'vampire_fangs',  name: 'ヴァンパイアファング', icon: '🧛', category: 'mouth' },
-    { id: 'plump_lips',     name: 'ぷっくりリップ',  icon: '👄', category: 'mouth' },
-    { id: 'ice_lips',       name: 'フロストリップ',  icon: '🧊', category: 'mouth' },
-
-    // ── アクセサリー（5種）
-    { id: 'monocle',        name: '片眼鏡',          icon: '🧐', category: 'accessory' },
-    { id: 'flower_crown',   name: '花冠',            icon: '🌺', category: 'accessory' },
-    { id: 'star_stickers',  name: 'スター装飾',      icon: '✨', category: 'accessory' },
-    { id: 'butterfly_mask', name: 'バタフライマスク', icon: '🦋', category: 'accessory' },
-    { id: 'diamond_tiara',  name: 'ダイヤティアラ',  icon: '💎', category: 'accessory' }
-];
-
 // ======================================================================
 // 状態変数
 // ======================================================================
@@ -84,6 +34,14 @@ let faceAnimFrame           = null;
 let faceFilterActive        = false;
 let faceLoopGen             = 0;
 
+/**
+ * 装飾以外で Face Mesh の結果を使うモジュール（例: 'autoShutter'）
+ * 1 つでも登録されていれば、装飾が未選択でも検出ループを回す
+ */
+const faceLoopConsumers     = new Set();
+/** 毎フレームの追跡結果を受け取るコールバック fn(trackedFaces) */
+const faceResultListeners   = [];
+
 // ======================================================================
 // スムージング（複数人対応）
 // ======================================================================
@@ -95,6 +53,10 @@ const FACE_TIMEOUT_FRAMES = 8;
 let trackedFaces = [];
 let _nextFaceId  = 0;
 
+/** 直近フレームの全顔ランドマーク（表示座標・スムージングなし）と取得時刻 */
+let lastFaceLandmarks   = [];
+let lastFaceLandmarksAt = 0;
+
 function resetTrackedFaces() { trackedFaces = []; }
 
 function smoothLandmark(state, idx, rawX, rawY) {
@@ -166,48 +128,57 @@ const LM = {
 };
 
 function extractCoords(landmarks, state, W, H) {
-    const p = (idx) => {
-        const raw = landmarks[idx];
-        const sm = smoothLandmark(state, idx, raw.x, raw.y);
-        return sm;
+    // スムージングは 1 フレーム 1 点 1 回だけ（同じ点を 2 度通すと効きが変わる）
+    // LM 以外の点（メッシュ装飾）は point(idx) で使うときに計算する
+    const smoothed = new Map();
+    const point = (idx) => {
+        let pt = smoothed.get(idx);
+        if (!pt) {
+            const raw = landmarks[idx];
+            pt = smoothLandmark(state, idx, raw.x, raw.y);
+            smoothed.set(idx, pt);
+        }
+        return pt;
     };
-
-    const rEye    = p(LM.RIGHT_EYE_CENTER);
-    const lEye    = p(LM.LEFT_EYE_CENTER);
-    const rEyeIn  = p(LM.RIGHT_EYE_INNER);
-    const rEyeOut = p(LM.RIGHT_EYE_OUTER);
-    const lEyeIn  = p(LM.LEFT_EYE_INNER);
-    const lEyeOut = p(LM.LEFT_EYE_OUTER);
-    const rEyeT   = p(LM.RIGHT_EYE_TOP);
-    const rEyeB   = p(LM.RIGHT_EYE_BOTTOM);
-    const lEyeT   = p(LM.LEFT_EYE_TOP);
-    const lEyeB   = p(LM.LEFT_EYE_BOTTOM);
-
-    const rBrowO  = p(LM.RIGHT_BROW_OUTER);
-    const lBrowO  = p(LM.LEFT_BROW_OUTER);
-
-    const noseTip = p(LM.NOSE_TIP);
-    const noseBr  = p(LM.NOSE_BRIDGE);
-    const noseR   = p(LM.NOSE_RIGHT);
-    const noseL   = p(LM.NOSE_LEFT);
-
-    const mouthU  = p(LM.UPPER_LIP);
-    const mouthD  = p(LM.LOWER_LIP);
-    const mouthL  = p(LM.MOUTH_LEFT);
-    const mouthR  = p(LM.MOUTH_RIGHT);
-    const lipTop     = p(LM.UPPER_LIP_TOP);
-    const lipBottom  = p(LM.LOWER_LIP_BOTTOM);
-    const noseBottom = p(LM.NOSE_BOTTOM);
-
-    const forehead = p(LM.FOREHEAD);
-    const chin     = p(LM.CHIN);
-    const rCheek   = p(LM.RIGHT_CHEEK);
-    const lCheek   = p(LM.LEFT_CHEEK);
-    const rTemple  = p(LM.RIGHT_TEMPLE);
-    const lTemple  = p(LM.LEFT_TEMPLE);
-
-    const rBrowIn = p(LM.RIGHT_BROW_INNER);
-    const lBrowIn = p(LM.LEFT_BROW_INNER);
+    const points = {};
+    Object.keys(LM).forEach(name => { points[name] = point(LM[name]); });
+
+    const rEye    = points.RIGHT_EYE_CENTER;
+    const lEye    = points.LEFT_EYE_CENTER;
+    const rEyeIn  = points.RIGHT_EYE_INNER;
+    const rEyeOut = points.RIGHT_EYE_OUTER;
+    const lEyeIn  = points.LEFT_EYE_INNER;
+    const lEyeOut = points.LEFT_EYE_OUTER;
+    const rEyeT   = points.RIGHT_EYE_TOP;
+    const rEyeB   = points.RIGHT_EYE_BOTTOM;
+    const lEyeT   = points.LEFT_EYE_TOP;
+    const lEyeB   = points.LEFT_EYE_BOTTOM;
+
+    const rBrowO  = points.RIGHT_BROW_OUTER;
+    const lBrowO  = points.LEFT_BROW_OUTER;
+
+    const noseTip = points.NOSE_TIP;
+    const noseBr  = points.NOSE_BRIDGE;
+    const noseR   = points.NOSE_RIGHT;
+    const noseL   = points.NOSE_LEFT;
+
+    const mouthU  = points.UPPER_LIP;
+    const mouthD  = points.LOWER_LIP;
+    const mouthL  = points.MOUTH_LEFT;
+    const mouthR  = points.MOUTH_RIGHT;
+    const lipTop     = points.UPPER_LIP_TOP;
+    const lipBottom  = points.LOWER_LIP_BOTTOM;
+    const noseBottom = points.NOSE_BOTTOM;
+
+    const forehead = points.FOREHEAD;
+    const chin     = points.CHIN;
+    const rCheek   = points.RIGHT_CHEEK;
+    const lCheek   = points.LEFT_CHEEK;
+    const rTemple  = points.RIGHT_TEMPLE;
+    const lTemple  = points.LEFT_TEMPLE;
+
+    const rBrowIn = points.RIGHT_BROW_INNER;
+    const lBrowIn = points.LEFT_BROW_INNER;
 
     const eyeMidX = (rEye.x + lEye.x) / 2;
     const eyeMidY = (rEye.y + lEye.y) / 2;
@@ -242,10 +213,28 @@ function extractCoords(landmarks, state, W, H) {
         forehead, chin, rCheek, lCheek, rTemple, lTemple,
         eyeMidX, eyeMidY, eyeSep,
         faceW, faceH, angle,
+        points, point,
         W, H
     };
 }
 
+/**
+ * 目の開き具合（Eye Aspect Ratio: 目の高さ / 目の幅）を左右平均で返す
+ * 開いた目でおよそ 0.25〜0.35、閉じた目で 0.1 未満
+ *
+ * @param {Array<{x:number,y:number}>} landmarks - 468 点ランドマーク
+ * @returns {number}
+ */
+function getEyeOpenness(landmarks) {
+    const d = (a, b) => Math.hypot(landmarks[a].x - landmarks[b].x, landmarks[a].y - landmarks[b].y);
+    const rW = d(LM.RIGHT_EYE_INNER, LM.RIGHT_EYE_OUTER);
+    const lW = d(LM.LEFT_EYE_INNER,  LM.LEFT_EYE_OUTER);
+    if (!rW || !lW) return 0;
+    const rRatio = d(LM.RIGHT_EYE_TOP, LM.RIGHT_EYE_BOTTOM) / rW;
+    const lRatio = d(LM.LEFT_EYE_TOP,  LM.LEFT_EYE_BOTTOM)  / lW;
+    return (rRatio + lRatio) / 2;
+}
+
 // ======================================================================
 // Face Mesh 検出ループ
 // ======================================================================
@@ -262,6 +251,35 @@ function startFaceLoop(gen) {
     });
 }
 
+/** 検出ループが必要か（装飾選択中 or 利用モジュールあり） */
+function isFaceLoopNeeded() {
+    return selectedDecorations.size > 0 || faceLoopConsumers.size > 0;
+}
+
+/**
+ * 装飾以外の利用モジュールを登録/解除し、必要に応じてループを起動/停止
+ * @param {string}  name
+ * @param {boolean} active
+ */
+function setFaceLoopConsumer(name, active) {
+    if (active) faceLoopConsumers.add(name);
+    else        faceLoopConsumers.delete(name);
+
+    if (!isFaceLoopNeeded()) { stopFaceLoop(); return; }
+    if (!faceFilterActive) restartActiveFaceLoop();
+}
+
+/** 追跡結果のリスナーを登録（auto-shutter.js など） */
+function addFaceResultListener(fn) {
+    if (typeof fn === 'function') faceResultListeners.push(fn);
+}
+
+function _notifyFaceResultListeners() {
+    faceResultListeners.forEach(fn => {
+        try { fn(trackedFaces); } catch (e) { console.warn('Face result listener error:', e); }
+    });
+}
+
 function stopFaceLoop() {
     faceLoopGen++;
     faceFilterActive = false;
@@ -291,7 +309,9 @@ function getObjectFitCoverOffset() {
     if (!cw || !ch) return null;
     const vw = cameraVideo.videoWidth;
     const vh = cameraVideo.videoHeight;
-    const scale = Math.max(cw / vw, ch / vh);
+    // デジタルズーム中はプレビュー映像が中央基準で拡大されている（camera.js）
+    const zoom  = (typeof digitalZoom !== 'undefined') ? digitalZoom : 1;
+    const scale = Math.max(cw / vw, ch / vh) * zoom;
     return { scale, offsetX: (vw * scale - cw) / 2, offsetY: (vh * scale - ch) / 2, vw, vh, cw, ch };
 }
 
@@ -304,9 +324,11 @@ function onFaceMeshResults(results) {
     faceCtx.clearRect(0, 0, faceCanvas.width, faceCanvas.height);
     if (!results.multiFaceLandmarks || results.multiFaceLandmarks.length === 0) {
         resetTrackedFaces();
+        lastFaceLandmarks   = [];
+        lastFaceLandmarksAt = performance.now();
+        _notifyFaceResultListeners();
         return;
     }
-    if (selectedDecorations.size === 0) return;
 
     const W = faceCanvas.width;
     const H = faceCanvas.height;
@@ -324,6 +346,9 @@ function onFaceMeshResults(results) {
         }))
     );
 
+    lastFaceLandmarks   = allFaces;
+    lastFaceLandmarksAt = performance.now();
+
     const matched = matchAndTrack(allFaces);
 
     const faceCount  = allFaces.length;
@@ -334,7 +359,10 @@ function onFaceMeshResults(results) {
         const landmarks = allFaces[fi];
         if (!landmarks || landmarks.length < 468) continue;
 
+        // スムージング状態を進めるので 1 フレーム 1 回だけ計算し、リスナー用に保持
         const coords = extractCoords(landmarks, tf.s, W, H);
+        tf.coords = coords;
+        if (selectedDecorations.size === 0) continue;
 
         faceCtx.save();
         if (isFlipped) { faceCtx.translate(W, 0); faceCtx.scale(-1, 1); }
@@ -346,6 +374,8 @@ function onFaceMeshResults(results) {
 
         faceCtx.restore();
     }
+
+    _notifyFaceResultListeners();
 }
 
 // ======================================================================
@@ -357,439 +387,22 @@ function drawFaceFilterOnCanvas(ctx, w, h) {
     ctx.drawImage(faceCanvas, 0, 0, w, h);
 }
 
-// ======================================================================
-// ヘルパー描画関数
-// ======================================================================
-
-function drawStar(ctx, x, y, r, color) {
-    const spikes = 5, outer = r, inner = r * 0.42;
-    ctx.beginPath();
-    for (let i = 0; i < spikes * 2; i++) {
-        const a = (i * Math.PI) / spikes - Math.PI / 2;
-        const d = i % 2 === 0 ? outer : inner;
-        i === 0 ? ctx.moveTo(x + Math.cos(a) * d, y + Math.sin(a) * d)
-                : ctx.lineTo(x + Math.cos(a) * d, y + Math.sin(a) * d);
-    }
-    ctx.closePath();
-    ctx.fillStyle = color;
-    ctx.fill();
-}
-
-// ======================================================================
-// デコレーション描画ルーター（468点座標対応版）
-// ======================================================================
-
-function drawDecoration(ctx, id, c, intensity) {
-    ctx.globalAlpha = Math.max(0, Math.min(1, intensity));
-
-    const {
-        rEye, lEye, rEyeIn, rEyeOut, lEyeIn, lEyeOut,
-        rEyeW, lEyeW,
-        rBrowO, lBrowO, rBrowIn, lBrowIn,
-        noseTip, noseR, noseL, noseW, noseBottom,
-        mouthU, mouthD, mouthL, mouthR, mouthW, mouthMidX, mouthMidY, mouthH,
-        lipTop, lipBottom, philtrumY,
-        forehead, chin, rCheek, lCheek, rTemple, lTemple,
-        eyeMidX, eyeMidY, eyeSep,
-        faceW, faceH, angle
-    } = c;
-
-    switch (id) {
-
-        // ── 目元 ──────────────────────────────────────────────────
-
-        case 'glasses': {
-            const gR = eyeSep * 0.30;
-            ctx.save();
-            ctx.translate(eyeMidX, eyeMidY);
-            ctx.rotate(angle);
-            const halfSep = eyeSep / 2;
-            ctx.strokeStyle = '#1A1A1A'; ctx.lineWidth = faceW * 0.025;
-            ctx.fillStyle = 'rgba(20,20,20,0.52)';
-            [-halfSep, halfSep].forEach(ox => {
-                ctx.beginPath(); ctx.arc(ox, 0, gR, 0, Math.PI * 2);
-                ctx.fill(); ctx.stroke();
-            });
-            ctx.beginPath(); ctx.moveTo(-halfSep + gR, 0); ctx.lineTo(halfSep - gR, 0); ctx.stroke();
-            ctx.beginPath(); ctx.moveTo(-halfSep - gR, 0); ctx.lineTo(-eyeSep * 0.72, faceW * 0.02); ctx.stroke();
-            ctx.beginPath(); ctx.moveTo(halfSep + gR, 0); ctx.lineTo(eyeSep * 0.72, faceW * 0.02); ctx.stroke();
-            ctx.fillStyle = 'rgba(255,255,255,0.18)';
-            [-halfSep, halfSep].forEach(ox => {
-                ctx.beginPath(); ctx.ellipse(ox - gR * 0.3, -gR * 0.3, gR * 0.24, gR * 0.16, -0.5, 0, Math.PI * 2); ctx.fill();
-            });
-            ctx.restore();
-            break;
-        }
-
-        case 'heart_eyes': {
-            const hR = eyeSep * 0.26;
-            [[rEye.x, rEye.y], [lEye.x, lEye.y]].forEach(([ex, ey]) => {
-                ctx.fillStyle = '#FF1744';
-                ctx.beginPath();
-                ctx.moveTo(ex, ey + hR * 0.5);
-                ctx.bezierCurveTo(ex - hR, ey - hR * 0.6, ex - hR * 1.4, ey + hR * 0.3, ex, ey + hR * 1.4);
-                ctx.bezierCurveTo(ex + hR * 1.4, ey + hR * 0.3, ex + hR, ey - hR * 0.6, ex, ey + hR * 0.5);
-                ctx.closePath(); ctx.fill();
-                ctx.fillStyle = 'rgba(255,255,255,0.28)';
-                ctx.beginPath(); ctx.ellipse(ex - hR * 0.32, ey + hR * 0.22, hR * 0.22, hR * 0.15, -0.4, 0, Math.PI * 2); ctx.fill();
-            });
-            break;
-        }
-
-        case 'star_eyes': {
-            const sR = eyeSep * 0.22;
-            [[rEye.x, rEye.y], [lEye.x, lEye.y]].forEach(([ex, ey]) => {
-                drawStar(ctx, ex, ey, sR, '#FFD700');
-                ctx.strokeStyle = '#FF8800'; ctx.lineWidth = faceW * 0.01; ctx.stroke();
-                ctx.fillStyle = 'rgba(255,255,255,0.3)';
-                ctx.beginPath(); ctx.arc(ex - sR * 0.28, ey - sR * 0.28, sR * 0.18, 0, Math.PI * 2); ctx.fill();
-            });
-            break;
-        }
-
-        case 'round_glasses': {
-            const rgR = eyeSep * 0.28;
-            ctx.save();
-            ctx.translate(eyeMidX, eyeMidY);
-            ctx.rotate(angle);
-            const hs = eyeSep / 2;
-            ctx.strokeStyle = '#A06820'; ctx.lineWidth = faceW * 0.02;
-            ctx.fillStyle = 'rgba(160, 230, 255, 0.22)';
-            [-hs, hs].forEach(ox => {
-                ctx.beginPath(); ctx.arc(ox, 0, rgR, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
-            });
-            ctx.beginPath(); ctx.moveTo(-hs + rgR, 0); ctx.lineTo(hs - rgR, 0); ctx.stroke();
-            ctx.beginPath(); ctx.moveTo(-hs - rgR, 0); ctx.lineTo(-eyeSep * 0.70, faceW * 0.02); ctx.stroke();
-            ctx.beginPath(); ctx.moveTo(hs + rgR, 0); ctx.lineTo(eyeSep * 0.70, faceW * 0.02); ctx.stroke();
-            ctx.fillStyle = 'rgba(255,255,255,0.22)';
-            [-hs, hs].forEach(ox => {
-                ctx.beginPath(); ctx.ellipse(ox - rgR * 0.28, -rgR * 0.28, rgR * 0.22, rgR * 0.14, -0.5, 0, Math.PI * 2); ctx.fill();
-            });
-            ctx.restore();
-            break;
-        }
-
-        case 'nerd_glasses': {
-            const ngR = eyeSep * 0.28;
-            ctx.save();
-            ctx.translate(eyeMidX, eyeMidY);
-            ctx.rotate(angle);
-            const hs2 = eyeSep / 2;
-            ctx.strokeStyle = '#2244AA'; ctx.lineWidth = faceW * 0.022;
-            ctx.fillStyle = 'rgba(200,230,255,0.22)';
-            [-hs2, hs2].forEach(ox => {
-                ctx.beginPath(); ctx.rect(ox - ngR, -ngR * 0.7, ngR * 2, ngR * 1.4); ctx.fill(); ctx.stroke();
-                ctx.fillStyle = 'rgba(255,255,255,0.18)';
-                ctx.beginPath(); ctx.ellipse(ox - ngR * 0.3, -ngR * 0.2, ngR * 0.22, ngR * 0.14, -0.4, 0, Math.PI * 2); ctx.fill();
-                ctx.fillStyle = 'rgba(200,230,255,0.22)';
-            });
-            ctx.beginPath(); ctx.moveTo(-hs2 + ngR, 0); ctx.lineTo(hs2 - ngR, 0); ctx.stroke();
-            ctx.beginPath(); ctx.moveTo(-hs2 - ngR, 0); ctx.lineTo(-eyeSep * 0.70, faceW * 0.02); ctx.stroke();
-            ctx.beginPath(); ctx.moveTo(hs2 + ngR, 0); ctx.lineTo(eyeSep * 0.70, faceW * 0.02); ctx.stroke();
-            ctx.restore();
-            break;
-        }
-
-        // ── 鼻元 ──────────────────────────────────────────────────
-
-        case 'pig_nose': {
-            const pnRx = noseW * 0.70;
-            const pnRy = pnRx * 0.65;
-            const pnX = noseTip.x;
-            const pnY = (noseTip.y + noseBottom.y) / 2;
-            ctx.fillStyle = '#FF8DA0';
-            ctx.beginPath(); ctx.ellipse(pnX, pnY, pnRx, pnRy, 0, 0, Math.PI * 2); ctx.fill();
-            ctx.strokeStyle = '#FF6070'; ctx.lineWidth = faceW * 0.014; ctx.stroke();
-            ctx.fillStyle = 'rgba(120,40,60,0.72)';
-            const nh = noseW * 0.22;
-            [[-pnRx * 0.36, 0], [pnRx * 0.36, 0]].forEach(([ox, oy]) => {
-                ctx.beginPath(); ctx.ellipse(pnX + ox, pnY + oy, nh, nh * 0.82, 0, 0, Math.PI * 2); ctx.fill();
-            });
-            ctx.fillStyle = 'rgba(255,255,255,0.28)';
-            ctx.beginPath(); ctx.ellipse(pnX - pnRx * 0.3, pnY - pnRy * 0.35, pnRx * 0.2, pnRy * 0.16, -0.4, 0, Math.PI * 2); ctx.fill();
-            break;
-        }
-
-        case 'clown_nose': {
-            const cnR = noseW * 0.55;
-            const grad = ctx.createRadialGradient(noseTip.x - cnR * 0.3, noseTip.y - cnR * 0.3, 0, noseTip.x, noseTip.y, cnR);
-            grad.addColorStop(0, '#FF3030'); grad.addColorStop(1, '#CC0000');
-            ctx.fillStyle = grad;
-            ctx.beginPath(); ctx.arc(noseTip.x, noseTip.y, cnR, 0, Math.PI * 2); ctx.fill();
-            ctx.fillStyle = 'rgba(255,255,255,0.32)';
-            ctx.beginPath(); ctx.ellipse(noseTip.x - cnR * 0.3, noseTip.y - cnR * 0.3, cnR * 0.28, cnR * 0.18, -0.5, 0, Math.PI * 2); ctx.fill();
-            break;
-        }
-
-        // ── 口元 ──────────────────────────────────────────────────
-
-        case 'lips_red': {
-            const lpW = mouthW * 0.53;
-            const lpH = Math.max(mouthH * 0.50, faceH * 0.03);
-            const lpX = mouthMidX;
-            const lpUpperY = mouthU.y;
-            const lpLowerY = mouthD.y;
-            const lpMidY = (lpUpperY + lpLowerY) / 2;
-            ctx.fillStyle = '#C00020';
-            ctx.beginPath();
-            ctx.moveTo(lpX - lpW, lpMidY);
-            ctx.bezierCurveTo(lpX - lpW * 0.55, lpUpperY - lpH * 0.9, lpX - lpW * 0.18, lpUpperY - lpH * 1.2, lpX, lpUpperY - lpH * 0.3);
-            ctx.bezierCurveTo(lpX + lpW * 0.18, lpUpperY - lpH * 1.2, lpX + lpW * 0.55, lpUpperY - lpH * 0.9, lpX + lpW, lpMidY);
-            ctx.bezierCurveTo(lpX + lpW * 0.40, lpMidY + lpH * 0.1, lpX - lpW * 0.40, lpMidY + lpH * 0.1, lpX - lpW, lpMidY);
-            ctx.closePath(); ctx.fill();
-            ctx.fillStyle = '#E0003A';
-            ctx.beginPath();
-            ctx.moveTo(lpX - lpW, lpMidY);
-            ctx.bezierCurveTo(lpX - lpW * 0.45, lpLowerY + lpH * 0.6, lpX + lpW * 0.45, lpLowerY + lpH * 0.6, lpX + lpW, lpMidY);
-            ctx.bezierCurveTo(lpX + lpW * 0.40, lpMidY + lpH * 0.15, lpX - lpW * 0.40, lpMidY + lpH * 0.15, lpX - lpW, lpMidY);
-            ctx.closePath(); ctx.fill();
-            ctx.fillStyle = 'rgba(255,180,180,0.25)';
-            ctx.beginPath(); ctx.ellipse(lpX - lpW * 0.25, lpUpperY - lpH * 0.1, lpW * 0.15, lpH * 0.3, -0.2, 0, Math.PI * 2); ctx.fill();
-            break;
-        }
-
-        case 'duck_lips': {
-            const dkW = mouthW * 0.58;
-            const dkX = mouthMidX;
-            const dkUpperY = mouthU.y;
-            const dkLowerY = mouthD.y;
-            const dkMidY = (dkUpperY + dkLowerY) / 2;
-            const dkH = Math.max(mouthH * 0.55, faceH * 0.035);
-            ctx.fillStyle = '#FF7EB3';
-            ctx.beginPath();
-            ctx.moveTo(dkX - dkW, dkMidY);
-            ctx.bezierCurveTo(dkX - dkW * 0.5, dkUpperY - dkH * 1.6, dkX + dkW * 0.5, dkUpperY - dkH * 1.6, dkX + dkW, dkMidY);
-            ctx.bezierCurveTo(dkX + dkW * 0.3, dkMidY - dkH * 0.1, dkX - dkW * 0.3, dkMidY - dkH * 0.1, dkX - dkW, dkMidY);
-            ctx.closePath(); ctx.fill();
-            ctx.fillStyle = '#FF69A0';
-            ctx.beginPath();
-            ctx.moveTo(dkX - dkW, dkMidY);
-            ctx.bezierCurveTo(dkX - dkW * 0.5, dkLowerY + dkH * 1.8, dkX + dkW * 0.5, dkLowerY + dkH * 1.8, dkX + dkW, dkMidY);
-            ctx.bezierCurveTo(dkX + dkW * 0.3, dkMidY + dkH * 0.1, dkX - dkW * 0.3, dkMidY + dkH * 0.1, dkX - dkW, dkMidY);
-            ctx.closePath(); ctx.fill();
-            ctx.fillStyle = 'rgba(255,255,255,0.30)';
-            ctx.beginPath(); ctx.ellipse(dkX, dkUpperY - dkH * 0.5, dkW * 0.2, dkH * 0.25, 0, 0, Math.PI * 2); ctx.fill();
-            break;
-        }
-
-        case 'vampire_fangs': {
-            const vfW = mouthW * 0.50;
-            const vfX = mouthMidX;
-            const vfY = mouthD.y;
-            const fangH = faceH * 0.055;
-            const fangW = faceW * 0.022;
-            const fangGap = vfW * 0.55;
-            [-fangGap / 2, fangGap / 2].forEach(ox => {
-                ctx.fillStyle = '#FAFAFA';
-                ctx.beginPath();
-                ctx.moveTo(vfX + ox - fangW, vfY - fangH * 0.15);
-                ctx.lineTo(vfX + ox, vfY + fangH);
-                ctx.lineTo(vfX + ox + fangW, vfY - fangH * 0.15);
-                ctx.closePath(); ctx.fill();
-                ctx.strokeStyle = '#D0D0D0'; ctx.lineWidth = 1; ctx.stroke();
-                ctx.fillStyle = 'rgba(255,255,255,0.5)';
-                ctx.beginPath();
-                ctx.moveTo(vfX + ox - fangW * 0.5, vfY);
-                ctx.lineTo(vfX + ox - fangW * 0.15, vfY + fangH * 0.5);
-                ctx.lineTo(vfX + ox + fangW * 0.1, vfY);
-                ctx.closePath(); ctx.fill();
-            });
-            ctx.fillStyle = 'rgba(180, 0, 0, 0.6)';
-            ctx.beginPath(); ctx.ellipse(vfX + fangGap / 2 - fangW * 0.2, vfY + fangH * 0.8, fangW * 0.4, fangW * 0.3, 0.2, 0, Math.PI * 2); ctx.fill();
-            break;
-        }
-
-        case 'plump_lips': {
-            const plW = mouthW * 0.58;
-            const plH = Math.max(mouthH * 0.60, faceH * 0.038);
-            const plX = mouthMidX;
-            const plUpperY = mouthU.y;
-            const plLowerY = mouthD.y;
-            const plMidY = (plUpperY + plLowerY) / 2;
-            ctx.fillStyle = '#E85070';
-            ctx.beginPath();
-            ctx.moveTo(plX - plW, plMidY);
-            ctx.bezierCurveTo(plX - plW * 0.55, plUpperY - plH * 0.8, plX - plW * 0.15, plUpperY - plH * 1.1, plX, plUpperY - plH * 0.2);
-            ctx.bezierCurveTo(plX + plW * 0.15, plUpperY - plH * 1.1, plX + plW * 0.55, plUpperY - plH * 0.8, plX + plW, plMidY);
-            ctx.bezierCurveTo(plX + plW * 0.35, plMidY + plH * 0.05, plX - plW * 0.35, plMidY + plH * 0.05, plX - plW, plMidY);
-            ctx.closePath(); ctx.fill();
-            ctx.fillStyle = '#FF6888';
-            ctx.beginPath();
-            ctx.moveTo(plX - plW, plMidY);
-            ctx.bezierCurveTo(plX - plW * 0.40, plLowerY + plH * 1.2, plX + plW * 0.40, plLowerY + plH * 1.2, plX + plW, plMidY);
-            ctx.bezierCurveTo(plX + plW * 0.35, plMidY + plH * 0.1, plX - plW * 0.35, plMidY + plH * 0.1, plX - plW, plMidY);
-            ctx.closePath(); ctx.fill();
-            ctx.fillStyle = 'rgba(255,200,200,0.35)';
-            ctx.beginPath(); ctx.ellipse(plX - plW * 0.2, plUpperY - plH * 0.05, plW * 0.18, plH * 0.22, -0.15, 0, Math.PI * 2); ctx.fill();
-            ctx.beginPath(); ctx.ellipse(plX, plLowerY + plH * 0.3, plW * 0.25, plH * 0.2, 0, 0, Math.PI * 2); ctx.fill();
-            break;
-        }
-
-        case 'ice_lips': {
-            const ilW = mouthW * 0.54;
-            const ilH = Math.max(mouthH * 0.50, faceH * 0.03);
-            const ilX = mouthMidX;
-            const ilUpperY = mouthU.y;
-            const ilLowerY = mouthD.y;
-            const ilMidY = (ilUpperY + ilLowerY) / 2;
-            ctx.fillStyle = '#3A7BD5';
-            ctx.beginPath();
-            ctx.moveTo(ilX - ilW, ilMidY);
-            ctx.bezierCurveTo(ilX - ilW * 0.55, ilUpperY - ilH * 0.9, ilX - ilW * 0.18, ilUpperY - ilH * 1.2, ilX, ilUpperY - ilH * 0.3);
-            ctx.bezierCurveTo(ilX + ilW * 0.18, ilUpperY - ilH * 1.2, ilX + ilW * 0.55, ilUpperY - ilH * 0.9, ilX + ilW, ilMidY);
-            ctx.bezierCurveTo(ilX + ilW * 0.40, ilMidY + ilH * 0.1, ilX - ilW * 0.40, ilMidY + ilH * 0.1, ilX - ilW, ilMidY);
-            ctx.closePath(); ctx.fill();
-            ctx.fillStyle = '#2060C0';
-            ctx.beginPath();
-            ctx.moveTo(ilX - ilW, ilMidY);
-            ctx.bezierCurveTo(ilX - ilW * 0.45, ilLowerY + ilH * 0.6, ilX + ilW * 0.45, ilLowerY + ilH * 0.6, ilX + ilW, ilMidY);
-            ctx.bezierCurveTo(ilX + ilW * 0.40, ilMidY + ilH * 0.15, ilX - ilW * 0.40, ilMidY + ilH * 0.15, ilX - ilW, ilMidY);
-            ctx.closePath(); ctx.fill();
-            ctx.fillStyle = 'rgba(180,220,255,0.40)';
-            ctx.beginPath(); ctx.ellipse(ilX - ilW * 0.25, ilUpperY - ilH * 0.1, ilW * 0.14, ilH * 0.25, -0.2, 0, Math.PI * 2); ctx.fill();
-            ctx.fillStyle = 'rgba(255,255,255,0.20)';
-            for (let i = 0; i < 5; i++) {
-                const sx = ilX - ilW * 0.4 + ilW * 0.8 * Math.random();
-                const sy = ilMidY - ilH * 0.3 + ilH * 0.6 * Math.random();
-                ctx.beginPath(); ctx.arc(sx, sy, faceW * 0.004, 0, Math.PI * 2); ctx.fill();
-            }
-            break;
-        }
-
-        // ── アクセサリー ──────────────────────────────────────────
-
-        case 'monocle': {
-            const moR = eyeSep * 0.30;
-            ctx.strokeStyle = '#C8A83C'; ctx.lineWidth = faceW * 0.025;
-            ctx.fillStyle = 'rgba(200,230,200,0.18)';
-            ctx.beginPath(); ctx.arc(rEye.x, rEye.y, moR, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
-            ctx.strokeStyle = '#B8962A'; ctx.lineWidth = faceW * 0.012;
-            ctx.setLineDash([faceW * 0.015, faceW * 0.01]);
-            const chainEndX = rCheek.x + faceW * 0.03;
-            const chainEndY = chin.y - faceH * 0.08;
-            ctx.beginPath();
-            ctx.moveTo(rEye.x + moR * 0.5, rEye.y + moR * 0.85);
-            ctx.bezierCurveTo(rEye.x + moR, rCheek.y, rCheek.x + faceW * 0.06, rCheek.y + faceH * 0.08, chainEndX, chainEndY);
-            ctx.stroke();
-            ctx.setLineDash([]);
-            ctx.fillStyle = 'rgba(255,255,255,0.25)';
-            ctx.beginPath(); ctx.ellipse(rEye.x - moR * 0.3, rEye.y - moR * 0.3, moR * 0.22, moR * 0.14, -0.5, 0, Math.PI * 2); ctx.fill();
-            break;
-        }
-
-        case 'flower_crown': {
-            const fcY = forehead.y - faceH * 0.07;
-            const crownW = faceW * 0.72;
-            const colors6 = ['#FF6B9E', '#FF9A3C', '#FFD700', '#6BD96B', '#6BAAFF', '#D06BFF'];
-            for (let i = 0; i < 9; i++) {
-                const t = i / 8;
-                const fx = eyeMidX - crownW / 2 + crownW * t;
-                const fy = fcY + Math.sin(t * Math.PI) * faceH * 0.03;
-                const fr = faceW * 0.045;
-                const clr = colors6[i % colors6.length];
-                for (let p = 0; p < 5; p++) {
-                    const a = (p / 5) * Math.PI * 2;
-                    ctx.fillStyle = clr;
-                    ctx.beginPath();
-                    ctx.ellipse(fx + Math.cos(a) * fr * 0.7, fy + Math.sin(a) * fr * 0.7,
-                                fr * 0.45, fr * 0.28, a, 0, Math.PI * 2);
-                    ctx.fill();
-                }
-                ctx.fillStyle = '#FFD700';
-                ctx.beginPath(); ctx.arc(fx, fy, fr * 0.3, 0, Math.PI * 2); ctx.fill();
-            }
-            break;
-        }
-
-        case 'star_stickers': {
-            const stars = [
-                [rBrowO.x, rBrowO.y - faceH * 0.06, '#FFD700', faceW * 0.05],
-                [lBrowO.x, lBrowO.y - faceH * 0.06, '#FFD700', faceW * 0.05],
-                [rCheek.x - faceW * 0.06, rCheek.y, '#FF88FF', faceW * 0.04],
-                [lCheek.x + faceW * 0.06, lCheek.y, '#FF88FF', faceW * 0.04],
-                [eyeMidX, forehead.y - faceH * 0.06, '#44DDFF', faceW * 0.045],
-                [rTemple.x, forehead.y, '#FF8800', faceW * 0.035],
-                [lTemple.x, forehead.y, '#FF8800', faceW * 0.035]
-            ];
-            stars.forEach(([sx, sy, sc, sr]) => {
-                drawStar(ctx, sx, sy, sr, sc);
-                ctx.strokeStyle = 'rgba(255,255,255,0.7)'; ctx.lineWidth = faceW * 0.01;
-                for (let i = 0; i < 4; i++) {
-                    const a = (i / 4) * Math.PI * 2 + Math.PI / 4;
-                    ctx.beginPath();
-                    ctx.moveTo(sx + Math.cos(a) * sr * 0.6, sy + Math.sin(a) * sr * 0.6);
-                    ctx.lineTo(sx + Math.cos(a) * sr * 1.3, sy + Math.sin(a) * sr * 1.3);
-                    ctx.stroke();
-                }
-            });
-            break;
-        }
-
-        case 'butterfly_mask': {
-            const bmH = faceH * 0.12;
-            const bmSpanX = faceW * 0.42;
-            const bmY = eyeMidY;
-            const drawWing = (wx, dir) => {
-                const g = ctx.createLinearGradient(wx, bmY - bmH, wx + dir * bmSpanX * 0.5, bmY + bmH);
-                g.addColorStop(0, 'rgba(100,20,160,0.82)');
-                g.addColorStop(0.5, 'rgba(180,60,220,0.78)');
-                g.addColorStop(1, 'rgba(60,0,120,0.65)');
-                ctx.fillStyle = g;
-                ctx.beginPath();
-                ctx.moveTo(wx, bmY);
-                ctx.bezierCurveTo(wx + dir * bmSpanX * 0.08, bmY - bmH * 0.6,
-                                  wx + dir * bmSpanX * 0.50, bmY - bmH,
-                                  wx + dir * bmSpanX * 0.55, bmY - bmH * 0.14);
-                ctx.bezierCurveTo(wx + dir * bmSpanX * 0.48, bmY + bmH * 0.5,
-                                  wx + dir * bmSpanX * 0.22, bmY + bmH,
-                                  wx, bmY);
-                ctx.closePath(); ctx.fill();
-                ctx.strokeStyle = 'rgba(200,100,255,0.6)'; ctx.lineWidth = faceW * 0.012; ctx.stroke();
-            };
-            drawWing(eyeMidX, -1); drawWing(eyeMidX, 1);
-            ctx.fillStyle = 'rgba(80,10,130,0.88)';
-            ctx.beginPath(); ctx.ellipse(eyeMidX, bmY, eyeSep * 0.22, bmH * 0.28, 0, 0, Math.PI * 2); ctx.fill();
-            break;
-        }
-
-        case 'diamond_tiara': {
-            const dtY = forehead.y - faceH * 0.02;
-            const dtW = faceW * 0.65;
-            const bandGrad = ctx.createLinearGradient(eyeMidX - dtW / 2, dtY, eyeMidX + dtW / 2, dtY);
-            bandGrad.addColorStop(0, '#B8860B'); bandGrad.addColorStop(0.5, '#FFD700'); bandGrad.addColorStop(1, '#B8860B');
-            ctx.save();
-            ctx.translate(eyeMidX, dtY);
-            ctx.rotate(angle);
-            ctx.fillStyle = bandGrad;
-            ctx.beginPath(); ctx.rect(-dtW / 2, -faceH * 0.02, dtW, faceH * 0.04); ctx.fill();
-            ctx.strokeStyle = '#8B6914'; ctx.lineWidth = faceW * 0.01; ctx.stroke();
-            const drawDiamond = (dx, dy, dw, dh) => {
-                ctx.fillStyle = '#B0E8FF';
-                ctx.beginPath(); ctx.moveTo(dx, dy - dh); ctx.lineTo(dx + dw, dy);
-                ctx.lineTo(dx, dy + dh * 0.6); ctx.lineTo(dx - dw, dy); ctx.closePath(); ctx.fill();
-                ctx.strokeStyle = '#88CCFF'; ctx.lineWidth = faceW * 0.008; ctx.stroke();
-                ctx.fillStyle = 'rgba(255,255,255,0.55)';
-                ctx.beginPath(); ctx.moveTo(dx - dw * 0.4, dy - dh * 0.5);
-                ctx.lineTo(dx, dy - dh); ctx.lineTo(dx + dw * 0.4, dy - dh * 0.5); ctx.closePath(); ctx.fill();
-            };
-            drawDiamond(0, -faceH * 0.06, faceW * 0.06, faceH * 0.09);
-            drawDiamond(-dtW * 0.30, -faceH * 0.02, faceW * 0.04, faceH * 0.06);
-            drawDiamond(dtW * 0.30, -faceH * 0.02, faceW * 0.04, faceH * 0.06);
-            drawDiamond(-dtW * 0.48, faceH * 0.01, faceW * 0.028, faceH * 0.04);
-            drawDiamond(dtW * 0.48, faceH * 0.01, faceW * 0.028, faceH * 0.04);
-            ctx.fillStyle = '#FFD700';
-            for (let i = -3; i <= 3; i++) {
-                ctx.beginPath(); ctx.arc((dtW * 0.12) * i, 0, faceW * 0.014, 0, Math.PI * 2); ctx.fill();
-            }
-            ctx.restore();
-            break;
-        }
-
-        default: break;
+/**
+ * 描画パイプラインのレイヤー 2: 顔 AR 装飾
+ * 撮影素材は撮影時のスナップショット、ライブ合成は表示中の faceCanvas を描く
+ */
+registerRenderLayer({
+    id: 'face',
+    order: 200,
+    previewElements: ['face-filter-canvas'],
+    enabled(context) {
+        if (!context.live) return !!(context.raw && context.raw.face);
+        return !!faceCanvas && faceCanvas.width > 0 && selectedDecorations.size > 0;
+    },
+    draw(ctx, w, h, context) {
+        ctx.drawImage(context.live ? faceCanvas : context.raw.face, 0, 0, w, h);
     }
-
-    ctx.globalAlpha = 1.0;
-}
+});
 
 // ======================================================================
 // 初期化（MediaPipe Face Mesh）
@@ -895,7 +508,7 @@ function selectFaceDecoration(id) {
         // 「なし」: 全カテゴリの選択をクリア
         selectedDecorations.clear();
         _updateFaceDecoUI();
-        stopFaceLoop();
+        if (!isFaceLoopNeeded()) stopFaceLoop();
         if (faceCtx && faceCanvas) {
             faceCtx.clearRect(0, 0, faceCanvas.width, faceCanvas.height);
         }
@@ -916,9 +529,9 @@ function selectFaceDecoration(id) {
     if (typeof trackFaceDecoUse === 'function') trackFaceDecoUse(id);
     _updateFaceDecoUI();
 
-    // 全て解除された場合はループ停止
+    // 全て解除された場合はループ停止（自動シャッター等の利用中は継続）
     if (selectedDecorations.size === 0) {
-        stopFaceLoop();
+        if (!isFaceLoopNeeded()) stopFaceLoop();
         if (faceCtx && faceCanvas) {
             faceCtx.clearRect(0, 0, faceCanvas.width, faceCanvas.height);
         }
@@ -967,9 +580,10 @@ function getCurrentDecorationId() {
 /**
  * 再撮影時に Face AR ループを再起動
  * カテゴリ併用の選択状態はそのまま維持される
+ * 装飾なしでも自動シャッター等の利用モジュールがあれば再起動する
  */
 function restartActiveFaceLoop() {
-    if (selectedDecorations.size === 0) return;
+    if (!isFaceLoopNeeded()) return;
     faceLoopGen++;
     var myGen = faceLoopGen;
     if (faceAnimFrame) { cancelAnimationFrame(faceAnimFrame); faceAnimFrame = null; }
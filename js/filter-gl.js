@@ -0,0 +1,602 @@
+/**
+ * ======================================================================
+ * WebGL フィルターモジュール (filter-gl.js)
+ * 写真フィルター（FILTERS の cssFilter + apply）と画像調整（imageAdjustments）を
+ * シェーダーで描画し、ライブプレビューと撮影画像を同じ処理で仕上げる。
+ * CSS filter の近似では出せないハイライト・シャドウ・粒子・周辺減光・
+ * スケッチ・水彩もプレビューで撮影結果と同じ見た目になる。
+ *
+ * パス構成（すべて同じ解像度のテクスチャ間で描画）:
+ *   1. color  : cssFilter の各関数（brightness / contrast / saturate / grayscale / sepia / hue-rotate）
+ *   2. effect : FILTERS[].gl（グロウ / 水彩 / スケッチ / 色シフト / 粒子 / 周辺減光）
+ *   3. adjust : ディテール + 露出・明るさ・コントラスト（filter.js と同じ LUT）+ ハイライト・シャドウ
+ *   ぼかしが必要なパスの前にガウスぼかし（横 → 縦の 2 パス）を挟む
+ *
+ * WebGL が使えない・コンテキストを失った場合は何もしない（filter.js の
+ * CSS プレビュー + ピクセル操作による撮影処理がそのまま使われる）
+ *
+ * 依存: filter.js（FILTERS / getCurrentFilter / _lookIntensity / imageAdjustments / _buildToneLUT）
+ *       capture.js（drawLiveCamera / getCaptureCropRect）
+ * ======================================================================
+ */
+
+// ======================================================================
+// 状態変数
+// ======================================================================
+
+/**
+ * プレビューの長辺（px）。撮影解像度より小さく描く
+ * ぼかし半径・粒子の大きさは出力の長辺に比例させる（filter.js の filterEffectScale）ので
+ * プレビュー・通常の撮影・高解像度写真で同じ見た目になる
+ */
+const FILTER_GL_PREVIEW_MAX_EDGE = 720;
+
+/** WebGL の状態（null = 未初期化, false = 使用不可） */
+let _gl = null;
+
+let _glPreviewRunning = false;
+let _glPreviewSource  = null;   // ライブ映像を撮影と同じ切り抜き・反転で描く 2D Canvas
+
+/** cssFilter の関数名 → シェーダー内の番号 */
+const _GL_CSS_OPS = { brightness: 1, contrast: 2, saturate: 3, grayscale: 4, sepia: 5, 'hue-rotate': 6 };
+const _GL_MAX_OPS = 6;
+
+// ======================================================================
+// シェーダー
+// ======================================================================
+
+const _GL_VERTEX_SRC = `
+attribute vec2 a_pos;
+varying vec2 v_uv;
+void main() {
+    v_uv = a_pos * 0.5 + 0.5;
+    gl_Position = vec4(a_pos, 0.0, 1.0);
+}`;
+
+/** パス 1: cssFilter（filter.js の _applyCSSAsPixels と同じ式） */
+const _GL_COLOR_SRC = `
+precision highp float;
+uniform sampler2D u_src;
+uniform int   u_opCount;
+uniform float u_opType[${_GL_MAX_OPS}];
+uniform float u_opVal[${_GL_MAX_OPS}];
+varying vec2 v_uv;
+
+vec3 hueRotate(vec3 c, float deg) {
+    float rad = radians(deg);
+    float cs = cos(rad), sn = sin(rad);
+    return vec3(
+        dot(c, vec3(0.213 + cs * 0.787 - sn * 0.213, 0.715 - cs * 0.715 - sn * 0.715, 0.072 - cs * 0.072 + sn * 0.928)),
+        dot(c, vec3(0.213 - cs * 0.213 + sn * 0.143, 0.715 + cs * 0.285 + sn * 0.140, 0.072 - cs * 0.072 - sn * 0.283)),
+        dot(c, vec3(0.213 - cs * 0.213 - sn * 0.787, 0.715 - cs * 0.715 + sn * 0.715, 0.072 + cs * 0.928 + sn * 0.072)));
+}
+
+void main() {
+    vec4 px = texture2D(u_src, v_uv);
+    vec3 c = px.rgb;
+    for (int i = 0; i < ${_GL_MAX_OPS}; i++) {
+        if (i >= u_opCount) break;
+        float op = u_opType[i];
+        float v  = u_opVal[i];
+        float g  = dot(c, vec3(0.299, 0.587, 0.114));
+        if (op == 1.0) {
+            c = min(c * v, 1.0);
+        } else if (op == 2.0) {
+            c = clamp((c - 128.0 / 255.0) * v + 128.0 / 255.0, 0.0, 1.0);
+        } else if (op == 3.0) {
+            c = clamp(g + v * (c - g), 0.0, 1.0);
+        } else if (op == 4.0) {
+            c = c + (g - c) * clamp(v, 0.0, 1.0);
+        } else if (op == 5.0) {
+            vec3 s = vec3(dot(c, vec3(0.393, 0.769, 0.189)),
+                          dot(c, vec3(0.349, 0.686, 0.168)),
+                          dot(c, vec3(0.272, 0.534, 0.131)));
+            c = min(c + (s - c) * clamp(v, 0.0, 1.0), 1.0);
+        } else if (op == 6.0) {
+            c = clamp(hueRotate(c, v), 0.0, 1.0);
+        }
+    }
+    gl_FragColor = vec4(c, px.a);
+}`;
+
+/** ガウスぼかし（CSS blur(Npx) と同じく N = 標準偏差）。u_dir で横・縦を切り替える */
+const _GL_BLUR_SRC = `
+precision highp float;
+uniform sampler2D u_src;
+uniform vec2  u_dir;
+uniform float u_sigma;
+uniform float u_step;
+varying vec2 v_uv;
+void main() {
+    vec4 sum = vec4(0.0);
+    float wsum = 0.0;
+    for (int i = -15; i <= 15; i++) {
+        float x = float(i) * u_step;
+        float w = exp(-(x * x) / (2.0 * u_sigma * u_sigma));
+        sum  += texture2D(u_src, v_uv + u_dir * x) * w;
+        wsum += w;
+    }
+    gl_FragColor = sum / wsum;
+}`;
+
+/** パス 2: FILTERS[].gl（filter.js の applyGlow / applyWatercolor / applySketch / applyGrain / applyVignette） */
+const _GL_EFFECT_SRC = `
+precision highp float;
+uniform sampler2D u_src;
+uniform sampler2D u_blur1;
+uniform sampler2D u_blur2;
+uniform sampler2D u_blur3;
+uniform int   u_effect;       // 0 = なし, 1 = グロウ, 2 = 水彩, 3 = スケッチ
+uniform vec2  u_texel;
+uniform vec2  u_size;         // 出力サイズ（px）
+uniform vec3  u_shift;        // 色シフト（0〜1 スケール）
+uniform float u_grain;        // 粒子の強さ（0〜255 スケール）
+uniform float u_grainCell;    // 粒子の大きさ（px）
+uniform bool  u_colorGrain;
+uniform float u_vignette;
+uniform float u_seed;
+varying vec2 v_uv;
+
+float rand(vec2 p, float k) {
+    return fract(sin(dot(p + u_seed + k, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+vec3 screenBlend(vec3 dst, vec3 src, float alpha) {
+    return mix(dst, 1.0 - (1.0 - dst) * (1.0 - src), alpha);
+}
+
+float gray(vec2 uv) {
+    vec3 c = texture2D(u_src, uv).rgb;
+    return (c.r + c.g + c.b) / 3.0;
+}
+
+void main() {
+    vec4 px = texture2D(u_src, v_uv);
+    vec3 c = px.rgb;
+
+    if (u_effect == 1) {
+        c = screenBlend(c, min(texture2D(u_blur1, v_uv).rgb * 1.7,  1.0), 0.45);
+        c = screenBlend(c, min(texture2D(u_blur2, v_uv).rgb * 1.4,  1.0), 0.32);
+        c = screenBlend(c, min(texture2D(u_blur3, v_uv).rgb * 1.15, 1.0), 0.18);
+    } else if (u_effect == 2) {
+        c = texture2D(u_blur1, v_uv).rgb;
+        float avg = (c.r + c.g + c.b) / 3.0;
+        c = clamp(avg + (c - avg) * 1.9, 0.0, 1.0);
+    } else if (u_effect == 3) {
+        vec2 dx = vec2(u_texel.x, 0.0), dy = vec2(0.0, u_texel.y);
+        float tl = gray(v_uv - dx + dy), tc = gray(v_uv + dy), tr = gray(v_uv + dx + dy);
+        float ml = gray(v_uv - dx),                            mr = gray(v_uv + dx);
+        float bl = gray(v_uv - dx - dy), bc = gray(v_uv - dy), br = gray(v_uv + dx - dy);
+        float gx = -tl - 2.0 * ml - bl + tr + 2.0 * mr + br;
+        float gy = -tl - 2.0 * tc - tr + bl + 2.0 * bc + br;
+        float edge = min(1.0, sqrt(gx * gx + gy * gy) * 1.6);
+        c = vec3(max(0.0, 1.0 - edge * 2.8));
+    }
+
+    c = clamp(c + u_shift, 0.0, 1.0);
+
+    if (u_grain > 0.0) {
+        vec2 p = floor(v_uv * u_size / u_grainCell);
+        float base = (rand(p, 0.0) - 0.5) * u_grain * 2.0;
+        vec3 n = vec3(base);
+        if (u_colorGrain) {
+            n += (vec3(rand(p, 1.0), rand(p, 2.0), rand(p, 3.0)) - 0.5) * u_grain * 0.6;
+        }
+        c = clamp(c + n / 255.0, 0.0, 1.0);
+    }
+
+    if (u_vignette > 0.0) {
+        vec2 center = u_size * 0.5;
+        float inner = min(center.x, center.y) * 0.5;
+        float outer = length(center) * 1.05;
+        float a = clamp((distance(v_uv * u_size, center) - inner) / (outer - inner), 0.0, 1.0);
+        c *= 1.0 - a * u_vignette;
+    }
+
+    gl_FragColor = vec4(c, px.a);
+}`;
+
+/** パス 3: 画像調整（filter.js の _applyDetail + _applyAdjustmentsToPixels） */
+const _GL_ADJUST_SRC = `
+precision highp float;
+uniform sampler2D u_src;
+uniform sampler2D u_blur;
+uniform sampler2D u_lut;
+uniform float u_detail;       // -1〜0 = スムージング量, 0〜1 = シャープ量
+uniform float u_hStr;
+uniform float u_sStr;
+varying vec2 v_uv;
+
+float lut(float v) {
+    float idx = floor(v * 255.0 + 0.5);
+    return texture2D(u_lut, vec2((idx + 0.5) / 256.0, 0.5)).r * 255.0;
+}
+
+void main() {
+    vec4 px = texture2D(u_src, v_uv);
+    vec3 c = px.rgb;
+
+    if (u_detail < 0.0) {
+        float amt = -u_detail;
+        vec3 b = texture2D(u_blur, v_uv).rgb;
+        float oL = dot(c, vec3(0.299, 0.587, 0.114));
+        float bL = dot(b, vec3(0.299, 0.587, 0.114));
+        float edge = min(1.0, abs(oL - bL) * 255.0 / (20.0 + amt * 15.0));
+        c = c + (b - c) * (amt * 0.88 * (1.0 - edge));
+    } else if (u_detail > 0.0) {
+        vec3 b = texture2D(u_blur, v_uv).rgb;
+        c = clamp(c + (c - b) * u_detail * 2.2, 0.0, 1.0);
+    }
+
+    vec3 v = vec3(lut(c.r), lut(c.g), lut(c.b));
+
+    if (u_hStr != 0.0 || u_sStr != 0.0) {
+        float lum = dot(v, vec3(0.2126, 0.7152, 0.0722));
+        float lumN = lum / 255.0;
+        if (u_hStr != 0.0) {
+            float hW = smoothstep(0.25, 0.85, lumN);
+            float hAmount = u_hStr * 120.0 * hW * hW;
+            if (lum > 1.0) v *= clamp((lum + hAmount) / lum, 0.0, 3.0);
+            else           v += hAmount * 0.35;
+        }
+        if (u_sStr != 0.0) {
+            float sW = 1.0 - smoothstep(0.15, 0.75, lumN);
+            float sAmount = u_sStr * 120.0 * sW * sW;
+            lum = dot(v, vec3(0.2126, 0.7152, 0.0722));
+            if (lum > 1.0) v *= clamp((lum + sAmount) / lum, 0.0, 3.0);
+            else           v += sAmount * 0.4;
+        }
+    }
+
+    gl_FragColor = vec4(clamp(v / 255.0, 0.0, 1.0), px.a);
+}`;
+
+// ======================================================================
+// 初期化
+// ======================================================================
+
+function _glCompile(gl, vsSrc, fsSrc) {
+    const shader = (type, src) => {
+        const s = gl.createShader(type);
+        gl.shaderSource(s, src);
+        gl.compileShader(s);
+        if (!gl.getShaderParameter(s, gl.COMPILE_STATUS)) {
+            throw new Error('shader compile failed: ' + gl.getShaderInfoLog(s));
+        }
+        return s;
+    };
+    const prog = gl.createProgram();
+    gl.attachShader(prog, shader(gl.VERTEX_SHADER, vsSrc));
+    gl.attachShader(prog, shader(gl.FRAGMENT_SHADER, fsSrc));
+    gl.bindAttribLocation(prog, 0, 'a_pos');
+    gl.linkProgram(prog);
+    if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
+        throw new Error('program link failed: ' + gl.getProgramInfoLog(prog));
+    }
+    const uniforms = {};
+    const n = gl.getProgramParameter(prog, gl.ACTIVE_UNIFORMS);
+    for (let i = 0; i < n; i++) {
+        const name = gl.getActiveUniform(prog, i).name.replace(/\[0\]$/, '');
+        uniforms[name] = gl.getUniformLocation(prog, name);
+    }
+    return { prog, uniforms };
+}
+
+function _glCreateTexture(gl) {
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return tex;
+}
+
+/**
+ * WebGL を初期化する（初回のみ）
+ * @returns {Object|false}
+ */
+function _initFilterGL() {
+    if (_gl !== null) return _gl;
+    _gl = false;
+    try {
+        const canvas = document.createElement('canvas');
+        const gl = canvas.getContext('webgl', { premultipliedAlpha: false, preserveDrawingBuffer: true, antialias: false }) ||
+                   canvas.getContext('experimental-webgl', { premultipliedAlpha: false, preserveDrawingBuffer: true, antialias: false });
+        if (!gl) return _gl;
+
+        const quad = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+        const lutTex = _glCreateTexture(gl);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+
+        _gl = {
+            gl,
+            canvas,
+            maxSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+            programs: {
+                color:  _glCompile(gl, _GL_VERTEX_SRC, _GL_COLOR_SRC),
+                blur:   _glCompile(gl, _GL_VERTEX_SRC, _GL_BLUR_SRC),
+                effect: _glCompile(gl, _GL_VERTEX_SRC, _GL_EFFECT_SRC),
+                adjust: _glCompile(gl, _GL_VERTEX_SRC, _GL_ADJUST_SRC)
+            },
+            sourceTex: _glCreateTexture(gl),
+            lutTex,
+            lutKey: null,
+            targets: {},
+            width: 0,
+            height: 0
+        };
+
+        canvas.addEventListener('webglcontextlost', (e) => {
+            // 以降は CSS プレビュー + ピクセル操作に戻す
+            e.preventDefault();
+            console.warn('WebGL context lost, falling back to CSS filters');
+            _gl = false;
+            stopFilterGLPreview();
+            if (typeof applyFilterToPreview === 'function') applyFilterToPreview();
+        });
+    } catch (err) {
+        console.warn('WebGL filter init failed (using CSS filters):', err);
+        _gl = false;
+    }
+    return _gl;
+}
+
+/** WebGL でフィルターを描画できるか */
+function isFilterGLAvailable() {
+    return !!_initFilterGL();
+}
+
+// ======================================================================
+// 描画
+// ======================================================================
+
+/** 作業用テクスチャ + フレームバッファ（出力サイズが変わったら作り直す） */
+function _glTarget(name) {
+    const { gl } = _gl;
+    let target = _gl.targets[name];
+    if (!target) {
+        target = { tex: _glCreateTexture(gl), fbo: gl.createFramebuffer(), w: 0, h: 0 };
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.tex, 0);
+        _gl.targets[name] = target;
+    }
+    if (target.w !== _gl.width || target.h !== _gl.height) {
+        gl.bindTexture(gl.TEXTURE_2D, target.tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, _gl.width, _gl.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        target.w = _gl.width;
+        target.h = _gl.height;
+    }
+    return target;
+}
+
+/**
+ * 1 パス描画
+ * @param {string} program
+ * @param {Object|null} target   - null = 画面（canvas）
+ * @param {Object} textures      - { uniform 名: WebGLTexture }
+ * @param {Function} [setUniforms]
+ */
+function _glPass(program, target, textures, setUniforms) {
+    const { gl } = _gl;
+    const p = _gl.programs[program];
+    gl.useProgram(p.prog);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.fbo : null);
+    gl.viewport(0, 0, _gl.width, _gl.height);
+    Object.keys(textures).forEach((name, unit) => {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, textures[name]);
+        gl.uniform1i(p.uniforms[name], unit);
+    });
+    if (setUniforms) setUniforms(gl, p.uniforms);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+}
+
+/**
+ * ガウスぼかし（横 → 縦）
+ * @param {WebGLTexture} src
+ * @param {string} dstName
+ * @param {number} sigma - 出力解像度での px
+ */
+function _glBlur(src, dstName, sigma) {
+    const s = Math.max(0.5, sigma);
+    const step = Math.max(1, s * 3 / 15);
+    const tmp = _glTarget('blurTmp');
+    const dst = _glTarget(dstName);
+    _glPass('blur', tmp, { u_src: src }, (gl, u) => {
+        gl.uniform2f(u.u_dir, 1 / _gl.width, 0);
+        gl.uniform1f(u.u_sigma, s);
+        gl.uniform1f(u.u_step, step);
+    });
+    _glPass('blur', dst, { u_src: tmp.tex }, (gl, u) => {
+        gl.uniform2f(u.u_dir, 0, 1 / _gl.height);
+        gl.uniform1f(u.u_sigma, s);
+        gl.uniform1f(u.u_step, step);
+    });
+    return dst.tex;
+}
+
+/** cssFilter を強度でスケールした演算列（filter.js の _applyCSSAsPixels と同じ） */
+function _glCssOps(cssFilter, intensity) {
+    const ops = [];
+    if (!cssFilter || cssFilter === 'none' || intensity <= 0) return ops;
+    cssFilter.replace(/([\w-]+)\(([^)]+)\)/g, (_, fn, val) => {
+        if (!_GL_CSS_OPS[fn] || ops.length >= _GL_MAX_OPS) return;
+        let v = _scaleToIdentity(fn, parseFloat(val), intensity);
+        if ((fn === 'grayscale' || fn === 'sepia') && val.indexOf('%') !== -1) v /= 100;
+        ops.push({ type: _GL_CSS_OPS[fn], val: v });
+    });
+    return ops;
+}
+
+/**
+ * 写真フィルター + 画像調整を WebGL で描画する
+ *
+ * @param {HTMLCanvasElement|HTMLVideoElement|ImageBitmap} source
+ * @param {number} w
+ * @param {number} h
+ * @param {Object} [look]    - { filterId, intensity, adjustments }（省略時は現在の設定）
+ * @returns {HTMLCanvasElement|null} 描画結果の Canvas（次の描画まで有効）。使えない場合は null
+ */
+function renderFilterGL(source, w, h, look) {
+    if (!_initFilterGL() || w > _gl.maxSize || h > _gl.maxSize) return null;
+    const { gl, canvas } = _gl;
+    const scale = filterEffectScale(w, h);
+    const filter = (look && look.filterId)
+        ? (FILTERS.find(f => f.id === look.filterId) || FILTERS[0])
+        : getCurrentFilter();
+    const fx = filter.gl || {};
+    const t  = _lookIntensity(look);
+    const a  = (look && look.adjustments) || imageAdjustments;
+    const active = filter.id !== 'none';
+
+    try {
+        if (canvas.width !== w || canvas.height !== h) {
+            canvas.width  = w;
+            canvas.height = h;
+        }
+        _gl.width  = w;
+        _gl.height = h;
+
+        // ---- 素材 ----
+        gl.bindTexture(gl.TEXTURE_2D, _gl.sourceTex);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+
+        // ---- パス 1: cssFilter ----
+        const ops = active ? _glCssOps(filter.cssFilter, t) : [];
+        const colored = _glTarget('color');
+        _glPass('color', colored, { u_src: _gl.sourceTex }, (gl, u) => {
+            const types = new Float32Array(_GL_MAX_OPS);
+            const vals  = new Float32Array(_GL_MAX_OPS);
+            ops.forEach((op, i) => { types[i] = op.type; vals[i] = op.val; });
+            gl.uniform1i(u.u_opCount, ops.length);
+            gl.uniform1fv(u.u_opType, types);
+            gl.uniform1fv(u.u_opVal, vals);
+        });
+
+        // ---- パス 2: apply 相当 ----
+        const effect = active ? ({ glow: 1, watercolor: 2, sketch: 3 }[fx.effect] || 0) : 0;
+        const blurs = { u_blur1: colored.tex, u_blur2: colored.tex, u_blur3: colored.tex };
+        if (effect === 1) {
+            blurs.u_blur1 = _glBlur(colored.tex, 'blur1', 20 * scale);
+            blurs.u_blur2 = _glBlur(colored.tex, 'blur2', 9 * scale);
+            blurs.u_blur3 = _glBlur(colored.tex, 'blur3', 3 * scale);
+        } else if (effect === 2) {
+            blurs.u_blur1 = _glBlur(colored.tex, 'blur1', 5 * scale);
+        }
+        const effected = _glTarget('effect');
+        _glPass('effect', effected, Object.assign({ u_src: colored.tex }, blurs), (gl, u) => {
+            const shift = (active && fx.shift) ? fx.shift : [0, 0, 0];
+            gl.uniform1i(u.u_effect, effect);
+            gl.uniform2f(u.u_texel, 1 / w, 1 / h);
+            gl.uniform2f(u.u_size, w, h);
+            gl.uniform3f(u.u_shift, shift[0] * t / 255, shift[1] * t / 255, shift[2] * t / 255);
+            gl.uniform1f(u.u_grain, active && fx.grain ? fx.grain : 0);
+            gl.uniform1f(u.u_grainCell, Math.max(1, Math.round(scale)));
+            gl.uniform1i(u.u_colorGrain, fx.colorGrain ? 1 : 0);
+            gl.uniform1f(u.u_vignette, active && fx.vignette ? Math.min(1, fx.vignette * (fx.vignetteByIntensity ? t : 1)) : 0);
+            gl.uniform1f(u.u_seed, _grainRandom() * 1000);
+        });
+
+        // ---- パス 3: 画像調整（画面へ） ----
+        let detail = 0, detailBlur = effected.tex;
+        if (a.detail < 50) {
+            detail = -(50 - a.detail) / 50;
+            detailBlur = _glBlur(effected.tex, 'detail', Math.max(1, Math.round(-detail * 6)) * scale);
+        } else if (a.detail > 50) {
+            detail = (a.detail - 50) / 50;
+            detailBlur = _glBlur(effected.tex, 'detail', Math.max(1, Math.round(detail * 3)) * scale);
+        }
+        const lutKey = [a.exposure, a.brightness, a.contrast].join(',');
+        if (_gl.lutKey !== lutKey) {
+            gl.bindTexture(gl.TEXTURE_2D, _gl.lutTex);
+            gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, 256, 1, 0, gl.LUMINANCE, gl.UNSIGNED_BYTE, _buildToneLUT(a));
+            gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+            _gl.lutKey = lutKey;
+        }
+        _glPass('adjust', null, { u_src: effected.tex, u_blur: detailBlur, u_lut: _gl.lutTex }, (gl, u) => {
+            gl.uniform1f(u.u_detail, detail);
+            gl.uniform1f(u.u_hStr, (a.highlights - 50) / 50);
+            gl.uniform1f(u.u_sStr, (a.shadows - 50) / 50);
+        });
+        return canvas;
+    } catch (err) {
+        console.warn('renderFilterGL failed:', err);
+        return null;
+    }
+}
+
+// ======================================================================
+// ライブプレビュー
+// 撮影と同じ切り抜き・反転・背景合成で描いた映像を WebGL で仕上げ、
+// video（と背景合成 Canvas）の上に重ねた #filter-gl-canvas に表示する
+// ======================================================================
+
+/** プレビューを開始（フィルター・画像調整が有効なときだけ filter.js から呼ばれる） */
+function startFilterGLPreview() {
+    const view = document.getElementById('filter-gl-canvas');
+    if (!view || !isFilterGLAvailable()) return false;
+    if (!_glPreviewRunning) {
+        _glPreviewRunning = true;
+        requestAnimationFrame(_glPreviewLoop);
+    }
+    return true;
+}
+
+function stopFilterGLPreview() {
+    _glPreviewRunning = false;
+    const view = document.getElementById('filter-gl-canvas');
+    if (view) view.classList.remove('active');
+}
+
+function _glPreviewLoop() {
+    if (!_glPreviewRunning) return;
+    requestAnimationFrame(_glPreviewLoop);
+    if (document.hidden || !cameraScreen.classList.contains('active')) return;
+    if (!cameraVideo || cameraVideo.readyState < 2 || !cameraVideo.videoWidth) return;
+
+    try {
+        // 撮影と同じ切り抜きを、プレビュー用の解像度で描く
+        const { srcW, srcH } = getCaptureCropRect(cameraVideo.videoWidth, cameraVideo.videoHeight);
+        const scale = Math.min(FILTER_GL_PREVIEW_MAX_EDGE / srcW, FILTER_GL_PREVIEW_MAX_EDGE / srcH, 1);
+        const w = Math.round(srcW * scale);
+        const h = Math.round(srcH * scale);
+
+        if (!_glPreviewSource) _glPreviewSource = document.createElement('canvas');
+        if (_glPreviewSource.width !== w || _glPreviewSource.height !== h) {
+            _glPreviewSource.width  = w;
+            _glPreviewSource.height = h;
+        }
+        drawLiveCamera(_glPreviewSource.getContext('2d'), w, h);
+
+        const out = renderFilterGL(_glPreviewSource, w, h, null);
+        if (!out) {
+            // WebGL で描けない → CSS プレビューに戻す
+            stopFilterGLPreview();
+            _gl = false;
+            if (typeof applyFilterToPreview === 'function') applyFilterToPreview();
+            return;
+        }
+
+        const view = document.getElementById('filter-gl-canvas');
+        if (view.width !== w || view.height !== h) {
+            view.width  = w;
+            view.height = h;
+        }
+        const vCtx = view.getContext('2d');
+        vCtx.globalCompositeOperation = 'copy';
+        vCtx.drawImage(out, 0, 0);
+        view.classList.add('active');
+    } catch (err) {
+        console.warn('Filter GL preview error:', err);
+    }
+}
@@ -0,0 +1,36 @@
+/**
+ * ======================================================================
+ * 写真フィルター ワーカー (filter-worker.js)
+ * 撮影素材の写真フィルター・画像調整（getImageData のピクセルループ）を
+ * OffscreenCanvas 上で実行し、撮影直後に UI が固まらないようにする。
+ *
+ * 受信: { id, bitmap: ImageBitmap, grainSeed, look: { filterId, intensity, adjustments } }
+ * 送信: { id, type: 'progress', progress } … 0〜1
+ *       { id, type: 'done', bitmap }        … 処理結果（transfer）
+ *       { id, type: 'error', message }
+ *
+ * 依存: filter.js（importScripts で同じ処理を読み込む）
+ * ======================================================================
+ */
+
+importScripts('filter.js');
+
+self.onmessage = (e) => {
+    const { id, bitmap, grainSeed, look } = e.data;
+    try {
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        // シード固定時はジョブごとに同じ粒子になるよう初期化し直す
+        if (grainSeed !== null && grainSeed !== undefined) setGrainSeed(grainSeed);
+        applyFilterToCanvas(ctx, canvas.width, canvas.height, look,
+            (progress) => self.postMessage({ id, type: 'progress', progress }));
+
+        const result = canvas.transferToImageBitmap();
+        self.postMessage({ id, type: 'done', bitmap: result }, [result]);
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: (err && err.message) || String(err) });
+    }
+};
@@ -3,15 +3,23 @@
  * フィルターモジュール (filter.js)
  * 写真撮影前後に適用できる画像効果フィルターを管理する
  *
- * リアルタイムプレビュー: CSS filter を video 要素に適用
- * 撮影時:               Canvas 2D API + ピクセル操作で合成
+ * WebGL 対応時:         filter-gl.js のシェーダーでプレビュー・撮影とも同じ処理
+ * 非対応時のプレビュー:  CSS filter を video 要素に適用（近似）
+ * 非対応時の撮影:        Canvas 2D API + ピクセル操作で合成
+ *                       （対応ブラウザでは filter-worker.js で OffscreenCanvas 上で処理し、
+ *                        メイン スレッドを止めない。非対応ならメイン スレッドで処理）
+ *
+ * このファイルはワーカーからも importScripts() で読み込まれるため、
+ * トップレベルで DOM に触れないこと
  * ======================================================================
  */
 
 /**
  * 利用可能なフィルター定義
  * cssFilter : リアルタイムプレビュー用 CSS filter 文字列（強め設定）
- * apply     : 撮影 Canvas に追加処理するコールバック（null = CSS のみ）
+ * apply     : 撮影 Canvas に追加処理するコールバック (ctx, w, h, intensity)（null = CSS のみ）
+ * gl        : filter-gl.js のシェーダーで apply と同じ処理をするためのパラメータ
+ *             { grain, colorGrain, vignette, vignetteByIntensity, shift: [r, g, b], effect: 'glow'|'watercolor'|'sketch' }
  */
 const FILTERS = [
     {
@@ -19,7 +27,8 @@ const FILTERS = [
         name: 'なし',
         icon: '⬜',
         cssFilter: 'none',
-        apply: null
+        apply: null,
+        gl: {}
     },
     {
         id: 'film',
@@ -29,14 +38,16 @@ const FILTERS = [
         apply: (ctx, w, h) => {
             applyGrain(ctx, w, h, 44, true);
             applyVignette(ctx, w, h, 0.58);
-        }
+        },
+        gl: { grain: 44, colorGrain: true, vignette: 0.58 }
     },
     {
         id: 'mono',
         name: 'モノクロ',
         icon: '⬛',
         cssFilter: 'grayscale(100%) contrast(1.8) brightness(1.05)',
-        apply: (ctx, w, h) => applyVignette(ctx, w, h, 0.62)
+        apply: (ctx, w, h) => applyVignette(ctx, w, h, 0.62),
+        gl: { vignette: 0.62 }
     },
     {
         id: 'sepia',
@@ -46,66 +57,78 @@ const FILTERS = [
         apply: (ctx, w, h) => {
             applyGrain(ctx, w, h, 22, false);
             applyVignette(ctx, w, h, 0.52);
-        }
+        },
+        gl: { grain: 22, vignette: 0.52 }
     },
     {
         id: 'soft',
         name: 'ソフト/グロウ',
         icon: '✨',
         cssFilter: 'brightness(1.42) saturate(1.65) contrast(0.76)',
-        apply: (ctx, w, h) => applyGlow(ctx, w, h)
+        apply: (ctx, w, h) => applyGlow(ctx, w, h),
+        gl: { effect: 'glow' }
     },
     {
         id: 'warm',
         name: 'フィルム（温）',
         icon: '🌅',
         cssFilter: 'sepia(58%) saturate(2.4) hue-rotate(-22deg) brightness(1.14) contrast(1.1)',
-        apply: (ctx, w, h) => applyVignette(ctx, w, h, 0.42)
+        apply: (ctx, w, h) => applyVignette(ctx, w, h, 0.42),
+        gl: { vignette: 0.42 }
     },
     {
         id: 'cool',
         name: 'フィルム（冷）',
         icon: '🧊',
         cssFilter: 'brightness(1.08) contrast(1.22) saturate(0.78)',
-        apply: (ctx, w, h) => {
+        apply: (ctx, w, h, t) => {
             const imageData = ctx.getImageData(0, 0, w, h);
             const d = imageData.data;
-            const t = currentFilterIntensity;
             for (let i = 0; i < d.length; i += 4) {
+                if ((i & FILTER_PROGRESS_MASK) === 0) _filterRowProgress(i / d.length);
                 d[i]     = Math.max(0, Math.min(255, d[i]     - 22 * t));
                 d[i + 1] = Math.max(0, Math.min(255, d[i + 1] - 6 * t));
                 d[i + 2] = Math.min(255, d[i + 2] + 30 * t);
             }
             ctx.putImageData(imageData, 0, 0);
             applyVignette(ctx, w, h, 0.38 * t);
-        }
+        },
+        gl: { shift: [-22, -6, 30], vignette: 0.38, vignetteByIntensity: true }
     },
     {
         id: 'watercolor',
         name: '水彩',
         icon: '🎨',
         cssFilter: 'saturate(2.5) brightness(1.2) contrast(0.7)',
-        apply: (ctx, w, h) => applyWatercolor(ctx, w, h)
+        apply: (ctx, w, h) => applyWatercolor(ctx, w, h),
+        gl: { effect: 'watercolor', grain: 7 }
     },
     {
         id: 'noise',
         name: 'ノイズ/テクスチャ',
         icon: '📺',
         cssFilter: 'contrast(1.38) brightness(0.88) saturate(0.65)',
-        apply: (ctx, w, h) => applyGrain(ctx, w, h, 72, false)
+        apply: (ctx, w, h) => applyGrain(ctx, w, h, 72, false),
+        gl: { grain: 72 }
     },
     {
         id: 'sketch',
         name: 'スケッチ',
         icon: '✏️',
         cssFilter: 'grayscale(100%) contrast(2.3) brightness(1.22)',
-        apply: (ctx, w, h) => applySketch(ctx, w, h)
+        apply: (ctx, w, h) => applySketch(ctx, w, h),
+        gl: { effect: 'sketch' }
     }
 ];
 
 let currentFilterId = 'none';
 let currentFilterIntensity = 0.5; // 0.0〜1.0（デフォルト50%）
 
+/** look の強度（撮影時の値。look が無い・持たない場合は現在のスライダーの値） */
+function _lookIntensity(look) {
+    return (look && typeof look.intensity === 'number') ? look.intensity : currentFilterIntensity;
+}
+
 /**
  * 画像調整パラメータ（各 0〜100、50 = ニュートラル）
  * カラーフィルターと独立して併用可能
@@ -119,6 +142,16 @@ let imageAdjustments = {
     detail:     50    // ディテール:    <50=エッジ保持スムージング, >50=アンシャープマスク
 };
 
+/** 画像調整スライダーの定義（撮影前パネル・結果画面の編集パネルで共通） */
+const IMAGE_ADJUSTMENT_DEFS = [
+    { key: 'brightness', name: '明るさ',       icon: '☀️' },
+    { key: 'contrast',   name: 'コントラスト', icon: '◐'  },
+    { key: 'highlights', name: 'ハイライト',   icon: '💡' },
+    { key: 'shadows',    name: 'シャドウ',     icon: '🌑' },
+    { key: 'exposure',   name: '露出度',       icon: '📷' },
+    { key: 'detail',     name: 'ディテール',   icon: '🔍' }
+];
+
 // ======================================================================
 // フィルター取得・設定
 // ======================================================================
@@ -156,12 +189,25 @@ function scaleCSSFilter(filterStr, intensity) {
 }
 
 // ======================================================================
-// リアルタイムプレビュー（video 要素の CSS filter を更新）
+// リアルタイムプレビュー
+// WebGL が使えれば filter-gl.js で撮影と同じ処理を描画し、
+// 使えなければ video 要素の CSS filter で近似する
 // カラーフィルター + 画像調整の両方を反映
 // ======================================================================
 
 function applyFilterToPreview() {
     if (!cameraVideo) return;
+    if (typeof startFilterGLPreview === 'function') {
+        if (isFilterNoop()) {
+            stopFilterGLPreview();
+            cameraVideo.style.filter = '';
+            return;
+        }
+        if (startFilterGLPreview()) {
+            cameraVideo.style.filter = '';
+            return;
+        }
+    }
     const filter = getCurrentFilter();
     let css = scaleCSSFilter(filter.cssFilter, currentFilterIntensity);
 
@@ -223,23 +269,129 @@ function getCanvasFilterString() {
 // ピクセル操作フィルター群
 // ======================================================================
 
+/**
+ * ぼかし半径・粒子の大きさ等、px で指定する効果の基準長辺（px）
+ * 効果の px 値はこの長辺の画像での値とし、出力の長辺に比例させる
+ * （プレビュー・通常の撮影・高解像度写真のどれでも写真に対して同じ大きさになる）
+ */
+const FILTER_EFFECT_REF_EDGE = 1920;
+
+/** 出力サイズに対する効果の px 倍率（filter-gl.js も同じ値を使う） */
+function filterEffectScale(w, h) {
+    return Math.max(w, h) / FILTER_EFFECT_REF_EDGE;
+}
+
+/** 作業用 Canvas（ワーカー内では OffscreenCanvas） */
+function _createScratchCanvas(w, h) {
+    if (typeof document === 'undefined') return new OffscreenCanvas(w, h);
+    const c = document.createElement('canvas');
+    c.width  = w;
+    c.height = h;
+    return c;
+}
+
+// ======================================================================
+// ピクセル処理の進捗（applyFilterToCanvas の onProgress 用）
+// applyFilterToCanvas が処理の段階（色調 → フィルター固有 → 画像調整）ごとに範囲を割り当て、
+// 各ピクセルループが行の途中経過を _filterRowProgress() で報告する（ワーカーの進捗表示）
+// ======================================================================
+
+/** 1 次元のピクセルループで進捗を報告する間隔（data の添字のマスク。65536 画素ごと） */
+const FILTER_PROGRESS_MASK = (65536 * 4) - 1;
+
+/** 報告する最小の進み幅（postMessage を送りすぎない） */
+const FILTER_PROGRESS_MIN_STEP = 0.01;
+
+/** 実行中の進捗 { report, stageFrom, stageTo, from, to, last }（onProgress が無いときは null） */
+let _filterProgress = null;
+
+/** 段階の範囲（全体に対する 0〜1）を設定 */
+function _filterStage(from, to) {
+    if (!_filterProgress) return;
+    _filterProgress.stageFrom = from;
+    _filterProgress.stageTo   = to;
+    _filterSubStage(0, 1);
+}
+
+/** 段階の中をさらに分ける（複数回の全画素ループがある処理用。段階に対する 0〜1） */
+function _filterSubStage(from, to) {
+    const p = _filterProgress;
+    if (!p) return;
+    p.from = p.stageFrom + (p.stageTo - p.stageFrom) * from;
+    p.to   = p.stageFrom + (p.stageTo - p.stageFrom) * to;
+    _filterRowProgress(0);
+}
+
+/** 現在のループの進み具合（0〜1）を報告（前回より戻る値・細かすぎる変化は送らない） */
+function _filterRowProgress(fraction) {
+    const p = _filterProgress;
+    if (!p) return;
+    const v = p.from + (p.to - p.from) * fraction;
+    if (v - p.last < FILTER_PROGRESS_MIN_STEP) return;
+    p.last = v;
+    p.report(v);
+}
+
+// ======================================================================
+// 粒子ノイズの乱数
+// setGrainSeed() でシードを固定すると毎回同じ粒子になる（tests/golden のゴールデン画像テスト用）
+// ======================================================================
+
+let _grainSeed   = null;
+let _grainRandom = Math.random;
+
+/**
+ * @param {number|null} seed - null で Math.random に戻す
+ */
+function setGrainSeed(seed) {
+    _grainSeed   = (seed === null || seed === undefined) ? null : (seed >>> 0);
+    _grainRandom = (_grainSeed === null) ? Math.random : _mulberry32(_grainSeed);
+}
+
+/** 32bit シード付き擬似乱数（mulberry32）。0〜1 を返す関数を返す */
+function _mulberry32(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * フィルムグレイン（ランダムノイズ）を追加
+ * 粒子は基準長辺より大きい画像では cell px 四方にまとめる（filterEffectScale）
  * @param {boolean} colorGrain - true でチャンネル独立ノイズ（フィルム粒子らしい）
  */
 function applyGrain(ctx, w, h, intensity, colorGrain) {
     const imageData = ctx.getImageData(0, 0, w, h);
     const data = imageData.data;
-    for (let i = 0; i < data.length; i += 4) {
-        const base = (Math.random() - 0.5) * intensity * 2;
-        if (colorGrain) {
-            data[i]     = Math.min(255, Math.max(0, data[i]     + base + (Math.random() - 0.5) * intensity * 0.6));
-            data[i + 1] = Math.min(255, Math.max(0, data[i + 1] + base + (Math.random() - 0.5) * intensity * 0.6));
-            data[i + 2] = Math.min(255, Math.max(0, data[i + 2] + base + (Math.random() - 0.5) * intensity * 0.6));
-        } else {
-            data[i]     = Math.min(255, Math.max(0, data[i]     + base));
-            data[i + 1] = Math.min(255, Math.max(0, data[i + 1] + base));
-            data[i + 2] = Math.min(255, Math.max(0, data[i + 2] + base));
+    const cell = Math.max(1, Math.round(filterEffectScale(w, h)));
+    const cols = Math.ceil(w / cell);
+    const noise = new Float32Array(cols * 3);
+    for (let y = 0; y < h; y++) {
+        _filterRowProgress(y / h);
+        if (y % cell === 0) {
+            // この行から cell 行ぶんの粒子
+            for (let c = 0; c < cols * 3; c += 3) {
+                const base = (_grainRandom() - 0.5) * intensity * 2;
+                if (colorGrain) {
+                    noise[c]     = base + (_grainRandom() - 0.5) * intensity * 0.6;
+                    noise[c + 1] = base + (_grainRandom() - 0.5) * intensity * 0.6;
+                    noise[c + 2] = base + (_grainRandom() - 0.5) * intensity * 0.6;
+                } else {
+                    noise[c] = noise[c + 1] = noise[c + 2] = base;
+                }
+            }
+        }
+        for (let x = 0; x < w; x++) {
+            const i = (y * w + x) * 4;
+            const c = ((x / cell) | 0) * 3;
+            data[i]     = Math.min(255, Math.max(0, data[i]     + noise[c]));
+            data[i + 1] = Math.min(255, Math.max(0, data[i + 1] + noise[c + 1]));
+            data[i + 2] = Math.min(255, Math.max(0, data[i + 2] + noise[c + 2]));
         }
     }
     ctx.putImageData(imageData, 0, 0);
@@ -266,25 +418,24 @@ function applyVignette(ctx, w, h, strength) {
  * グロウ（光溢れ）効果 — 複数ブラーレイヤーを screen ブレンドで重ねる
  */
 function applyGlow(ctx, w, h) {
+    const px = filterEffectScale(w, h);
     const snapshot = ctx.getImageData(0, 0, w, h);
-    const tmp = document.createElement('canvas');
-    tmp.width = w;
-    tmp.height = h;
+    const tmp = _createScratchCanvas(w, h);
     const tCtx = tmp.getContext('2d');
     tCtx.putImageData(snapshot, 0, 0);
 
     ctx.save();
     ctx.globalCompositeOperation = 'screen';
 
-    ctx.filter = 'blur(20px) brightness(1.7)';
+    ctx.filter = `blur(${20 * px}px) brightness(1.7)`;
     ctx.globalAlpha = 0.45;
     ctx.drawImage(tmp, 0, 0);
 
-    ctx.filter = 'blur(9px) brightness(1.4)';
+    ctx.filter = `blur(${9 * px}px) brightness(1.4)`;
     ctx.globalAlpha = 0.32;
     ctx.drawImage(tmp, 0, 0);
 
-    ctx.filter = 'blur(3px) brightness(1.15)';
+    ctx.filter = `blur(${3 * px}px) brightness(1.15)`;
     ctx.globalAlpha = 0.18;
     ctx.drawImage(tmp, 0, 0);
 
@@ -296,19 +447,19 @@ function applyGlow(ctx, w, h) {
  */
 function applyWatercolor(ctx, w, h) {
     const snapshot = ctx.getImageData(0, 0, w, h);
-    const tmp = document.createElement('canvas');
-    tmp.width = w;
-    tmp.height = h;
+    const tmp = _createScratchCanvas(w, h);
     tmp.getContext('2d').putImageData(snapshot, 0, 0);
 
+    _filterSubStage(0, 0.5);
     ctx.clearRect(0, 0, w, h);
-    ctx.filter = 'blur(5px)';
+    ctx.filter = `blur(${5 * filterEffectScale(w, h)}px)`;
     ctx.drawImage(tmp, 0, 0);
     ctx.filter = 'none';
 
     const blurred = ctx.getImageData(0, 0, w, h);
     const data = blurred.data;
     for (let i = 0; i < data.length; i += 4) {
+        if ((i & FILTER_PROGRESS_MASK) === 0) _filterRowProgress(i / data.length);
         const r = data[i], g = data[i + 1], b = data[i + 2];
         const avg = (r + g + b) / 3;
         data[i]     = Math.min(255, Math.round(avg + (r - avg) * 1.9));
@@ -317,6 +468,7 @@ function applyWatercolor(ctx, w, h) {
     }
     ctx.putImageData(blurred, 0, 0);
 
+    _filterSubStage(0.5, 1);
     applyGrain(ctx, w, h, 7, false);
 }
 
@@ -331,6 +483,7 @@ function applySketch(ctx, w, h) {
     const gray = (idx) => (copy[idx] + copy[idx + 1] + copy[idx + 2]) / 3;
 
     for (let y = 1; y < h - 1; y++) {
+        _filterRowProgress(y / h);
         for (let x = 1; x < w - 1; x++) {
             const i = (y * w + x) * 4;
             const tl = gray(i - stride - 4), tc = gray(i - stride), tr = gray(i - stride + 4);
@@ -351,20 +504,184 @@ function applySketch(ctx, w, h) {
 // iOS Safari 等 ctx.filter 非対応ブラウザでも動作する
 // ======================================================================
 
-function applyFilterToCanvas(ctx, w, h) {
-    const filter = getCurrentFilter();
-    if (filter && filter.id !== 'none') {
-        if (filter.cssFilter && filter.cssFilter !== 'none') {
-            _applyCSSAsPixels(ctx, w, h, filter.cssFilter);
-        }
-        if (typeof filter.apply === 'function') {
-            filter.apply(ctx, w, h);
+/**
+ * @param {Object} [look] - { filterId, intensity, adjustments } 結果画面の再編集用（省略時は現在の設定）
+ * @param {Function} [onProgress] - 進捗 0〜1（色調 〜0.3、フィルター固有 〜0.6、画像調整 〜1 をピクセルループの行ごとに報告）
+ */
+function applyFilterToCanvas(ctx, w, h, look, onProgress) {
+    const filter = (look && look.filterId)
+        ? (FILTERS.find(f => f.id === look.filterId) || FILTERS[0])
+        : getCurrentFilter();
+    const intensity = _lookIntensity(look);
+    _filterProgress = (typeof onProgress === 'function')
+        ? { report: onProgress, stageFrom: 0, stageTo: 0, from: 0, to: 0, last: 0 }
+        : null;
+    try {
+        if (filter && filter.id !== 'none') {
+            _filterStage(0, 0.3);
+            if (filter.cssFilter && filter.cssFilter !== 'none') {
+                _applyCSSAsPixels(ctx, w, h, filter.cssFilter, intensity);
+            }
+            _filterStage(0.3, 0.6);
+            if (typeof filter.apply === 'function') {
+                filter.apply(ctx, w, h, intensity);
+            }
         }
+        _filterStage(0.6, 1);
+        // 画像調整（明るさ・コントラスト・ハイライト・シャドウ・露出度）
+        _applyAdjustmentsToPixels(ctx, w, h, look && look.adjustments);
+        if (_filterProgress && _filterProgress.last < 1) _filterProgress.report(1);
+    } finally {
+        _filterProgress = null;
     }
-    // 画像調整（明るさ・コントラスト・ハイライト・シャドウ・露出度）
-    _applyAdjustmentsToPixels(ctx, w, h);
+}
+
+/** 写真フィルター・画像調整のどちらも無効か（ピクセル処理が不要か） */
+function isFilterNoop(look) {
+    const filterId = (look && look.filterId) || currentFilterId;
+    const a = (look && look.adjustments) || imageAdjustments;
+    return filterId === 'none' && Object.keys(a).every(k => a[k] === 50);
 }
 
+/**
+ * 撮影素材をワーカーで事前処理するか
+ * WebGL で描ける場合はメインスレッドでも十分速いのでワーカーは使わない
+ */
+function needsFilterWorker(look) {
+    if (!isFilterWorkerSupported() || _filterWorker === false || isFilterNoop(look)) return false;
+    return !(typeof isFilterGLAvailable === 'function' && isFilterGLAvailable());
+}
+
+/** ワーカーで処理した結果の照合用キー（設定が変わったら処理し直す） */
+function _filterKey(look) {
+    return JSON.stringify([
+        (look && look.filterId) || currentFilterId,
+        _lookIntensity(look),
+        (look && look.adjustments) || imageAdjustments
+    ]);
+}
+
+// ======================================================================
+// ワーカー処理（filter-worker.js）
+// 撮影素材（raw.base）にフィルターを掛けた結果を raw.filtered に保持し、
+// 描画パイプラインのフィルターレイヤーはそれを貼るだけにする
+// ======================================================================
+
+let _filterWorker = null;
+let _filterWorkerSeq = 0;
+const _filterWorkerJobs = new Map();
+
+/** ワーカー + OffscreenCanvas + ImageBitmap が使えるか */
+function isFilterWorkerSupported() {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+           typeof createImageBitmap === 'function' && typeof document !== 'undefined';
+}
+
+function _getFilterWorker() {
+    if (_filterWorker) return _filterWorker;
+    _filterWorker = new Worker('js/filter-worker.js');
+    _filterWorker.onmessage = (e) => {
+        const job = _filterWorkerJobs.get(e.data.id);
+        if (!job) return;
+        if (e.data.type === 'progress') { job.onProgress(e.data.progress); return; }
+        _filterWorkerJobs.delete(e.data.id);
+        if (e.data.type === 'done') job.resolve(e.data.bitmap);
+        else job.reject(new Error(e.data.message || 'filter worker error'));
+    };
+    _filterWorker.onerror = (e) => {
+        // ワーカー自体が動かない（読み込み失敗等）→ 以降はメインスレッドで処理
+        console.warn('Filter worker failed, falling back to main thread:', e.message || e);
+        _filterWorkerJobs.forEach(job => job.reject(new Error('filter worker unavailable')));
+        _filterWorkerJobs.clear();
+        _filterWorker.terminate();
+        _filterWorker = false;
+    };
+    return _filterWorker;
+}
+
+/**
+ * 1 枚の素材をワーカーで処理する
+ * @returns {Promise<ImageBitmap>}
+ */
+async function _filterInWorker(source, look, onProgress) {
+    const worker = _getFilterWorker();
+    if (!worker) throw new Error('filter worker unavailable');
+    const bitmap = await createImageBitmap(source);
+    return new Promise((resolve, reject) => {
+        const id = ++_filterWorkerSeq;
+        _filterWorkerJobs.set(id, { resolve, reject, onProgress: onProgress || (() => {}) });
+        worker.postMessage({
+            id,
+            bitmap,
+            grainSeed: _grainSeed,
+            look: {
+                filterId:    (look && look.filterId) || currentFilterId,
+                intensity:   _lookIntensity(look),
+                adjustments: (look && look.adjustments) || imageAdjustments
+            }
+        }, [bitmap]);
+    });
+}
+
+/**
+ * 撮影素材に写真フィルターを事前適用しておく（結果は raw.filtered に保持）
+ * 失敗・非対応時は何もしない（フィルターレイヤーがメインスレッドで処理する）
+ *
+ * @param {Object[]} raws       - grabRawShot() の素材
+ * @param {Object}   look
+ * @param {Function} [onProgress] - 全体の進捗 0〜1
+ */
+async function prefilterRaws(raws, look, onProgress) {
+    if (!needsFilterWorker(look)) return;
+    const key = _filterKey(look);
+    const todo = raws.filter(r => !(r.filtered && r.filtered.key === key));
+    for (let i = 0; i < todo.length; i++) {
+        const raw = todo[i];
+        const bitmap = await _filterInWorker(raw.base, look, p => {
+            if (onProgress) onProgress((i + p) / todo.length);
+        });
+        if (raw.filtered && raw.filtered.image.close) raw.filtered.image.close();
+        raw.filtered = { key, image: bitmap };
+    }
+}
+
+/**
+ * 描画パイプラインのレイヤー 1b: 写真フィルター + 画像調整
+ * WebGL が使えればプレビューと同じシェーダーで、使えなければ
+ * 撮影素材にはピクセル操作で高精度に、ライブ合成（クリップ録画）には
+ * 毎フレーム処理できるよう CSS filter 近似で、下のレイヤーに適用する
+ * prefilterRaws() でワーカー処理済みの素材は、その結果（= カメラレイヤー + フィルター）に置き換える
+ */
+if (typeof registerRenderLayer === 'function') registerRenderLayer({
+    id: 'filter',
+    order: 150,
+    previewElements: ['filter-gl-canvas'],
+    enabled: (context) => !isFilterNoop(context.look),
+    draw(ctx, w, h, context) {
+        const gl = (typeof renderFilterGL === 'function') ? renderFilterGL(ctx.canvas, w, h, context.look) : null;
+        if (gl) {
+            ctx.globalCompositeOperation = 'copy';
+            ctx.drawImage(gl, 0, 0, w, h);
+            return;
+        }
+        if (!context.live) {
+            const cached = context.raw && context.raw.filtered;
+            if (cached && cached.key === _filterKey(context.look)) {
+                ctx.globalCompositeOperation = 'copy';
+                ctx.drawImage(cached.image, 0, 0, w, h);
+                return;
+            }
+            applyFilterToCanvas(ctx, w, h, context.look);
+            return;
+        }
+        const css = getCanvasFilterString();
+        if (!css || css === 'none') return;
+        ctx.filter = css;
+        ctx.globalCompositeOperation = 'copy';
+        ctx.drawImage(ctx.canvas, 0, 0, w, h);
+    }
+});
+
 /**
  * 画像調整パラメータをピクセル操作で Canvas に適用（高精度版）
  *
@@ -378,8 +695,8 @@ function applyFilterToCanvas(ctx, w, h) {
  *
  * 手順 2-4 は 256 エントリの LUT で一括処理し高速化。
  */
-function _applyAdjustmentsToPixels(ctx, w, h) {
-    var a = imageAdjustments;
+function _applyAdjustmentsToPixels(ctx, w, h, adjustments) {
+    var a = adjustments || imageAdjustments;
     var needTone = (a.brightness !== 50 || a.contrast !== 50 ||
                     a.highlights !== 50 || a.shadows !== 50 || a.exposure !== 50);
     var needDetail = (a.detail !== 50);
@@ -387,54 +704,27 @@ function _applyAdjustmentsToPixels(ctx, w, h) {
     if (!needTone && !needDetail) return;
 
     // ── Step 1: ディテール ──
-    if (needDetail) _applyDetail(ctx, w, h, a.detail);
+    if (needDetail) {
+        _filterSubStage(0, needTone ? 0.5 : 1);
+        _applyDetail(ctx, w, h, a.detail);
+    }
     if (!needTone) return;
+    _filterSubStage(needDetail ? 0.5 : 0, 1);
 
     var imageData = ctx.getImageData(0, 0, w, h);
     var d = imageData.data;
     var len = d.length;
 
-    // ── パラメータ算出 ──
-    var eStops = (a.exposure - 50) / 12.5;                              // -4.0〜+4.0 EV
-    var eMul   = Math.pow(2, eStops);                                    // 露出乗数
-    var bGamma = 1.0 / Math.max(0.08, 1.0 + (a.brightness - 50) / 62.5); // 明るさガンマ
-    var cStr   = (a.contrast - 50) / 50;                                 // S曲線強度
-    var hStr   = (a.highlights - 50) / 50;                               // ハイライト
-    var sStr   = (a.shadows - 50) / 50;                                  // シャドウ
-
-    // ── 統合 LUT（256エントリ）: sRGB→リニア→露出→sRGB→明るさ→コントラスト ──
-    var lut = new Uint8Array(256);
-    for (var v = 0; v < 256; v++) {
-        var srgb = v / 255.0;
-
-        // sRGB → リニア光（IEC 61966-2-1 準拠）
-        var lin = srgb <= 0.04045
-            ? srgb / 12.92
-            : Math.pow((srgb + 0.055) / 1.055, 2.4);
-
-        // 露出（リニア光空間で乗算 = 実際のカメラセンサーと同等）
-        lin = Math.max(0, Math.min(1, lin * eMul));
-
-        // リニア → sRGB
-        var sg = lin <= 0.0031308
-            ? lin * 12.92
-            : 1.055 * Math.pow(lin, 1.0 / 2.4) - 0.055;
-        sg = Math.max(0, Math.min(1, sg));
-
-        // 明るさ（知覚的ガンマカーブ — Lightroom の Brightness に近い挙動）
-        sg = Math.pow(sg, bGamma);
-
-        // コントラスト（ピースワイズ・パワー S曲線 — 端部を保護しつつ中間調を調整）
-        if (cStr !== 0) sg = _adjSCurve(sg, cStr);
-
-        lut[v] = Math.max(0, Math.min(255, (sg * 255 + 0.5) | 0));
-    }
+    var lut  = _buildToneLUT(a);
+    var hStr = (a.highlights - 50) / 50;                               // ハイライト
+    var sStr = (a.shadows - 50) / 50;                                  // シャドウ
 
     // ── ハイライト・シャドウ ──
     var needHS = (hStr !== 0 || sStr !== 0);
 
     // ── ピクセルループ ──
     for (var i = 0; i < len; i += 4) {
+        if ((i & FILTER_PROGRESS_MASK) === 0) _filterRowProgress(i / len);
         var r = lut[d[i]];
         var g = lut[d[i + 1]];
         var b = lut[d[i + 2]];
@@ -481,6 +771,46 @@ function _applyAdjustmentsToPixels(ctx, w, h) {
     ctx.putImageData(imageData, 0, 0);
 }
 
+/**
+ * 露出・明るさ・コントラストの統合 LUT（256 エントリ）
+ * sRGB→リニア→露出→sRGB→明るさ→コントラスト（filter-gl.js のシェーダーも同じ表を使う）
+ * @returns {Uint8Array}
+ */
+function _buildToneLUT(a) {
+    var eStops = (a.exposure - 50) / 12.5;                              // -4.0〜+4.0 EV
+    var eMul   = Math.pow(2, eStops);                                    // 露出乗数
+    var bGamma = 1.0 / Math.max(0.08, 1.0 + (a.brightness - 50) / 62.5); // 明るさガンマ
+    var cStr   = (a.contrast - 50) / 50;                                 // S曲線強度
+
+    var lut = new Uint8Array(256);
+    for (var v = 0; v < 256; v++) {
+        var srgb = v / 255.0;
+
+        // sRGB → リニア光（IEC 61966-2-1 準拠）
+        var lin = srgb <= 0.04045
+            ? srgb / 12.92
+            : Math.pow((srgb + 0.055) / 1.055, 2.4);
+
+        // 露出（リニア光空間で乗算 = 実際のカメラセンサーと同等）
+        lin = Math.max(0, Math.min(1, lin * eMul));
+
+        // リニア → sRGB
+        var sg = lin <= 0.0031308
+            ? lin * 12.92
+            : 1.055 * Math.pow(lin, 1.0 / 2.4) - 0.055;
+        sg = Math.max(0, Math.min(1, sg));
+
+        // 明るさ（知覚的ガンマカーブ — Lightroom の Brightness に近い挙動）
+        sg = Math.pow(sg, bGamma);
+
+        // コントラスト（ピースワイズ・パワー S曲線 — 端部を保護しつつ中間調を調整）
+        if (cStr !== 0) sg = _adjSCurve(sg, cStr);
+
+        lut[v] = Math.max(0, Math.min(255, (sg * 255 + 0.5) | 0));
+    }
+    return lut;
+}
+
 /**
  * ピースワイズ・パワー S曲線
  * 0.5 を境に上下でパワー関数を適用。端部の白飛び・黒つぶれを防ぐ。
@@ -515,14 +845,13 @@ function _applyDetail(ctx, w, h, detailValue) {
     if (detailValue === 50) return;
 
     var original = ctx.getImageData(0, 0, w, h);
-    var tmp = document.createElement('canvas');
-    tmp.width = w; tmp.height = h;
+    var tmp = _createScratchCanvas(w, h);
     tmp.getContext('2d').putImageData(original, 0, 0);
 
     if (detailValue < 50) {
         // ── エッジ保持スムージング ──
         var smoothAmt = (50 - detailValue) / 50;   // 0〜1
-        var blurPx = Math.max(1, Math.round(smoothAmt * 6));
+        var blurPx = Math.max(1, Math.round(smoothAmt * 6)) * filterEffectScale(w, h);
 
         ctx.save();
         ctx.filter = 'blur(' + blurPx + 'px)';
@@ -536,6 +865,7 @@ function _applyDetail(ctx, w, h, detailValue) {
         var edgeThreshold = 20 + smoothAmt * 15; // 強スムージング時はエッジ閾値を上げる
 
         for (var i = 0; i < od.length; i += 4) {
+            if ((i & FILTER_PROGRESS_MASK) === 0) _filterRowProgress(i / od.length);
             var oL = 0.299 * od[i] + 0.587 * od[i + 1] + 0.114 * od[i + 2];
             var bL = 0.299 * bd[i] + 0.587 * bd[i + 1] + 0.114 * bd[i + 2];
             // エッジ強度が高いほどスムージングを抑制（輪郭・髪の毛を保護）
@@ -549,7 +879,7 @@ function _applyDetail(ctx, w, h, detailValue) {
     } else {
         // ── アンシャープマスク（シャープン）──
         var sharpAmt = (detailValue - 50) / 50;    // 0〜1
-        var sharpPx = Math.max(1, Math.round(sharpAmt * 3));
+        var sharpPx = Math.max(1, Math.round(sharpAmt * 3)) * filterEffectScale(w, h);
 
         ctx.save();
         ctx.filter = 'blur(' + sharpPx + 'px)';
@@ -562,6 +892,7 @@ function _applyDetail(ctx, w, h, detailValue) {
         var strength = sharpAmt * 2.2;
 
         for (var i = 0; i < od.length; i += 4) {
+            if ((i & FILTER_PROGRESS_MASK) === 0) _filterRowProgress(i / od.length);
             bd[i]     = Math.min(255, Math.max(0, od[i]     + (od[i]     - bd[i])     * strength));
             bd[i + 1] = Math.min(255, Math.max(0, od[i + 1] + (od[i + 1] - bd[i + 1]) * strength));
             bd[i + 2] = Math.min(255, Math.max(0, od[i + 2] + (od[i + 2] - bd[i + 2]) * strength));
@@ -570,8 +901,7 @@ function _applyDetail(ctx, w, h, detailValue) {
     }
 }
 
-function _applyCSSAsPixels(ctx, w, h, filterStr) {
-    const t = currentFilterIntensity;
+function _applyCSSAsPixels(ctx, w, h, filterStr, t) {
     if (t <= 0) return;
     const imageData = ctx.getImageData(0, 0, w, h);
     const d = imageData.data;
@@ -580,8 +910,10 @@ function _applyCSSAsPixels(ctx, w, h, filterStr) {
     filterStr.replace(/([\w-]+)\(([^)]+)\)/g, (_, fn, val) => {
         ops.push({ fn, val: parseFloat(val), pct: val.indexOf('%') !== -1 });
     });
-    for (const op of ops) {
+    for (let k = 0; k < ops.length; k++) {
+        const op = ops[k];
         const v = _scaleToIdentity(op.fn, op.val, t);
+        _filterSubStage(k / ops.length, (k + 1) / ops.length);
         switch (op.fn) {
             case 'brightness':  _pxBrightness(d, len, v); break;
             case 'contrast':    _pxContrast(d, len, v); break;
@@ -600,6 +932,7 @@ function _scaleToIdentity(fn, v, t) {
 }
 function _pxBrightness(d, len, v) {
     for (var i = 0; i < len; i += 4) {
+        if ((i & FILTER_PROGRESS_MASK) === 0) _filterRowProgress(i / len);
         d[i] = Math.min(255, d[i] * v);
         d[i+1] = Math.min(255, d[i+1] * v);
         d[i+2] = Math.min(255, d[i+2] * v);
@@ -607,6 +940,7 @@ function _pxBrightness(d, len, v) {
 }
 function _pxContrast(d, len, v) {
     for (var i = 0; i < len; i += 4) {
+        if ((i & FILTER_PROGRESS_MASK) === 0) _filterRowProgress(i / len);
         d[i]   = Math.min(255, Math.max(0, (d[i]   - 128) * v + 128));
         d[i+1] = Math.min(255, Math.max(0, (d[i+1] - 128) * v + 128));
         d[i+2] = Math.min(255, Math.max(0, (d[i+2] - 128) * v + 128));
@@ -614,6 +948,7 @@ function _pxContrast(d, len, v) {
 }
 function _pxSaturate(d, len, v) {
     for (var i = 0; i < len; i += 4) {
+        if ((i & FILTER_PROGRESS_MASK) === 0) _filterRowProgress(i / len);
         var g = 0.299 * d[i] + 0.587 * d[i+1] + 0.114 * d[i+2];
         d[i]   = Math.min(255, Math.max(0, g + v * (d[i]   - g)));
         d[i+1] = Math.min(255, Math.max(0, g + v * (d[i+1] - g)));
@@ -623,6 +958,7 @@ function _pxSaturate(d, len, v) {
 function _pxGrayscale(d, len, amt) {
     amt = Math.min(1, Math.max(0, amt));
     for (var i = 0; i < len; i += 4) {
+        if ((i & FILTER_PROGRESS_MASK) === 0) _filterRowProgress(i / len);
         var g = 0.299 * d[i] + 0.587 * d[i+1] + 0.114 * d[i+2];
         d[i]   = d[i]   + (g - d[i])   * amt;
         d[i+1] = d[i+1] + (g - d[i+1]) * amt;
@@ -632,6 +968,7 @@ function _pxGrayscale(d, len, amt) {
 function _pxSepia(d, len, amt) {
     amt = Math.min(1, Math.max(0, amt));
     for (var i = 0; i < len; i += 4) {
+        if ((i & FILTER_PROGRESS_MASK) === 0) _filterRowProgress(i / len);
         var r = d[i], g = d[i+1], b = d[i+2];
         var sr = 0.393*r + 0.769*g + 0.189*b;
         var sg = 0.349*r + 0.686*g + 0.168*b;
@@ -654,6 +991,7 @@ function _pxHueRotate(d, len, deg) {
     var m21 = 0.715 - cs*0.715 + sn*0.715;
     var m22 = 0.072 + cs*0.928 + sn*0.072;
     for (var i = 0; i < len; i += 4) {
+        if ((i & FILTER_PROGRESS_MASK) === 0) _filterRowProgress(i / len);
         var r = d[i], g = d[i+1], b = d[i+2];
         d[i]   = Math.min(255, Math.max(0, m00*r + m01*g + m02*b));
         d[i+1] = Math.min(255, Math.max(0, m10*r + m11*g + m12*b));
@@ -708,14 +1046,7 @@ function buildFilterUI() {
     // 画像調整スライダー（明るさ・コントラスト・ハイライト・シャドウ・露出度）
     // カラーフィルターと独立して併用可能
     // ==============================================================
-    const adjDefs = [
-        { key: 'brightness', name: '明るさ',       icon: '☀️' },
-        { key: 'contrast',   name: 'コントラスト', icon: '◐'  },
-        { key: 'highlights', name: 'ハイライト',   icon: '💡' },
-        { key: 'shadows',    name: 'シャドウ',     icon: '🌑' },
-        { key: 'exposure',   name: '露出度',       icon: '📷' },
-        { key: 'detail',     name: 'ディテール',   icon: '🔍' }
-    ];
+    const adjDefs = IMAGE_ADJUSTMENT_DEFS;
 
     const adjWrap = document.createElement('div');
     adjWrap.style.cssText = 'grid-column: 1 / -1;';
@@ -0,0 +1,311 @@
+/**
+ * ======================================================================
+ * 撮影ガイドモジュール (guides.js)
+ * ライブプレビューに三分割グリッド・水平器・顔の収まりガイドを重ねる。
+ * 専用の Canvas（#guide-overlay-canvas）に描くだけで描画パイプラインには
+ * 登録しないため、撮影画像（captureImage / クリップ / 結果画面の再編集）には写らない。
+ *
+ *   グリッド : 三分割線
+ *   水平器   : DeviceOrientation から画面の傾きを求め、水平なら金色に点灯
+ *   顔ガイド : 顔検出（face-filter.js）の結果がフレームの窓（透過部分）に
+ *              収まっているか。はみ出している顔は赤で示す
+ *
+ * 表示の ON/OFF はレストラン単位で localStorage（sph_guides_<restaurantId>）に保存
+ *
+ * 依存: app.js（videoContainer / frameOverlay / cameraScreen）
+ *       face-filter.js（lastFaceLandmarks / setFaceLoopConsumer）— 任意
+ * ======================================================================
+ */
+
+// ======================================================================
+// 設定・状態変数
+// ======================================================================
+
+const GUIDE_DEFAULTS = { grid: false, level: false, faces: false };
+
+/** 表示するガイド */
+let guideSettings = { ...GUIDE_DEFAULTS };
+
+/** 水平とみなす傾き（度） */
+const GUIDE_LEVEL_TOLERANCE_DEG = 1;
+
+/** 端末がほぼ上か下を向いていて傾きが測れないとみなす閾値（画面方向の重力成分） */
+const GUIDE_LEVEL_FLAT_RATIO = 0.3;
+
+/** 顔検出結果を使う鮮度（ms） */
+const GUIDE_FACE_MAX_AGE_MS = 500;
+
+/** フレームの窓を探す縮小サイズ（長辺 px）と、透過とみなす行・列の割合 */
+const GUIDE_WINDOW_SCAN_EDGE = 120;
+const GUIDE_WINDOW_OPEN_RATIO = 0.6;
+
+/** フレームなしのときの収まりガイド（各辺の余白、コンテナに対する割合） */
+const GUIDE_SAFE_MARGIN = 0.06;
+
+/** 実際の水平線の画面上での傾き（度、時計回りが正）。null = 未取得・測定不能 */
+let _guideRoll = null;
+let _guideOrientationListening = false;
+let _guideLoopRunning = false;
+
+/** フレーム画像ごとの窓（src → { x, y, w, h }、0〜1 の割合） */
+const _guideWindowCache = new Map();
+
+// ======================================================================
+// 設定
+// ======================================================================
+
+function _guideStorageKey() {
+    const id = sessionStorage.getItem('restaurantId');
+    return id ? 'sph_guides_' + id : 'sph_guides';
+}
+
+/** 起動時に app.js から呼ぶ（顔検出の初期化後） */
+function loadGuideSettings() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(_guideStorageKey()) || 'null'); } catch (_) {}
+    guideSettings = { ...GUIDE_DEFAULTS, ...(saved || {}) };
+    _syncGuideControls();
+    _applyGuideSettings();
+}
+
+/**
+ * 設定パネルから呼ぶ
+ * @param {'grid'|'level'|'faces'} key
+ * @param {boolean} enabled
+ */
+function setGuideSetting(key, enabled) {
+    if (!(key in GUIDE_DEFAULTS)) return;
+    guideSettings[key] = !!enabled;
+    try { localStorage.setItem(_guideStorageKey(), JSON.stringify(guideSettings)); } catch (_) {}
+    // iOS は傾きセンサーの許可をユーザー操作の中で求める必要がある
+    if (key === 'level' && enabled) _requestOrientationPermission();
+    _applyGuideSettings();
+}
+
+function _syncGuideControls() {
+    const map = { grid: 'settings-guide-grid-toggle', level: 'settings-guide-level-toggle', faces: 'settings-guide-faces-toggle' };
+    Object.keys(map).forEach(key => {
+        const el = document.getElementById(map[key]);
+        if (el) el.checked = guideSettings[key];
+    });
+}
+
+function _applyGuideSettings() {
+    if (guideSettings.level) _startOrientation();
+    else                     _stopOrientation();
+
+    // 顔ガイドのために顔検出ループを動かす（装飾を選んでいなくても）
+    if (typeof setFaceLoopConsumer === 'function') setFaceLoopConsumer('guides', guideSettings.faces);
+
+    const any = guideSettings.grid || guideSettings.level || guideSettings.faces;
+    const canvas = document.getElementById('guide-overlay-canvas');
+    if (canvas) canvas.classList.toggle('hidden', !any);
+    if (any && !_guideLoopRunning) {
+        _guideLoopRunning = true;
+        requestAnimationFrame(_guideLoop);
+    } else if (!any) {
+        _guideLoopRunning = false;
+    }
+}
+
+// ======================================================================
+// 傾きセンサー
+// ======================================================================
+
+async function _requestOrientationPermission() {
+    if (typeof DeviceOrientationEvent === 'undefined' ||
+        typeof DeviceOrientationEvent.requestPermission !== 'function') return;
+    try {
+        const state = await DeviceOrientationEvent.requestPermission();
+        if (state !== 'granted') console.warn('DeviceOrientation permission:', state);
+        else if (guideSettings.level) _startOrientation();
+    } catch (err) {
+        console.warn('DeviceOrientation permission failed:', err);
+    }
+}
+
+function _startOrientation() {
+    if (_guideOrientationListening || typeof window.DeviceOrientationEvent === 'undefined') return;
+    _guideOrientationListening = true;
+    window.addEventListener('deviceorientation', _onGuideOrientation);
+}
+
+function _stopOrientation() {
+    if (!_guideOrientationListening) return;
+    _guideOrientationListening = false;
+    window.removeEventListener('deviceorientation', _onGuideOrientation);
+    _guideRoll = null;
+}
+
+/**
+ * beta / gamma から画面の面内での傾きを求める
+ * 端末座標での「上」方向は (-cosβ·sinγ, sinβ, cosβ·cosγ)。その画面内成分の向きが
+ * 水平線の傾き（端末を時計回りに θ 傾けると -θ）
+ */
+function _onGuideOrientation(e) {
+    if (e.beta === null || e.gamma === null) { _guideRoll = null; return; }
+    const b = e.beta * Math.PI / 180;
+    const g = e.gamma * Math.PI / 180;
+    const upX = -Math.cos(b) * Math.sin(g);
+    const upY = Math.sin(b);
+    if (Math.hypot(upX, upY) < GUIDE_LEVEL_FLAT_RATIO) { _guideRoll = null; return; }
+
+    let roll = Math.atan2(upX, upY) * 180 / Math.PI;
+    // 横向き表示では画面の回転分を引く
+    const screenAngle = (screen.orientation && typeof screen.orientation.angle === 'number')
+        ? screen.orientation.angle : (window.orientation || 0);
+    roll -= screenAngle;
+    roll = ((roll + 540) % 360) - 180;
+    _guideRoll = roll;
+}
+
+// ======================================================================
+// フレームの窓
+// ======================================================================
+
+/**
+ * フレーム画像の透過部分（写真が見える窓）を 0〜1 の矩形で返す
+ * 透過している割合が高い行・列の範囲を窓とみなす。フレームなしは余白付きの安全枠
+ */
+function _frameWindowRect() {
+    const img = (typeof frameOverlay !== 'undefined') ? frameOverlay : null;
+    const safe = { x: GUIDE_SAFE_MARGIN, y: GUIDE_SAFE_MARGIN, w: 1 - GUIDE_SAFE_MARGIN * 2, h: 1 - GUIDE_SAFE_MARGIN * 2 };
+    if (!img || !img.src || !img.complete || !img.naturalWidth || img.style.opacity === '0') return safe;
+    if (_guideWindowCache.has(img.src)) return _guideWindowCache.get(img.src);
+
+    let rect = safe;
+    try {
+        const s = Math.min(GUIDE_WINDOW_SCAN_EDGE / img.naturalWidth, GUIDE_WINDOW_SCAN_EDGE / img.naturalHeight);
+        const w = Math.max(1, Math.round(img.naturalWidth * s));
+        const h = Math.max(1, Math.round(img.naturalHeight * s));
+        const c = document.createElement('canvas');
+        c.width = w; c.height = h;
+        const ctx = c.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(img, 0, 0, w, h);
+        const d = ctx.getImageData(0, 0, w, h).data;
+        const clear = (x, y) => d[(y * w + x) * 4 + 3] < 128;
+
+        const rowOpen = y => { let n = 0; for (let x = 0; x < w; x++) if (clear(x, y)) n++; return n / w >= GUIDE_WINDOW_OPEN_RATIO; };
+        const colOpen = x => { let n = 0; for (let y = 0; y < h; y++) if (clear(x, y)) n++; return n / h >= GUIDE_WINDOW_OPEN_RATIO; };
+        let top = 0, bottom = h - 1, left = 0, right = w - 1;
+        while (top < bottom && !rowOpen(top)) top++;
+        while (bottom > top && !rowOpen(bottom)) bottom--;
+        while (left < right && !colOpen(left)) left++;
+        while (right > left && !colOpen(right)) right--;
+        if (bottom > top && right > left) {
+            rect = { x: left / w, y: top / h, w: (right - left + 1) / w, h: (bottom - top + 1) / h };
+        }
+    } catch (err) {
+        console.warn('Frame window scan failed:', err);
+    }
+    _guideWindowCache.set(img.src, rect);
+    return rect;
+}
+
+// ======================================================================
+// 描画
+// ======================================================================
+
+function _guideLoop() {
+    if (!_guideLoopRunning) return;
+    requestAnimationFrame(_guideLoop);
+    if (document.hidden || !cameraScreen.classList.contains('active')) return;
+
+    const canvas = document.getElementById('guide-overlay-canvas');
+    if (!canvas || !videoContainer) return;
+    const dpr = window.devicePixelRatio || 1;
+    const cw = videoContainer.clientWidth, ch = videoContainer.clientHeight;
+    if (!cw || !ch) return;
+    if (canvas.width !== Math.round(cw * dpr) || canvas.height !== Math.round(ch * dpr)) {
+        canvas.width  = Math.round(cw * dpr);
+        canvas.height = Math.round(ch * dpr);
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, cw, ch);
+
+    if (guideSettings.grid)  _drawGrid(ctx, cw, ch);
+    if (guideSettings.faces) _drawFaceGuide(ctx, cw, ch);
+    if (guideSettings.level) _drawLevel(ctx, cw, ch);
+}
+
+function _drawGrid(ctx, w, h) {
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.55)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 1; i <= 2; i++) {
+        ctx.moveTo(Math.round(w * i / 3) + 0.5, 0);
+        ctx.lineTo(Math.round(w * i / 3) + 0.5, h);
+        ctx.moveTo(0, Math.round(h * i / 3) + 0.5);
+        ctx.lineTo(w, Math.round(h * i / 3) + 0.5);
+    }
+    ctx.stroke();
+}
+
+function _drawLevel(ctx, w, h) {
+    const cx = w / 2, cy = h / 2;
+    const len = Math.min(w, h) * 0.35;
+    ctx.lineWidth = 2;
+
+    // 基準線（画面の水平）
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.beginPath();
+    ctx.moveTo(cx - len, cy); ctx.lineTo(cx - len * 0.4, cy);
+    ctx.moveTo(cx + len * 0.4, cy); ctx.lineTo(cx + len, cy);
+    ctx.stroke();
+
+    if (_guideRoll === null) return;
+    const level = Math.abs(_guideRoll) <= GUIDE_LEVEL_TOLERANCE_DEG;
+    // 実際の水平線（端末を時計回りに傾けると画面上では反時計回りに傾いて見える）
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(_guideRoll * Math.PI / 180);
+    ctx.strokeStyle = level ? '#D4AF37' : 'rgba(255, 255, 255, 0.9)';
+    ctx.lineWidth = level ? 3 : 2;
+    ctx.beginPath();
+    ctx.moveTo(-len * 0.8, 0); ctx.lineTo(len * 0.8, 0);
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.font = '600 13px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = level ? '#D4AF37' : '#fff';
+    ctx.fillText(`${Math.round(_guideRoll)}°`, cx, cy - 8);
+}
+
+function _drawFaceGuide(ctx, w, h) {
+    const win = _frameWindowRect();
+    const wx = win.x * w, wy = win.y * h, ww = win.w * w, wh = win.h * h;
+
+    const fresh = typeof lastFaceLandmarks !== 'undefined' && lastFaceLandmarks.length &&
+                  performance.now() - lastFaceLandmarksAt <= GUIDE_FACE_MAX_AGE_MS;
+    const flipped = typeof cameraFlipped !== 'undefined' && cameraFlipped;
+
+    // 顔の外接矩形（ランドマークは反転前の表示座標）
+    const boxes = fresh ? lastFaceLandmarks.map(lms => {
+        let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+        lms.forEach(p => {
+            const x = flipped ? w - p.x : p.x;
+            if (x < x0) x0 = x; if (x > x1) x1 = x;
+            if (p.y < y0) y0 = p.y; if (p.y > y1) y1 = p.y;
+        });
+        const inside = x0 >= wx && y0 >= wy && x1 <= wx + ww && y1 <= wy + wh;
+        return { x0, y0, x1, y1, inside };
+    }) : [];
+    const allInside = boxes.length > 0 && boxes.every(b => b.inside);
+
+    ctx.setLineDash([8, 6]);
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = !boxes.length ? 'rgba(255, 255, 255, 0.45)'
+                    : allInside     ? 'rgba(212, 175, 55, 0.95)'
+                    :                 'rgba(217, 83, 79, 0.95)';
+    ctx.strokeRect(wx + 1, wy + 1, ww - 2, wh - 2);
+    ctx.setLineDash([]);
+
+    boxes.forEach(b => {
+        if (b.inside) return;
+        ctx.strokeStyle = 'rgba(217, 83, 79, 0.95)';
+        ctx.strokeRect(b.x0, b.y0, b.x1 - b.x0, b.y1 - b.y0);
+    });
+}
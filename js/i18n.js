@@ -104,6 +104,41 @@ const I18N_TRANSLATIONS = {
         login_password_label:   'パスワード',
         login_hotel_tagline:    '記念日フォトフレーム',
         camera_loading:         'カメラを起動中...',
+        auto_shutter_waiting:   '笑顔を待っています',
+        auto_shutter_hold:      'そのまま！',
+        clip_processing:        '動画を作成中…',
+        print_btn:              '印刷',
+        print_title:            '写真を印刷',
+        print_paper:            '用紙',
+        print_fit:              '配置',
+        print_fit_contain:      '余白あり（全体を収める）',
+        print_fit_cover:        'フチなし（切り抜き）',
+        print_open:             '印刷する',
+        print_save_image:       '印刷用画像を保存',
+        gallery_btn:            'フォトロール',
+        gallery_title:          '— フォトロール —',
+        gallery_empty:          'まだ写真がありません',
+        gallery_select_all:     'すべて選択',
+        gallery_selected:       '{n}枚選択中',
+        gallery_save:           '保存',
+        gallery_delete_confirm: '選択した{n}枚を削除しますか？',
+        gallery_share_unsupported:'この端末ではまとめて共有できません。「保存」をお使いください。',
+        edit_btn:               '編集',
+        edit_title:             '写真を編集',
+        edit_frame:             'フレーム',
+        edit_frame_locked:      '背景合成の写真はフレームを変更できません',
+        edit_filter:            'フィルター',
+        edit_message:           'メッセージ',
+        edit_location:          '場所',
+        edit_reset:             '元に戻す',
+        result_processing:      '仕上げ中…',
+        low_light_warning:      '暗い場所です。写真が粗くなることがあります',
+        low_light_filter_hint:  'ざらつきのないフィルターがおすすめです',
+        low_light_torch:        'ライトをつける',
+        remote_shutter:         '撮影',
+        remote_switch_camera:   'カメラ切替',
+        remote_next_frame:      'フレーム',
+        remote_next_filter:     'フィルター',
     },
 
     // ================================================================
@@ -183,6 +218,41 @@ const I18N_TRANSLATIONS = {
         login_password_label:   'Password',
         login_hotel_tagline:    'Anniversary Photo Frame',
         camera_loading:         'Starting camera...',
+        auto_shutter_waiting:   'Waiting for smiles',
+        auto_shutter_hold:      'Hold that smile!',
+        clip_processing:        'Creating video…',
+        print_btn:              'Print',
+        print_title:            'Print photo',
+        print_paper:            'Paper',
+        print_fit:              'Layout',
+        print_fit_contain:      'With border (whole photo)',
+        print_fit_cover:        'Borderless (cropped)',
+        print_open:             'Print',
+        print_save_image:       'Save print image',
+        gallery_btn:            'Photo roll',
+        gallery_title:          '— Photo Roll —',
+        gallery_empty:          'No photos yet',
+        gallery_select_all:     'Select all',
+        gallery_selected:       '{n} selected',
+        gallery_save:           'Save',
+        gallery_delete_confirm: 'Delete {n} selected item(s)?',
+        gallery_share_unsupported:'This device cannot share multiple files. Please use "Save".',
+        edit_btn:               'Edit',
+        edit_title:             'Edit photo',
+        edit_frame:             'Frame',
+        edit_frame_locked:      'The frame cannot be changed on background photos',
+        edit_filter:            'Filter',
+        edit_message:           'Message',
+        edit_location:          'Place',
+        edit_reset:             'Undo changes',
+        result_processing:      'Finishing…',
+        low_light_warning:      'It\'s dark here. Photos may look grainy',
+        low_light_filter_hint:  'Try a filter without grain',
+        low_light_torch:        'Turn on light',
+        remote_shutter:         'Shoot',
+        remote_switch_camera:   'Switch camera',
+        remote_next_frame:      'Frame',
+        remote_next_filter:     'Filter',
     },
 
     // ================================================================
@@ -262,6 +332,41 @@ const I18N_TRANSLATIONS = {
         login_password_label:   '密码',
         login_hotel_tagline:    '纪念日相框',
         camera_loading:         '正在启动摄像头...',
+        auto_shutter_waiting:   '等待微笑',
+        auto_shutter_hold:      '保持住！',
+        clip_processing:        '正在生成视频…',
+        print_btn:              '打印',
+        print_title:            '打印照片',
+        print_paper:            '纸张',
+        print_fit:              '布局',
+        print_fit_contain:      '留白（完整照片）',
+        print_fit_cover:        '无边框（裁切）',
+        print_open:             '打印',
+        print_save_image:       '保存打印图像',
+        gallery_btn:            '相册',
+        gallery_title:          '— 相册 —',
+        gallery_empty:          '还没有照片',
+        gallery_select_all:     '全选',
+        gallery_selected:       '已选 {n} 张',
+        gallery_save:           '保存',
+        gallery_delete_confirm: '删除所选的 {n} 张吗？',
+        gallery_share_unsupported:'此设备无法批量分享，请使用“保存”。',
+        edit_btn:               '编辑',
+        edit_title:             '编辑照片',
+        edit_frame:             '相框',
+        edit_frame_locked:      '背景合成的照片无法更换相框',
+        edit_filter:            '滤镜',
+        edit_message:           '留言',
+        edit_location:          '地点',
+        edit_reset:             '恢复原样',
+        result_processing:      '正在处理…',
+        low_light_warning:      '光线较暗，照片可能会有噪点',
+        low_light_filter_hint:  '建议使用无颗粒感的滤镜',
+        low_light_torch:        '打开补光灯',
+        remote_shutter:         '拍摄',
+        remote_switch_camera:   '切换相机',
+        remote_next_frame:      '相框',
+        remote_next_filter:     '滤镜',
     },
 
     // ================================================================
@@ -341,6 +446,41 @@ const I18N_TRANSLATIONS = {
         login_password_label:   '密碼',
         login_hotel_tagline:    '紀念日相框',
         camera_loading:         '正在啟動攝影機...',
+        auto_shutter_waiting:   '等待微笑',
+        auto_shutter_hold:      '保持住！',
+        clip_processing:        '正在製作影片…',
+        print_btn:              '列印',
+        print_title:            '列印照片',
+        print_paper:            '紙張',
+        print_fit:              '版面',
+        print_fit_contain:      '留白（完整照片）',
+        print_fit_cover:        '無邊框（裁切）',
+        print_open:             '列印',
+        print_save_image:       '儲存列印影像',
+        gallery_btn:            '相簿',
+        gallery_title:          '— 相簿 —',
+        gallery_empty:          '還沒有照片',
+        gallery_select_all:     '全選',
+        gallery_selected:       '已選 {n} 張',
+        gallery_save:           '儲存',
+        gallery_delete_confirm: '刪除所選的 {n} 張嗎？',
+        gallery_share_unsupported:'此裝置無法批次分享，請使用「儲存」。',
+        edit_btn:               '編輯',
+        edit_title:             '編輯照片',
+        edit_frame:             '相框',
+        edit_frame_locked:      '背景合成的照片無法更換相框',
+        edit_filter:            '濾鏡',
+        edit_message:           '留言',
+        edit_location:          '地點',
+        edit_reset:             '復原',
+        result_processing:      '處理中…',
+        low_light_warning:      '光線較暗，照片可能會有雜訊',
+        low_light_filter_hint:  '建議使用無顆粒感的濾鏡',
+        low_light_torch:        '開啟補光燈',
+        remote_shutter:         '拍攝',
+        remote_switch_camera:   '切換相機',
+        remote_next_frame:      '相框',
+        remote_next_filter:     '濾鏡',
     },
 
     // ================================================================
@@ -420,6 +560,41 @@ const I18N_TRANSLATIONS = {
         login_password_label:   '비밀번호',
         login_hotel_tagline:    '기념일 포토 프레임',
         camera_loading:         '카메라 시작 중...',
+        auto_shutter_waiting:   '미소를 기다리는 중',
+        auto_shutter_hold:      '그대로!',
+        clip_processing:        '동영상 만드는 중…',
+        print_btn:              '인쇄',
+        print_title:            '사진 인쇄',
+        print_paper:            '용지',
+        print_fit:              '배치',
+        print_fit_contain:      '여백 있음 (전체)',
+        print_fit_cover:        '테두리 없음 (잘림)',
+        print_open:             '인쇄하기',
+        print_save_image:       '인쇄용 이미지 저장',
+        gallery_btn:            '포토롤',
+        gallery_title:          '— 포토롤 —',
+        gallery_empty:          '아직 사진이 없습니다',
+        gallery_select_all:     '모두 선택',
+        gallery_selected:       '{n}장 선택됨',
+        gallery_save:           '저장',
+        gallery_delete_confirm: '선택한 {n}장을 삭제할까요?',
+        gallery_share_unsupported:'이 기기에서는 여러 파일을 공유할 수 없습니다. \'저장\'을 이용해 주세요.',
+        edit_btn:               '편집',
+        edit_title:             '사진 편집',
+        edit_frame:             '프레임',
+        edit_frame_locked:      '배경 합성 사진은 프레임을 변경할 수 없습니다',
+        edit_filter:            '필터',
+        edit_message:           '메시지',
+        edit_location:          '장소',
+        edit_reset:             '원래대로',
+        result_processing:      '마무리 중…',
+        low_light_warning:      '어두운 곳입니다. 사진이 거칠게 나올 수 있어요',
+        low_light_filter_hint:  '입자감 없는 필터를 추천해요',
+        low_light_torch:        '조명 켜기',
+        remote_shutter:         '촬영',
+        remote_switch_camera:   '카메라 전환',
+        remote_next_frame:      '프레임',
+        remote_next_filter:     '필터',
     },
 
     // ================================================================
@@ -499,6 +674,41 @@ const I18N_TRANSLATIONS = {
         login_password_label:   'Mot de passe',
         login_hotel_tagline:    'Cadre photo anniversaire',
         camera_loading:         'Démarrage de la caméra...',
+        auto_shutter_waiting:   'En attente de sourires',
+        auto_shutter_hold:      'Ne bougez plus !',
+        clip_processing:        'Création de la vidéo…',
+        print_btn:              'Imprimer',
+        print_title:            'Imprimer la photo',
+        print_paper:            'Papier',
+        print_fit:              'Mise en page',
+        print_fit_contain:      'Avec marge (photo entière)',
+        print_fit_cover:        'Sans marge (recadré)',
+        print_open:             'Imprimer',
+        print_save_image:       'Enregistrer l\'image',
+        gallery_btn:            'Pellicule',
+        gallery_title:          '— Pellicule —',
+        gallery_empty:          'Aucune photo pour l\'instant',
+        gallery_select_all:     'Tout sélectionner',
+        gallery_selected:       '{n} sélectionnée(s)',
+        gallery_save:           'Enregistrer',
+        gallery_delete_confirm: 'Supprimer les {n} élément(s) sélectionné(s) ?',
+        gallery_share_unsupported:'Cet appareil ne peut pas partager plusieurs fichiers. Utilisez « Enregistrer ».',
+        edit_btn:               'Modifier',
+        edit_title:             'Modifier la photo',
+        edit_frame:             'Cadre',
+        edit_frame_locked:      'Le cadre ne peut pas être modifié sur les photos avec arrière-plan',
+        edit_filter:            'Filtre',
+        edit_message:           'Message',
+        edit_location:          'Lieu',
+        edit_reset:             'Annuler les modifications',
+        result_processing:      'Finalisation…',
+        low_light_warning:      'Il fait sombre. La photo peut être granuleuse',
+        low_light_filter_hint:  'Essayez un filtre sans grain',
+        low_light_torch:        'Allumer la lampe',
+        remote_shutter:         'Photo',
+        remote_switch_camera:   'Changer de caméra',
+        remote_next_frame:      'Cadre',
+        remote_next_filter:     'Filtre',
     },
 
     // ================================================================
@@ -578,6 +788,41 @@ const I18N_TRANSLATIONS = {
         login_password_label:   'Contraseña',
         login_hotel_tagline:    'Marco fotográfico de aniversario',
         camera_loading:         'Iniciando cámara...',
+        auto_shutter_waiting:   'Esperando sonrisas',
+        auto_shutter_hold:      '¡Mantén esa sonrisa!',
+        clip_processing:        'Creando vídeo…',
+        print_btn:              'Imprimir',
+        print_title:            'Imprimir foto',
+        print_paper:            'Papel',
+        print_fit:              'Ajuste',
+        print_fit_contain:      'Con margen (foto completa)',
+        print_fit_cover:        'Sin bordes (recortada)',
+        print_open:             'Imprimir',
+        print_save_image:       'Guardar imagen',
+        gallery_btn:            'Carrete',
+        gallery_title:          '— Carrete —',
+        gallery_empty:          'Aún no hay fotos',
+        gallery_select_all:     'Seleccionar todo',
+        gallery_selected:       '{n} seleccionada(s)',
+        gallery_save:           'Guardar',
+        gallery_delete_confirm: '¿Eliminar {n} elemento(s) seleccionado(s)?',
+        gallery_share_unsupported:'Este dispositivo no puede compartir varios archivos. Use «Guardar».',
+        edit_btn:               'Editar',
+        edit_title:             'Editar foto',
+        edit_frame:             'Marco',
+        edit_frame_locked:      'No se puede cambiar el marco en fotos con fondo',
+        edit_filter:            'Filtro',
+        edit_message:           'Mensaje',
+        edit_location:          'Lugar',
+        edit_reset:             'Deshacer cambios',
+        result_processing:      'Finalizando…',
+        low_light_warning:      'Hay poca luz. La foto puede salir con grano',
+        low_light_filter_hint:  'Prueba un filtro sin grano',
+        low_light_torch:        'Encender luz',
+        remote_shutter:         'Foto',
+        remote_switch_camera:   'Cambiar cámara',
+        remote_next_frame:      'Marco',
+        remote_next_filter:     'Filtro',
     },
 
     // ================================================================
@@ -657,6 +902,41 @@ const I18N_TRANSLATIONS = {
         login_password_label:   'Passwort',
         login_hotel_tagline:    'Jubiläums-Fotorahmen',
         camera_loading:         'Kamera wird gestartet...',
+        auto_shutter_waiting:   'Warte auf ein Lächeln',
+        auto_shutter_hold:      'So bleiben!',
+        clip_processing:        'Video wird erstellt…',
+        print_btn:              'Drucken',
+        print_title:            'Foto drucken',
+        print_paper:            'Papier',
+        print_fit:              'Anordnung',
+        print_fit_contain:      'Mit Rand (ganzes Foto)',
+        print_fit_cover:        'Randlos (beschnitten)',
+        print_open:             'Drucken',
+        print_save_image:       'Druckbild speichern',
+        gallery_btn:            'Fotorolle',
+        gallery_title:          '— Fotorolle —',
+        gallery_empty:          'Noch keine Fotos',
+        gallery_select_all:     'Alle auswählen',
+        gallery_selected:       '{n} ausgewählt',
+        gallery_save:           'Speichern',
+        gallery_delete_confirm: '{n} ausgewählte Elemente löschen?',
+        gallery_share_unsupported:'Dieses Gerät kann nicht mehrere Dateien teilen. Bitte „Speichern“ verwenden.',
+        edit_btn:               'Bearbeiten',
+        edit_title:             'Foto bearbeiten',
+        edit_frame:             'Rahmen',
+        edit_frame_locked:      'Bei Hintergrundfotos kann der Rahmen nicht geändert werden',
+        edit_filter:            'Filter',
+        edit_message:           'Nachricht',
+        edit_location:          'Ort',
+        edit_reset:             'Änderungen zurücksetzen',
+        result_processing:      'Wird fertiggestellt…',
+        low_light_warning:      'Es ist dunkel. Das Foto kann körnig werden',
+        low_light_filter_hint:  'Probieren Sie einen Filter ohne Körnung',
+        low_light_torch:        'Licht einschalten',
+        remote_shutter:         'Auslösen',
+        remote_switch_camera:   'Kamera wechseln',
+        remote_next_frame:      'Rahmen',
+        remote_next_filter:     'Filter',
     },
 
     // ================================================================
@@ -736,6 +1016,41 @@ const I18N_TRANSLATIONS = {
         login_password_label:   'Senha',
         login_hotel_tagline:    'Quadro de foto de aniversário',
         camera_loading:         'Iniciando câmera...',
+        auto_shutter_waiting:   'Aguardando sorrisos',
+        auto_shutter_hold:      'Segure o sorriso!',
+        clip_processing:        'Criando vídeo…',
+        print_btn:              'Imprimir',
+        print_title:            'Imprimir foto',
+        print_paper:            'Papel',
+        print_fit:              'Ajuste',
+        print_fit_contain:      'Com margem (foto inteira)',
+        print_fit_cover:        'Sem margem (recortada)',
+        print_open:             'Imprimir',
+        print_save_image:       'Salvar imagem',
+        gallery_btn:            'Rolo de fotos',
+        gallery_title:          '— Rolo de fotos —',
+        gallery_empty:          'Ainda não há fotos',
+        gallery_select_all:     'Selecionar tudo',
+        gallery_selected:       '{n} selecionada(s)',
+        gallery_save:           'Salvar',
+        gallery_delete_confirm: 'Excluir {n} item(ns) selecionado(s)?',
+        gallery_share_unsupported:'Este dispositivo não pode compartilhar vários arquivos. Use "Salvar".',
+        edit_btn:               'Editar',
+        edit_title:             'Editar foto',
+        edit_frame:             'Moldura',
+        edit_frame_locked:      'Não é possível alterar a moldura em fotos com fundo',
+        edit_filter:            'Filtro',
+        edit_message:           'Mensagem',
+        edit_location:          'Local',
+        edit_reset:             'Desfazer alterações',
+        result_processing:      'Finalizando…',
+        low_light_warning:      'Está escuro. A foto pode ficar granulada',
+        low_light_filter_hint:  'Experimente um filtro sem granulação',
+        low_light_torch:        'Ligar a luz',
+        remote_shutter:         'Fotografar',
+        remote_switch_camera:   'Trocar câmera',
+        remote_next_frame:      'Moldura',
+        remote_next_filter:     'Filtro',
     }
 };
 
@@ -784,6 +1099,7 @@ function setLanguage(lang) {
         }
     }
     if (typeof updatePreviewGuide  === 'function') updatePreviewGuide();
+    if (typeof updateRemoteHint    === 'function') updateRemoteHint();
     // Face AR UI / Filter UI を再構築して翻訳を反映
     if (typeof buildFilterUI   === 'function') buildFilterUI();
     if (typeof buildFaceFilterUI === 'function') buildFaceFilterUI();
@@ -802,6 +1118,10 @@ const I18N_DOM_MAP = [
     ['#face-filter-toggle',  'header_face_ar',  'title'],
     ['#message-toggle',      'header_message',  'title'],
     ['#frame-select-toggle', 'header_frame',    'title'],
+    ['#print-btn',           'print_btn',       'title'],
+    ['#edit-btn',            'edit_btn',        'title'],
+    ['#gallery-toggle',      'gallery_btn',     'title'],
+    ['#result-gallery-btn',  'gallery_btn',     'title'],
     ['#switch-camera-btn',   'switch_camera_title', 'title'],
     ['#logout-btn',          'logout_title',    'title'],
 
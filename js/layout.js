@@ -0,0 +1,158 @@
+/**
+ * ======================================================================
+ * 撮影レイアウトモジュール (layout.js)
+ * 複数枚撮影（2×2 グリッド / 縦 4 連フィルムストリップ / 2 枚並び）の
+ * レイアウト定義の管理と、撮影済みショットのシート合成を担当
+ *
+ * レイアウト定義は frames-config.json の commonLayouts / restaurantLayouts
+ * から読み込む（フレームと同じくレストラン毎に独自レイアウトを追加可能）。
+ *
+ * 依存: capture.js（startCountdown から getCurrentLayout / renderLayoutSheet を呼ぶ）
+ * ======================================================================
+ */
+
+// ======================================================================
+// 状態変数
+// ======================================================================
+
+/** 1 枚撮影（従来動作）— 設定ファイルに関係なく常に先頭に置く */
+const SINGLE_LAYOUT = { id: 'single', name: '1枚撮影', icon: '▯', shots: 1, cols: 1, rows: 1 };
+
+/** シート出力の最大長辺（px）と最大面積（iOS Safari の Canvas 面積上限対策） */
+const LAYOUT_SHEET_MAX_EDGE = 4096;
+const LAYOUT_SHEET_MAX_AREA = 12000000;
+
+/** 利用可能なレイアウト一覧 */
+let captureLayouts = [SINGLE_LAYOUT];
+
+/** 現在選択中のレイアウトID */
+let currentLayoutId = 'single';
+
+// ======================================================================
+// 設定読み込み
+// ======================================================================
+
+/**
+ * frames-config.json のレイアウト定義を取り込む
+ * loadFramesConfig() から呼ばれる
+ *
+ * @param {Object} framesData   - frames-config.json の内容
+ * @param {string|null} restId  - 認証済みレストランID
+ */
+function setCaptureLayouts(framesData, restId) {
+    const own    = (restId && framesData && framesData.restaurantLayouts && framesData.restaurantLayouts[restId]) || [];
+    const common = (framesData && framesData.commonLayouts) || [];
+
+    // disabled フラグ・不正な定義（ショット数とセル数の不一致）は除外
+    const valid = [...own, ...common].filter(l =>
+        l && !l.disabled && l.id && l.shots > 0 && l.cols > 0 && l.rows > 0 &&
+        l.cols * l.rows >= l.shots
+    );
+
+    captureLayouts = [SINGLE_LAYOUT, ...valid.filter(l => l.id !== SINGLE_LAYOUT.id)];
+    if (!captureLayouts.some(l => l.id === currentLayoutId)) currentLayoutId = SINGLE_LAYOUT.id;
+    buildLayoutUI();
+}
+
+function getCurrentLayout() {
+    return captureLayouts.find(l => l.id === currentLayoutId) || SINGLE_LAYOUT;
+}
+
+function selectLayout(layoutId) {
+    if (!captureLayouts.some(l => l.id === layoutId)) return;
+    currentLayoutId = layoutId;
+    const sel = document.getElementById('settings-layout-select');
+    if (sel) sel.value = layoutId;
+}
+
+/** 設定パネルのレイアウト選択肢を生成 */
+function buildLayoutUI() {
+    const sel = document.getElementById('settings-layout-select');
+    if (!sel) return;
+    sel.innerHTML = '';
+    captureLayouts.forEach(l => {
+        const opt = document.createElement('option');
+        opt.value = l.id;
+        opt.textContent = `${l.icon || ''} ${l.name || l.id}`.trim();
+        sel.appendChild(opt);
+    });
+    sel.value = currentLayoutId;
+}
+
+// ======================================================================
+// シート合成
+// ======================================================================
+
+/**
+ * 撮影済みショットをレイアウトに従って 1 枚のシートに並べる
+ * メッセージはここでは描画しない（呼び出し側でシート全体に 1 回だけ描画）
+ *
+ * @param {Object} layout                 - レイアウト定義
+ * @param {HTMLCanvasElement[]} shots     - 各ショット（全て同じサイズ）
+ * @returns {{ canvas: HTMLCanvasElement, cellW: number, cellH: number }}
+ */
+function renderLayoutSheet(layout, shots) {
+    const srcW = shots[0].width;
+    const srcH = shots[0].height;
+
+    // gap / padding / footer はセル幅に対する比率で指定
+    const gapR = layout.gap     || 0;
+    const padR = layout.padding || 0;
+    const ftrR = layout.footer  || 0;
+
+    const rawW = srcW * (padR * 2 + layout.cols + gapR * (layout.cols - 1));
+    const rawH = srcW * (padR * 2 + gapR * (layout.rows - 1) + ftrR) + srcH * layout.rows;
+
+    const scale = Math.min(1,
+        LAYOUT_SHEET_MAX_EDGE / Math.max(rawW, rawH),
+        Math.sqrt(LAYOUT_SHEET_MAX_AREA / (rawW * rawH)));
+
+    const cellW = Math.round(srcW * scale);
+    const cellH = Math.round(srcH * scale);
+    const gap   = Math.round(srcW * gapR * scale);
+    const pad   = Math.round(srcW * padR * scale);
+    const ftr   = Math.round(srcW * ftrR * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width  = pad * 2 + cellW * layout.cols + gap * (layout.cols - 1);
+    canvas.height = pad * 2 + cellH * layout.rows + gap * (layout.rows - 1) + ftr;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    ctx.fillStyle = layout.background || '#FAF9F6';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    if (layout.sprockets) _drawSprocketHoles(ctx, canvas.width, canvas.height, pad);
+
+    // 左上から行優先で配置
+    shots.forEach((shot, i) => {
+        const col = i % layout.cols;
+        const row = Math.floor(i / layout.cols);
+        const x = pad + col * (cellW + gap);
+        const y = pad + row * (cellH + gap);
+        ctx.drawImage(shot, 0, 0, shot.width, shot.height, x, y, cellW, cellH);
+    });
+
+    return { canvas, cellW, cellH };
+}
+
+/**
+ * フィルムストリップ風のスプロケット穴を左右の余白に描く
+ */
+function _drawSprocketHoles(ctx, w, h, pad) {
+    if (pad < 8) return;
+    const holeW = pad * 0.42;
+    const holeH = pad * 0.30;
+    const step  = holeH * 2.4;
+    ctx.save();
+    ctx.fillStyle = 'rgba(250, 249, 246, 0.85)';
+    for (let y = step / 2; y < h - holeH; y += step) {
+        [(pad - holeW) / 2, w - pad + (pad - holeW) / 2].forEach(x => {
+            ctx.beginPath();
+            ctx.roundRect ? ctx.roundRect(x, y, holeW, holeH, holeH * 0.25) : ctx.rect(x, y, holeW, holeH);
+            ctx.fill();
+        });
+    }
+    ctx.restore();
+}
@@ -0,0 +1,368 @@
+/**
+ * ======================================================================
+ * 暗所対策モジュール (low-light.js)
+ * ライブ映像の輝度ヒストグラムから暗さを判定し、お客様に注意表示を出す
+ * （ライトが使えるカメラなら「ライトをつける」ボタンも出す）。
+ *
+ * 暗い場所での撮影時は、連続する数フレームを位置合わせして平均し、ノイズを減らした
+ * 素材を作る（takeNoiseReducedFrame）。結果は zsl.js のフレームと同じ形式で
+ * grabRawShot(frame) に渡すため、フィルター等のレイヤー合成はその後に通常どおり行う。
+ *
+ * しきい値と重ねる枚数はレストラン単位で localStorage（sph_lowlight_<restaurantId>）に保存
+ *
+ * 依存: app.js（cameraVideo / cameraScreen）
+ *       camera.js（_trackControls / torchOn / toggleTorch）— 任意
+ *       filter.js（FILTERS / currentFilterId）— 任意
+ *       face-filter.js（faceCanvas / selectedDecorations）— 任意
+ * ======================================================================
+ */
+
+// ======================================================================
+// 設定・状態変数
+// ======================================================================
+
+/**
+ * threshold : 平均輝度（0〜255）がこれ未満なら暗所（0 = 判定しない）
+ * nrFrames  : 暗所で重ねるフレーム数（0 = ノイズ低減しない）
+ */
+const LOW_LIGHT_DEFAULTS = { threshold: 50, nrFrames: 4 };
+
+let lowLightSettings = { ...LOW_LIGHT_DEFAULTS };
+
+/** 判定の間隔（ms）と縮小幅（px） */
+const LOW_LIGHT_INTERVAL_MS  = 700;
+const LOW_LIGHT_SAMPLE_WIDTH = 64;
+
+/** 暗所から戻ったとみなす余裕（輝度）。境目で表示がちらつかないように */
+const LOW_LIGHT_HYSTERESIS = 8;
+
+/** 位置合わせ用の縮小幅（px）と探索範囲（縮小後の px） */
+const NR_ALIGN_WIDTH  = 160;
+const NR_ALIGN_RADIUS = 6;
+
+/** 縮小画像で求めたずれを元の解像度で詰め直すときに比べる中央部の大きさ（px） */
+const NR_REFINE_PATCH = 256;
+
+/** 位置合わせ後もこれ以上違うフレームは動いたものとして重ねない（平均輝度差） */
+const NR_MAX_DIFF = 14;
+
+/** 暗所と判定されているか */
+let lowLightDetected = false;
+
+/** 直近の判定結果（平均輝度・ヒストグラム 16 分割） */
+let lowLightStats = null;
+
+let _lowLightTimer   = null;
+let _lowLightScratch = null;
+
+// ======================================================================
+// 設定
+// ======================================================================
+
+function _lowLightStorageKey() {
+    const id = sessionStorage.getItem('restaurantId');
+    return id ? 'sph_lowlight_' + id : 'sph_lowlight';
+}
+
+/** 起動時に app.js から呼ぶ */
+function loadLowLightSettings() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(_lowLightStorageKey()) || 'null'); } catch (_) {}
+    lowLightSettings = { ...LOW_LIGHT_DEFAULTS, ...(saved || {}) };
+    _syncLowLightControls();
+    _restartLowLightMonitor();
+}
+
+/**
+ * 設定パネルから呼ぶ
+ * @param {'threshold'|'nrFrames'} key
+ * @param {number} value
+ */
+function setLowLightSetting(key, value) {
+    if (!(key in LOW_LIGHT_DEFAULTS)) return;
+    lowLightSettings[key] = value;
+    try { localStorage.setItem(_lowLightStorageKey(), JSON.stringify(lowLightSettings)); } catch (_) {}
+    _restartLowLightMonitor();
+}
+
+function _syncLowLightControls() {
+    const th = document.getElementById('settings-lowlight-threshold');
+    const nr = document.getElementById('settings-lowlight-frames');
+    if (th) th.value = String(lowLightSettings.threshold);
+    if (nr) nr.value = String(lowLightSettings.nrFrames);
+}
+
+// ======================================================================
+// 暗所判定
+// ======================================================================
+
+function _restartLowLightMonitor() {
+    clearInterval(_lowLightTimer);
+    _lowLightTimer = null;
+    lowLightDetected = false;
+    updateLowLightIndicator();
+    if (lowLightSettings.threshold > 0) {
+        _lowLightTimer = setInterval(_checkLowLight, LOW_LIGHT_INTERVAL_MS);
+    }
+}
+
+/**
+ * 映像の輝度ヒストグラムを取る
+ * @returns {{ mean: number, histogram: number[] }|null}
+ */
+function analyseLuminance() {
+    if (!cameraVideo || cameraVideo.readyState < 2 || !cameraVideo.videoWidth) return null;
+    const w = LOW_LIGHT_SAMPLE_WIDTH;
+    const h = Math.max(1, Math.round(cameraVideo.videoHeight * w / cameraVideo.videoWidth));
+    if (!_lowLightScratch) _lowLightScratch = document.createElement('canvas');
+    _lowLightScratch.width  = w;
+    _lowLightScratch.height = h;
+    const ctx = _lowLightScratch.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(cameraVideo, 0, 0, w, h);
+    const d = ctx.getImageData(0, 0, w, h).data;
+
+    const histogram = new Array(16).fill(0);
+    let sum = 0;
+    for (let i = 0; i < d.length; i += 4) {
+        const y = 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+        histogram[Math.min(15, y >> 4)]++;
+        sum += y;
+    }
+    return { mean: sum / (w * h), histogram };
+}
+
+function _checkLowLight() {
+    if (document.hidden || !cameraScreen.classList.contains('active')) return;
+    const stats = analyseLuminance();
+    if (!stats) return;
+    lowLightStats = stats;
+
+    const th = lowLightSettings.threshold;
+    const next = lowLightDetected ? stats.mean < th + LOW_LIGHT_HYSTERESIS : stats.mean < th;
+    lowLightDetected = next;
+    updateLowLightIndicator();
+}
+
+/**
+ * 暗所の注意表示（ざらつく系のフィルター選択中はフィルターの案内も）
+ * ライトの切り替え等、表示に関わる状態が変わったときは ui.js からも呼ぶ
+ */
+function updateLowLightIndicator() {
+    const el = document.getElementById('low-light-indicator');
+    if (!el) return;
+    el.classList.toggle('hidden', !lowLightDetected);
+    if (!lowLightDetected) return;
+
+    const _t = (key, fallback) => (typeof t === 'function') ? t(key) : fallback;
+    const text = document.getElementById('low-light-text');
+    if (text) {
+        const filter = (typeof FILTERS !== 'undefined' && typeof currentFilterId !== 'undefined')
+            ? FILTERS.find(f => f.id === currentFilterId) : null;
+        const grainy = !!(filter && filter.gl && filter.gl.grain > 0);
+        text.textContent = '🌙 ' + _t('low_light_warning', '暗い場所です。写真が粗くなることがあります') +
+            (grainy ? '\n' + _t('low_light_filter_hint', 'ざらつきのないフィルターがおすすめです') : '');
+    }
+    const torchBtn = document.getElementById('low-light-torch-btn');
+    if (torchBtn) {
+        const canTorch = typeof _trackControls !== 'undefined' && _trackControls && _trackControls.torch;
+        torchBtn.classList.toggle('hidden', !canTorch || (typeof torchOn !== 'undefined' && torchOn));
+    }
+}
+
+// ======================================================================
+// マルチフレーム ノイズ低減
+// ======================================================================
+
+/** 撮影時にノイズ低減するか（暗所と判定されていて、枚数が設定されている） */
+function shouldReduceNoise() {
+    if (!lowLightDetected || lowLightSettings.nrFrames < 2) return false;
+    if (typeof bgCompositeMode !== 'undefined' && bgCompositeMode) return false;
+    return typeof createImageBitmap === 'function';
+}
+
+/** 次の映像フレームを待つ（requestVideoFrameCallback が使えなければ 1 フレーム分待つ） */
+function _nextVideoFrame() {
+    return new Promise(resolve => {
+        if (typeof cameraVideo.requestVideoFrameCallback === 'function') {
+            cameraVideo.requestVideoFrameCallback(() => resolve());
+        } else {
+            setTimeout(resolve, 1000 / 30);
+        }
+    });
+}
+
+/**
+ * 連続するフレームを位置合わせして平均した素材を作る
+ *
+ * @returns {Promise<{ video: ImageBitmap, face: ImageBitmap|null }|null>}
+ *          zsl.js のフレームと同じ形式（使い終わったら releaseZslFrame() で解放）。失敗時は null
+ */
+async function takeNoiseReducedFrame() {
+    if (!cameraVideo || !cameraVideo.videoWidth) return null;
+    const count = lowLightSettings.nrFrames;
+    const withFace = typeof selectedDecorations !== 'undefined' && selectedDecorations.size > 0 &&
+                     typeof faceCanvas !== 'undefined' && faceCanvas && faceCanvas.width > 0;
+
+    const frames = [];
+    let face = null;
+    try {
+        for (let i = 0; i < count; i++) {
+            if (i > 0) await _nextVideoFrame();
+            frames.push(await createImageBitmap(cameraVideo));
+            // 顔 AR は基準フレーム（1 枚目）に合わせる
+            if (i === 0 && withFace) face = await createImageBitmap(faceCanvas);
+        }
+        const video = await createImageBitmap(_averageAlignedFrames(frames));
+        return { video, face };
+    } catch (err) {
+        console.warn('Noise reduction failed, using single frame:', err);
+        if (face) face.close();
+        return null;
+    } finally {
+        frames.forEach(f => f.close());
+    }
+}
+
+/**
+ * 1 枚目を基準に各フレームの平行移動を求め、重なる部分を平均する
+ * ずれは縮小画像で大まかに求め（1 px = 元の ratio px）、元の解像度の中央部で
+ * その周り ±ratio/2 を探し直して 1 px 単位に詰める
+ * 動きの大きいフレーム（人が動いた等）は二重写りになるので除く
+ */
+function _averageAlignedFrames(frames) {
+    const w = frames[0].width, h = frames[0].height;
+    const grays = frames.map(_nrGray);
+    const ratio = w / grays[0].w;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const sum   = new Uint16Array(w * h * 3);
+    const count = new Uint8Array(w * h);
+
+    frames.forEach((frame, i) => {
+        const shift = i === 0 ? { dx: 0, dy: 0, diff: 0 } : _nrFindShift(grays[0], grays[i]);
+        if (shift.diff > NR_MAX_DIFF) return;
+        let dx = Math.round(shift.dx * ratio), dy = Math.round(shift.dy * ratio);
+        if (i > 0 && ratio > 1) {
+            const fine = _nrRefineShift(frames[0], frame, dx, dy, Math.ceil(ratio / 2) + 1);
+            dx = fine.dx;
+            dy = fine.dy;
+        }
+
+        ctx.clearRect(0, 0, w, h);
+        ctx.drawImage(frame, -dx, -dy);
+        const d = ctx.getImageData(0, 0, w, h).data;
+        const x0 = Math.max(0, -dx), x1 = Math.min(w, w - dx);
+        const y0 = Math.max(0, -dy), y1 = Math.min(h, h - dy);
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const p = y * w + x, q = p * 4, s = p * 3;
+                sum[s] += d[q]; sum[s + 1] += d[q + 1]; sum[s + 2] += d[q + 2];
+                count[p]++;
+            }
+        }
+    });
+
+    const out = ctx.createImageData(w, h);
+    const o = out.data;
+    for (let p = 0; p < count.length; p++) {
+        const n = count[p] || 1, q = p * 4, s = p * 3;
+        o[q]     = sum[s] / n;
+        o[q + 1] = sum[s + 1] / n;
+        o[q + 2] = sum[s + 2] / n;
+        o[q + 3] = 255;
+    }
+    ctx.putImageData(out, 0, 0);
+    return canvas;
+}
+
+/** 位置合わせ用の縮小グレースケール */
+function _nrGray(bitmap) {
+    const w = Math.min(NR_ALIGN_WIDTH, bitmap.width);
+    const h = Math.max(1, Math.round(bitmap.height * w / bitmap.width));
+    return _nrGrayRegion(bitmap, 0, 0, bitmap.width, bitmap.height, w, h);
+}
+
+/**
+ * bitmap の (sx, sy, sw, sh) を w × h に描いたグレースケール（省略時は等倍）
+ * @returns {{ gray: Float32Array, w: number, h: number }}
+ */
+function _nrGrayRegion(bitmap, sx, sy, sw, sh, w, h) {
+    w = w || sw;
+    h = h || sh;
+    if (!_lowLightScratch) _lowLightScratch = document.createElement('canvas');
+    _lowLightScratch.width  = w;
+    _lowLightScratch.height = h;
+    const ctx = _lowLightScratch.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, sx, sy, sw, sh, 0, 0, w, h);
+    const d = ctx.getImageData(0, 0, w, h).data;
+    const gray = new Float32Array(w * h);
+    for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+        gray[p] = 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+    }
+    return { gray, w, h };
+}
+
+/**
+ * b を (dx, dy) ずらすと a に一番よく重なる平行移動を総当たりで探す（中央部の平均輝度差）
+ * @returns {{ dx: number, dy: number, diff: number }}
+ */
+function _nrFindShift(a, b) {
+    const R = NR_ALIGN_RADIUS;
+    const { w, h } = a;
+    let best = { dx: 0, dy: 0, diff: Infinity };
+    for (let dy = -R; dy <= R; dy++) {
+        for (let dx = -R; dx <= R; dx++) {
+            let sum = 0, n = 0;
+            for (let y = R; y < h - R; y += 2) {
+                for (let x = R; x < w - R; x += 2) {
+                    sum += Math.abs(a.gray[y * w + x] - b.gray[(y + dy) * w + (x + dx)]);
+                    n++;
+                }
+            }
+            const diff = n ? sum / n : Infinity;
+            if (diff < best.diff) best = { dx, dy, diff };
+        }
+    }
+    return best;
+}
+
+/**
+ * 縮小画像で求めたずれ (dx0, dy0)（元の解像度の px）の周り ±R を、元の解像度の中央部で探し直す
+ * @param {ImageBitmap} a - 基準フレーム
+ * @param {ImageBitmap} b
+ * @returns {{ dx: number, dy: number, diff: number }}
+ */
+function _nrRefineShift(a, b, dx0, dy0, R) {
+    const w = a.width, h = a.height;
+    const P  = Math.min(NR_REFINE_PATCH, w, h);
+    const ax = Math.round((w - P) / 2), ay = Math.round((h - P) / 2);
+    const ga = _nrGrayRegion(a, ax, ay, P, P);
+
+    // b は探す範囲ぶん広めに切り出す
+    const M  = R + Math.max(Math.abs(dx0), Math.abs(dy0));
+    const bx = Math.max(0, ax - M), by = Math.max(0, ay - M);
+    const bw = Math.min(w, ax + P + M) - bx, bh = Math.min(h, ay + P + M) - by;
+    const gb = _nrGrayRegion(b, bx, by, bw, bh);
+
+    let best = { dx: dx0, dy: dy0, diff: Infinity };
+    for (let dy = dy0 - R; dy <= dy0 + R; dy++) {
+        for (let dx = dx0 - R; dx <= dx0 + R; dx++) {
+            let sum = 0, n = 0;
+            for (let y = 0; y < P; y += 2) {
+                const yb = ay + y + dy - by;
+                if (yb < 0 || yb >= bh) continue;
+                for (let x = 0; x < P; x += 2) {
+                    const xb = ax + x + dx - bx;
+                    if (xb < 0 || xb >= bw) continue;
+                    sum += Math.abs(ga.gray[y * P + x] - gb.gray[yb * bw + xb]);
+                    n++;
+                }
+            }
+            if (n && sum / n < best.diff) best = { dx, dy, diff: sum / n };
+        }
+    }
+    return best;
+}
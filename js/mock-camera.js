@@ -0,0 +1,225 @@
+/**
+ * ======================================================================
+ * テスト用カメラ映像モジュール (mock-camera.js)
+ * 実際のカメラの代わりに、動画ファイル・静止画・自動生成の模様を
+ * カメラと同じ MediaStream として initCamera() に渡す（カメラのない PC での開発・
+ * スタッフ研修のデモ・ヘッドレスブラウザでの通し確認用）。
+ *
+ * Canvas に描いたものを captureStream() でストリームにするため、cameraVideo の
+ * サイズ・イベント（loadedmetadata 等）は実カメラと変わらず、顔 AR・背景合成・撮影は
+ * そのまま動く。
+ *
+ * 指定方法:
+ *   URL パラメーター  ?mockCamera=pattern                動く模様
+ *                    ?mockCamera=assets/demo/guests.mp4  動画（ループ再生）
+ *                    ?mockCamera=assets/demo/table.jpg   静止画
+ *   設定パネル「テスト映像」 — 模様、または端末のファイルを選ぶ
+ *
+ * 依存: camera.js（stopCamera / initCamera）。設定パネルの選択肢は ui.js から呼ばれる
+ * ======================================================================
+ */
+
+// ======================================================================
+// 設定・状態変数
+// ======================================================================
+
+/** テスト映像のフレームレート */
+const MOCK_CAMERA_FPS = 30;
+
+/** 出力の最大長辺（実カメラの 1920×1080 に合わせる） */
+const MOCK_CAMERA_MAX_EDGE = 1920;
+
+/** 模様のサイズ（横長の Web カメラ相当） */
+const MOCK_PATTERN_WIDTH  = 1280;
+const MOCK_PATTERN_HEIGHT = 720;
+
+const MOCK_VIDEO_EXT_RE = /\.(mp4|webm|mov|m4v|ogv)(\?|#|$)/i;
+
+/**
+ * 使用中のテスト映像（null = 実際のカメラ）
+ *   { type: 'pattern' }
+ *   { type: 'video' | 'image', url: string, name: string }
+ */
+let mockCameraSource = _mockSourceFromUrl();
+
+function _mockSourceFromUrl() {
+    let value = null;
+    try { value = new URLSearchParams(location.search).get('mockCamera'); } catch (_) {}
+    if (!value) return null;
+    if (value === 'pattern' || value === '1') return { type: 'pattern' };
+    return {
+        type: MOCK_VIDEO_EXT_RE.test(value) ? 'video' : 'image',
+        url:  value,
+        name: value.split('/').pop()
+    };
+}
+
+// ======================================================================
+// ストリーム生成
+// ======================================================================
+
+/**
+ * テスト映像の MediaStream を作る
+ * 止めるときは通常のカメラと同じく track.stop()（描画ループと動画も止まる）
+ *
+ * @param {{ type: string, url?: string }} source
+ * @returns {Promise<MediaStream>}
+ */
+async function createMockCameraStream(source) {
+    const canvas = document.createElement('canvas');
+    if (typeof canvas.captureStream !== 'function') {
+        throw new Error('canvas.captureStream is not supported');
+    }
+
+    let media = null;
+    let draw;
+    if (source.type === 'video') {
+        media = await _loadMockVideo(source.url);
+        _sizeMockCanvas(canvas, media.videoWidth, media.videoHeight);
+        draw = (ctx) => ctx.drawImage(media, 0, 0, canvas.width, canvas.height);
+    } else if (source.type === 'image') {
+        const img = await _loadMockImage(source.url);
+        _sizeMockCanvas(canvas, img.naturalWidth, img.naturalHeight);
+        draw = (ctx) => ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    } else {
+        canvas.width  = MOCK_PATTERN_WIDTH;
+        canvas.height = MOCK_PATTERN_HEIGHT;
+        let frameNo = 0;
+        draw = (ctx) => _drawMockPattern(ctx, canvas.width, canvas.height, frameNo++);
+    }
+
+    const ctx = canvas.getContext('2d');
+    draw(ctx);
+    // captureStream は Canvas が描き直されたときだけフレームを出すので、静止画も毎回描く
+    // （非表示タブでも止まらないよう requestAnimationFrame ではなくタイマーで回す）
+    const timer = setInterval(() => draw(ctx), 1000 / MOCK_CAMERA_FPS);
+
+    const mockStream = canvas.captureStream(MOCK_CAMERA_FPS);
+    const track = mockStream.getVideoTracks()[0];
+    const stopTrack = track.stop.bind(track);
+    track.stop = () => {
+        clearInterval(timer);
+        if (media) {
+            media.pause();
+            media.removeAttribute('src');
+            media.load();
+        }
+        stopTrack();
+    };
+    return mockStream;
+}
+
+function _sizeMockCanvas(canvas, w, h) {
+    const scale = Math.min(MOCK_CAMERA_MAX_EDGE / w, MOCK_CAMERA_MAX_EDGE / h, 1);
+    canvas.width  = Math.max(2, Math.round(w * scale));
+    canvas.height = Math.max(2, Math.round(h * scale));
+}
+
+function _loadMockVideo(url) {
+    return new Promise((resolve, reject) => {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.loop = true;
+        video.playsInline = true;
+        video.crossOrigin = 'anonymous';
+        video.onloadeddata = () => video.play().then(() => resolve(video)).catch(reject);
+        video.onerror = () => reject(new Error('Mock camera video failed to load: ' + url));
+        video.src = url;
+    });
+}
+
+function _loadMockImage(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload  = () => resolve(img);
+        img.onerror = () => reject(new Error('Mock camera image failed to load: ' + url));
+        img.src = url;
+    });
+}
+
+/**
+ * 自動生成の模様（フレーム番号だけで決まるので毎回同じ映像になる）
+ * 縦横・反転・クロップが分かるよう、四隅の印（左上だけ大きい）とフレーム番号を入れる
+ */
+function _drawMockPattern(ctx, w, h, frameNo) {
+    const bars = ['#D4AF37', '#FAF9F6', '#4A90D9', '#5CB85C', '#D9534F', '#9B59B6', '#1A2332'];
+    const barW = w / bars.length;
+    bars.forEach((c, i) => {
+        ctx.fillStyle = c;
+        ctx.fillRect(i * barW, 0, barW + 1, h);
+    });
+
+    // 動く円（動き検出・ZSL の確認用）
+    const t = frameNo / MOCK_CAMERA_FPS;
+    ctx.fillStyle = 'rgba(26, 35, 50, 0.85)';
+    ctx.beginPath();
+    ctx.arc(w / 2 + Math.cos(t) * w * 0.3, h / 2 + Math.sin(t * 1.3) * h * 0.25, Math.min(w, h) * 0.12, 0, Math.PI * 2);
+    ctx.fill();
+
+    // 四隅の印
+    ctx.fillStyle = '#000';
+    const m = Math.round(Math.min(w, h) * 0.04);
+    ctx.fillRect(0, 0, m * 2, m * 2);
+    ctx.fillRect(w - m, 0, m, m);
+    ctx.fillRect(0, h - m, m, m);
+    ctx.fillRect(w - m, h - m, m, m);
+
+    ctx.fillStyle = '#fff';
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 4;
+    ctx.font = `bold ${Math.round(h * 0.07)}px sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    const label = `MOCK CAMERA  #${frameNo}`;
+    ctx.strokeText(label, m * 3, m);
+    ctx.fillText(label, m * 3, m);
+}
+
+// ======================================================================
+// 切り替え
+// ======================================================================
+
+/**
+ * テスト映像を切り替えてカメラを起動し直す
+ * @param {{ type: string, url?: string, name?: string }|null} source - null = 実際のカメラに戻す
+ */
+async function setMockCameraSource(source) {
+    if (mockCameraSource && mockCameraSource.url && mockCameraSource.url.startsWith('blob:') &&
+        (!source || source.url !== mockCameraSource.url)) {
+        URL.revokeObjectURL(mockCameraSource.url);
+    }
+    mockCameraSource = source;
+    buildMockCameraSelectUI();
+    stopCamera();
+    await initCamera();
+}
+
+/** 端末のファイル（動画・画像）をテスト映像にする */
+function setMockCameraFile(file) {
+    if (!file) return;
+    setMockCameraSource({
+        type: file.type.startsWith('video/') ? 'video' : 'image',
+        url:  URL.createObjectURL(file),
+        name: file.name
+    });
+}
+
+function buildMockCameraSelectUI() {
+    const sel = document.getElementById('settings-mock-camera-select');
+    if (!sel) return;
+    sel.innerHTML = '';
+    const add = (value, text) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        sel.appendChild(opt);
+    };
+    add('', 'なし（カメラを使う）');
+    add('pattern', '動く模様');
+    if (mockCameraSource && mockCameraSource.url) add('current', mockCameraSource.name || mockCameraSource.url);
+    add('file', 'ファイルを選ぶ…');
+    sel.value = !mockCameraSource ? '' : (mockCameraSource.type === 'pattern' ? 'pattern' : 'current');
+}
+
+buildMockCameraSelectUI();
@@ -0,0 +1,245 @@
+/**
+ * ======================================================================
+ * 出力設定モジュール (output.js)
+ * 保存する写真の形式（JPEG / PNG / WebP / AVIF）・画質・ファイルサイズ上限を管理し、
+ * 結果 Canvas を設定どおりにエンコードする。
+ *
+ * - 形式は canvas.toBlob が実際にその MIME で出力できる場合のみ選択可能
+ * - 「サイズ上限」指定時は画質を二分探索して上限以下に収める（LINE 等の送信向け）
+ * - 設定はレストラン単位で localStorage（sph_output_<restaurantId>）に保存。
+ *   restaurants.json の各レストランに "output": { "format", "quality", "targetKB" }
+ *   を書くと、そのレストランの初期値になる
+ *
+ * 依存: capture.js（prepareResultImage / _makeBlob / _makeFilename から呼ばれる）
+ * ======================================================================
+ */
+
+// ======================================================================
+// 定義・状態変数
+// ======================================================================
+
+const OUTPUT_FORMATS = [
+    { id: 'jpeg', mime: 'image/jpeg', ext: 'jpg',  name: 'JPEG', lossy: true  },
+    { id: 'png',  mime: 'image/png',  ext: 'png',  name: 'PNG（劣化なし）', lossy: false },
+    { id: 'webp', mime: 'image/webp', ext: 'webp', name: 'WebP', lossy: true  },
+    { id: 'avif', mime: 'image/avif', ext: 'avif', name: 'AVIF', lossy: true  }
+];
+
+/** 画質の選択肢 */
+const OUTPUT_QUALITY_LEVELS = [
+    { value: 0.93, name: '高画質' },
+    { value: 0.85, name: '標準' },
+    { value: 0.75, name: '軽量' }
+];
+
+/** サイズ上限の選択肢（KB、0 = 制限なし） */
+const OUTPUT_TARGET_SIZES = [
+    { value: 0,    name: '制限なし' },
+    { value: 1000, name: '1MB（LINE 向け）' },
+    { value: 3000, name: '3MB' },
+    { value: 500,  name: '500KB' }
+];
+
+const OUTPUT_DEFAULTS = { format: 'jpeg', quality: 0.93, targetKB: 0 };
+
+/** 上限探索で下げる画質の下限と、それでも超える場合の縮小回数 */
+const OUTPUT_MIN_QUALITY   = 0.4;
+const OUTPUT_SEARCH_STEPS  = 7;
+const OUTPUT_MAX_DOWNSCALE = 3;
+
+/** 上限から差し引く EXIF / XMP 用の余裕（バイト） */
+const OUTPUT_METADATA_RESERVE = 4096;
+
+/** 現在の出力設定 */
+let outputSettings = { ...OUTPUT_DEFAULTS };
+
+/** toBlob で出力できる MIME（JPEG / PNG はほぼ全ブラウザ対応なので初期値に含める） */
+let _supportedOutputMimes = new Set(['image/jpeg', 'image/png']);
+
+// ======================================================================
+// 対応形式の検出
+// ======================================================================
+
+/**
+ * 各形式を小さな Canvas で実際にエンコードし、指定 MIME で返ってくるか確認
+ * 非対応のブラウザは PNG にフォールバックして返すため type で判定する
+ */
+async function detectOutputFormats() {
+    const c = document.createElement('canvas');
+    c.width = c.height = 2;
+    const checks = OUTPUT_FORMATS.map(f => new Promise(resolve => {
+        try {
+            c.toBlob(b => resolve(b && b.type === f.mime ? f.mime : null), f.mime, 0.8);
+        } catch (_) { resolve(null); }
+    }));
+    _supportedOutputMimes = new Set((await Promise.all(checks)).filter(Boolean));
+    _supportedOutputMimes.add('image/png');
+    buildOutputUI();
+}
+
+function isOutputFormatSupported(formatId) {
+    const f = OUTPUT_FORMATS.find(x => x.id === formatId);
+    return !!f && _supportedOutputMimes.has(f.mime);
+}
+
+/** 現在の出力形式（非対応なら JPEG） */
+function getOutputFormat() {
+    const f = OUTPUT_FORMATS.find(x => x.id === outputSettings.format);
+    return (f && _supportedOutputMimes.has(f.mime)) ? f : OUTPUT_FORMATS[0];
+}
+
+// ======================================================================
+// 設定の読み込み・保存（レストラン単位）
+// ======================================================================
+
+function _outputStorageKey() {
+    const id = sessionStorage.getItem('restaurantId');
+    return id ? 'sph_output_' + id : 'sph_output';
+}
+
+/**
+ * レストランの初期値 → 端末に保存された設定 の順で読み込む
+ * @param {Object|null} restaurant - restaurants.json のレストラン情報
+ */
+function loadOutputSettings(restaurant) {
+    const base = { ...OUTPUT_DEFAULTS, ...((restaurant && restaurant.output) || {}) };
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(_outputStorageKey()) || 'null'); } catch (_) {}
+    outputSettings = { ...base, ...(saved || {}) };
+    buildOutputUI();
+}
+
+function setOutputSetting(key, value) {
+    if (!(key in OUTPUT_DEFAULTS)) return;
+    outputSettings[key] = value;
+    try { localStorage.setItem(_outputStorageKey(), JSON.stringify(outputSettings)); } catch (_) {}
+    _syncOutputControls();
+}
+
+// ======================================================================
+// エンコード
+// ======================================================================
+
+function _canvasToBlob(canvas, mime, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(b => b ? resolve(b) : reject(new Error('toBlob failed')), mime, quality);
+    });
+}
+
+/**
+ * 出力設定に従って Canvas をエンコードする
+ * サイズ上限がある場合は画質を二分探索し、最低画質でも超える場合は縮小して再試行
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<{ blob: Blob, width: number, height: number }>} width / height はエンコードした画像の実寸
+ *          （縮小した場合は canvas より小さい。EXIF の画像サイズに使う）
+ */
+async function encodeCanvasForOutput(canvas) {
+    const fmt   = getOutputFormat();
+    const limit = outputSettings.targetKB ? Math.max(1, outputSettings.targetKB * 1024 - OUTPUT_METADATA_RESERVE) : 0;
+    const q     = outputSettings.quality || OUTPUT_DEFAULTS.quality;
+    const result = (blob, src) => ({ blob, width: src.width, height: src.height });
+
+    // PNG は画質指定ができないので上限は適用しない
+    if (!fmt.lossy) return result(await _canvasToBlob(canvas, fmt.mime), canvas);
+
+    let blob = await _canvasToBlob(canvas, fmt.mime, q);
+    if (!limit || blob.size <= limit) return result(blob, canvas);
+
+    let src = canvas, blobSrc = canvas;
+    for (let attempt = 0; attempt <= OUTPUT_MAX_DOWNSCALE; attempt++) {
+        // ---- 画質の二分探索（上限以下で最も高い画質を探す） ----
+        let lo = OUTPUT_MIN_QUALITY, hi = q, best = null;
+        for (let i = 0; i < OUTPUT_SEARCH_STEPS; i++) {
+            const mid = (lo + hi) / 2;
+            const b = await _canvasToBlob(src, fmt.mime, mid);
+            if (b.size <= limit) { best = b; lo = mid; } else { hi = mid; }
+        }
+        if (!best) {
+            const b = await _canvasToBlob(src, fmt.mime, OUTPUT_MIN_QUALITY);
+            if (b.size <= limit) best = b;
+            blob = b;
+            blobSrc = src;
+        }
+        if (best) return result(best, src);
+
+        // ---- 最低画質でも超える → 面積比で縮小して再試行 ----
+        const s = Math.sqrt(limit / blob.size) * 0.95;
+        const next = document.createElement('canvas');
+        next.width  = Math.max(1, Math.round(src.width  * s));
+        next.height = Math.max(1, Math.round(src.height * s));
+        const nCtx = next.getContext('2d');
+        nCtx.imageSmoothingEnabled = true;
+        nCtx.imageSmoothingQuality = 'high';
+        nCtx.drawImage(src, 0, 0, next.width, next.height);
+        src = next;
+    }
+    console.warn('encodeCanvasForOutput: could not reach target size, using smallest result');
+    return result(blob, blobSrc);
+}
+
+/** 設定が変わったかどうかの判定用キー（エンコード結果のキャッシュに使う） */
+function getOutputSettingsKey() {
+    return [getOutputFormat().id, outputSettings.quality, outputSettings.targetKB].join('|');
+}
+
+// ======================================================================
+// 設定パネル UI
+// ======================================================================
+
+function _fillSelect(sel, items) {
+    sel.innerHTML = '';
+    items.forEach(it => {
+        const opt = document.createElement('option');
+        opt.value = it.value;
+        opt.textContent = it.name;
+        if (it.disabled) opt.disabled = true;
+        sel.appendChild(opt);
+    });
+}
+
+function buildOutputUI() {
+    const fmtSel = document.getElementById('settings-output-format');
+    const qSel   = document.getElementById('settings-output-quality');
+    const tSel   = document.getElementById('settings-output-target');
+    if (fmtSel) {
+        _fillSelect(fmtSel, OUTPUT_FORMATS.map(f => ({
+            value: f.id,
+            name:  f.name + (_supportedOutputMimes.has(f.mime) ? '' : '（非対応）'),
+            disabled: !_supportedOutputMimes.has(f.mime)
+        })));
+    }
+    if (qSel) _fillSelect(qSel, OUTPUT_QUALITY_LEVELS);
+    if (tSel) _fillSelect(tSel, OUTPUT_TARGET_SIZES);
+    _syncOutputControls();
+}
+
+/** 選択状態を反映（PNG のときは画質・上限を無効化） */
+function _syncOutputControls() {
+    const fmt    = getOutputFormat();
+    const fmtSel = document.getElementById('settings-output-format');
+    const qSel   = document.getElementById('settings-output-quality');
+    const tSel   = document.getElementById('settings-output-target');
+    if (fmtSel) fmtSel.value = fmt.id;
+    if (qSel) {
+        const nearest = OUTPUT_QUALITY_LEVELS.reduce((a, b) =>
+            Math.abs(b.value - outputSettings.quality) < Math.abs(a.value - outputSettings.quality) ? b : a);
+        qSel.value = String(nearest.value);
+        qSel.disabled = !fmt.lossy;
+    }
+    if (tSel) {
+        const kb = String(outputSettings.targetKB || 0);
+        // restaurants.json で選択肢にない上限が指定されている場合は項目を追加
+        if (![...tSel.options].some(o => o.value === kb)) {
+            const opt = document.createElement('option');
+            opt.value = kb;
+            opt.textContent = kb + 'KB';
+            tSel.appendChild(opt);
+        }
+        tSel.value = kb;
+        tSel.disabled = !fmt.lossy;
+    }
+}
+
+loadOutputSettings(null);
+detectOutputFormats();
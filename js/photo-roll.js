@@ -0,0 +1,486 @@
+/**
+ * ======================================================================
+ * フォトロールモジュール (photo-roll.js)
+ * 撮影した写真・クリップをセッション単位で IndexedDB に保存し、
+ * ギャラリー画面で後から選んで保存・共有・削除できるようにする。
+ *
+ * - 1 回の撮影 = 1 エントリ。連写候補の切り替え等で結果が差し替わった場合は
+ *   同じエントリを上書きする（beginPhotoRollEntry で次のエントリを開始）
+ * - セッション ID は sessionStorage に保持し、ギャラリーには現在のセッション分のみ表示
+ * - ログアウト時は全件削除。保存期間を過ぎたエントリも自動で削除する
+ *   保存期間は設定パネル、または restaurants.json の
+ *   "photoRoll": { "retentionMinutes": 180 } で指定
+ *
+ * 依存: capture.js（_makeFilename）— 任意
+ * ======================================================================
+ */
+
+// ======================================================================
+// 定義・状態変数
+// ======================================================================
+
+const PHOTO_ROLL_DB_NAME    = 'sph_photo_roll';
+const PHOTO_ROLL_DB_VERSION = 1;
+const PHOTO_ROLL_STORE      = 'photos';
+
+/** 保存期間の選択肢（分） */
+const PHOTO_ROLL_RETENTION_OPTIONS = [
+    { value: 30,  name: '30分' },
+    { value: 60,  name: '1時間' },
+    { value: 180, name: '3時間' },
+    { value: 720, name: '12時間' }
+];
+const PHOTO_ROLL_DEFAULT_RETENTION = 180;
+
+/** 1 セッションで保持する最大枚数（超えたら古いものから削除） */
+const PHOTO_ROLL_MAX_ENTRIES = 50;
+
+/** サムネイルの長辺（px） */
+const PHOTO_ROLL_THUMB_EDGE = 320;
+
+/** 期限切れチェックの間隔（ms） */
+const PHOTO_ROLL_PURGE_INTERVAL_MS = 60000;
+
+/** 保存期間（分） */
+let photoRollRetentionMinutes = PHOTO_ROLL_DEFAULT_RETENTION;
+
+/** IndexedDB 接続（Promise をキャッシュ） */
+let _photoRollDb = null;
+
+/**
+ * 現在の撮影結果のエントリ（id は未保存なら null）
+ * 撮影ごとに新しいオブジェクトにし、保存処理は呼び出し時点のものにだけ書き込む
+ * （キューの処理中に次の撮影が始まっても、新しい撮影のエントリを上書きしない）
+ */
+let _rollCurrent = { id: null };
+
+/** 書き込みを直列化するキュー（連続した上書きで重複エントリを作らないため） */
+let _rollQueue = Promise.resolve();
+
+/** ギャラリー表示中のエントリ・選択状態・サムネイル URL */
+let _galleryEntries  = [];
+let _gallerySelected = new Set();
+let _galleryUrls     = [];
+let _galleryReturnScreen = 'camera';
+
+// ======================================================================
+// IndexedDB
+// ======================================================================
+
+function _openPhotoRollDb() {
+    if (_photoRollDb) return _photoRollDb;
+    _photoRollDb = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB not supported')); return; }
+        const req = indexedDB.open(PHOTO_ROLL_DB_NAME, PHOTO_ROLL_DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(PHOTO_ROLL_STORE)) {
+                const store = db.createObjectStore(PHOTO_ROLL_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('sessionId', 'sessionId', { unique: false });
+                store.createIndex('createdAt', 'createdAt', { unique: false });
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => reject(req.error);
+    });
+    // 失敗した接続はキャッシュしない（プライベートモード等）
+    _photoRollDb.catch(() => { _photoRollDb = null; });
+    return _photoRollDb;
+}
+
+/**
+ * ストアに対して 1 トランザクション実行する
+ * @param {IDBTransactionMode} mode
+ * @param {Function} fn - (store) => IDBRequest|void。返したリクエストの結果で resolve
+ * @returns {Promise<*>}
+ */
+async function _rollTx(mode, fn) {
+    const db = await _openPhotoRollDb();
+    return new Promise((resolve, reject) => {
+        const tx    = db.transaction(PHOTO_ROLL_STORE, mode);
+        const req   = fn(tx.objectStore(PHOTO_ROLL_STORE));
+        tx.oncomplete = () => resolve(req ? req.result : undefined);
+        tx.onerror    = () => reject(tx.error);
+        tx.onabort    = () => reject(tx.error || new Error('transaction aborted'));
+    });
+}
+
+function _photoRollSessionId() {
+    let id = sessionStorage.getItem('sph_roll_session');
+    if (!id) {
+        id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        sessionStorage.setItem('sph_roll_session', id);
+    }
+    return id;
+}
+
+// ======================================================================
+// 保存
+// ======================================================================
+
+/** 新しい撮影結果の表示前に呼ぶ（以降の保存は新しいエントリになる） */
+function beginPhotoRollEntry() {
+    _rollCurrent = { id: null };
+}
+
+/** source（Canvas / Video）から JPEG サムネイルを作る */
+function _makeRollThumbnail(source) {
+    return new Promise(resolve => {
+        const w = source && (source.videoWidth || source.width);
+        const h = source && (source.videoHeight || source.height);
+        if (!w || !h) { resolve(null); return; }
+        const scale = Math.min(1, PHOTO_ROLL_THUMB_EDGE / Math.max(w, h));
+        const c = document.createElement('canvas');
+        c.width  = Math.round(w * scale);
+        c.height = Math.round(h * scale);
+        try {
+            c.getContext('2d').drawImage(source, 0, 0, c.width, c.height);
+            c.toBlob(b => resolve(b), 'image/jpeg', 0.75);
+        } catch (_) { resolve(null); }
+    });
+}
+
+/**
+ * 現在の撮影結果をフォトロールに保存（同じ撮影の 2 回目以降は上書き）
+ *
+ * @param {Blob} blob - 保存用にエンコード済みの画像 / 動画
+ * @param {HTMLCanvasElement|HTMLVideoElement} source - サムネイルの元
+ * @returns {Promise<void>}
+ */
+function savePhotoRollEntry(blob, source) {
+    if (!blob) return Promise.resolve();
+    const kind     = (blob.type || '').startsWith('video/') ? 'clip' : 'photo';
+    const filename = (typeof _makeFilename === 'function') ? _makeFilename() : 'photo';
+    const thumbPromise = _makeRollThumbnail(source);
+    const target = _rollCurrent;
+
+    _rollQueue = _rollQueue.then(async () => {
+        const entry = {
+            sessionId:    _photoRollSessionId(),
+            restaurantId: sessionStorage.getItem('restaurantId') || '',
+            createdAt:    Date.now(),
+            kind,
+            mimeType:     blob.type || '',
+            filename,
+            blob,
+            thumb:        await thumbPromise
+        };
+        if (target.id !== null) entry.id = target.id;
+        target.id = await _rollTx('readwrite', store => store.put(entry));
+        await _trimPhotoRoll(entry.sessionId);
+        updateGalleryBadge();
+    }).catch(err => {
+        console.warn('savePhotoRollEntry failed:', err);
+    });
+    return _rollQueue;
+}
+
+/** 現在のセッションのエントリを新しい順で取得 */
+async function getPhotoRollEntries() {
+    const sessionId = _photoRollSessionId();
+    const entries = await _rollTx('readonly', store => store.index('sessionId').getAll(sessionId));
+    return (entries || []).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+async function _trimPhotoRoll(sessionId) {
+    const entries = await _rollTx('readonly', store => store.index('sessionId').getAllKeys(sessionId));
+    if (!entries || entries.length <= PHOTO_ROLL_MAX_ENTRIES) return;
+    // ID は自動採番なので小さいほど古い
+    const excess = entries.sort((a, b) => a - b).slice(0, entries.length - PHOTO_ROLL_MAX_ENTRIES);
+    await deletePhotoRollEntries(excess);
+}
+
+function deletePhotoRollEntries(ids) {
+    if (ids.includes(_rollCurrent.id)) _rollCurrent.id = null;
+    return _rollTx('readwrite', store => { ids.forEach(id => store.delete(id)); });
+}
+
+// ======================================================================
+// 自動削除（ログアウト・保存期間）
+// ======================================================================
+
+/** 全エントリを削除（ログアウト時） */
+async function clearPhotoRoll() {
+    _rollCurrent = { id: null };
+    try {
+        await _rollQueue;
+        await _rollTx('readwrite', store => store.clear());
+    } catch (err) {
+        console.warn('clearPhotoRoll failed:', err);
+    }
+}
+
+/** 保存期間を過ぎたエントリを削除（他セッションの残りも含む） */
+async function purgeExpiredPhotos() {
+    const limit = Date.now() - photoRollRetentionMinutes * 60000;
+    try {
+        const keys = await _rollTx('readonly', store =>
+            store.index('createdAt').getAllKeys(IDBKeyRange.upperBound(limit)));
+        if (keys && keys.length > 0) {
+            await deletePhotoRollEntries(keys);
+            if (document.getElementById('gallery-screen')?.classList.contains('active')) renderGallery();
+        }
+        updateGalleryBadge();
+    } catch (err) {
+        console.warn('purgeExpiredPhotos failed:', err);
+    }
+}
+
+// ======================================================================
+// 保存期間の設定
+// ======================================================================
+
+/**
+ * レストランの初期値 → 端末に保存された設定 の順で読み込む
+ * @param {Object|null} restaurant - restaurants.json のレストラン情報
+ */
+function loadPhotoRollSettings(restaurant) {
+    const base  = restaurant && restaurant.photoRoll && restaurant.photoRoll.retentionMinutes;
+    const saved = parseInt(localStorage.getItem('sph_roll_retention') || '', 10);
+    photoRollRetentionMinutes = saved > 0 ? saved : (base > 0 ? base : PHOTO_ROLL_DEFAULT_RETENTION);
+    buildPhotoRollUI();
+    purgeExpiredPhotos();
+}
+
+function setPhotoRollRetention(minutes) {
+    if (!(minutes > 0)) return;
+    photoRollRetentionMinutes = minutes;
+    localStorage.setItem('sph_roll_retention', String(minutes));
+    purgeExpiredPhotos();
+}
+
+function buildPhotoRollUI() {
+    const sel = document.getElementById('settings-roll-retention-select');
+    if (!sel) return;
+    sel.innerHTML = '';
+    const options = PHOTO_ROLL_RETENTION_OPTIONS.slice();
+    if (!options.some(o => o.value === photoRollRetentionMinutes)) {
+        options.push({ value: photoRollRetentionMinutes, name: photoRollRetentionMinutes + '分' });
+    }
+    options.forEach(o => {
+        const opt = document.createElement('option');
+        opt.value = o.value;
+        opt.textContent = o.name;
+        sel.appendChild(opt);
+    });
+    sel.value = String(photoRollRetentionMinutes);
+}
+
+// ======================================================================
+// ギャラリー画面
+// ======================================================================
+
+/** ヘッダーのギャラリーボタンに枚数を表示 */
+async function updateGalleryBadge() {
+    const badge = document.getElementById('gallery-badge');
+    if (!badge) return;
+    let count = 0;
+    try { count = (await _rollTx('readonly', store => store.index('sessionId').count(_photoRollSessionId()))) || 0; } catch (_) {}
+    badge.textContent = count > 0 ? String(count) : '';
+    badge.classList.toggle('hidden', count === 0);
+}
+
+/**
+ * ギャラリー画面を開く
+ * @param {string} returnTo - 閉じたときに戻る画面（'camera' | 'result'）
+ */
+async function openGallery(returnTo) {
+    _galleryReturnScreen = returnTo || 'camera';
+    _gallerySelected.clear();
+    showScreen('gallery');
+    await renderGallery();
+}
+
+function closeGallery() {
+    _revokeGalleryUrls();
+    closeGalleryPreview();
+    _galleryEntries = [];
+    _gallerySelected.clear();
+    showScreen(_galleryReturnScreen);
+}
+
+function _revokeGalleryUrls() {
+    _galleryUrls.forEach(u => URL.revokeObjectURL(u));
+    _galleryUrls = [];
+}
+
+async function renderGallery() {
+    const grid = document.getElementById('gallery-grid');
+    if (!grid) return;
+    try {
+        _galleryEntries = await getPhotoRollEntries();
+    } catch (err) {
+        console.warn('renderGallery failed:', err);
+        _galleryEntries = [];
+    }
+    // 削除済みのエントリは選択から外す
+    const ids = new Set(_galleryEntries.map(e => e.id));
+    [..._gallerySelected].forEach(id => { if (!ids.has(id)) _gallerySelected.delete(id); });
+
+    _revokeGalleryUrls();
+    grid.innerHTML = '';
+
+    const empty = document.getElementById('gallery-empty');
+    if (empty) empty.classList.toggle('hidden', _galleryEntries.length > 0);
+
+    _galleryEntries.forEach(entry => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'gallery-item' + (_gallerySelected.has(entry.id) ? ' selected' : '');
+        item.dataset.id = entry.id;
+
+        if (entry.thumb) {
+            const url = URL.createObjectURL(entry.thumb);
+            _galleryUrls.push(url);
+            const img = document.createElement('img');
+            img.src = url;
+            img.alt = '';
+            item.appendChild(img);
+        }
+        if (entry.kind === 'clip') {
+            const badge = document.createElement('span');
+            badge.className = 'gallery-kind-badge';
+            badge.textContent = '🎬';
+            item.appendChild(badge);
+        }
+        const check = document.createElement('span');
+        check.className = 'gallery-check';
+        check.textContent = '✓';
+        item.appendChild(check);
+
+        const zoom = document.createElement('span');
+        zoom.className = 'gallery-zoom';
+        zoom.textContent = '🔍';
+        zoom.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openGalleryPreview(entry);
+        });
+        item.appendChild(zoom);
+
+        item.addEventListener('click', () => toggleGallerySelection(entry.id));
+        grid.appendChild(item);
+    });
+    _updateGalleryToolbar();
+    updateGalleryBadge();
+}
+
+function toggleGallerySelection(id) {
+    if (_gallerySelected.has(id)) _gallerySelected.delete(id);
+    else _gallerySelected.add(id);
+    const item = document.querySelector(`.gallery-item[data-id="${id}"]`);
+    if (item) item.classList.toggle('selected', _gallerySelected.has(id));
+    _updateGalleryToolbar();
+}
+
+function toggleGallerySelectAll() {
+    const all = _galleryEntries.length > 0 && _gallerySelected.size === _galleryEntries.length;
+    _gallerySelected = all ? new Set() : new Set(_galleryEntries.map(e => e.id));
+    document.querySelectorAll('.gallery-item').forEach(el => {
+        el.classList.toggle('selected', _gallerySelected.has(Number(el.dataset.id)));
+    });
+    _updateGalleryToolbar();
+}
+
+function _updateGalleryToolbar() {
+    const n = _gallerySelected.size;
+    const _t = (key, fallback) => (typeof t === 'function') ? t(key) : fallback;
+    const count = document.getElementById('gallery-count');
+    if (count) count.textContent = _t('gallery_selected', '{n}枚選択中').replace('{n}', n);
+    ['gallery-save-btn', 'gallery-share-btn', 'gallery-delete-btn'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) btn.disabled = n === 0;
+    });
+    const shareBtn = document.getElementById('gallery-share-btn');
+    if (shareBtn) shareBtn.style.display = (typeof navigator.share === 'function') ? '' : 'none';
+}
+
+function _selectedGalleryEntries() {
+    return _galleryEntries.filter(e => _gallerySelected.has(e.id));
+}
+
+/** 選択したエントリを順にダウンロード（連続ダウンロードのブロック対策で間隔を空ける） */
+async function saveSelectedPhotos() {
+    const entries = _selectedGalleryEntries();
+    for (const entry of entries) {
+        const url  = URL.createObjectURL(entry.blob);
+        const link = document.createElement('a');
+        link.href     = url;
+        link.download = entry.filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        setTimeout(() => { document.body.removeChild(link); URL.revokeObjectURL(url); }, 1000);
+        await new Promise(r => setTimeout(r, 400));
+    }
+    if (entries.length > 0 && typeof trackPhotoSave === 'function') trackPhotoSave('gallery_download');
+}
+
+/** 選択したエントリをまとめて Web Share で共有 */
+async function shareSelectedPhotos() {
+    const entries = _selectedGalleryEntries();
+    if (entries.length === 0) return;
+    const files = entries.map(e => new File([e.blob], e.filename, { type: e.mimeType || e.blob.type, lastModified: e.createdAt }));
+    try {
+        if (navigator.canShare && navigator.canShare({ files })) {
+            await navigator.share({ files, title: '品川プリンスホテル フォト' });
+            if (typeof trackPhotoSave === 'function') trackPhotoSave('gallery_share');
+        } else {
+            alert((typeof t === 'function') ? t('gallery_share_unsupported') : 'この端末ではまとめて共有できません。「保存」をお使いください。');
+        }
+    } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.warn('Gallery share failed:', err);
+        alert((typeof t === 'function') ? t('gallery_share_unsupported') : 'この端末ではまとめて共有できません。「保存」をお使いください。');
+    }
+}
+
+async function deleteSelectedPhotos() {
+    const ids = [..._gallerySelected];
+    if (ids.length === 0) return;
+    const msg = ((typeof t === 'function') ? t('gallery_delete_confirm') : '選択した{n}枚を削除しますか？').replace('{n}', ids.length);
+    if (!confirm(msg)) return;
+    try {
+        await deletePhotoRollEntries(ids);
+    } catch (err) {
+        console.warn('deleteSelectedPhotos failed:', err);
+    }
+    _gallerySelected.clear();
+    await renderGallery();
+}
+
+// ======================================================================
+// 拡大表示
+// ======================================================================
+
+let _galleryPreviewUrl = null;
+
+function openGalleryPreview(entry) {
+    const overlay = document.getElementById('gallery-preview');
+    const img     = document.getElementById('gallery-preview-image');
+    const video   = document.getElementById('gallery-preview-video');
+    if (!overlay || !img || !video) return;
+    closeGalleryPreview();
+    _galleryPreviewUrl = URL.createObjectURL(entry.blob);
+    if (entry.kind === 'clip') {
+        video.src = _galleryPreviewUrl;
+        video.style.display = 'block';
+        video.play().catch(() => {});
+    } else {
+        img.src = _galleryPreviewUrl;
+        img.style.display = 'block';
+    }
+    overlay.classList.remove('hidden');
+}
+
+function closeGalleryPreview() {
+    const overlay = document.getElementById('gallery-preview');
+    const img     = document.getElementById('gallery-preview-image');
+    const video   = document.getElementById('gallery-preview-video');
+    if (overlay) overlay.classList.add('hidden');
+    if (img) { img.removeAttribute('src'); img.style.display = 'none'; }
+    if (video) { video.pause(); video.removeAttribute('src'); video.load(); video.style.display = 'none'; }
+    if (_galleryPreviewUrl) { URL.revokeObjectURL(_galleryPreviewUrl); _galleryPreviewUrl = null; }
+}
+
+loadPhotoRollSettings(null);
+setInterval(purgeExpiredPhotos, PHOTO_ROLL_PURGE_INTERVAL_MS);
@@ -0,0 +1,254 @@
+/**
+ * ======================================================================
+ * 印刷エクスポートモジュール (print.js)
+ * 撮影結果を L 判 / 2L 判などの写真用紙に合わせて実寸解像度（既定 300 DPI）で
+ * 描き直し、@page で用紙サイズを指定した印刷用ページを開く。
+ *
+ * - 塗り足し（bleed）: 用紙の外側まで画像を広げ、フチなし印刷の白フチを防ぐ
+ * - 安全マージン（safe）: 余白ありで配置するときの内側マージン
+ * - 配置: contain = 余白あり（写真全体を収める） / cover = フチなし（はみ出しを切り抜く）
+ * - 用紙プリセットは assets/config/print-config.json（レストラン毎に上書き可）
+ *
+ * 依存: capture.js（resultCanvas / _makeFilename）
+ * ======================================================================
+ */
+
+// ======================================================================
+// 状態変数
+// ======================================================================
+
+/** 読み込み済みの print-config.json */
+let _printConfig = null;
+
+/** 印刷用画像の Blob URL（次回の印刷時に解放） */
+let _printImageUrl = null;
+
+const PRINT_FALLBACK_CONFIG = {
+    dpi: 300,
+    papers: { L: { name: 'L判（89×127mm）', widthMm: 89, heightMm: 127 } },
+    defaults: { papers: ['L'], bleedMm: 3, safeMm: 4, fit: 'contain', background: '#FFFFFF' },
+    restaurantPrint: {}
+};
+
+// ======================================================================
+// 設定読み込み
+// ======================================================================
+
+async function loadPrintConfig() {
+    if (_printConfig) return _printConfig;
+    try {
+        const resp = await fetch('assets/config/print-config.json');
+        if (!resp.ok) throw new Error(`print-config: HTTP ${resp.status}`);
+        _printConfig = await resp.json();
+    } catch (err) {
+        console.warn('loadPrintConfig failed (using L size only):', err);
+        _printConfig = PRINT_FALLBACK_CONFIG;
+    }
+    return _printConfig;
+}
+
+/**
+ * 現在のレストランで使う印刷設定（共通の初期値 + レストラン別の上書き）
+ * @returns {{ dpi: number, papers: Array, bleedMm: number, safeMm: number, fit: string, background: string }}
+ */
+function getPrintOptions(config) {
+    const restId = sessionStorage.getItem('restaurantId');
+    const own    = (restId && config.restaurantPrint && config.restaurantPrint[restId]) || {};
+    const opts   = { ...PRINT_FALLBACK_CONFIG.defaults, ...(config.defaults || {}), ...own };
+    const papers = (opts.papers || [])
+        .map(id => config.papers && config.papers[id] ? { id, ...config.papers[id] } : null)
+        .filter(Boolean);
+    return { ...opts, dpi: opts.dpi || config.dpi || 300, papers };
+}
+
+// ======================================================================
+// 印刷用画像の生成
+// ======================================================================
+
+/**
+ * 撮影結果を用紙サイズ（+ 塗り足し）の Canvas に配置する
+ * 写真が横長なら用紙も横向きにする
+ *
+ * @param {HTMLCanvasElement} src
+ * @param {{ widthMm: number, heightMm: number }} paper
+ * @param {{ dpi: number, bleedMm: number, safeMm: number, fit: string, background: string }} opts
+ * @returns {{ canvas: HTMLCanvasElement, widthMm: number, heightMm: number }}
+ */
+function renderPrintCanvas(src, paper, opts) {
+    const landscape = src.width > src.height;
+    const widthMm   = landscape ? Math.max(paper.widthMm, paper.heightMm) : Math.min(paper.widthMm, paper.heightMm);
+    const heightMm  = landscape ? Math.min(paper.widthMm, paper.heightMm) : Math.max(paper.widthMm, paper.heightMm);
+    const pxPerMm   = opts.dpi / 25.4;
+    const bleed     = opts.bleedMm || 0;
+
+    const canvas = document.createElement('canvas');
+    canvas.width  = Math.round((widthMm  + bleed * 2) * pxPerMm);
+    canvas.height = Math.round((heightMm + bleed * 2) * pxPerMm);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.fillStyle = opts.background || '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    let box;
+    if (opts.fit === 'cover') {
+        // フチなし: 塗り足しを含む全面を覆う
+        box = { x: 0, y: 0, w: canvas.width, h: canvas.height };
+    } else {
+        // 余白あり: 仕上がり線から安全マージン内側に収める
+        const inset = (bleed + (opts.safeMm || 0)) * pxPerMm;
+        box = { x: inset, y: inset, w: canvas.width - inset * 2, h: canvas.height - inset * 2 };
+    }
+
+    const scale = opts.fit === 'cover'
+        ? Math.max(box.w / src.width, box.h / src.height)
+        : Math.min(box.w / src.width, box.h / src.height);
+    const dw = src.width  * scale;
+    const dh = src.height * scale;
+    ctx.drawImage(src, box.x + (box.w - dw) / 2, box.y + (box.h - dh) / 2, dw, dh);
+
+    return { canvas, widthMm, heightMm };
+}
+
+// ======================================================================
+// 印刷用ページ
+// ======================================================================
+
+/**
+ * @page で用紙サイズを指定した印刷用ページを書き出す
+ * 画像は塗り足し分だけ用紙の外にはみ出させて配置する
+ */
+function _writePrintPage(win, imageUrl, sheet, bleedMm, filename) {
+    const _t = (key, fallback) => (typeof t === 'function') ? t(key) : fallback;
+    const W = sheet.widthMm, H = sheet.heightMm, B = bleedMm || 0;
+    win.document.open();
+    win.document.write(`<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${_t('print_title', '写真を印刷')}</title>
+<style>
+    @page { size: ${W}mm ${H}mm; margin: 0; }
+    html, body { margin: 0; padding: 0; background: #fff; }
+    .sheet { position: relative; width: ${W}mm; height: ${H}mm; overflow: hidden; }
+    .sheet img { position: absolute; left: -${B}mm; top: -${B}mm; width: ${W + B * 2}mm; height: ${H + B * 2}mm; }
+    .toolbar { display: flex; gap: 10px; justify-content: center; padding: 12px; }
+    .toolbar button, .toolbar a {
+        font: 600 14px sans-serif; padding: 10px 18px; border-radius: 20px; border: none;
+        background: #D4AF37; color: #1A2332; text-decoration: none; cursor: pointer;
+    }
+    @media screen {
+        body { background: #3a3f47; min-height: 100vh; }
+        .sheet { margin: 0 auto 24px; box-shadow: 0 6px 24px rgba(0,0,0,0.5); max-width: 92vw; }
+    }
+    @media print {
+        .toolbar { display: none; }
+    }
+</style>
+</head>
+<body>
+<div class="toolbar">
+    <button type="button" onclick="window.print()">🖨 ${_t('print_open', '印刷する')}</button>
+    <a href="${imageUrl}" download="${filename}">💾 ${_t('print_save_image', '印刷用画像を保存')}</a>
+</div>
+<div class="sheet"><img id="print-image" src="${imageUrl}" alt=""></div>
+<script>
+    document.getElementById('print-image').addEventListener('load', function() {
+        setTimeout(function() { window.print(); }, 300);
+    });
+</script>
+</body>
+</html>`);
+    win.document.close();
+}
+
+/**
+ * 印刷用ページを開く（パネルの「印刷する」ボタンから呼ばれる）
+ * ポップアップブロック対策のため、ウィンドウは画像生成より先に同期的に開く
+ *
+ * @param {string} paperId
+ * @param {string} fit - 'contain' | 'cover'
+ */
+async function openPrintExport(paperId, fit) {
+    if (typeof currentClip !== 'undefined' && currentClip) {
+        alert('動画は印刷できません。写真モードで撮影してください。');
+        return;
+    }
+    if (!resultCanvas || !resultCanvas.width) {
+        alert('画像がありません。もう一度撮影してください。');
+        return;
+    }
+
+    const win = window.open('', '_blank');
+
+    try {
+        const config = await loadPrintConfig();
+        const opts   = getPrintOptions(config);
+        const paper  = opts.papers.find(p => p.id === paperId) || opts.papers[0];
+        if (!paper) throw new Error('No print paper configured');
+
+        const sheet = renderPrintCanvas(resultCanvas, paper, { ...opts, fit: fit || opts.fit });
+        const blob  = await new Promise((resolve, reject) => {
+            sheet.canvas.toBlob(b => b ? resolve(b) : reject(new Error('toBlob failed')), 'image/jpeg', 0.95);
+        });
+
+        if (_printImageUrl) URL.revokeObjectURL(_printImageUrl);
+        _printImageUrl = URL.createObjectURL(blob);
+
+        const base     = (typeof _makeFilename === 'function') ? _makeFilename().replace(/\.\w+$/, '') : 'ShinagawaPrince';
+        const filename = `${base}_${paper.id}_${opts.dpi}dpi.jpg`;
+
+        if (!win) {
+            // ポップアップがブロックされた場合は印刷用画像をダウンロード
+            const link = document.createElement('a');
+            link.href = _printImageUrl;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            setTimeout(() => document.body.removeChild(link), 500);
+            alert('印刷用ページを開けませんでした。保存した画像を印刷してください。');
+            return;
+        }
+        _writePrintPage(win, _printImageUrl, sheet, opts.bleedMm, filename);
+        if (typeof trackPhotoSave === 'function') trackPhotoSave('print_' + paper.id);
+    } catch (err) {
+        console.error('Print export error:', err);
+        if (win) win.close();
+        alert('印刷用画像の作成に失敗しました。もう一度お試しください。');
+    }
+}
+
+// ======================================================================
+// 印刷パネル（結果画面）
+// ======================================================================
+
+async function openPrintPanel() {
+    const panel = document.getElementById('print-panel');
+    if (!panel) return;
+    if (typeof closeEditPanel === 'function') closeEditPanel();
+
+    const config = await loadPrintConfig();
+    const opts   = getPrintOptions(config);
+
+    const paperSel = document.getElementById('print-paper-select');
+    if (paperSel) {
+        paperSel.innerHTML = '';
+        opts.papers.forEach(p => {
+            const opt = document.createElement('option');
+            opt.value = p.id;
+            opt.textContent = p.name || p.id;
+            paperSel.appendChild(opt);
+        });
+    }
+    const fitSel = document.getElementById('print-fit-select');
+    if (fitSel) fitSel.value = opts.fit === 'cover' ? 'cover' : 'contain';
+
+    panel.classList.remove('hidden');
+    panel.classList.add('active');
+}
+
+function closePrintPanel() {
+    const panel = document.getElementById('print-panel');
+    if (panel) panel.classList.remove('active');
+}
@@ -0,0 +1,309 @@
+/**
+ * ======================================================================
+ * リモートシャッターモジュール (remote-shutter.js)
+ * キーボード・Bluetooth のセルフィーリモコン（音量キーや Enter を送ってくる）・
+ * メディアキーで撮影や切り替えを行うための入力割り当て。
+ *
+ *   shutter      : カウントダウン開始（startCountdown）
+ *   switchCamera : カメラ切り替え
+ *   nextFrame    : フレームを順に切り替え
+ *   nextFilter   : 写真フィルターを順に切り替え
+ *
+ * 割り当てはレストラン単位で localStorage（sph_remote_<restaurantId>）に保存し、
+ * 設定パネルで押したキーを追加できる。カウントダウン中・直後の連打は無視する。
+ * 「?」キーまたは設定でカメラ画面に割り当ての一覧を表示する。
+ *
+ * ※ スマートフォンの音量キーは OS が処理してブラウザに届かないことが多い。
+ *    リモコンが Enter / Space を送るモードがあればそちらを使う
+ *
+ * 依存: app.js（captureBtn / cameraScreen / framesConfig / currentFrameId）
+ *       capture.js（startCountdown）、camera.js（switchCamera）
+ *       ui.js（selectFrame / _frameFitsAspect / closeAllPanels）、filter.js（FILTERS / setFilter）
+ * ======================================================================
+ */
+
+// ======================================================================
+// 設定・状態変数
+// ======================================================================
+
+/** 既定の割り当て（KeyboardEvent.key。Space は ' ' ではなく 'Space'、英字は小文字） */
+const REMOTE_DEFAULT_BINDINGS = {
+    shutter:      ['Space', 'Enter', 'AudioVolumeUp', 'AudioVolumeDown', 'MediaPlayPause'],
+    switchCamera: ['c'],
+    nextFrame:    ['ArrowRight', 'f'],
+    nextFilter:   ['ArrowDown', 'g']
+};
+
+/** 操作の表示名（お客様向けの一覧は i18n キー、設定パネルは日本語） */
+const REMOTE_ACTIONS = [
+    { id: 'shutter',      i18n: 'remote_shutter',       icon: '📸', label: '撮影' },
+    { id: 'switchCamera', i18n: 'remote_switch_camera', icon: '🔄', label: 'カメラ切り替え' },
+    { id: 'nextFrame',    i18n: 'remote_next_frame',    icon: '🖼️', label: 'フレーム切り替え' },
+    { id: 'nextFilter',   i18n: 'remote_next_filter',   icon: '🎞', label: 'フィルター切り替え' }
+];
+
+/** キーの表示名 */
+const REMOTE_KEY_LABELS = {
+    Space: 'Space', Enter: 'Enter',
+    AudioVolumeUp: '🔊+', AudioVolumeDown: '🔉−',
+    MediaPlayPause: '⏯', MediaTrackNext: '⏭', MediaTrackPrevious: '⏮',
+    ArrowRight: '→', ArrowLeft: '←', ArrowUp: '↑', ArrowDown: '↓'
+};
+
+/** 同じ操作を受け付けない間隔（ms、リモコンの二重送信・連打対策） */
+const REMOTE_DEBOUNCE_MS = 800;
+
+/** 「?」で出した一覧を消すまでの時間（ms） */
+const REMOTE_HINT_FLASH_MS = 5000;
+
+let remoteBindings = _cloneBindings(REMOTE_DEFAULT_BINDINGS);
+
+/** 割り当て一覧を常に表示するか */
+let remoteHintAlways = false;
+
+/** 設定パネルでキー入力待ちの操作 ID */
+let _remoteCapturing = null;
+
+const _remoteLastAt = {};
+let _remoteHintTimer = null;
+
+function _cloneBindings(b) {
+    const out = {};
+    Object.keys(REMOTE_DEFAULT_BINDINGS).forEach(k => { out[k] = (b[k] || []).slice(); });
+    return out;
+}
+
+// ======================================================================
+// 設定
+// ======================================================================
+
+function _remoteStorageKey() {
+    const id = sessionStorage.getItem('restaurantId');
+    return id ? 'sph_remote_' + id : 'sph_remote';
+}
+
+/** 起動時に app.js から呼ぶ */
+function loadRemoteBindings() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(_remoteStorageKey()) || 'null'); } catch (_) {}
+    remoteBindings   = _cloneBindings((saved && saved.bindings) || REMOTE_DEFAULT_BINDINGS);
+    remoteHintAlways = !!(saved && saved.hintAlways);
+    const toggle = document.getElementById('settings-remote-hint-toggle');
+    if (toggle) toggle.checked = remoteHintAlways;
+    buildRemoteKeyUI();
+    updateRemoteHint();
+}
+
+function _saveRemoteBindings() {
+    try {
+        localStorage.setItem(_remoteStorageKey(), JSON.stringify({ bindings: remoteBindings, hintAlways: remoteHintAlways }));
+    } catch (_) {}
+}
+
+function resetRemoteBindings() {
+    remoteBindings = _cloneBindings(REMOTE_DEFAULT_BINDINGS);
+    _remoteCapturing = null;
+    _saveRemoteBindings();
+    buildRemoteKeyUI();
+    updateRemoteHint();
+}
+
+function setRemoteHintAlways(enabled) {
+    remoteHintAlways = !!enabled;
+    _saveRemoteBindings();
+    updateRemoteHint();
+}
+
+/**
+ * 押されたキーを操作に追加する（他の操作に割り当て済みなら移す）
+ * @param {string} action
+ * @param {string} key - _normalizeKey() 済み
+ */
+function _assignRemoteKey(action, key) {
+    Object.keys(remoteBindings).forEach(a => {
+        remoteBindings[a] = remoteBindings[a].filter(k => k !== key);
+    });
+    remoteBindings[action].push(key);
+    _saveRemoteBindings();
+}
+
+function _normalizeKey(e) {
+    if (e.key === ' ' || e.code === 'Space') return 'Space';
+    return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+}
+
+function _keyLabel(key) {
+    return REMOTE_KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+// ======================================================================
+// 設定パネル
+// ======================================================================
+
+/** 操作ごとの割り当てと「キーを追加」ボタンを作り直す */
+function buildRemoteKeyUI() {
+    const wrap = document.getElementById('settings-remote-keys');
+    if (!wrap) return;
+    wrap.innerHTML = '';
+    REMOTE_ACTIONS.forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+        const keys = remoteBindings[action.id].map(_keyLabel).join(' / ') || '—';
+        const capturing = _remoteCapturing === action.id;
+        row.innerHTML =
+            '<span class="settings-label">' + action.icon + ' ' + action.label +
+            '<span class="remote-key-list">' + keys + '</span></span>' +
+            '<button class="remote-key-btn' + (capturing ? ' capturing' : '') + '">' +
+            (capturing ? 'キーを押してください…' : '＋ キーを追加') + '</button>';
+        row.querySelector('button').addEventListener('click', (e) => {
+            // この click 自体（Enter / Space で押された場合も）を割り当てにしない
+            e.currentTarget.blur();
+            _remoteCapturing = capturing ? null : action.id;
+            buildRemoteKeyUI();
+        });
+        wrap.appendChild(row);
+    });
+}
+
+// ======================================================================
+// 入力
+// ======================================================================
+
+function _actionForKey(key) {
+    return Object.keys(remoteBindings).find(a => remoteBindings[a].includes(key)) || null;
+}
+
+function _isTypingTarget(el) {
+    if (!el) return false;
+    const tag = el.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || el.isContentEditable;
+}
+
+/** Enter / Space で操作される要素（ボタン・リンク等）にフォーカスがあるか。撮影ボタンは除く */
+function _isInteractiveTarget(el) {
+    if (!el || !el.closest || el === document.body || el === document.documentElement) return false;
+    if (el === captureBtn) return false;
+    return !!el.closest('button, a[href], summary, [role="button"], [tabindex]:not([tabindex="-1"])');
+}
+
+/** パネル（フレーム・メッセージ・フィルター・顔 AR・設定）が開いているか */
+function _isPanelOpen() {
+    const overlay = document.getElementById('panel-overlay');
+    return !!overlay && overlay.classList.contains('active');
+}
+
+function _onRemoteKeyDown(e) {
+    // 設定パネルでのキー割り当て
+    if (_remoteCapturing) {
+        e.preventDefault();
+        if (e.key !== 'Escape') _assignRemoteKey(_remoteCapturing, _normalizeKey(e));
+        _remoteCapturing = null;
+        buildRemoteKeyUI();
+        updateRemoteHint();
+        return;
+    }
+    if (e.repeat || e.ctrlKey || e.metaKey || e.altKey || _isTypingTarget(e.target)) return;
+    if (!cameraScreen.classList.contains('active') || _isPanelOpen()) return;
+
+    if (e.key === '?') {
+        _flashRemoteHint();
+        return;
+    }
+    const key = _normalizeKey(e);
+    // ボタン等にフォーカスがあるときの Enter / Space はその要素の操作として残す
+    if ((key === 'Enter' || key === 'Space') && _isInteractiveTarget(e.target)) return;
+    const action = _actionForKey(key);
+    if (!action) return;
+    // 撮影ボタンにフォーカスがあると Enter / Space で click も起きる（二重撮影になる）
+    e.preventDefault();
+    triggerRemoteAction(action);
+}
+
+/**
+ * 操作を実行（カウントダウン中・直前に同じ操作をした直後は無視）
+ * @param {string} action
+ * @returns {boolean} 実行したか
+ */
+function triggerRemoteAction(action) {
+    if (captureBtn.disabled) return false;
+    const now = performance.now();
+    if (now - (_remoteLastAt[action] || 0) < REMOTE_DEBOUNCE_MS) return false;
+    _remoteLastAt[action] = now;
+
+    switch (action) {
+        case 'shutter':
+            if (typeof closeAllPanels === 'function') closeAllPanels();
+            if (typeof initAudioContext === 'function') initAudioContext();
+            startCountdown();
+            break;
+        case 'switchCamera':
+            if (switchCameraBtn && switchCameraBtn.disabled) return false;
+            switchCamera();
+            break;
+        case 'nextFrame':
+            _cycleFrame();
+            break;
+        case 'nextFilter':
+            _cycleFilter();
+            break;
+        default:
+            return false;
+    }
+    return true;
+}
+
+function _cycleFrame() {
+    if (typeof framesConfig === 'undefined' || !framesConfig || !framesConfig.frames) return;
+    const frames = framesConfig.frames.filter(f => typeof _frameFitsAspect === 'function' ? _frameFitsAspect(f) : true);
+    if (!frames.length) return;
+    const i = frames.findIndex(f => f.id === currentFrameId);
+    selectFrame(frames[(i + 1) % frames.length].id);
+}
+
+function _cycleFilter() {
+    if (typeof FILTERS === 'undefined' || typeof setFilter !== 'function') return;
+    const i = FILTERS.findIndex(f => f.id === currentFilterId);
+    const next = FILTERS[(i + 1) % FILTERS.length];
+    setFilter(next.id);
+    document.querySelectorAll('.filter-item').forEach(el => {
+        el.classList.toggle('selected', el.dataset.filterId === next.id);
+    });
+}
+
+document.addEventListener('keydown', _onRemoteKeyDown);
+
+// メディアキー（対応ブラウザ・再生中のメディアがある場合のみ届く）
+if ('mediaSession' in navigator) {
+    ['play', 'pause', 'nexttrack'].forEach(type => {
+        try {
+            navigator.mediaSession.setActionHandler(type, () => {
+                if (cameraScreen.classList.contains('active')) triggerRemoteAction('shutter');
+            });
+        } catch (_) {}
+    });
+}
+
+// ======================================================================
+// 割り当ての一覧表示
+// ======================================================================
+
+/** カメラ画面の一覧を今の割り当て・言語で作り直す */
+function updateRemoteHint() {
+    const el = document.getElementById('remote-hint');
+    if (!el) return;
+    const _t = (key, fallback) => (typeof t === 'function') ? t(key) : fallback;
+    el.textContent = '🎮 ' + REMOTE_ACTIONS
+        .filter(a => remoteBindings[a.id].length > 0)
+        .map(a => remoteBindings[a.id].map(_keyLabel).join('/') + ' ' + _t(a.i18n, a.label))
+        .join('  ·  ');
+    el.classList.toggle('hidden', !remoteHintAlways && !_remoteHintTimer);
+}
+
+function _flashRemoteHint() {
+    clearTimeout(_remoteHintTimer);
+    _remoteHintTimer = setTimeout(() => {
+        _remoteHintTimer = null;
+        updateRemoteHint();
+    }, REMOTE_HINT_FLASH_MS);
+    updateRemoteHint();
+}
@@ -0,0 +1,194 @@
+/**
+ * ======================================================================
+ * 描画パイプラインモジュール (render-pipeline.js)
+ * 撮影画像を構成するレイヤー（カメラ映像 / 写真フィルター / 顔 AR / フレーム /
+ * メッセージ …）を登録制で管理し、order の小さい順に重ねて描画する。
+ *
+ * レイヤー定義:
+ *   {
+ *     id:      'frame',                       // 一意な ID（同じ ID で登録すると置き換え）
+ *     order:   300,                           // 小さいほど下に描く
+ *     scope:   'shot' | 'sheet',              // shot  = 1 ショットごと（複数枚撮影では各コマ）
+ *                                             // sheet = 完成画像全体に 1 回（メッセージ等）
+ *     enabled: (context) => boolean,          // 省略時は常に描画
+ *     draw:    (ctx, w, h, context) => void,
+ *     previewElements: ['frame-overlay']      // 任意: ライブプレビューで対応する DOM 要素の ID
+ *                                             //       （省略時はプレビュー合成 Canvas に描く）
+ *   }
+ *
+ * context:
+ *   live     : true  = ライブ映像から描く（クリップ録画等のプレビュー合成）
+ *              false = 撮影済み素材 raw から描く（静止画・結果画面での再編集）
+ *   raw      : grabRawShot() の素材（live=false のとき）
+ *   look     : フレーム・フィルター・画像調整・メッセージの設定（getCurrentLook()）
+ *   bgDrawn  : 背景合成が描かれたか（カメラレイヤーが設定、フレーム等が参照）
+ *   scaleRef : 文字サイズの基準長辺（複数枚撮影シート用）
+ *   cache    : レイヤーが毎フレーム同じ内容を使い回すための置き場（live 時）
+ *
+ * 新しいレイヤー（スタンプ・透かし・QR 等）は各モジュールから registerRenderLayer()
+ * するだけで、静止画・複数枚撮影・クリップ・結果画面の再編集・ライブプレビューすべてに反映される。
+ * （previewElements のないレイヤーはプレビューでは撮影と同じ合成を Canvas に描いて見せる）
+ *
+ * 依存: なし（ライブプレビューの合成は app.js の cameraVideo / cameraScreen、
+ *       capture.js の getCaptureCropRect / getCurrentLook を実行時に使う）
+ * ======================================================================
+ */
+
+// ======================================================================
+// 状態変数
+// ======================================================================
+
+/** 登録済みレイヤー（order 昇順） */
+const renderLayers = [];
+
+// ======================================================================
+// 登録
+// ======================================================================
+
+/**
+ * @param {{ id: string, order: number, scope?: string, enabled?: Function, draw: Function, previewElements?: string[] }} layer
+ */
+function registerRenderLayer(layer) {
+    if (!layer || !layer.id || typeof layer.draw !== 'function') {
+        console.warn('registerRenderLayer: invalid layer', layer);
+        return;
+    }
+    unregisterRenderLayer(layer.id);
+    renderLayers.push(Object.assign({ scope: 'shot', order: 0 }, layer));
+    renderLayers.sort((a, b) => a.order - b.order);
+    applyPreviewLayerOrder();
+}
+
+function unregisterRenderLayer(id) {
+    const i = renderLayers.findIndex(l => l.id === id);
+    if (i >= 0) renderLayers.splice(i, 1);
+}
+
+// ======================================================================
+// 描画
+// ======================================================================
+
+/**
+ * 有効なレイヤーを順に描く
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} w
+ * @param {number} h
+ * @param {Object} context
+ * @param {'shot'|'sheet'} [scope] - 省略時は全レイヤー
+ */
+function runRenderPipeline(ctx, w, h, context, scope) {
+    renderLayers.forEach(layer => {
+        if (scope && layer.scope !== scope) return;
+        try {
+            if (typeof layer.enabled === 'function' && !layer.enabled(context)) return;
+        } catch (err) {
+            console.warn(`Render layer "${layer.id}" enabled() failed:`, err);
+            return;
+        }
+        ctx.save();
+        try {
+            layer.draw(ctx, w, h, context);
+        } catch (err) {
+            console.warn(`Render layer "${layer.id}" failed:`, err);
+        } finally {
+            ctx.restore();
+        }
+    });
+}
+
+// ======================================================================
+// ライブプレビュー
+// previewElements のあるレイヤーは対応する DOM 要素を重ねて見せる（軽い）。
+// DOM 要素のないレイヤーが有効なときは、撮影と同じ shot スコープの合成を
+// #preview-layer-canvas に毎フレーム描き、DOM 要素の上に重ねる
+// ======================================================================
+
+/**
+ * プレビューのレイヤー要素に使う z-index の範囲
+ * 撮影ガイド（12）・メッセージのプレビューガイド（15）・撮影コントロール（16）より下に収める
+ * PREVIEW_LAYER_Z_TOP は #preview-layer-canvas（CSS と同じ値）
+ */
+const PREVIEW_LAYER_Z_BASE = 1;
+const PREVIEW_LAYER_Z_TOP  = 10;
+
+/** #preview-layer-canvas の最大長辺（px） */
+const PREVIEW_LAYER_MAX_EDGE = 960;
+
+let _previewCompositeRunning = false;
+
+/**
+ * ライブプレビューの DOM 要素をレイヤー順に重ねる
+ * （プレビューと撮影画像で重なり順がずれないように z-index を揃える）
+ */
+function applyPreviewLayerOrder() {
+    let rank = 0;
+    renderLayers.forEach(layer => {
+        if (!layer.previewElements || layer.previewElements.length === 0) return;
+        const z = Math.min(PREVIEW_LAYER_Z_BASE + rank++, PREVIEW_LAYER_Z_TOP - 1);
+        layer.previewElements.forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.style.zIndex = String(z);
+        });
+    });
+    if (renderLayers.some(_isPreviewOnlyByCanvas)) _startPreviewComposite();
+}
+
+/** DOM 要素がなく、プレビューでは合成 Canvas でしか見せられないレイヤーか */
+function _isPreviewOnlyByCanvas(layer) {
+    return layer.scope === 'shot' && !(layer.previewElements && layer.previewElements.length > 0);
+}
+
+function _startPreviewComposite() {
+    if (_previewCompositeRunning || typeof requestAnimationFrame !== 'function') return;
+    if (!document.getElementById('preview-layer-canvas')) return;
+    _previewCompositeRunning = true;
+    requestAnimationFrame(_previewCompositeLoop);
+}
+
+function _previewCompositeLoop() {
+    if (!_previewCompositeRunning) return;
+    requestAnimationFrame(_previewCompositeLoop);
+
+    const view = document.getElementById('preview-layer-canvas');
+    if (!renderLayers.some(_isPreviewOnlyByCanvas)) {
+        // 該当レイヤーが登録解除された → 次に登録されるまで止める
+        _previewCompositeRunning = false;
+        view.classList.remove('active');
+        return;
+    }
+    if (document.hidden || typeof cameraScreen === 'undefined' || !cameraScreen.classList.contains('active')) return;
+    if (typeof cameraVideo === 'undefined' || !cameraVideo || cameraVideo.readyState < 2 || !cameraVideo.videoWidth) return;
+
+    try {
+        const context = { live: true, look: getCurrentLook() };
+        const needed = renderLayers.some(layer => {
+            if (!_isPreviewOnlyByCanvas(layer)) return false;
+            try {
+                return typeof layer.enabled !== 'function' || layer.enabled(context);
+            } catch (_) {
+                return false;
+            }
+        });
+        if (!needed) {
+            view.classList.remove('active');
+            return;
+        }
+
+        // 撮影と同じ切り抜きを、プレビュー用の解像度で合成する
+        const { srcW, srcH } = getCaptureCropRect(cameraVideo.videoWidth, cameraVideo.videoHeight);
+        const scale = Math.min(PREVIEW_LAYER_MAX_EDGE / srcW, PREVIEW_LAYER_MAX_EDGE / srcH, 1);
+        const w = Math.round(srcW * scale);
+        const h = Math.round(srcH * scale);
+        if (view.width !== w || view.height !== h) {
+            view.width  = w;
+            view.height = h;
+        }
+        const ctx = view.getContext('2d');
+        ctx.clearRect(0, 0, w, h);
+        runRenderPipeline(ctx, w, h, context, 'shot');
+        view.classList.add('active');
+    } catch (err) {
+        console.warn('Preview composite error:', err);
+    }
+}
@@ -13,9 +13,11 @@ function showScreen(name) {
     cameraScreen.classList.remove('active');
     resultScreen.classList.remove('active');
     errorScreen.classList.remove('active');
+    if (galleryScreen) galleryScreen.classList.remove('active');
     if (name === 'camera')  { cameraScreen.classList.add('active'); if (typeof trackCameraView === 'function') trackCameraView(); }
     if (name === 'result')  resultScreen.classList.add('active');
     if (name === 'error')   errorScreen.classList.add('active');
+    if (name === 'gallery' && galleryScreen) galleryScreen.classList.add('active');
 }
 
 function showError(message) {
@@ -43,6 +45,9 @@ async function loadFramesConfig() {
         const restsData  = await restsResp.json();
 
         const authId = sessionStorage.getItem('restaurantId');
+
+        // 撮影レイアウト（複数枚撮影）定義を取り込む
+        if (typeof setCaptureLayouts === 'function') setCaptureLayouts(framesData, authId);
         // authId がなくてもリダイレクトせず、フレームなし状態で続行
         if (!authId) {
             console.warn('loadFramesConfig: no restaurantId in session (frames skipped)');
@@ -69,15 +74,23 @@ async function loadFramesConfig() {
         const NO_FRAME = { id: 'no_frame', name: 'なし', path: null, thumbnail: null, isNone: true };
         const allFrames = [NO_FRAME, ...ownFrames, ...commonFrames, ...bgImages];
 
-        framesConfig = { hotelName: framesData.hotelName || '品川プリンスホテル', frames: allFrames };
+        framesConfig = {
+            hotelName:   framesData.hotelName || '品川プリンスホテル',
+            aspectRatio: framesData.aspectRatio || '9:16',
+            frames:      allFrames
+        };
+
+        // このレストランのフレームが対応していない撮影比率は選択肢から外す
+        if (typeof refreshAspectOptions === 'function') refreshAspectOptions();
 
-        // デフォルト：独自フレームがあればその1枚目、なければ共通1枚目
-        const defaultFrame = ownFrames[0] || commonFrames[0] || null;
+        // デフォルト：現在の撮影比率に対応する独自フレームの1枚目、なければ共通1枚目
+        const defaultFrame = _firstFrameForAspect(ownFrames) || _firstFrameForAspect(commonFrames) || null;
         if (defaultFrame) {
+            const asset = _frameAsset(defaultFrame);
             currentFrameId = defaultFrame.id;
-            loadFrameImage(defaultFrame.path);
+            loadFrameImage(asset.path);
             if (frameOverlay) {
-                frameOverlay.src = defaultFrame.path;
+                frameOverlay.src = asset.path;
                 frameOverlay.style.opacity = '1';
             }
         } else {
@@ -94,6 +107,49 @@ async function loadFramesConfig() {
     }
 }
 
+/** 撮影比率に対応しているか（aspect.js 未読み込み時は全て可） */
+function _frameFitsAspect(frame) {
+    return (typeof frameSupportsAspect === 'function') ? frameSupportsAspect(frame) : true;
+}
+
+function _firstFrameForAspect(frames) {
+    return frames.find(_frameFitsAspect);
+}
+
+/** 撮影比率に応じた画像パス（比率別バリアントがあればそちら） */
+function _frameAsset(frame) {
+    return (typeof resolveFrameAsset === 'function')
+        ? resolveFrameAsset(frame)
+        : { path: frame.path, thumbnail: frame.thumbnail };
+}
+
+/**
+ * 撮影比率の変更に合わせてフレーム一覧と選択中フレームを更新（aspect.js から呼ばれる）
+ * 選択中のフレームが新しい比率に非対応なら、対応する最初のフレーム（なければ「なし」）に切り替える
+ */
+function refreshFramesForAspect() {
+    if (!framesConfig || !framesConfig.frames) return;
+    let frame = framesConfig.frames.find(f => f.id === currentFrameId);
+
+    if (frame && !frame.isNone && !frame.isBgImage) {
+        if (!_frameFitsAspect(frame)) {
+            frame = framesConfig.frames.find(f => !f.isNone && !f.isBgImage && _frameFitsAspect(f)) || null;
+        }
+        if (frame) {
+            const asset = _frameAsset(frame);
+            currentFrameId   = frame.id;
+            currentFrameName = frame.name || frame.id;
+            if (frameOverlay) { frameOverlay.src = asset.path || ''; frameOverlay.style.opacity = '1'; }
+            loadFrameImage(asset.path);
+        } else {
+            currentFrameId = 'no_frame';
+            frameImage = null;
+            if (frameOverlay) { frameOverlay.src = ''; frameOverlay.style.opacity = '0'; }
+        }
+    }
+    renderFrameList();
+}
+
 /** フレーム画像を非同期でプリロード */
 function loadFrameImage(path) {
     frameImage = null;
@@ -118,11 +174,12 @@ function renderFrameList() {
     const lang = (typeof currentLang !== 'undefined') ? currentLang : 'ja';
     const t    = (typeof I18N !== 'undefined' && I18N[lang]) ? I18N[lang] : {};
 
-    // フレームを 4 グループに分類
-    const noneFrames   = framesConfig.frames.filter(f =>  f.isNone);
-    const ownFrames    = framesConfig.frames.filter(f => !f.isNone && !f.isBgImage && !f.id.startsWith('common'));
-    const commonFrames = framesConfig.frames.filter(f => !f.isNone && !f.isBgImage &&  f.id.startsWith('common'));
-    const bgFrames     = framesConfig.frames.filter(f =>  f.isBgImage);
+    // フレームを 4 グループに分類（現在の撮影比率に非対応のものは表示しない）
+    const usable       = framesConfig.frames.filter(_frameFitsAspect);
+    const noneFrames   = usable.filter(f =>  f.isNone);
+    const ownFrames    = usable.filter(f => !f.isNone && !f.isBgImage && !f.id.startsWith('common'));
+    const commonFrames = usable.filter(f => !f.isNone && !f.isBgImage &&  f.id.startsWith('common'));
+    const bgFrames     = usable.filter(f =>  f.isBgImage);
 
     const ownLabel    = t.frame_section_own    || 'レストランオリジナル';
     const commonLabel = t.frame_section_common || '共通フレーム';
@@ -134,7 +191,8 @@ function renderFrameList() {
         item.className = 'frame-item' + (frame.id === currentFrameId ? ' selected' : '');
         item.dataset.frameId = frame.id;
 
-        const isPlaceholder = frame.path && frame.path.includes('placeholder_');
+        const asset = _frameAsset(frame);
+        const isPlaceholder = asset.path && asset.path.includes('placeholder_');
 
         if (frame.isNone) {
             item.innerHTML = `
@@ -145,7 +203,7 @@ function renderFrameList() {
                 <div class="frame-item-name">${frame.name}</div>
             `;
         } else if (frame.isBgImage) {
-            const thumbSrc = frame.thumbnail || frame.path || 'assets/images/frames/frame-placeholder.png';
+            const thumbSrc = asset.thumbnail || asset.path || 'assets/images/frames/frame-placeholder.png';
             item.innerHTML = `
                 <div class="frame-thumb-wrap">
                     <img src="${thumbSrc}" alt="${frame.name}"
@@ -155,7 +213,7 @@ function renderFrameList() {
                 <div class="frame-item-name">${frame.name}</div>
             `;
         } else {
-            const thumbSrc = frame.thumbnail || frame.path || 'assets/images/frames/frame-placeholder.png';
+            const thumbSrc = asset.thumbnail || asset.path || 'assets/images/frames/frame-placeholder.png';
             item.innerHTML = `
                 <div class="frame-thumb-wrap">
                     <img src="${thumbSrc}" alt="${frame.name}"
@@ -212,10 +270,11 @@ function selectFrame(frameId) {
                 startBgComposite(bgImg);
             }
         };
+        var bgPath = _frameAsset(frame).path;
         bgImg.onerror = function() {
-            console.warn('[BG] Failed to load background image:', frame.path);
+            console.warn('[BG] Failed to load background image:', bgPath);
         };
-        bgImg.src = frame.path;
+        bgImg.src = bgPath;
     } else if (frame.isNone) {
         // ---- なし: フレームも背景合成もオフ ----
         if (typeof stopBgComposite === 'function') stopBgComposite();
@@ -224,9 +283,10 @@ function selectFrame(frameId) {
     } else {
         // ---- 通常フレーム ----
         if (typeof stopBgComposite === 'function') stopBgComposite();
+        const asset = _frameAsset(frame);
         if (frameOverlay) frameOverlay.style.opacity = '1';
-        frameOverlay.src = frame.path || '';
-        loadFrameImage(frame.path);
+        frameOverlay.src = asset.path || '';
+        loadFrameImage(asset.path);
     }
 
     document.querySelectorAll('.frame-item').forEach(el => {
@@ -538,12 +598,110 @@ document.getElementById('settings-panel-close')?.addEventListener('click', () =>
     closeAllPanels();
 });
 
+document.getElementById('settings-camera-select')?.addEventListener('change', (e) => {
+    if (typeof selectCamera === 'function') selectCamera(e.target.value);
+});
+
+// テスト映像（カメラのない PC・研修用デモ）
+document.getElementById('settings-mock-camera-select')?.addEventListener('change', (e) => {
+    if (typeof setMockCameraSource !== 'function') return;
+    const v = e.target.value;
+    if (v === 'file') {
+        buildMockCameraSelectUI();   // ファイルを選ぶまでは今の選択のまま
+        document.getElementById('settings-mock-camera-file')?.click();
+    } else if (v === 'pattern') {
+        setMockCameraSource({ type: 'pattern' });
+    } else if (v === '') {
+        setMockCameraSource(null);
+    }
+});
+document.getElementById('settings-mock-camera-file')?.addEventListener('change', (e) => {
+    if (typeof setMockCameraFile === 'function') setMockCameraFile(e.target.files[0]);
+    e.target.value = '';
+});
+
+// 顔 AR のお面・フェイスペイント用テンプレート（デザイナー向け）
+document.getElementById('settings-face-template-btn')?.addEventListener('click', () => {
+    if (typeof exportFaceMeshTemplate === 'function') exportFaceMeshTemplate();
+});
+
 document.getElementById('settings-mirror-toggle')?.addEventListener('change', (e) => {
     if (typeof toggleCameraFlip === 'function') {
         toggleCameraFlip(e.target.checked);
     }
 });
 
+document.getElementById('settings-capture-mode-select')?.addEventListener('change', (e) => {
+    if (typeof selectCaptureMode === 'function') selectCaptureMode(e.target.value);
+});
+
+document.getElementById('settings-aspect-select')?.addEventListener('change', (e) => {
+    if (typeof selectAspectRatio === 'function') selectAspectRatio(e.target.value);
+});
+
+document.getElementById('settings-layout-select')?.addEventListener('change', (e) => {
+    if (typeof selectLayout === 'function') selectLayout(e.target.value);
+});
+
+// 出力設定（レストラン単位で保存）
+document.getElementById('settings-output-format')?.addEventListener('change', (e) => {
+    if (typeof setOutputSetting === 'function') setOutputSetting('format', e.target.value);
+});
+document.getElementById('settings-output-quality')?.addEventListener('change', (e) => {
+    if (typeof setOutputSetting === 'function') setOutputSetting('quality', parseFloat(e.target.value));
+});
+document.getElementById('settings-output-target')?.addEventListener('change', (e) => {
+    if (typeof setOutputSetting === 'function') setOutputSetting('targetKB', parseInt(e.target.value, 10) || 0);
+});
+
+document.getElementById('settings-roll-retention-select')?.addEventListener('change', (e) => {
+    if (typeof setPhotoRollRetention === 'function') setPhotoRollRetention(parseInt(e.target.value, 10));
+});
+
+document.getElementById('settings-highres-toggle')?.addEventListener('change', (e) => {
+    if (typeof highResCaptureEnabled !== 'undefined') highResCaptureEnabled = e.target.checked;
+});
+
+document.getElementById('settings-zsl-toggle')?.addEventListener('change', (e) => {
+    if (typeof zslEnabled !== 'undefined') zslEnabled = e.target.checked;
+});
+
+document.getElementById('settings-burst-toggle')?.addEventListener('change', (e) => {
+    if (typeof burstModeEnabled !== 'undefined') burstModeEnabled = e.target.checked;
+});
+
+// 暗所判定・ノイズ低減
+document.getElementById('settings-lowlight-threshold')?.addEventListener('change', (e) => {
+    if (typeof setLowLightSetting === 'function') setLowLightSetting('threshold', parseInt(e.target.value, 10));
+});
+document.getElementById('settings-lowlight-frames')?.addEventListener('change', (e) => {
+    if (typeof setLowLightSetting === 'function') setLowLightSetting('nrFrames', parseInt(e.target.value, 10));
+});
+
+// 撮影ガイド（プレビューのみ。撮影画像には写らない）
+document.getElementById('settings-guide-grid-toggle')?.addEventListener('change', (e) => {
+    if (typeof setGuideSetting === 'function') setGuideSetting('grid', e.target.checked);
+});
+document.getElementById('settings-guide-level-toggle')?.addEventListener('change', (e) => {
+    if (typeof setGuideSetting === 'function') setGuideSetting('level', e.target.checked);
+});
+document.getElementById('settings-guide-faces-toggle')?.addEventListener('change', (e) => {
+    if (typeof setGuideSetting === 'function') setGuideSetting('faces', e.target.checked);
+});
+
+// リモートシャッター
+document.getElementById('settings-remote-hint-toggle')?.addEventListener('change', (e) => {
+    if (typeof setRemoteHintAlways === 'function') setRemoteHintAlways(e.target.checked);
+});
+document.getElementById('settings-remote-reset')?.addEventListener('click', () => {
+    if (typeof resetRemoteBindings === 'function') resetRemoteBindings();
+});
+
+document.getElementById('settings-auto-shutter-toggle')?.addEventListener('change', (e) => {
+    if (typeof initAudioContext === 'function') initAudioContext(); // 自動撮影時のシャッター音用
+    if (typeof setAutoShutterEnabled === 'function') setAutoShutterEnabled(e.target.checked);
+});
+
 // --- 撮影ボタン ---
 captureBtn.addEventListener('click', () => {
     if (typeof initAudioContext === 'function') initAudioContext(); // iOS: ユーザー操作で AudioContext 解放
@@ -553,11 +711,40 @@ captureBtn.addEventListener('click', () => {
 // --- カメラ切り替え ---
 switchCameraBtn?.addEventListener('click', switchCamera);
 
+// --- エラー画面の再試行 ---
+retryBtn?.addEventListener('click', async () => {
+    stopCamera();
+    if (await initCamera()) {
+        if (typeof restartActiveFaceLoop === 'function') restartActiveFaceLoop();
+        if (typeof restartBgCompositeLoop === 'function') restartBgCompositeLoop();
+    }
+});
+
+// --- ズーム・ライト・露出補正（カメラが対応する場合のみ表示） ---
+document.getElementById('zoom-indicator')?.addEventListener('click', () => {
+    if (typeof resetCameraZoom === 'function') resetCameraZoom();
+});
+document.getElementById('torch-btn')?.addEventListener('click', () => {
+    if (typeof toggleTorch === 'function') toggleTorch();
+});
+document.getElementById('low-light-torch-btn')?.addEventListener('click', async () => {
+    if (typeof toggleTorch === 'function') await toggleTorch();
+    if (typeof updateLowLightIndicator === 'function') updateLowLightIndicator();
+});
+document.getElementById('exposure-slider')?.addEventListener('input', (e) => {
+    if (typeof setExposureCompensation === 'function') setExposureCompensation(parseFloat(e.target.value));
+});
+
 // --- 再撮影 ---
 document.getElementById('retake-btn')?.addEventListener('click', () => {
     var rImg = document.getElementById('result-image');
     if (rImg) { rImg.style.display = 'none'; rImg.src = ''; }
     if (resultCanvas) resultCanvas.style.display = 'block';
+    if (typeof clearBurstCandidates === 'function') clearBurstCandidates();
+    if (typeof clearClipResult === 'function') clearClipResult();
+    if (typeof closePrintPanel === 'function') closePrintPanel();
+    if (typeof resetEditState === 'function') resetEditState();
+    lastCapture = null;   // 撮影素材を解放
     showScreen('camera');
     // Face AR ループを再起動（カテゴリ併用対応）
     if (typeof restartActiveFaceLoop === 'function') {
@@ -571,6 +758,71 @@ document.getElementById('download-btn')?.addEventListener('click', downloadImage
 // --- 共有 ---
 document.getElementById('share-btn')?.addEventListener('click', shareImage);
 
+// --- 撮影後編集 ---
+document.getElementById('edit-btn')?.addEventListener('click', () => {
+    if (typeof openEditPanel === 'function') openEditPanel();
+});
+document.getElementById('edit-panel-close')?.addEventListener('click', () => {
+    if (typeof closeEditPanel === 'function') closeEditPanel();
+});
+document.getElementById('edit-frame-select')?.addEventListener('change', (e) => {
+    if (typeof setEditFrame === 'function') setEditFrame(e.target.value);
+});
+document.getElementById('edit-filter-select')?.addEventListener('change', (e) => {
+    if (typeof setEditFilter === 'function') setEditFilter(e.target.value);
+});
+document.getElementById('edit-message-text')?.addEventListener('input', (e) => {
+    if (typeof setEditMessage === 'function') setEditMessage('text', e.target.value);
+});
+document.getElementById('edit-message-location')?.addEventListener('input', (e) => {
+    if (typeof setEditMessage === 'function') setEditMessage('location', e.target.value);
+});
+document.getElementById('edit-reset-btn')?.addEventListener('click', () => {
+    if (typeof revertEdits === 'function') revertEdits();
+});
+
+// --- 印刷 ---
+document.getElementById('print-btn')?.addEventListener('click', () => {
+    if (typeof openPrintPanel === 'function') openPrintPanel();
+});
+document.getElementById('print-panel-close')?.addEventListener('click', () => {
+    if (typeof closePrintPanel === 'function') closePrintPanel();
+});
+document.getElementById('print-go-btn')?.addEventListener('click', () => {
+    if (typeof openPrintExport !== 'function') return;
+    closePrintPanel();
+    openPrintExport(
+        document.getElementById('print-paper-select')?.value,
+        document.getElementById('print-fit-select')?.value
+    );
+});
+
+// --- フォトロール（ギャラリー） ---
+document.getElementById('gallery-toggle')?.addEventListener('click', () => {
+    if (typeof openGallery === 'function') openGallery('camera');
+});
+document.getElementById('result-gallery-btn')?.addEventListener('click', () => {
+    if (typeof openGallery === 'function') openGallery('result');
+});
+document.getElementById('gallery-close')?.addEventListener('click', () => {
+    if (typeof closeGallery === 'function') closeGallery();
+});
+document.getElementById('gallery-select-all-btn')?.addEventListener('click', () => {
+    if (typeof toggleGallerySelectAll === 'function') toggleGallerySelectAll();
+});
+document.getElementById('gallery-save-btn')?.addEventListener('click', () => {
+    if (typeof saveSelectedPhotos === 'function') saveSelectedPhotos();
+});
+document.getElementById('gallery-share-btn')?.addEventListener('click', () => {
+    if (typeof shareSelectedPhotos === 'function') shareSelectedPhotos();
+});
+document.getElementById('gallery-delete-btn')?.addEventListener('click', () => {
+    if (typeof deleteSelectedPhotos === 'function') deleteSelectedPhotos();
+});
+document.getElementById('gallery-preview')?.addEventListener('click', () => {
+    if (typeof closeGalleryPreview === 'function') closeGalleryPreview();
+});
+
 // --- 言語セレクター初期化 ---
 if (typeof buildLanguageSelector === 'function') {
     buildLanguageSelector('lang-selector-anchor');
@@ -580,8 +832,10 @@ if (typeof applyTranslations === 'function') {
 }
 
 // --- ログアウト ---
-logoutBtn?.addEventListener('click', () => {
+logoutBtn?.addEventListener('click', async () => {
     if (!confirm('ログアウトしますか？')) return;
+    // 次のお客様に写真が残らないようフォトロールを削除してから遷移
+    if (typeof clearPhotoRoll === 'function') await clearPhotoRoll();
     sessionStorage.clear();
     stopCamera();
     if (typeof stopFaceLoop === 'function') stopFaceLoop();
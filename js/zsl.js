@@ -0,0 +1,196 @@
+/**
+ * ======================================================================
+ * ゼロシャッターラグ モジュール (zsl.js)
+ * カウントダウン中にカメラ映像の直近フレームを ImageBitmap でリングバッファに貯め、
+ * シャッター（カウント 0）の瞬間に一番近く・動きとブレが少ないフレームを選ぶ。
+ * 選んだフレームは grabRawShot(frame) で通常の撮影と同じレイヤー合成に渡す。
+ *
+ * 背景合成中は合成結果がプレビュー解像度の Canvas にしかないため使わない
+ * （従来どおりシャッター時点の映像を撮る）
+ *
+ * 依存: app.js（cameraVideo）。capture.js のカウントダウンから呼ばれる
+ *       face-filter.js（faceCanvas / selectedDecorations）— 任意
+ * ======================================================================
+ */
+
+// ======================================================================
+// 設定・状態変数
+// ======================================================================
+
+/** ゼロシャッターラグが有効かどうか（設定パネルから切り替え） */
+let zslEnabled = true;
+
+/** バッファに残す時間幅（ms）と取得間隔（ms） */
+const ZSL_WINDOW_MS   = 400;
+const ZSL_INTERVAL_MS = 50;
+
+/** シャッター前後で候補にする範囲（ms）。0 の直後のフレームも少し待って候補に入れる */
+const ZSL_BEFORE_MS = 250;
+const ZSL_AFTER_MS  = 80;
+
+/** 動き・シャープネス計測用の縮小幅（px） */
+const ZSL_SCORE_WIDTH = 96;
+
+/** @type {Array<{ t: number, video: ImageBitmap, face: ImageBitmap|null, gray: Float32Array, w: number, h: number, motion: number, sharpness: number }>} */
+let _zslFrames   = [];
+let _zslRunning  = false;
+let _zslGen      = 0;
+let _zslScratch  = null;
+
+// ======================================================================
+// バッファリング
+// ======================================================================
+
+/** カウントダウン開始時に呼ぶ */
+function startFrameRing() {
+    stopFrameRing();
+    if (!zslEnabled || typeof createImageBitmap !== 'function') return;
+    if (typeof bgCompositeMode !== 'undefined' && bgCompositeMode) return;
+    _zslRunning = true;
+    _zslLoop(++_zslGen);
+}
+
+/** バッファを破棄して取得を止める */
+function stopFrameRing() {
+    _zslRunning = false;
+    _zslGen++;
+    _zslFrames.forEach(_closeZslFrame);
+    _zslFrames = [];
+}
+
+async function _zslLoop(gen) {
+    while (_zslRunning && gen === _zslGen) {
+        const started = performance.now();
+        try {
+            await _pushZslFrame(gen);
+        } catch (err) {
+            console.warn('ZSL frame grab failed:', err);
+        }
+        const wait = ZSL_INTERVAL_MS - (performance.now() - started);
+        await new Promise(r => setTimeout(r, Math.max(0, wait)));
+    }
+}
+
+async function _pushZslFrame(gen) {
+    if (!cameraVideo || cameraVideo.readyState < 2 || !cameraVideo.videoWidth) return;
+    const t = performance.now();
+    const withFace = typeof selectedDecorations !== 'undefined' && selectedDecorations.size > 0 &&
+                     typeof faceCanvas !== 'undefined' && faceCanvas && faceCanvas.width > 0;
+    const [video, face] = await Promise.all([
+        createImageBitmap(cameraVideo),
+        withFace ? createImageBitmap(faceCanvas) : Promise.resolve(null)
+    ]);
+    if (gen !== _zslGen) {
+        // 取得中に止められた
+        video.close();
+        if (face) face.close();
+        return;
+    }
+
+    const frame = Object.assign({ t, video, face }, _zslGray(video));
+    const prev = _zslFrames[_zslFrames.length - 1];
+    frame.motion    = prev ? _zslMotion(prev, frame) : 0;
+    frame.sharpness = _zslSharpness(frame);
+    _zslFrames.push(frame);
+
+    // 古いフレームを解放
+    while (_zslFrames.length && t - _zslFrames[0].t > ZSL_WINDOW_MS) {
+        _closeZslFrame(_zslFrames.shift());
+    }
+}
+
+function _closeZslFrame(frame) {
+    if (!frame) return;
+    if (frame.video) frame.video.close();
+    if (frame.face) frame.face.close();
+    frame.video = frame.face = null;
+}
+
+// ======================================================================
+// 採点
+// ======================================================================
+
+/** 縮小グレースケール（撮影比率で切り抜き・反転はしない。比較にのみ使う） */
+function _zslGray(bitmap) {
+    const w = Math.min(ZSL_SCORE_WIDTH, bitmap.width);
+    const h = Math.max(3, Math.round(bitmap.height * w / bitmap.width));
+    if (!_zslScratch) _zslScratch = document.createElement('canvas');
+    _zslScratch.width  = w;
+    _zslScratch.height = h;
+    const ctx = _zslScratch.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0, w, h);
+    const d = ctx.getImageData(0, 0, w, h).data;
+    const gray = new Float32Array(w * h);
+    for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+        gray[p] = 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+    }
+    return { gray, w, h };
+}
+
+/** 直前のフレームとの平均輝度差（大きいほど動いている） */
+function _zslMotion(a, b) {
+    if (a.w !== b.w || a.h !== b.h) return 0;
+    let sum = 0;
+    for (let p = 0; p < b.gray.length; p++) sum += Math.abs(b.gray[p] - a.gray[p]);
+    return sum / b.gray.length;
+}
+
+/** ラプラシアン分散（大きいほどブレ・ピンボケが少ない。burst.js と同じ指標） */
+function _zslSharpness(frame) {
+    const { gray, w, h } = frame;
+    let sum = 0, sumSq = 0, n = 0;
+    for (let y = 1; y < h - 1; y++) {
+        for (let x = 1; x < w - 1; x++) {
+            const p = y * w + x;
+            const lap = gray[p - w] + gray[p + w] + gray[p - 1] + gray[p + 1] - 4 * gray[p];
+            sum += lap; sumSq += lap * lap; n++;
+        }
+    }
+    if (n === 0) return 0;
+    const mean = sum / n;
+    return sumSq / n - mean * mean;
+}
+
+/**
+ * シャッター時刻に近いほど・動きが少ないほど・シャープなほど高得点
+ * 近さを一番重く見る（表情がカウント 0 から離れすぎないように）
+ */
+function _pickZslFrame(frames, shutterAt) {
+    const maxSharp  = Math.max(1e-6, ...frames.map(f => f.sharpness));
+    const maxMotion = Math.max(1e-6, ...frames.map(f => f.motion));
+    let best = null, bestScore = -Infinity;
+    frames.forEach(f => {
+        const near  = 1 - Math.min(1, Math.abs(f.t - shutterAt) / ZSL_BEFORE_MS);
+        const score = near * 0.4 + (1 - f.motion / maxMotion) * 0.3 + (f.sharpness / maxSharp) * 0.3;
+        if (score > bestScore) { best = f; bestScore = score; }
+    });
+    return best;
+}
+
+// ======================================================================
+// シャッター
+// ======================================================================
+
+/**
+ * シャッターの瞬間に呼ぶ。直後のフレームを少し待ってから最良の 1 枚を選び、
+ * バッファを止める（選ばれなかったフレームは解放）
+ *
+ * @param {number} [shutterAt] - カウント 0 の時刻（performance.now()）。省略時は今
+ * @returns {Promise<{ video: ImageBitmap, face: ImageBitmap|null }|null>}
+ *          使い終わったら releaseZslFrame() で解放する。バッファがなければ null
+ */
+async function takeZslFrame(shutterAt) {
+    if (!_zslRunning) return null;
+    const at = (shutterAt === undefined) ? performance.now() : shutterAt;
+    await new Promise(r => setTimeout(r, ZSL_AFTER_MS));
+
+    const candidates = _zslFrames.filter(f => f.t >= at - ZSL_BEFORE_MS && f.t <= at + ZSL_AFTER_MS);
+    const best = candidates.length ? _pickZslFrame(candidates, at) : null;
+    if (best) _zslFrames.splice(_zslFrames.indexOf(best), 1);
+    stopFrameRing();
+    return best ? { video: best.video, face: best.face } : null;
+}
+
+function releaseZslFrame(frame) {
+    _closeZslFrame(frame);
+}
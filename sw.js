@@ -8,7 +8,7 @@
  *  - JSON / 設定ファイルはネットワーク優先
  */
 
-const CACHE_VERSION = 'v23';
+const CACHE_VERSION = 'v65';
 const CACHE_NAME    = `sph-photo-${CACHE_VERSION}`;
 
 // ── 事前キャッシュするコアアセット（確実に存在するもののみ）──────────
@@ -21,11 +21,30 @@ const CORE_ASSETS = [
     './css/login.css',
     './js/i18n.js',
     './js/app.js',
+    './js/render-pipeline.js',
     './js/camera.js',
+    './js/mock-camera.js',
+    './js/aspect.js',
+    './js/layout.js',
+    './js/burst.js',
+    './js/zsl.js',
+    './js/auto-shutter.js',
+    './js/guides.js',
+    './js/low-light.js',
+    './js/clip.js',
+    './js/output.js',
+    './js/exif.js',
+    './js/print.js',
+    './js/photo-roll.js',
+    './js/edit.js',
     './js/capture.js',
+    './js/remote-shutter.js',
     './js/ui.js',
     './js/filter.js',
+    './js/filter-worker.js',
+    './js/filter-gl.js',
     './js/face-filter.js',
+    './js/face-decorations.js',
     './js/sound.js',
     './js/analytics.js',
     './assets/images/logo-shinagawa-prince.png',
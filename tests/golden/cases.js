@@ -0,0 +1,177 @@
+/**
+ * ======================================================================
+ * ゴールデン画像テスト: テストケース (cases.js)
+ *   filters/     … 全写真フィルター × 強さ（CPU のピクセル処理。WebGL 版は対象外）
+ *   adjustments/ … 画像調整の各スライダーを両端に振ったもの
+ *   messages/    … メッセージ 6 位置 × 全言語（日付の書式・既定文言が言語ごとに変わる）
+ *   composite/   … 描画パイプラインでの合成（フレーム・複数枚撮影シート）
+ *
+ * ケース名がそのまま expected/<name>.png になる
+ * ======================================================================
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { ROOT, TEST_FONT_FAMILY, createCanvas, loadImage } = require('./harness');
+
+/** フィルターの強さ */
+const FILTER_INTENSITIES = [0.25, 0.5, 1];
+
+/** 画像調整の値（50 = 無調整） */
+const ADJUSTMENT_VALUES = [0, 100];
+
+/** メッセージの 6 位置 */
+const MESSAGE_POSITIONS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+
+/** 粒子ノイズのシード（毎ケース設定し直す） */
+const GRAIN_SEED = 20240601;
+
+/** メッセージの日付（Intl の書式は言語ごとに違う） */
+const MESSAGE_DATE = '2026-10-19';
+
+/** メッセージ・合成ケースの出力サイズ */
+const SHEET_W = 300;
+const SHEET_H = 400;
+
+function _copy(src, w, h) {
+    const canvas = createCanvas(w || src.width, h || src.height);
+    canvas.getContext('2d').drawImage(src, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/** メッセージの下地（上半分は明るく、下半分は暗く。半透明の枠の見え方を両方で確かめる） */
+function _twoTone(w, h) {
+    const canvas = createCanvas(w, h);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#D9CBB5';
+    ctx.fillRect(0, 0, w, h / 2);
+    ctx.fillStyle = '#3B4A5A';
+    ctx.fillRect(0, h / 2, w, h / 2);
+    return canvas;
+}
+
+function _pad3(n) {
+    return String(Math.round(n * 100)).padStart(3, '0');
+}
+
+/** 言語ごとのメッセージ設定（messageConfig 形式） */
+function _messageConfig(app, lang, position) {
+    const dict = app.run('I18N_TRANSLATIONS')[lang];
+    return {
+        date:     { enabled: true, value: MESSAGE_DATE },
+        text:     { enabled: true, value: dict.msg_default_text },
+        location: { enabled: true, value: dict.login_title },
+        style:    { fontFamily: TEST_FONT_FAMILY, fontSize: '28', position }
+    };
+}
+
+/** 無調整の画像調整パラメータ */
+function _neutralAdjustments(app) {
+    const a = {};
+    app.run('IMAGE_ADJUSTMENT_DEFS').forEach(def => { a[def.key] = 50; });
+    return a;
+}
+
+/** 写真フィルターをピクセル処理で掛ける（ワーカー・結果画面と同じ applyFilterToCanvas） */
+function _filtered(app, src, filterId, intensity, adjustments) {
+    const canvas = _copy(src);
+    app.run(`currentFilterIntensity = ${intensity}`);
+    app.context.setGrainSeed(GRAIN_SEED);
+    app.context.applyFilterToCanvas(canvas.getContext('2d'), canvas.width, canvas.height,
+        { filterId, adjustments });
+    return canvas;
+}
+
+/**
+ * @param {Object} app      - harness.loadApp()
+ * @param {Object} fixtures - { portrait, chart } の Canvas
+ * @returns {Promise<Array<{ name: string, render: () => Canvas }>>}
+ */
+async function buildCases(app, fixtures) {
+    const cases = [];
+    const neutral = _neutralAdjustments(app);
+
+    // ---- 写真フィルター ----
+    app.run('FILTERS.map(f => f.id)').forEach(filterId => {
+        const intensities = (filterId === 'none') ? [1] : FILTER_INTENSITIES;
+        intensities.forEach(t => {
+            cases.push({
+                name: `filters/${filterId}-${_pad3(t)}`,
+                render: () => _filtered(app, fixtures.portrait, filterId, t, neutral)
+            });
+        });
+    });
+
+    // ---- 画像調整 ----
+    Object.keys(neutral).forEach(key => {
+        ADJUSTMENT_VALUES.forEach(v => {
+            cases.push({
+                name: `adjustments/${key}-${_pad3(v / 100)}`,
+                render: () => _filtered(app, fixtures.chart, 'none', 0.5, Object.assign({}, neutral, { [key]: v }))
+            });
+        });
+    });
+
+    // ---- メッセージ ----
+    Object.keys(app.run('I18N_TRANSLATIONS')).forEach(lang => {
+        MESSAGE_POSITIONS.forEach(position => {
+            cases.push({
+                name: `messages/${lang}-${position}`,
+                render: () => {
+                    const canvas = _twoTone(SHEET_W, SHEET_H);
+                    app.run(`currentLang = ${JSON.stringify(lang)}`);
+                    app.context.drawMessageOnCanvas(canvas.getContext('2d'), canvas.width, canvas.height,
+                        null, _messageConfig(app, lang, position));
+                    return canvas;
+                }
+            });
+        });
+    });
+
+    // ---- 合成（描画パイプライン） ----
+    const frameImage = await loadImage(fs.readFileSync(path.join(ROOT, 'assets/images/frames/frame1.png')));
+    const raw = (src, w, h) => ({ base: _copy(src, w, h), face: null, bgDrawn: false });
+
+    cases.push({
+        name: 'composite/single-frame-warm-message',
+        render: () => {
+            app.run('currentFilterIntensity = 0.5; currentLang = "ja"');
+            app.context.setGrainSeed(GRAIN_SEED);
+            return app.context.renderCapture({
+                raws:   [raw(fixtures.portrait, SHEET_W, SHEET_H)],
+                layout: null,
+                look: {
+                    frameId: 'frame1', frameImage, filterId: 'warm',
+                    adjustments: Object.assign({}, neutral, { contrast: 65, shadows: 60 }),
+                    message: _messageConfig(app, 'ja', 'bottom-center')
+                }
+            });
+        }
+    });
+
+    const framesConfig = JSON.parse(fs.readFileSync(path.join(ROOT, 'assets/config/frames-config.json'), 'utf8'));
+    (framesConfig.commonLayouts || []).forEach(layout => {
+        cases.push({
+            name: `composite/layout-${layout.id}`,
+            render: () => {
+                app.run('currentFilterIntensity = 0.5; currentLang = "en"');
+                app.context.setGrainSeed(GRAIN_SEED);
+                // 1 コマは素材のサイズのまま（シートが大きくなりすぎないように）
+                const raws = [];
+                for (let i = 0; i < layout.shots; i++) raws.push(raw(i % 2 ? fixtures.chart : fixtures.portrait));
+                return app.context.renderCapture({
+                    raws, layout,
+                    look: {
+                        frameId: null, frameImage: null, filterId: 'mono',
+                        adjustments: neutral,
+                        message: _messageConfig(app, 'en', 'bottom-center')
+                    }
+                });
+            }
+        });
+    });
+
+    return cases;
+}
+
+module.exports = { buildCases };
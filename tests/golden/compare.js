@@ -0,0 +1,92 @@
+/**
+ * ======================================================================
+ * ゴールデン画像テスト: 画像の比較 (compare.js)
+ * RGBA のどれかのチャンネルが PIXEL_TOLERANCE より大きくずれた画素を「違う画素」と数え、
+ * その割合が MAX_DIFF_RATIO 以下なら一致とみなす
+ * （アンチエイリアスや Skia の版による 1〜2 階調の揺れは許容し、処理の変化は検出する）
+ *
+ * 単体でも使える:
+ *   node tests/golden/compare.js expected.png actual.png [diff.png]
+ * ======================================================================
+ */
+
+const fs = require('fs');
+
+/** 1 画素のチャンネル差の許容値（0〜255） */
+const PIXEL_TOLERANCE = 8;
+
+/** 違う画素の割合の許容値 */
+const MAX_DIFF_RATIO = 0.002;
+
+/**
+ * @param {Canvas} expected
+ * @param {Canvas} actual
+ * @param {Function} [createCanvas] - 差分画像を作る場合に渡す
+ * @returns {{ ok: boolean, reason?: string, diffPixels: number, ratio: number, maxDelta: number, diff?: Canvas }}
+ */
+function compareCanvases(expected, actual, createCanvas) {
+    if (expected.width !== actual.width || expected.height !== actual.height) {
+        return {
+            ok: false,
+            reason: `size ${actual.width}x${actual.height} != expected ${expected.width}x${expected.height}`,
+            diffPixels: expected.width * expected.height, ratio: 1, maxDelta: 255
+        };
+    }
+    const w = expected.width, h = expected.height;
+    const a = expected.getContext('2d').getImageData(0, 0, w, h).data;
+    const b = actual.getContext('2d').getImageData(0, 0, w, h).data;
+
+    let diff = null, dd = null;
+    if (createCanvas) {
+        diff = createCanvas(w, h);
+        dd = diff.getContext('2d').createImageData(w, h);
+    }
+
+    let diffPixels = 0, maxDelta = 0;
+    for (let i = 0; i < a.length; i += 4) {
+        const delta = Math.max(
+            Math.abs(a[i] - b[i]), Math.abs(a[i + 1] - b[i + 1]),
+            Math.abs(a[i + 2] - b[i + 2]), Math.abs(a[i + 3] - b[i + 3]));
+        if (delta > maxDelta) maxDelta = delta;
+        const bad = delta > PIXEL_TOLERANCE;
+        if (bad) diffPixels++;
+        if (dd) {
+            // 違う画素は赤、それ以外は元画像を薄く
+            const gray = (a[i] + a[i + 1] + a[i + 2]) / 3;
+            dd.data[i]     = bad ? 255 : 180 + gray * 0.25;
+            dd.data[i + 1] = bad ? 0   : 180 + gray * 0.25;
+            dd.data[i + 2] = bad ? 0   : 180 + gray * 0.25;
+            dd.data[i + 3] = 255;
+        }
+    }
+    if (dd) diff.getContext('2d').putImageData(dd, 0, 0);
+
+    const ratio = diffPixels / (w * h);
+    return { ok: ratio <= MAX_DIFF_RATIO, diffPixels, ratio, maxDelta, diff };
+}
+
+module.exports = { PIXEL_TOLERANCE, MAX_DIFF_RATIO, compareCanvases };
+
+// ======================================================================
+// コマンドライン
+// ======================================================================
+
+if (require.main === module) {
+    const [expectedFile, actualFile, diffFile] = process.argv.slice(2);
+    if (!expectedFile || !actualFile) {
+        console.error('usage: node tests/golden/compare.js expected.png actual.png [diff.png]');
+        process.exit(2);
+    }
+    const { createCanvas, loadCanvas } = require('./harness');
+    (async () => {
+        const result = compareCanvases(await loadCanvas(expectedFile), await loadCanvas(actualFile),
+            diffFile ? createCanvas : null);
+        console.log(result.ok ? 'match' : 'MISMATCH',
+            result.reason || `${result.diffPixels} px (${(result.ratio * 100).toFixed(3)}%), max delta ${result.maxDelta}`);
+        if (diffFile && result.diff) fs.writeFileSync(diffFile, result.diff.toBuffer('image/png'));
+        process.exit(result.ok ? 0 : 1);
+    })().catch(err => {
+        console.error(err);
+        process.exit(2);
+    });
+}
@@ -0,0 +1,114 @@
+/**
+ * ======================================================================
+ * ゴールデン画像テスト: ブラウザ用スクリプトの読み込み (harness.js)
+ * js/ のスクリプトを <script> タグと同じく 1 つのグローバル環境に順に読み込み、
+ * Canvas は @napi-rs/canvas（Skia）で代用する。
+ * DOM は Canvas の生成に必要な最小限だけ用意する（UI は読み込まない）。
+ *
+ * 文字は OS のフォントに依存しないよう、npm の Noto Sans（欧文・日本語・韓国語）を
+ * 登録して使う（TEST_FONT_FAMILY）。
+ * ======================================================================
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+const { createCanvas, loadImage, GlobalFonts, ImageData } = require('@napi-rs/canvas');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+/** 読み込むスクリプト（index.html と同じ順序） */
+const APP_SCRIPTS = [
+    'js/i18n.js',
+    'js/render-pipeline.js',
+    'js/filter.js',
+    'js/layout.js',
+    'js/capture.js'
+];
+
+/** メッセージ描画に使う書体（fonts の登録名を CSS の font-family 形式で並べたもの） */
+const TEST_FONT_FAMILY = "'Noto Sans', 'Noto Sans JP', 'Noto Sans KR'";
+
+const TEST_FONTS = [
+    ['@expo-google-fonts/noto-sans/700Bold/NotoSans_700Bold.ttf',       'Noto Sans'],
+    ['@expo-google-fonts/noto-sans-jp/700Bold/NotoSansJP_700Bold.ttf',  'Noto Sans JP'],
+    ['@expo-google-fonts/noto-sans-kr/700Bold/NotoSansKR_700Bold.ttf',  'Noto Sans KR']
+];
+
+let _fontsRegistered = false;
+
+function _registerFonts() {
+    if (_fontsRegistered) return;
+    TEST_FONTS.forEach(([file, family]) => {
+        GlobalFonts.registerFromPath(require.resolve(file), family);
+    });
+    _fontsRegistered = true;
+}
+
+/** HTMLCanvasElement の代わり（width / height を後から設定するのはブラウザと同じ） */
+function _createCanvasElement() {
+    return createCanvas(300, 150);
+}
+
+/**
+ * アプリのスクリプトを読み込んだ実行環境を作る
+ * @returns {{ run: (code: string) => any, context: Object }}
+ */
+function loadApp() {
+    _registerFonts();
+
+    const storage = new Map();
+    const sandbox = {
+        console,
+        Intl,
+        ImageData,
+        document: {
+            createElement(tag) {
+                if (tag !== 'canvas') throw new Error(`harness: <${tag}> is not supported`);
+                return _createCanvasElement();
+            },
+            getElementById: () => null,
+            querySelector:  () => null,
+            querySelectorAll: () => []
+        },
+        localStorage: {
+            getItem: (k) => (storage.has(k) ? storage.get(k) : null),
+            setItem: (k, v) => storage.set(k, String(v)),
+            removeItem: (k) => storage.delete(k)
+        }
+    };
+    sandbox.window = sandbox;
+    const context = vm.createContext(sandbox);
+
+    APP_SCRIPTS.forEach(file => {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        new vm.Script(code, { filename: file }).runInContext(context);
+    });
+
+    return {
+        context,
+        /** スクリプトのグローバル（let / const を含む）を読み書きする */
+        run: (code) => vm.runInContext(code, context)
+    };
+}
+
+/**
+ * PNG を読み込んで同じサイズの Canvas にする
+ * @param {string} file
+ * @returns {Promise<Canvas>}
+ */
+async function loadCanvas(file) {
+    const img = await loadImage(fs.readFileSync(file));
+    const canvas = createCanvas(img.width, img.height);
+    canvas.getContext('2d').drawImage(img, 0, 0);
+    return canvas;
+}
+
+module.exports = {
+    ROOT,
+    TEST_FONT_FAMILY,
+    createCanvas,
+    loadImage,
+    loadApp,
+    loadCanvas
+};
@@ -0,0 +1,85 @@
+/**
+ * ======================================================================
+ * ゴールデン画像テスト: 実行 (run.js)
+ *
+ *   npm test                       … 全ケースを描画して expected/ と比較
+ *   npm test -- messages/ja        … 名前がこの文字列で始まるケースだけ
+ *   npm run test:update            … expected/ を今の出力で作り直す
+ *                                    （意図した見た目の変更のときだけ。差分は PR で画像を確認）
+ *
+ * 一致しなかったケースは一時ディレクトリに actual / diff の PNG を書き出す
+ * ======================================================================
+ */
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { createCanvas, loadApp, loadCanvas } = require('./harness');
+const { compareCanvases } = require('./compare');
+const { buildCases } = require('./cases');
+
+const EXPECTED_DIR = path.join(__dirname, 'expected');
+const FIXTURE_DIR  = path.join(__dirname, 'fixtures');
+const FAILURE_DIR  = path.join(os.tmpdir(), 'sph-golden');
+
+async function main() {
+    const args   = process.argv.slice(2);
+    const update = args.includes('--update');
+    const only   = args.filter(a => !a.startsWith('--'));
+
+    const app = loadApp();
+    const fixtures = {
+        portrait: await loadCanvas(path.join(FIXTURE_DIR, 'portrait.png')),
+        chart:    await loadCanvas(path.join(FIXTURE_DIR, 'chart.png'))
+    };
+    const cases = (await buildCases(app, fixtures))
+        .filter(c => only.length === 0 || only.some(prefix => c.name.startsWith(prefix)));
+
+    let passed = 0, written = 0;
+    const failures = [];
+
+    for (const c of cases) {
+        const file = path.join(EXPECTED_DIR, c.name + '.png');
+        const actual = c.render();
+
+        if (update) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, actual.toBuffer('image/png'));
+            written++;
+            continue;
+        }
+        if (!fs.existsSync(file)) {
+            failures.push({ name: c.name, reason: 'golden image missing (npm run test:update)' });
+            continue;
+        }
+
+        const result = compareCanvases(await loadCanvas(file), actual, createCanvas);
+        if (result.ok) {
+            passed++;
+            continue;
+        }
+        const out = path.join(FAILURE_DIR, c.name);
+        fs.mkdirSync(path.dirname(out), { recursive: true });
+        fs.writeFileSync(out + '.actual.png', actual.toBuffer('image/png'));
+        if (result.diff) fs.writeFileSync(out + '.diff.png', result.diff.toBuffer('image/png'));
+        failures.push({
+            name: c.name,
+            reason: result.reason ||
+                `${result.diffPixels} px differ (${(result.ratio * 100).toFixed(3)}%), max delta ${result.maxDelta}`
+        });
+    }
+
+    if (update) {
+        console.log(`wrote ${written} golden images to ${path.relative(process.cwd(), EXPECTED_DIR) || '.'}`);
+        return 0;
+    }
+    failures.forEach(f => console.log(`✗ ${f.name}: ${f.reason}`));
+    console.log(`${passed} passed, ${failures.length} failed (${cases.length} cases)`);
+    if (failures.length > 0) console.log(`actual / diff images: ${FAILURE_DIR}`);
+    return failures.length > 0 ? 1 : 0;
+}
+
+main().then(code => { process.exitCode = code; }).catch(err => {
+    console.error(err);
+    process.exitCode = 2;
+});